@@ -0,0 +1,53 @@
+// llm/embeddings/hash-provider.js
+// Dependency-free fallback: hashes words and character trigrams into a fixed-size vector. Catches shared
+// words and word forms ("translate" / "translation") but not synonyms; use the local model for those.
+const DIMENSIONS = 512;
+
+// FNV-1a, 32-bit
+function hash(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+function features(text) {
+  const words = text.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+  const result = [];
+  for (const word of words) {
+    result.push(`w:${word}`);
+    const padded = `<${word}>`;
+    for (let i = 0; i + 3 <= padded.length; i++) {
+      result.push(`c:${padded.slice(i, i + 3)}`);
+    }
+  }
+  return result;
+}
+
+class HashEmbeddingProvider {
+  constructor() {
+    this.name = 'hash';
+    this.defaultModel = `hash-${DIMENSIONS}`;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async embed(texts) {
+    return texts.map(text => {
+      const vector = new Array(DIMENSIONS).fill(0);
+      for (const feature of features(text)) {
+        const h = hash(feature);
+        // Whole words weigh more than trigrams; the sign bit spreads collisions around zero
+        vector[h % DIMENSIONS] += (h & 0x80000000 ? -1 : 1) * (feature.startsWith('w:') ? 2 : 1);
+      }
+      const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+      return vector.map(v => v / norm);
+    });
+  }
+}
+
+module.exports = HashEmbeddingProvider;
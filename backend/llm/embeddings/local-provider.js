@@ -0,0 +1,43 @@
+// llm/embeddings/local-provider.js
+// Sentence embeddings computed on the CPU with transformers.js (ONNX). The model is downloaded from the
+// Hugging Face hub on first use and cached under TRANSFORMERS_CACHE (or the package's default cache).
+const DEFAULT_MODEL = 'Xenova/all-MiniLM-L6-v2';
+
+class LocalEmbeddingProvider {
+  constructor() {
+    this.name = 'local';
+    this.defaultModel = DEFAULT_MODEL;
+    this.extractors = new Map(); // model -> Promise<pipeline>
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  getExtractor(model) {
+    if (!this.extractors.has(model)) {
+      // transformers.js is ESM-only, so it has to be loaded with import()
+      const loading = import('@xenova/transformers').then(({ pipeline, env }) => {
+        if (process.env.TRANSFORMERS_CACHE) env.cacheDir = process.env.TRANSFORMERS_CACHE;
+        return pipeline('feature-extraction', model);
+      });
+      // Don't cache a failed load, so a later call can retry
+      loading.catch(() => this.extractors.delete(model));
+      this.extractors.set(model, loading);
+    }
+    return this.extractors.get(model);
+  }
+
+  /**
+   * @param {string[]} texts - Texts to embed
+   * @param {Object} [options] - { model }
+   * @returns {Promise<number[][]>} Mean-pooled, L2-normalized vectors
+   */
+  async embed(texts, { model } = {}) {
+    const extractor = await this.getExtractor(model || this.defaultModel);
+    const output = await extractor(texts, { pooling: 'mean', normalize: true });
+    return output.tolist();
+  }
+}
+
+module.exports = LocalEmbeddingProvider;
@@ -0,0 +1,43 @@
+// llm/embeddings/openai-compatible-provider.js
+// Any OpenAI-style /embeddings endpoint: Ollama, llama.cpp server, vLLM, LM Studio, OpenAI itself.
+// Shares OPENAI_COMPATIBLE_BASE_URL / OPENAI_COMPATIBLE_API_KEY with the chat provider.
+const axios = require('axios');
+
+const DEFAULT_BASE_URL = 'http://localhost:11434/v1'; // Ollama
+const DEFAULT_MODEL = 'nomic-embed-text';
+const DEFAULT_TIMEOUT_MS = 60000;
+
+class OpenAICompatibleEmbeddingProvider {
+  constructor() {
+    this.name = 'openai-compatible';
+  }
+
+  get defaultModel() {
+    return process.env.OPENAI_COMPATIBLE_EMBEDDING_MODEL || DEFAULT_MODEL;
+  }
+
+  getBaseUrl() {
+    return (process.env.OPENAI_COMPATIBLE_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async embed(texts, { model } = {}) {
+    const apiKey = process.env.OPENAI_COMPATIBLE_API_KEY;
+    const response = await axios.post(`${this.getBaseUrl()}/embeddings`, {
+      model: model || this.defaultModel,
+      input: texts
+    }, {
+      headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+      timeout: DEFAULT_TIMEOUT_MS
+    });
+    // Entries carry an index; don't rely on the server keeping input order
+    return [...(response.data?.data || [])]
+      .sort((a, b) => a.index - b.index)
+      .map(entry => entry.embedding);
+  }
+}
+
+module.exports = OpenAICompatibleEmbeddingProvider;
@@ -0,0 +1,80 @@
+// llm/embeddings/registry.js
+// Pluggable embedding providers behind agent semantic search. Select one with EMBEDDING_PROVIDER
+// (default: 'local') and EMBEDDING_MODEL, and register others via registerProvider().
+const LocalEmbeddingProvider = require('./local-provider');
+const HashEmbeddingProvider = require('./hash-provider');
+const OpenAICompatibleEmbeddingProvider = require('./openai-compatible-provider');
+
+const DEFAULT_PROVIDER = 'local';
+
+const providerFactories = new Map([
+  ['local', () => new LocalEmbeddingProvider()],
+  ['hash', () => new HashEmbeddingProvider()],
+  ['openai-compatible', () => new OpenAICompatibleEmbeddingProvider()]
+]);
+
+const providers = new Map();
+
+/**
+ * Register a custom provider factory
+ * @param {string} name - Provider name used in EMBEDDING_PROVIDER
+ * @param {Function} factory - Returns an object implementing isConfigured() and embed(texts, { model })
+ *   resolving to one vector per text
+ */
+function registerProvider(name, factory) {
+  providerFactories.set(name, factory);
+  providers.delete(name);
+}
+
+function hasProvider(name) {
+  return providerFactories.has(name);
+}
+
+/**
+ * Get a provider instance by name
+ * @param {string} name - Provider name
+ * @returns {Object} Provider
+ */
+function getProvider(name) {
+  if (providers.has(name)) return providers.get(name);
+  const factory = providerFactories.get(name);
+  if (!factory) {
+    throw new Error(`Unknown embedding provider "${name}". Available: ${Array.from(providerFactories.keys()).join(', ')}`);
+  }
+  const provider = factory();
+  providers.set(name, provider);
+  return provider;
+}
+
+function listProviders() {
+  return Array.from(providerFactories.keys()).map(name => {
+    const provider = getProvider(name);
+    return { name, configured: provider.isConfigured(), defaultModel: provider.defaultModel };
+  });
+}
+
+/**
+ * Resolve the configured provider and model
+ * @returns {Object} { provider, providerName, model }
+ */
+function resolve() {
+  const providerName = process.env.EMBEDDING_PROVIDER || DEFAULT_PROVIDER;
+  const provider = getProvider(providerName);
+  return { provider, providerName, model: process.env.EMBEDDING_MODEL || provider.defaultModel };
+}
+
+/**
+ * Drop cached provider instances (after settings change)
+ */
+function reset() {
+  providers.clear();
+}
+
+module.exports = {
+  registerProvider,
+  hasProvider,
+  getProvider,
+  listProviders,
+  resolve,
+  reset
+};
@@ -0,0 +1,69 @@
+// llm/partial-json.js
+// Reads fields out of a JSON reply that is still streaming in, so the partial `message` and finished
+// `reasoning` steps can be shown before the whole object parses.
+
+/**
+ * Read a JSON string starting at the opening quote
+ * @param {string} text - Source
+ * @param {number} start - Index of the opening quote
+ * @returns {Object} { value, complete, end } - value decoded so far; end is the index after the closing quote
+ */
+function readString(text, start) {
+  let i = start + 1;
+  let raw = '';
+  while (i < text.length) {
+    const ch = text[i];
+    if (ch === '"') {
+      return { value: JSON.parse(`"${raw}"`), complete: true, end: i + 1 };
+    }
+    if (ch === '\\') {
+      const length = text[i + 1] === 'u' ? 6 : 2;
+      // Escape sequence not fully received yet
+      if (i + length > text.length) break;
+      raw += text.slice(i, i + length);
+      i += length;
+    } else {
+      raw += ch;
+      i++;
+    }
+  }
+  return { value: JSON.parse(`"${raw}"`), complete: false, end: i };
+}
+
+/**
+ * @param {string} text - JSON received so far
+ * @returns {Object} { message, reasoning } - message (possibly partial, null if not started) and complete reasoning steps
+ */
+function readPartialFields(text) {
+  const result = { message: null, reasoning: [] };
+
+  const messageMatch = /"message"\s*:\s*"/.exec(text);
+  if (messageMatch) {
+    try {
+      result.message = readString(text, messageMatch.index + messageMatch[0].length - 1).value;
+    } catch (_e) {
+      // Malformed escape - the final validation will report it
+    }
+  }
+
+  const reasoningMatch = /"reasoning"\s*:\s*\[/.exec(text);
+  if (reasoningMatch) {
+    let i = reasoningMatch.index + reasoningMatch[0].length;
+    while (i < text.length) {
+      while (i < text.length && /[\s,]/.test(text[i])) i++;
+      if (text[i] !== '"') break;
+      try {
+        const step = readString(text, i);
+        if (!step.complete) break;
+        result.reasoning.push(step.value);
+        i = step.end;
+      } catch (_e) {
+        break;
+      }
+    }
+  }
+
+  return result;
+}
+
+module.exports = { readPartialFields };
@@ -0,0 +1,138 @@
+// llm/platform-tools.js
+// Heracles actions the chat agent can call. Parameters are JSON schemas (bound to the model as LangChain
+// tools by agent-tools-service); valueMoving tools never run from the model directly - they wait for the
+// user to confirm, and then sign with the confirming user's signing session (or the backend wallet).
+
+const PLATFORM_TOOLS = [
+  {
+    name: 'discover_agents',
+    description: 'Find registered agents by capability, free-text query, trust score or validation status.',
+    parameters: {
+      type: 'object',
+      properties: {
+        capabilities: { type: 'array', items: { type: 'string' }, description: 'Capability ids the agent must have (aliases are accepted)' },
+        query: { type: 'string', description: 'What the agent should do; matched semantically against name, metadata and capabilities' },
+        minTrustScore: { type: 'number', description: 'Minimum trust score (0-100)' },
+        validatedOnly: { type: 'boolean', description: 'Only agents with at least one validation' },
+        limit: { type: 'integer', description: 'Maximum agents to consider (default 20)' }
+      }
+    },
+    async execute(args) {
+      const unifiedAgentService = require('../services/unified-agent-service');
+      const agents = await unifiedAgentService.discoverAgents({ limit: 20, ...args });
+      return agents.map(agent => ({
+        agentId: agent.agentId,
+        name: agent.name,
+        address: agent.address,
+        capabilities: agent.capabilities,
+        trustScore: agent.reputation?.trustScore ?? agent.trustScore,
+        paymentMode: agent.paymentMode,
+        ...(agent.score !== undefined && { score: agent.score })
+      }));
+    }
+  },
+  {
+    name: 'create_x402_challenge',
+    description: 'Create an x402 payment challenge (payment requirements) for paying an agent. Does not move funds.',
+    parameters: {
+      type: 'object',
+      required: ['amount', 'payTo'],
+      properties: {
+        amount: { type: 'number', description: 'Amount to request, in whole units of the currency' },
+        currency: { type: 'string', description: 'HBAR (default), or the symbol or token id of a token registered for payments, e.g. USDC' },
+        payTo: { type: 'string', description: 'Recipient Hedera account or EVM address' },
+        memo: { type: 'string', description: 'What the payment is for' }
+      }
+    },
+    async execute({ amount, currency, payTo, memo }) {
+      const x402Service = require('../services/x402-facilitator-service');
+      const asset = require('../services/token-registry-service').resolvePayment(currency || 'HBAR').tokenId;
+      return x402Service.createChallenge(x402Service.toAtomicAmount(amount, asset), asset, payTo, memo || 'Agent payment', process.env.HEDERA_NETWORK || 'hedera-testnet');
+    }
+  },
+  {
+    name: 'create_escrow',
+    description: 'Lock HBAR in a PaymentProcessor escrow for a payee agent. Moves funds: requires user confirmation.',
+    valueMoving: true,
+    scope: 'payments:create',
+    parameters: {
+      type: 'object',
+      required: ['payee', 'amount', 'description'],
+      properties: {
+        payee: { type: 'string', description: 'Payee agent EVM address' },
+        amount: { type: 'number', description: 'Amount in HBAR' },
+        description: { type: 'string', description: 'Service being paid for' },
+        expirationDays: { type: 'integer', description: 'Days until the payer may reclaim the escrow (0 = never)' }
+      }
+    },
+    describe: ({ payee, amount, description }) => `Pay ${amount} HBAR into escrow for ${payee} (${description})`,
+    async execute({ payee, amount, description, expirationDays }, { signer, agentAddress }) {
+      if (!(amount > 0)) throw new Error('Amount must be greater than 0');
+      const paymentService = require('../services/payment-service');
+      return paymentService.createEscrow(payee, amount, description, agentAddress || null, signer || null, null, expirationDays || 0);
+    }
+  },
+  {
+    name: 'release_escrow',
+    description: 'Release an escrow to its payee. Moves funds: requires user confirmation.',
+    valueMoving: true,
+    scope: 'payments:release',
+    parameters: {
+      type: 'object',
+      required: ['escrowId'],
+      properties: {
+        escrowId: { type: 'string', description: 'Escrow id' }
+      }
+    },
+    describe: ({ escrowId }) => `Release escrow ${escrowId} to its payee`,
+    async execute({ escrowId }, { signer, agentAddress }) {
+      const paymentService = require('../services/payment-service');
+      return paymentService.releaseEscrow(String(escrowId), agentAddress || null, signer || null);
+    }
+  },
+  {
+    name: 'submit_feedback',
+    description: 'Submit ERC-8004 reputation feedback from one agent about another (rating 1-5 or 0-100).',
+    parameters: {
+      type: 'object',
+      required: ['fromAgent', 'toAgent', 'rating'],
+      properties: {
+        fromAgent: { type: 'string', description: 'Address of the agent giving feedback' },
+        toAgent: { type: 'string', description: 'Agent id or address receiving feedback' },
+        rating: { type: 'number', description: 'Rating, 1-5 or 0-100' },
+        comment: { type: 'string' },
+        paymentTxHash: { type: 'string', description: 'Payment the feedback refers to' }
+      }
+    },
+    async execute({ fromAgent, toAgent, rating, comment, paymentTxHash }) {
+      if ((rating < 1 || rating > 5) && (rating < 0 || rating > 100)) {
+        throw new Error('Rating must be between 1-5 or 0-100');
+      }
+      const reputationService = require('../services/reputation-service');
+      return reputationService.submitFeedback(fromAgent, toAgent, rating, comment || '', paymentTxHash || null);
+    }
+  },
+  {
+    name: 'request_validation',
+    description: 'Ask a validator to validate an agent (ERC-8004 ValidationRegistry).',
+    parameters: {
+      type: 'object',
+      required: ['agentId', 'validatorAddress'],
+      properties: {
+        agentId: { type: 'string', description: 'ERC-8004 agent id or agent address' },
+        validatorAddress: { type: 'string', description: 'Validator EVM address' },
+        requestUri: { type: 'string', description: 'URI describing what to validate' }
+      }
+    },
+    async execute(args) {
+      const validationService = require('../services/validation-service');
+      return validationService.requestValidation(args);
+    }
+  }
+];
+
+function getTool(name) {
+  return PLATFORM_TOOLS.find(t => t.name === name) || null;
+}
+
+module.exports = { PLATFORM_TOOLS, getTool };
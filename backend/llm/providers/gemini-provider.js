@@ -0,0 +1,54 @@
+// llm/providers/gemini-provider.js
+// Google Gemini through @google/generative-ai
+const DEFAULT_MODEL = 'gemini-1.5-flash';
+
+class GeminiProvider {
+  constructor() {
+    this.name = 'gemini';
+    this.defaultModel = DEFAULT_MODEL;
+  }
+
+  isConfigured() {
+    const apiKey = process.env.GEMINI_API_KEY;
+    return Boolean(apiKey && apiKey !== '***masked***');
+  }
+
+  getChatModel() {
+    return null;
+  }
+
+  getModel(messages, { model, temperature = 0.7, maxTokens = 4096 } = {}) {
+    const { GoogleGenerativeAI } = require('@google/generative-ai');
+    const client = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+
+    const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+    return client.getGenerativeModel({
+      model: model || DEFAULT_MODEL,
+      ...(system && { systemInstruction: system }),
+      generationConfig: { temperature, maxOutputTokens: maxTokens }
+    });
+  }
+
+  toContents(messages) {
+    return messages
+      .filter(m => m.role !== 'system')
+      .map(m => ({ role: m.role === 'assistant' ? 'model' : 'user', parts: [{ text: m.content }] }));
+  }
+
+  async complete(messages, options = {}) {
+    const result = await this.getModel(messages, options)
+      .generateContent({ contents: this.toContents(messages) }, { signal: options.signal });
+    return result.response.text();
+  }
+
+  async *stream(messages, options = {}) {
+    const result = await this.getModel(messages, options)
+      .generateContentStream({ contents: this.toContents(messages) }, { signal: options.signal });
+    for await (const chunk of result.stream) {
+      const text = chunk.text();
+      if (text) yield text;
+    }
+  }
+}
+
+module.exports = GeminiProvider;
@@ -0,0 +1,60 @@
+// llm/providers/groq-provider.js
+// Groq-hosted models through LangChain (the original GroqService client)
+const DEFAULT_MODEL = 'llama-3.1-8b-instant';
+
+class GroqProvider {
+  constructor() {
+    this.name = 'groq';
+    this.defaultModel = DEFAULT_MODEL;
+  }
+
+  isConfigured() {
+    const apiKey = process.env.GROQ_API_KEY;
+    return Boolean(apiKey && apiKey !== '***masked***');
+  }
+
+  /**
+   * LangChain chat model (used directly by Hedera Agent Kit)
+   * @param {Object} options - { model, temperature, maxTokens }
+   */
+  getChatModel({ model, temperature = 0.7, maxTokens = 4096 } = {}) {
+    const { ChatGroq } = require('@langchain/groq');
+    return new ChatGroq({
+      apiKey: process.env.GROQ_API_KEY,
+      model: model || DEFAULT_MODEL,
+      temperature,
+      maxTokens
+    });
+  }
+
+  /**
+   * @param {Array} messages - [{ role: 'system' | 'user' | 'assistant', content }]
+   * @param {Object} options - { model, temperature, maxTokens, signal }
+   * @returns {Promise<string>} Completion text
+   */
+  async complete(messages, options = {}) {
+    const llm = this.getChatModel(options);
+    // Tuples are passed as-is (no prompt templating, so braces in prompts need no escaping)
+    const response = await llm.invoke(toTuples(messages), { signal: options.signal });
+    return typeof response.content === 'string' ? response.content : String(response.text || response.content || '');
+  }
+
+  /**
+   * @param {Array} messages - [{ role, content }]
+   * @param {Object} options - { model, temperature, maxTokens, signal }
+   * @returns {AsyncGenerator<string>} Text chunks
+   */
+  async *stream(messages, options = {}) {
+    const llm = this.getChatModel(options);
+    const chunks = await llm.stream(toTuples(messages), { signal: options.signal });
+    for await (const chunk of chunks) {
+      if (typeof chunk.content === 'string' && chunk.content) yield chunk.content;
+    }
+  }
+}
+
+function toTuples(messages) {
+  return messages.map(m => [m.role === 'user' ? 'human' : m.role === 'assistant' ? 'ai' : 'system', m.content]);
+}
+
+module.exports = GroqProvider;
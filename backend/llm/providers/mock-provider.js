@@ -0,0 +1,44 @@
+// llm/providers/mock-provider.js
+// Deterministic offline provider for tests and demos: the same prompt always yields the same reply.
+// Set MOCK_LLM_RESPONSE to return a fixed reply instead.
+const STREAM_CHUNK_SIZE = 16;
+
+class MockProvider {
+  constructor() {
+    this.name = 'mock';
+    this.defaultModel = 'mock';
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  getChatModel() {
+    return null;
+  }
+
+  async complete(messages) {
+    if (process.env.MOCK_LLM_RESPONSE) return process.env.MOCK_LLM_RESPONSE;
+
+    const input = [...messages].reverse().find(m => m.role === 'user')?.content || '';
+    return JSON.stringify({
+      message: `Mock response to: ${input.slice(0, 200)}`,
+      reasoning: ['Generated by the mock LLM provider'],
+      breakpoints: [],
+      matchedAgents: [],
+      action: { type: 'show_agents', payload: {} }
+    });
+  }
+
+  // Same reply as complete(), in fixed-size chunks
+  async *stream(messages, options = {}) {
+    const text = await this.complete(messages);
+    for (let i = 0; i < text.length; i += STREAM_CHUNK_SIZE) {
+      await new Promise(resolve => setImmediate(resolve));
+      if (options.signal?.aborted) throw new Error('Request aborted');
+      yield text.slice(i, i + STREAM_CHUNK_SIZE);
+    }
+  }
+}
+
+module.exports = MockProvider;
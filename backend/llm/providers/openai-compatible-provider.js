@@ -0,0 +1,78 @@
+// llm/providers/openai-compatible-provider.js
+// Any OpenAI-style /chat/completions endpoint: Ollama, llama.cpp server, vLLM, LM Studio, OpenAI itself
+const axios = require('axios');
+
+const DEFAULT_BASE_URL = 'http://localhost:11434/v1'; // Ollama
+const DEFAULT_MODEL = 'llama3.1';
+const DEFAULT_TIMEOUT_MS = 120000;
+
+class OpenAICompatibleProvider {
+  constructor() {
+    this.name = 'openai-compatible';
+  }
+
+  get defaultModel() {
+    return process.env.OPENAI_COMPATIBLE_MODEL || DEFAULT_MODEL;
+  }
+
+  getBaseUrl() {
+    return (process.env.OPENAI_COMPATIBLE_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+  }
+
+  isConfigured() {
+    // Local servers usually need no key, so a base URL (or the Ollama default) is enough
+    return true;
+  }
+
+  getChatModel() {
+    return null;
+  }
+
+  request(messages, { model, temperature = 0.7, maxTokens = 4096, signal } = {}, stream = false) {
+    const apiKey = process.env.OPENAI_COMPATIBLE_API_KEY;
+    return axios.post(`${this.getBaseUrl()}/chat/completions`, {
+      model: model || this.defaultModel,
+      messages,
+      temperature,
+      max_tokens: maxTokens,
+      ...(stream && { stream: true })
+    }, {
+      headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+      timeout: DEFAULT_TIMEOUT_MS,
+      signal,
+      ...(stream && { responseType: 'stream' })
+    });
+  }
+
+  async complete(messages, options = {}) {
+    const response = await this.request(messages, options);
+    return response.data?.choices?.[0]?.message?.content || '';
+  }
+
+  /**
+   * Parse the server-sent `data:` lines of a streamed completion
+   */
+  async *stream(messages, options = {}) {
+    const response = await this.request(messages, options, true);
+    let buffer = '';
+    for await (const chunk of response.data) {
+      buffer += chunk.toString('utf8');
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      for (const line of lines) {
+        const trimmed = line.trim();
+        if (!trimmed.startsWith('data:')) continue;
+        const data = trimmed.slice('data:'.length).trim();
+        if (data === '[DONE]') continue;
+        try {
+          const text = JSON.parse(data).choices?.[0]?.delta?.content;
+          if (text) yield text;
+        } catch (_e) {
+          // Ignore keep-alives and partial lines
+        }
+      }
+    }
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,123 @@
+// llm/registry.js
+// Pluggable LLM providers behind GroqService. Select the default with LLM_PROVIDER (default: 'groq') and
+// LLM_MODEL, override per route with LLM_ROUTE_OVERRIDES (JSON), and register others via registerProvider().
+const GroqProvider = require('./providers/groq-provider');
+const GeminiProvider = require('./providers/gemini-provider');
+const OpenAICompatibleProvider = require('./providers/openai-compatible-provider');
+const MockProvider = require('./providers/mock-provider');
+
+// Routes that can be pointed at their own provider/model
+const LLM_ROUTES = ['chat', 'chat-summary', 'search-agents', 'analyze-transaction', 'suggest-capabilities', 'welcome', 'agent-kit', 'tool-agent'];
+
+const providerFactories = new Map([
+  ['groq', () => new GroqProvider()],
+  ['gemini', () => new GeminiProvider()],
+  ['openai-compatible', () => new OpenAICompatibleProvider()],
+  ['mock', () => new MockProvider()]
+]);
+
+const providers = new Map();
+
+/**
+ * Register a custom provider factory
+ * @param {string} name - Provider name used in LLM_PROVIDER / LLM_ROUTE_OVERRIDES
+ * @param {Function} factory - Returns an object implementing isConfigured(), complete(messages, options) and
+ *   getChatModel(options), and optionally stream(messages, options) yielding text chunks
+ */
+function registerProvider(name, factory) {
+  providerFactories.set(name, factory);
+  providers.delete(name);
+}
+
+function hasProvider(name) {
+  return providerFactories.has(name);
+}
+
+/**
+ * Get a provider instance by name
+ * @param {string} name - Provider name
+ * @returns {Object} Provider
+ */
+function getProvider(name) {
+  if (providers.has(name)) return providers.get(name);
+  const factory = providerFactories.get(name);
+  if (!factory) {
+    throw new Error(`Unknown LLM provider "${name}". Available: ${Array.from(providerFactories.keys()).join(', ')}`);
+  }
+  const provider = factory();
+  providers.set(name, provider);
+  return provider;
+}
+
+function listProviders() {
+  return Array.from(providerFactories.keys()).map(name => {
+    const provider = getProvider(name);
+    return { name, configured: provider.isConfigured(), defaultModel: provider.defaultModel };
+  });
+}
+
+/**
+ * Validate per-route overrides
+ * @param {string|Object} value - JSON string or object: { [route]: { provider?, model? } }
+ * @returns {Object} Parsed overrides
+ */
+function parseRouteOverrides(value) {
+  if (!value) return {};
+  const overrides = typeof value === 'string' ? JSON.parse(value) : value;
+  if (typeof overrides !== 'object' || Array.isArray(overrides)) {
+    throw new Error('LLM_ROUTE_OVERRIDES must be an object keyed by route');
+  }
+  for (const [route, override] of Object.entries(overrides)) {
+    if (!LLM_ROUTES.includes(route)) {
+      throw new Error(`Unknown LLM route "${route}". Available: ${LLM_ROUTES.join(', ')}`);
+    }
+    if (override?.provider && !hasProvider(override.provider)) {
+      throw new Error(`Unknown LLM provider "${override.provider}" for route ${route}`);
+    }
+  }
+  return overrides;
+}
+
+function getRouteOverrides() {
+  try {
+    return parseRouteOverrides(process.env.LLM_ROUTE_OVERRIDES);
+  } catch (error) {
+    console.warn('⚠️  Ignoring invalid LLM_ROUTE_OVERRIDES:', error.message);
+    return {};
+  }
+}
+
+/**
+ * Resolve the provider and model for a route
+ * @param {string} [route] - One of LLM_ROUTES (omit for the default)
+ * @returns {Object} { provider, providerName, model }
+ */
+function resolve(route) {
+  const override = (route && getRouteOverrides()[route]) || {};
+  const providerName = override.provider || process.env.LLM_PROVIDER || 'groq';
+  const provider = getProvider(providerName);
+  // LLM_MODEL only applies to the default provider; a route switching provider uses that provider's default
+  const defaultModel = providerName === (process.env.LLM_PROVIDER || 'groq') && process.env.LLM_MODEL
+    ? process.env.LLM_MODEL
+    : provider.defaultModel;
+  return { provider, providerName, model: override.model || defaultModel };
+}
+
+/**
+ * Drop cached provider instances (after settings change)
+ */
+function reset() {
+  providers.clear();
+}
+
+module.exports = {
+  LLM_ROUTES,
+  registerProvider,
+  hasProvider,
+  getProvider,
+  listProviders,
+  parseRouteOverrides,
+  getRouteOverrides,
+  resolve,
+  reset
+};
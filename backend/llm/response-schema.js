@@ -0,0 +1,242 @@
+// llm/response-schema.js
+// JSON schemas for structured LLM responses, a small validator for the subset of JSON Schema they use,
+// and the error codes GroqService returns when a response cannot be repaired.
+
+const LLM_ERROR_CODES = {
+  NOT_CONFIGURED: 'LLM_NOT_CONFIGURED',
+  PROVIDER_ERROR: 'LLM_PROVIDER_ERROR',
+  INVALID_JSON: 'LLM_INVALID_JSON',
+  SCHEMA_VIOLATION: 'LLM_SCHEMA_VIOLATION',
+  UNKNOWN_AGENT: 'LLM_UNKNOWN_AGENT',
+  AGENT_LOOKUP_FAILED: 'LLM_AGENT_LOOKUP_FAILED'
+};
+
+const ACTION_TYPES = ['show_agents', 'request_payment', 'connect_agent'];
+
+const EVM_ADDRESS = { type: 'string', pattern: '^0x[0-9a-fA-F]{40}$' };
+
+const MATCHED_AGENT = {
+  type: 'object',
+  required: ['name', 'address'],
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    address: EVM_ADDRESS,
+    agentId: { type: ['string', 'number'] },
+    capabilities: { type: 'array', items: { type: 'string' } },
+    trustScore: { type: ['number', 'string'] },
+    relevanceScore: { type: 'number', minimum: 0, maximum: 1 },
+    reasoning: { type: 'string' }
+  }
+};
+
+// Payload schema per action type (see actionPayloads for the request_payment currencies)
+const ACTION_PAYLOADS = {
+  show_agents: {
+    type: 'object',
+    properties: {
+      capability: { type: 'string' }
+    }
+  },
+  request_payment: {
+    type: 'object',
+    required: ['payee', 'amount', 'currency'],
+    properties: {
+      payee: EVM_ADDRESS,
+      amount: { type: 'number', exclusiveMinimum: 0 },
+      currency: { type: 'string' },
+      description: { type: 'string' }
+    }
+  },
+  connect_agent: {
+    type: 'object',
+    required: ['agentId'],
+    properties: {
+      agentId: { type: ['string', 'number'] },
+      name: { type: 'string' }
+    }
+  }
+};
+
+/**
+ * Action payload schemas, with request_payment's currency limited to the symbols of the tokens
+ * currently accepted for payments in the token registry (registered tokens can be added at runtime)
+ * @returns {Object} Payload schema per action type
+ */
+function actionPayloads() {
+  const tokenRegistry = require('../services/token-registry-service');
+  const symbols = tokenRegistry.list({ payment: true }).map(token => token.symbol);
+  const requestPayment = ACTION_PAYLOADS.request_payment;
+  return {
+    ...ACTION_PAYLOADS,
+    request_payment: {
+      ...requestPayment,
+      properties: { ...requestPayment.properties, currency: { type: 'string', enum: symbols } }
+    }
+  };
+}
+
+const ACTION = {
+  type: 'object',
+  required: ['type', 'payload'],
+  properties: {
+    type: { type: 'string', enum: ACTION_TYPES },
+    payload: { type: 'object' }
+  }
+};
+
+const SCHEMAS = {
+  // Marketplace assistant (POST /api/ai/chat)
+  assistant: {
+    type: 'object',
+    required: ['message'],
+    properties: {
+      message: { type: 'string', minLength: 1 },
+      reasoning: { type: 'array', items: { type: 'string' } },
+      breakpoints: {
+        type: 'array',
+        items: { type: 'object', required: ['type'], properties: { type: { type: 'string' }, text: { type: 'string' } } }
+      },
+      matchedAgents: { type: 'array', items: MATCHED_AGENT },
+      action: ACTION
+    }
+  },
+  // Ranked agent matches (searchAgents)
+  'agent-search': {
+    type: 'object',
+    required: ['matchedAgents'],
+    properties: {
+      message: { type: 'string' },
+      reasoning: { type: 'array', items: { type: 'string' } },
+      matchedAgents: { type: 'array', items: MATCHED_AGENT },
+      action: ACTION
+    }
+  }
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return [].concat(type).some(t => t === actual || (t === 'number' && actual === 'integer'));
+}
+
+/**
+ * Validate a value against a schema (type, required, properties, items, enum, pattern, minLength,
+ * minimum, maximum, exclusiveMinimum)
+ * @param {Object} schema - Schema
+ * @param {*} value - Value to check
+ * @param {string} [path] - Path of the value, used in error messages
+ * @returns {Array} Errors: { path, message }
+ */
+function validate(schema, value, path = '$') {
+  if (schema.type && !matchesType(value, schema.type)) {
+    return [{ path, message: `must be ${[].concat(schema.type).join(' or ')}, got ${typeOf(value)}` }];
+  }
+
+  const errors = [];
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `must be one of ${schema.enum.join(', ')}` });
+  }
+  if (typeof value === 'string') {
+    if (schema.minLength && value.length < schema.minLength) errors.push({ path, message: 'must not be empty' });
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path, message: `must match ${schema.pattern}` });
+    }
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push({ path, message: `must be >= ${schema.minimum}` });
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push({ path, message: `must be <= ${schema.maximum}` });
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      errors.push({ path, message: `must be > ${schema.exclusiveMinimum}` });
+    }
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => errors.push(...validate(schema.items, item, `${path}[${i}]`)));
+  }
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push({ path: `${path}.${key}`, message: 'is required' });
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) errors.push(...validate(propertySchema, value[key], `${path}.${key}`));
+    }
+  }
+  return errors;
+}
+
+/**
+ * Validate a structured response, including the payload of its action
+ * @param {string} schemaName - Key of SCHEMAS
+ * @param {*} data - Parsed response
+ * @returns {Array} Errors: { path, message }
+ */
+function validateResponse(schemaName, data) {
+  const schema = SCHEMAS[schemaName];
+  if (!schema) throw new Error(`Unknown LLM response schema "${schemaName}"`);
+
+  const errors = validate(schema, data);
+  const action = data && data.action;
+  if (action && ACTION_PAYLOADS[action.type] && action.payload !== undefined) {
+    errors.push(...validate(actionPayloads()[action.type], action.payload, '$.action.payload'));
+  }
+  return errors;
+}
+
+/**
+ * Extract the first complete JSON object from model output (tolerates code fences and surrounding prose)
+ * @param {string} text - Model output
+ * @returns {Object|null} Parsed object, or null if none parses
+ */
+function extractJson(text) {
+  if (typeof text !== 'string') return null;
+
+  for (let start = text.indexOf('{'); start !== -1; start = text.indexOf('{', start + 1)) {
+    let depth = 0;
+    let inString = false;
+    for (let i = start; i < text.length; i++) {
+      const ch = text[i];
+      if (inString) {
+        if (ch === '\\') i++;
+        else if (ch === '"') inString = false;
+      } else if (ch === '"') {
+        inString = true;
+      } else if (ch === '{') {
+        depth++;
+      } else if (ch === '}' && --depth === 0) {
+        try {
+          return JSON.parse(text.slice(start, i + 1));
+        } catch (_e) {
+          break;
+        }
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Schema as prompt text, so the model sees exactly what will be validated
+ * @param {string} schemaName - Key of SCHEMAS
+ * @returns {string}
+ */
+function describeSchema(schemaName) {
+  const schema = SCHEMAS[schemaName];
+  if (!schema.properties.action) return JSON.stringify(schema);
+  return `${JSON.stringify(schema)}\nAction payloads by action.type: ${JSON.stringify(actionPayloads())}`;
+}
+
+module.exports = {
+  LLM_ERROR_CODES,
+  ACTION_TYPES,
+  SCHEMAS,
+  actionPayloads,
+  validate,
+  validateResponse,
+  extractJson,
+  describeSchema
+};
@@ -0,0 +1,65 @@
+// middleware/auth.js
+// JWT authentication and role checks. Tokens are issued by POST /api/auth/login (see services/auth-service.js).
+const authService = require('../services/auth-service');
+
+/**
+ * Attach req.auth = { address, roles } when a valid Bearer token is sent.
+ * Requests without a token pass through; routes opt in with requireAuth / requireRole / requireAgentOwner.
+ */
+function authenticate(req, res, next) {
+  const header = req.get('authorization');
+  if (!header || !header.startsWith('Bearer ')) return next();
+
+  try {
+    const claims = authService.verifyToken(header.slice('Bearer '.length).trim());
+    req.auth = { address: claims.sub, roles: claims.roles || [] };
+    next();
+  } catch (e) {
+    res.status(e.status || 401).json({ error: e.message });
+  }
+}
+
+function requireAuth(req, res, next) {
+  if (!req.auth) {
+    return res.status(401).json({ error: 'Authentication required (Authorization: Bearer <token>)' });
+  }
+  next();
+}
+
+/**
+ * Allow callers holding any of the given roles
+ * @param {...string} roles - Accepted roles
+ */
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.auth) {
+      return res.status(401).json({ error: 'Authentication required (Authorization: Bearer <token>)' });
+    }
+    if (!roles.some(role => req.auth.roles.includes(role))) {
+      return res.status(403).json({ error: `Requires role: ${roles.join(' or ')}` });
+    }
+    next();
+  };
+}
+
+/**
+ * Allow admins, or the wallet controlling the agent resolved from the request
+ * @param {Function} getAgentId - (req) => agentId
+ */
+function requireAgentOwner(getAgentId) {
+  return (req, res, next) => {
+    if (!req.auth) {
+      return res.status(401).json({ error: 'Authentication required (Authorization: Bearer <token>)' });
+    }
+    if (req.auth.roles.includes('admin')) return next();
+
+    const AgentService = require('../services/agent-service').constructor;
+    const agentId = getAgentId(req);
+    if (!agentId || !AgentService.isAgentController(agentId, req.auth.address)) {
+      return res.status(403).json({ error: `Only the owner of agent ${agentId || '(unspecified)'} can do this` });
+    }
+    next();
+  };
+}
+
+module.exports = { authenticate, requireAuth, requireRole, requireAgentOwner };
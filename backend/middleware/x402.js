@@ -0,0 +1,188 @@
+// middleware/x402.js
+// x402 paywall for any route. Without an X-PAYMENT header the request gets 402 and a challenge; with one, the
+// payment is verified (and settled, for signed transactions) against the challenge's payment intent first.
+// HBAR routes also take payment-channel vouchers, which pay off-chain without a challenge round trip.
+const x402Service = require('../services/x402-facilitator-service');
+const paymentIntentService = require('../services/payment-intent-service');
+const paymentChannelService = require('../services/payment-channel-service');
+const tokenRegistry = require('../services/token-registry-service');
+
+// How long to wait for a just-settled payment to appear on the mirror node
+const SETTLEMENT_WAIT_MS = 15000;
+
+function resolveOption(value, req) {
+  return typeof value === 'function' ? value(req) : value;
+}
+
+function decodePaymentHeader(header) {
+  try {
+    return JSON.parse(Buffer.from(header, 'base64').toString('utf8'));
+  } catch (_e) {
+    return null;
+  }
+}
+
+/**
+ * Memo and transaction id of a signed, not yet submitted transaction
+ */
+function inspectSignedTransaction(base64) {
+  const { Transaction } = require('@hashgraph/sdk');
+  const transaction = Transaction.fromBytes(Buffer.from(base64, 'base64'));
+  return { memo: transaction.transactionMemo, txId: transaction.transactionId?.toString() };
+}
+
+/**
+ * Put a route behind an x402 paywall. The X-PAYMENT header is base64 JSON
+ * `{ x402Version, scheme, network, payload }` where payload is either `{ transaction }` (signed transfer, settled
+ * through the facilitator) or `{ txId }` (already submitted). Either way the transfer must carry the challenge's
+ * `extra.memo`. For HBAR prices payload can instead be `{ voucher: { channelId, amount, signature } }`, a payment
+ * channel voucher whose cumulative amount adds at least the price to the channel's latest voucher.
+ * On success `req.payment` holds the receipt and X-PAYMENT-RESPONSE is set.
+ * @param {Object} options
+ * @param {number|Function} options.price - Price in whole units of the asset (e.g. 0.05 HBAR), or req => price
+ * @param {string|Function} [options.asset] - 'HBAR' (default), or the symbol or token id of a token registered for
+ *   payments (e.g. 'USDC'), or req => asset
+ * @param {string|Function} options.payTo - Recipient account id or EVM address, or req => payTo
+ * @param {string} [options.description] - Shown in the challenge
+ * @param {number} [options.timeoutSeconds] - How long a challenge can be paid (default 300)
+ * @returns {Function} Express middleware
+ */
+function requirePayment({ price, asset = 'HBAR', payTo, description, timeoutSeconds } = {}) {
+  if (price === undefined || !payTo) {
+    throw new Error('requirePayment needs price and payTo');
+  }
+  const network = process.env.HEDERA_NETWORK || 'hedera-testnet';
+
+  return async (req, res, next) => {
+    let requirement;
+    let assetId;
+    try {
+      // Resolved per request so registry changes (a token disabled for payments) apply without a restart
+      assetId = tokenRegistry.resolvePayment(resolveOption(asset, req)).tokenId;
+      requirement = {
+        amount: x402Service.toAtomicAmount(resolveOption(price, req), assetId),
+        asset: assetId,
+        payTo: resolveOption(payTo, req),
+        resource: `${req.method} ${req.baseUrl}${req.path}`
+      };
+    } catch (e) { return next(e); }
+
+    // 402 with a fresh challenge, and why the presented payment (if any) was refused
+    const challenge = async (error, details) => {
+      const body = await x402Service.createChallenge(requirement.amount, assetId, requirement.payTo, requirement.resource, network, { timeoutSeconds });
+      if (description) body.accepts[0].description = description;
+      if (assetId === 'HBAR' && paymentChannelService.isConfigured()) body.accepts[0].extra.paymentChannels = true;
+      if (error) body.error = error;
+      if (details) body.details = details;
+      return res.status(402).json(body);
+    };
+
+    const respond = () => {
+      res.set('X-PAYMENT-RESPONSE', Buffer.from(JSON.stringify({
+        success: true,
+        transaction: req.payment.txId,
+        channelId: req.payment.channelId,
+        network,
+        payer: req.payment.payer
+      })).toString('base64'));
+      next();
+    };
+
+    // Off-chain payment: the voucher's increment over the channel's latest voucher pays for this request
+    const acceptVoucher = async ({ channelId, amount, signature } = {}) => {
+      if (assetId !== 'HBAR') return challenge('Payment channels only carry HBAR');
+      const result = await paymentChannelService.acceptVoucher(String(channelId || '').toLowerCase(), amount, signature, {
+        payTo: requirement.payTo,
+        minIncrement: requirement.amount
+      });
+      req.payment = {
+        intentId: null,
+        txId: null,
+        channelId: result.channel.channelId,
+        cumulativeAmount: result.amount,
+        amount: result.increment,
+        asset: assetId,
+        payTo: requirement.payTo,
+        payer: result.channel.payer,
+        network,
+        settledAt: null
+      };
+      respond();
+    };
+
+    try {
+      const header = req.get('X-PAYMENT');
+      if (!header) return await challenge();
+
+      const paymentPayload = decodePaymentHeader(header);
+      const payload = paymentPayload?.payload;
+      if (payload?.voucher) {
+        return await acceptVoucher(payload.voucher);
+      }
+      if (!payload || (!payload.transaction && !payload.txId)) {
+        return await challenge('X-PAYMENT must be base64 JSON with payload.transaction, payload.txId or payload.voucher');
+      }
+
+      // Find the intent the payment answers and make sure it was issued for this route and price
+      let memo;
+      let txId = payload.txId;
+      let transaction = null;
+      if (payload.transaction) {
+        try {
+          ({ memo, txId } = inspectSignedTransaction(payload.transaction));
+        } catch (_e) {
+          return await challenge('payload.transaction is not a valid signed Hedera transaction');
+        }
+      } else {
+        transaction = await paymentIntentService.fetchTransaction(txId);
+        memo = transaction.memo;
+      }
+      const intent = paymentIntentService.findByMemo(memo);
+      if (!intent || ['amount', 'asset', 'payTo', 'resource'].some(field => intent[field] !== requirement[field])) {
+        return await challenge('Payment memo does not match a challenge for this resource');
+      }
+      if (intent.status !== 'pending') {
+        return await challenge(`Payment intent ${intent.id} is ${intent.status}`);
+      }
+
+      if (payload.transaction) {
+        const paymentRequirements = x402Service.paymentRequirements(intent);
+        const verification = await x402Service.verifyPaymentPayload(paymentPayload, paymentRequirements);
+        if (verification.isValid === false) {
+          return await challenge(verification.invalidReason || 'Payment rejected by the facilitator');
+        }
+        const settlement = await x402Service.settlePaymentPayload(paymentPayload, paymentRequirements);
+        if (settlement.success === false) {
+          return await challenge(settlement.errorReason || 'Payment settlement failed');
+        }
+        txId = settlement.transaction || settlement.txId || txId;
+        transaction = await paymentIntentService.fetchTransaction(txId, { waitMs: SETTLEMENT_WAIT_MS });
+      }
+
+      const result = await paymentIntentService.verify(intent.id, txId, transaction);
+      req.payment = {
+        intentId: intent.id,
+        txId: result.intent.txId,
+        amount: intent.amount,
+        asset: intent.asset,
+        payTo: intent.payTo,
+        payer: result.intent.paidBy,
+        network,
+        settledAt: result.intent.settledAt
+      };
+      respond();
+    } catch (e) {
+      // A payment that fails verification gets a fresh challenge; anything else is a server error
+      if (e.status >= 400 && e.status < 500) {
+        try {
+          return await challenge(e.message, e.details);
+        } catch (challengeError) {
+          return next(challengeError);
+        }
+      }
+      next(e);
+    }
+  };
+}
+
+module.exports = { requirePayment };
@@ -0,0 +1,53 @@
+// repositories/adapters/file-adapter.js
+// File-backed store adapter: one JSON document per collection under DATA_DIR
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DATA_DIR = path.join(__dirname, '../../data');
+
+class FileAdapter {
+  constructor(dataDir = process.env.DATA_DIR || DEFAULT_DATA_DIR) {
+    this.dataDir = path.resolve(dataDir);
+  }
+
+  collectionPath(collection) {
+    if (!/^[a-zA-Z0-9_-]+$/.test(collection)) {
+      throw new Error(`Invalid collection name: ${collection}`);
+    }
+    return path.join(this.dataDir, `${collection}.json`);
+  }
+
+  /**
+   * Load a collection snapshot
+   * @param {string} collection - Collection name
+   * @returns {Object} Plain object of key -> value (empty if the collection does not exist yet)
+   */
+  load(collection) {
+    const filePath = this.collectionPath(collection);
+    try {
+      if (fs.existsSync(filePath)) {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      }
+    } catch (error) {
+      console.warn(`⚠️  Failed to load ${collection} from ${filePath}:`, error.message);
+    }
+    return {};
+  }
+
+  /**
+   * Persist a full collection snapshot (write to temp file, then rename so a crash never leaves a partial file)
+   * @param {string} collection - Collection name
+   * @param {Object} data - Plain object of key -> value
+   */
+  save(collection, data) {
+    const filePath = this.collectionPath(collection);
+    fs.mkdirSync(this.dataDir, { recursive: true });
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    const json = JSON.stringify(data, (_key, value) => (typeof value === 'bigint' ? value.toString() : value), 2);
+    // Collections can hold key material, keep them private to the backend user
+    fs.writeFileSync(tmpPath, json, { encoding: 'utf8', mode: 0o600 });
+    fs.renameSync(tmpPath, filePath);
+  }
+}
+
+module.exports = FileAdapter;
@@ -0,0 +1,17 @@
+// repositories/adapters/memory-adapter.js
+// Non-persistent store adapter (previous in-memory behaviour, useful for tests and throwaway runs)
+class MemoryAdapter {
+  constructor() {
+    this.collections = new Map();
+  }
+
+  load(collection) {
+    return { ...(this.collections.get(collection) || {}) };
+  }
+
+  save(collection, data) {
+    this.collections.set(collection, JSON.parse(JSON.stringify(data, (_key, value) => (typeof value === 'bigint' ? value.toString() : value))));
+  }
+}
+
+module.exports = MemoryAdapter;
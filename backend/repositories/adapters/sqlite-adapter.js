@@ -0,0 +1,96 @@
+// repositories/adapters/sqlite-adapter.js
+// SQLite store adapter (node:sqlite, Node.js 22.5+): one row per entry in DATA_DIR/store.sqlite, so a change
+// writes only the entries it touches instead of the whole collection
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DATA_DIR = path.join(__dirname, '../../data');
+
+function serialize(value) {
+  return JSON.stringify(value, (_key, v) => (typeof v === 'bigint' ? v.toString() : v));
+}
+
+class SqliteAdapter {
+  constructor(dataDir = process.env.DATA_DIR || DEFAULT_DATA_DIR) {
+    let DatabaseSync;
+    try {
+      ({ DatabaseSync } = require('node:sqlite'));
+    } catch (_e) {
+      throw new Error(`STORE_ADAPTER=sqlite needs Node.js 22.5 or later (node:sqlite); this is ${process.version}`);
+    }
+
+    this.dataDir = path.resolve(dataDir);
+    this.filePath = path.join(this.dataDir, 'store.sqlite');
+    fs.mkdirSync(this.dataDir, { recursive: true });
+    // Collections can hold key material, keep the database private to the backend user
+    fs.closeSync(fs.openSync(this.filePath, 'a', 0o600));
+
+    this.db = new DatabaseSync(this.filePath);
+    this.db.exec(`
+      PRAGMA journal_mode = WAL;
+      CREATE TABLE IF NOT EXISTS entries (
+        collection TEXT NOT NULL,
+        key TEXT NOT NULL,
+        value TEXT NOT NULL,
+        PRIMARY KEY (collection, key)
+      );
+    `);
+    this.statements = {
+      select: this.db.prepare('SELECT key, value FROM entries WHERE collection = ?'),
+      upsert: this.db.prepare('INSERT INTO entries (collection, key, value) VALUES (?, ?, ?) ON CONFLICT (collection, key) DO UPDATE SET value = excluded.value'),
+      remove: this.db.prepare('DELETE FROM entries WHERE collection = ? AND key = ?'),
+      removeAll: this.db.prepare('DELETE FROM entries WHERE collection = ?')
+    };
+  }
+
+  transaction(fn) {
+    this.db.exec('BEGIN');
+    try {
+      fn();
+      this.db.exec('COMMIT');
+    } catch (error) {
+      this.db.exec('ROLLBACK');
+      throw error;
+    }
+  }
+
+  /**
+   * Load a collection snapshot
+   * @param {string} collection - Collection name
+   * @returns {Object} Plain object of key -> value (empty if the collection has no entries)
+   */
+  load(collection) {
+    const data = {};
+    for (const row of this.statements.select.all(collection)) {
+      data[row.key] = JSON.parse(row.value);
+    }
+    return data;
+  }
+
+  /**
+   * Replace a full collection
+   * @param {string} collection - Collection name
+   * @param {Object} data - Plain object of key -> value
+   */
+  save(collection, data) {
+    this.transaction(() => {
+      this.statements.removeAll.run(collection);
+      for (const [key, value] of Object.entries(data)) this.statements.upsert.run(collection, key, serialize(value));
+    });
+  }
+
+  /**
+   * Write only the entries that changed
+   * @param {string} collection - Collection name
+   * @param {Object} upserts - Plain object of key -> new value
+   * @param {Array<string>} deletes - Keys to remove
+   */
+  saveEntries(collection, upserts, deletes) {
+    this.transaction(() => {
+      for (const [key, value] of Object.entries(upserts)) this.statements.upsert.run(collection, key, serialize(value));
+      for (const key of deletes) this.statements.remove.run(collection, key);
+    });
+  }
+}
+
+module.exports = SqliteAdapter;
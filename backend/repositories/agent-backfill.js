@@ -0,0 +1,146 @@
+// repositories/agent-backfill.js
+// Backfills the persistent agent store from ERC-8004 IdentityRegistry and HCS AgentRegistered messages
+const hederaClient = require('../services/hedera-client');
+const erc8004Service = require('../services/erc8004-service');
+const agentService = require('../services/agent-service');
+
+const AgentService = agentService.constructor;
+const AGENT_URI_PREFIX = 'https://heracles.hedera/agents/';
+
+/**
+ * Read every message of a topic from the mirror node, following pagination links
+ * @param {string} topicId - HCS topic ID
+ * @returns {Promise<Array>} Decoded JSON payloads (unparseable messages are skipped)
+ */
+async function readTopicMessages(topicId) {
+  const payloads = [];
+  let endpoint = `/topics/${topicId}/messages?limit=100&order=asc`;
+
+  while (endpoint) {
+    const page = await hederaClient.queryMirrorNode(endpoint);
+    for (const msg of page.messages || []) {
+      try {
+        payloads.push(JSON.parse(Buffer.from(msg.message, 'base64').toString()));
+      } catch (e) {
+        // Not a JSON payload, skip
+      }
+    }
+    // links.next is absolute from the API root (/api/v1/...), MIRROR_NODE_URL already includes it
+    const next = page.links?.next;
+    endpoint = next ? next.replace(/^.*\/api\/v1/, '') : null;
+  }
+
+  return payloads;
+}
+
+/**
+ * Merge a discovered record into agentIdMapping without clobbering fields that are already known
+ */
+function mergeAgent(agentId, record, backendAddress) {
+  const existing = AgentService.agentIdMapping.get(agentId) || {};
+  const registeredAddress = existing.registeredAddress || record.registeredAddress || null;
+  const isPermissionless = existing.paymentMode === 'permissionless' ||
+    (!existing.paymentMode && registeredAddress && backendAddress &&
+      registeredAddress.toLowerCase() !== backendAddress.toLowerCase());
+  const paymentMode = isPermissionless ? 'permissionless' : 'permissioned';
+
+  const merged = {
+    agentId,
+    name: existing.name || record.name || agentId,
+    capabilities: existing.capabilities?.length ? existing.capabilities : (record.capabilities || []),
+    metadata: existing.metadata || record.metadata || '',
+    registeredAddress,
+    paymentMode,
+    agentWalletAddress: paymentMode === 'permissionless' ? registeredAddress : null,
+    erc8004AgentId: existing.erc8004AgentId || record.erc8004AgentId || null,
+    registeredAt: existing.registeredAt || record.registeredAt || new Date().toISOString()
+  };
+  AgentService.agentIdMapping.set(agentId, merged);
+
+  if (merged.erc8004AgentId) {
+    AgentService.erc8004AgentIdMapping.set(`agentId:${agentId}`, merged.erc8004AgentId);
+    if (paymentMode === 'permissionless' && registeredAddress) {
+      AgentService.erc8004AgentIdMapping.set(registeredAddress.toLowerCase(), merged.erc8004AgentId);
+    }
+  }
+
+  return !existing.agentId;
+}
+
+/**
+ * Backfill agentIdMapping / erc8004AgentIdMapping from on-chain and HCS history
+ * @param {Object} [options]
+ * @param {boolean} [options.fromHcs=true] - Replay AgentRegistered messages from AGENT_TOPIC_ID
+ * @param {boolean} [options.fromErc8004=true] - Import agents from the ERC-8004 IdentityRegistry
+ * @returns {Promise<Object>} Summary { hcsMessages, erc8004Agents, created, updated }
+ */
+async function backfillAgentStore(options = {}) {
+  const { fromHcs = true, fromErc8004 = true } = options;
+  const summary = { hcsMessages: 0, erc8004Agents: 0, created: 0, updated: 0 };
+
+  let backendAddress = null;
+  try {
+    agentService.ensureWallet();
+    backendAddress = agentService.wallet.address;
+  } catch (e) {
+    console.warn('⚠️  Backend wallet unavailable, payment modes will default to permissioned:', e.message);
+  }
+
+  const track = (created) => {
+    if (created) summary.created++;
+    else summary.updated++;
+  };
+
+  // HCS carries capabilities, so replay it first and let ERC-8004 fill in IDs/owners afterwards
+  if (fromHcs) {
+    const topicId = process.env.AGENT_TOPIC_ID;
+    if (!topicId || topicId.includes('xxxxx')) {
+      console.warn('⚠️  AGENT_TOPIC_ID not set, skipping HCS backfill');
+    } else {
+      const messages = await readTopicMessages(topicId);
+      for (const msg of messages) {
+        if (msg.event !== 'AgentRegistered' || !msg.agentId) continue;
+        summary.hcsMessages++;
+        track(mergeAgent(msg.agentId, {
+          name: msg.name,
+          capabilities: msg.capabilities,
+          registeredAddress: msg.registeredAddress,
+          erc8004AgentId: msg.erc8004AgentId ? msg.erc8004AgentId.toString() : null,
+          registeredAt: msg.timestamp
+        }, backendAddress));
+      }
+    }
+  }
+
+  if (fromErc8004) {
+    await erc8004Service.initialize();
+    if (!erc8004Service.isAvailable()) {
+      console.warn('⚠️  ERC-8004 service not available, skipping on-chain backfill');
+    } else {
+      const owners = backendAddress ? [backendAddress.toLowerCase()] : [];
+      let agents = [];
+      try {
+        agents = await erc8004Service.getAllAgents([]);
+      } catch (e) {
+        agents = owners.length ? await erc8004Service.getAllAgents(owners) : [];
+      }
+      for (const ercAgent of agents) {
+        summary.erc8004Agents++;
+        // Agents registered by this backend carry their agentId in the token URI
+        const agentId = ercAgent.tokenURI?.startsWith(AGENT_URI_PREFIX)
+          ? ercAgent.tokenURI.slice(AGENT_URI_PREFIX.length)
+          : null;
+        if (!agentId) continue;
+        track(mergeAgent(agentId, {
+          name: ercAgent.metadata?.agentName,
+          registeredAddress: ercAgent.owner,
+          erc8004AgentId: ercAgent.agentId
+        }, backendAddress));
+      }
+    }
+  }
+
+  return summary;
+}
+
+module.exports = { backfillAgentStore, readTopicMessages };
@@ -0,0 +1,113 @@
+// repositories/persistent-map.js
+// Map that hydrates from the store on creation and writes its mutations through to it. Writes are batched:
+// changes made within STORE_FLUSH_MS (default 100 ms) are saved together, and pending changes are flushed on exit
+const store = require('./store');
+
+const FLUSH_DELAY_MS = Number(process.env.STORE_FLUSH_MS ?? 100);
+
+// Maps with changes waiting for their flush
+const pendingMaps = new Set();
+
+class PersistentMap extends Map {
+  /**
+   * @param {string} collection - Collection name in the store
+   * @param {Object} [adapter] - Adapter override (defaults to the active store adapter)
+   * @param {Object} [options] - { writeThrough: save every mutation immediately (key material, spent txIds) }
+   */
+  constructor(collection, adapter = null, { writeThrough = false } = {}) {
+    super();
+    this.collection = collection;
+    this.adapter = adapter || store.getAdapter();
+    this.writeThrough = writeThrough;
+    // Keys set or deleted since the last flush; clear() forces a full snapshot instead
+    this.changedKeys = new Set();
+    this.fullRewrite = false;
+    this.flushTimer = null;
+    this.hydrate();
+  }
+
+  hydrate() {
+    super.clear();
+    const data = this.adapter.load(this.collection);
+    for (const [key, value] of Object.entries(data)) {
+      super.set(key, value);
+    }
+  }
+
+  scheduleFlush() {
+    if (this.writeThrough || FLUSH_DELAY_MS <= 0) {
+      this.flush();
+      return;
+    }
+    pendingMaps.add(this);
+    if (this.flushTimer) return;
+    this.flushTimer = setTimeout(() => this.flush(), FLUSH_DELAY_MS);
+    if (this.flushTimer.unref) this.flushTimer.unref();
+  }
+
+  /**
+   * Save pending changes: only the changed entries when the adapter supports saveEntries, else a full snapshot
+   */
+  flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    pendingMaps.delete(this);
+    if (!this.fullRewrite && this.changedKeys.size === 0) return;
+
+    const changedKeys = this.changedKeys;
+    const fullRewrite = this.fullRewrite;
+    this.changedKeys = new Set();
+    this.fullRewrite = false;
+    try {
+      if (!fullRewrite && typeof this.adapter.saveEntries === 'function') {
+        const upserts = {};
+        const deletes = [];
+        for (const key of changedKeys) {
+          if (this.has(key)) upserts[key] = this.get(key);
+          else deletes.push(key);
+        }
+        this.adapter.saveEntries(this.collection, upserts, deletes);
+      } else {
+        this.adapter.save(this.collection, Object.fromEntries(this));
+      }
+    } catch (error) {
+      console.error(`❌ Failed to persist ${this.collection}:`, error.message);
+    }
+  }
+
+  set(key, value) {
+    super.set(key, value);
+    // Map's constructor never calls set here (no iterable), so changedKeys is always defined
+    this.changedKeys.add(key);
+    this.scheduleFlush();
+    return this;
+  }
+
+  delete(key) {
+    const deleted = super.delete(key);
+    if (deleted) {
+      this.changedKeys.add(key);
+      this.scheduleFlush();
+    }
+    return deleted;
+  }
+
+  clear() {
+    super.clear();
+    this.changedKeys.clear();
+    this.fullRewrite = true;
+    this.scheduleFlush();
+  }
+
+  /**
+   * Flush every map with pending changes
+   */
+  static flushAll() {
+    for (const map of Array.from(pendingMaps)) map.flush();
+  }
+}
+
+// Synchronous adapters can still write during 'exit'; server.js turns SIGINT/SIGTERM into an exit
+process.on('exit', () => PersistentMap.flushAll());
+
+module.exports = PersistentMap;
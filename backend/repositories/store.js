@@ -0,0 +1,57 @@
+// repositories/store.js
+// Pluggable storage layer for backend state that must survive restarts.
+// Select the adapter with STORE_ADAPTER: 'file' (default, one JSON document per collection), 'sqlite' (one row per
+// entry, Node.js 22.5+) or 'memory'; register others via registerAdapter().
+const FileAdapter = require('./adapters/file-adapter');
+const MemoryAdapter = require('./adapters/memory-adapter');
+
+const adapterFactories = new Map([
+  ['file', () => new FileAdapter()],
+  ['memory', () => new MemoryAdapter()],
+  // Loaded on demand: node:sqlite only exists on Node.js 22.5+
+  ['sqlite', () => new (require('./adapters/sqlite-adapter'))()]
+]);
+
+let activeAdapter = null;
+
+/**
+ * Register a custom adapter factory
+ * @param {string} name - Adapter name used in STORE_ADAPTER
+ * @param {Function} factory - Returns an object implementing load(collection) and save(collection, data),
+ *   and optionally saveEntries(collection, upserts, deletes) to write only changed entries
+ */
+function registerAdapter(name, factory) {
+  adapterFactories.set(name, factory);
+}
+
+/**
+ * Get the active adapter (created lazily from STORE_ADAPTER)
+ * @returns {Object} Adapter instance
+ */
+function getAdapter() {
+  if (activeAdapter) return activeAdapter;
+  const name = process.env.STORE_ADAPTER || 'file';
+  const factory = adapterFactories.get(name);
+  if (!factory) {
+    throw new Error(`Unknown STORE_ADAPTER "${name}". Available: ${Array.from(adapterFactories.keys()).join(', ')}`);
+  }
+  activeAdapter = factory();
+  console.log(`💾 Storage adapter: ${name}`);
+  return activeAdapter;
+}
+
+/**
+ * Replace the active adapter (by registered name or instance)
+ * @param {string|Object} adapter - Adapter name or instance
+ */
+function setAdapter(adapter) {
+  if (typeof adapter === 'string') {
+    const factory = adapterFactories.get(adapter);
+    if (!factory) throw new Error(`Unknown store adapter: ${adapter}`);
+    activeAdapter = factory();
+  } else {
+    activeAdapter = adapter;
+  }
+}
+
+module.exports = { registerAdapter, getAdapter, setAdapter };
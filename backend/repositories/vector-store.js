@@ -0,0 +1,72 @@
+// repositories/vector-store.js
+// Vectors keyed by id, persisted through a PersistentMap (so any store adapter works), queried by
+// exact cosine similarity. A linear scan is fine for the agent counts a marketplace node holds.
+const PersistentMap = require('./persistent-map');
+
+/**
+ * Cosine similarity of two equal-length vectors (0 when either is all zeros)
+ */
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+class VectorStore {
+  /**
+   * @param {string} collection - Collection name in the store
+   */
+  constructor(collection) {
+    // id -> { vector, metadata }
+    this.entries = new PersistentMap(collection);
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  get(id) {
+    return this.entries.get(id) || null;
+  }
+
+  ids() {
+    return Array.from(this.entries.keys());
+  }
+
+  upsert(id, vector, metadata = {}) {
+    this.entries.set(id, { vector, metadata });
+  }
+
+  remove(id) {
+    return this.entries.delete(id);
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  /**
+   * Nearest entries to a vector
+   * @param {number[]} vector - Query vector
+   * @param {Object} [options] - { limit, minScore, filter(entry, id) }
+   * @returns {Array} [{ id, score, metadata }] by descending score
+   */
+  query(vector, { limit = 10, minScore = -1, filter = null } = {}) {
+    const results = [];
+    for (const [id, entry] of this.entries.entries()) {
+      if (entry.vector.length !== vector.length) continue;
+      if (filter && !filter(entry, id)) continue;
+      const score = cosineSimilarity(vector, entry.vector);
+      if (score >= minScore) results.push({ id, score, metadata: entry.metadata });
+    }
+    return results.sort((a, b) => b.score - a.score).slice(0, limit);
+  }
+}
+
+module.exports = { VectorStore, cosineSimilarity };
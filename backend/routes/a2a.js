@@ -2,14 +2,15 @@
 const express = require('express');
 const router = express.Router();
 const a2aService = require('../services/a2a-service');
-const x402Service = require('../services/x402-facilitator-service');
 const agentService = require('../services/agent-service');
 const reputationService = require('../services/reputation-service');
+const signingSessionService = require('../services/signing-session-service');
+const quoteService = require('../services/quote-service');
 
 // Initiate A2A communication with optional payment integration
 router.post('/communicate', async (req, res, next) => {
   try {
-    const { fromAgent, toAgent, capability, fromAgentPrivateKey, paymentTxId, paymentAmount, feedbackRating } = req.body;
+    const { fromAgent, toAgent, capability, paymentTxId, paymentAmount, feedbackRating } = req.body;
     if (!fromAgent || !toAgent || !capability) {
       return res.status(400).json({ error: 'fromAgent, toAgent, and capability are required' });
     }
@@ -25,7 +26,7 @@ router.post('/communicate', async (req, res, next) => {
       fromAgent,
       toAgent,
       capability,
-      fromAgentPrivateKey || null,
+      await signingSessionService.signerFromRequest(req, 'a2a:communicate'),
       paymentOptions
     );
     res.json(result);
@@ -36,12 +37,12 @@ router.post('/communicate', async (req, res, next) => {
 router.post('/interactions/:interactionId/complete', async (req, res, next) => {
   try {
     const { interactionId } = req.params;
-    const { completer, completerPrivateKey, taskResult } = req.body;
-    // Phase 1 (Demo): If completer and completerPrivateKey provided, use agent wallet
+    const { completer, taskResult } = req.body;
+    // If a signing session is sent, the completer's keystore wallet signs, otherwise the backend wallet does
     const result = await a2aService.completeInteraction(
       interactionId,
       completer || null,
-      completerPrivateKey || null,
+      await signingSessionService.signerFromRequest(req, 'a2a:complete'),
       taskResult || null
     );
     res.json(result);
@@ -69,7 +70,7 @@ router.get('/agents/:address/interactions', async (req, res, next) => {
 // x402 Flow: Request agent service (returns 402 challenge)
 router.post('/agents/:agentAddress/request-service', async (req, res, next) => {
   try {
-    const { capability, fromAgent, servicePrice, currency } = req.body;
+    const { capability, fromAgent, agentId, quantity, currency } = req.body;
     const toAgent = req.params.agentAddress;
     
     if (!fromAgent || !capability) {
@@ -87,22 +88,23 @@ router.post('/agents/:agentAddress/request-service', async (req, res, next) => {
       return res.status(404).json({ error: 'Requesting agent not found' });
     }
     
-    // Create x402 payment challenge
-    const price = servicePrice || '10'; // 10 HBAR default
-    const asset = currency === 'USDC' ? process.env.USDC_TOKEN_ID || '0.0.429274' : 'HBAR';
-    
-    const challenge = await x402Service.createChallenge(
-      price,
-      asset,
-      toAgent, // payee
-      `A2A-${capability}-${Date.now()}` // memo
-    );
+    // Price the request from the target agent's price list and issue an x402 challenge for the quote
+    const quote = await quoteService.createQuote({
+      agentId,
+      agentAddress: toAgent,
+      capability,
+      quantity,
+      currency,
+      payer: fromAgent
+    });
+    const challenge = await quoteService.createChallenge(quote.id);
     
     // Store pending interaction (in-memory for now)
     const interactionId = `pending-${fromAgent}-${toAgent}-${Date.now()}`;
     
     res.status(402).json({
       interactionId,
+      quote,
       ...challenge
     });
   } catch (error) {
@@ -113,32 +115,36 @@ router.post('/agents/:agentAddress/request-service', async (req, res, next) => {
 // x402 Flow: Complete service with payment proof
 router.post('/agents/:agentAddress/complete-service', async (req, res, next) => {
   try {
-    const { interactionId, txId, fromAgent, fromAgentPrivateKey } = req.body;
+    const { txId, fromAgent, quoteId } = req.body;
     const toAgent = req.params.agentAddress;
     
-    if (!txId || !fromAgent) {
-      return res.status(400).json({ error: 'txId and fromAgent are required' });
+    if (!txId || !fromAgent || !quoteId) {
+      return res.status(400).json({ error: 'txId, fromAgent and quoteId are required' });
     }
     
-    // Verify payment via x402 facilitator (optional - may not be available)
-    try {
-      const verification = await x402Service.verifyPayment(txId, '10', toAgent);
-      if (!verification.verified) {
-        return res.status(400).json({ error: 'Payment verification failed' });
-      }
-    } catch (verifyError) {
-      console.warn('x402 verification unavailable, proceeding without:', verifyError.message);
+    // The payment must settle the quote issued for this agent, exactly
+    const quote = quoteService.get(quoteId);
+    const AgentServiceClass = Object.getPrototypeOf(agentService).constructor;
+    const quotedAgent = AgentServiceClass.agentIdMapping.get(quote.agentId);
+    const quotedAddresses = [quote.payTo, quotedAgent?.registeredAddress, quotedAgent?.agentWalletAddress]
+      .filter(Boolean).map(a => a.toLowerCase());
+    if (!quotedAddresses.includes(toAgent.toLowerCase())) {
+      return res.status(400).json({ error: `Quote ${quoteId} was not issued for ${toAgent}` });
+    }
+    if (quote.payer && quote.payer !== fromAgent.toLowerCase()) {
+      return res.status(400).json({ error: `Quote ${quoteId} was not issued to ${fromAgent}` });
     }
+    await quoteService.verifyPayment(quoteId, txId);
     
     // Initiate A2A communication on-chain with payment linked
     const result = await a2aService.initiateCommunication(
       fromAgent,
       toAgent,
-      'payments',
-      fromAgentPrivateKey, // Demo only
+      quote.capability,
+      await signingSessionService.signerFromRequest(req, 'a2a:communicate'),
       {
         txId: txId,
-        amount: '10',
+        amount: quote.amount,
         feedbackRating: 5
       }
     );
@@ -5,17 +5,38 @@ const { ethers } = require('ethers');
 const agentService = require('../services/agent-service');
 const paymentService = require('../services/payment-service');
 const a2aService = require('../services/a2a-service');
+const signingSessionService = require('../services/signing-session-service');
+const { requireAgentOwner } = require('../middleware/auth');
 
 // Get the AgentService class to access static methods
 const AgentService = agentService.constructor;
 
-// In-memory store: userWallet -> agentId (in production, use database)
-const userAgentConnections = new Map();
+// Persistent store: userWallet -> agentId (see AgentService.userAgentConnections)
+const userAgentConnections = AgentService.userAgentConnections;
+
+/**
+ * Address that approved a connection, or null
+ * Approvals come from an admin, or from the agent's own wallet or an existing controller
+ * signing "Approve wallet <userWallet> for agent <agentId>"
+ */
+function connectionApprover(req, agentId, userWalletAddress, agentAddress, approvalSignature) {
+  if (req.auth?.roles.includes('admin')) return req.auth.address;
+  if (!approvalSignature) return null;
+
+  const approver = ethers.verifyMessage(`Approve wallet ${userWalletAddress} for agent ${agentId}`, approvalSignature);
+  if (agentAddress && approver.toLowerCase() === agentAddress.toLowerCase()) return approver;
+  if (approver.toLowerCase() !== userWalletAddress.toLowerCase() && AgentService.isAgentController(agentId, approver)) {
+    return approver;
+  }
+  return null;
+}
 
 // Connect user wallet to agent
+// The connection only controls the agent (signing sessions, agent-owner role) once it is approved,
+// either here with approvalSignature / an admin token, or later through POST /connect/:walletAddress/approve
 router.post('/connect', async (req, res, next) => {
   try {
-    const { agentId, userWalletAddress, signature } = req.body;
+    const { agentId, userWalletAddress, signature, approvalSignature } = req.body;
     
     if (!agentId || !userWalletAddress) {
       return res.status(400).json({ error: 'agentId and userWalletAddress required' });
@@ -47,22 +68,52 @@ router.post('/connect', async (req, res, next) => {
       }
     }
     
+    const agentAddress = agent?.agentWalletAddress || agent?.registeredAddress || agent?.address;
+    const approvedBy = connectionApprover(req, agentId, userWalletAddress, agentAddress, approvalSignature);
+    if (approvalSignature && !approvedBy) {
+      return res.status(403).json({ error: `Approval must be signed by agent ${agentId}'s wallet or a wallet already controlling it` });
+    }
+
     // Store connection
     userAgentConnections.set(userWalletAddress.toLowerCase(), {
       agentId,
       userWallet: userWalletAddress,
-      connectedAt: new Date().toISOString()
+      connectedAt: new Date().toISOString(),
+      signed: Boolean(signature),
+      // Only signed, approved connections can open signing sessions for the agent
+      verified: Boolean(signature && approvedBy),
+      approvedBy: approvedBy || null
     });
     
     res.json({
       success: true,
       agentId,
       userWallet: userWalletAddress,
-      connected: true
+      connected: true,
+      verified: Boolean(signature && approvedBy)
     });
   } catch (e) { next(e); }
 });
 
+// Approve a signed connection (admins, or a wallet that already controls the agent)
+router.post(
+  '/connect/:walletAddress/approve',
+  requireAgentOwner(req => userAgentConnections.get(req.params.walletAddress.toLowerCase())?.agentId),
+  (req, res, next) => {
+    try {
+      const key = req.params.walletAddress.toLowerCase();
+      const connection = userAgentConnections.get(key);
+      if (!connection) return res.status(404).json({ error: 'No agent connected to this wallet' });
+      if (!connection.signed) {
+        return res.status(400).json({ error: 'Only connections signed by the user wallet can be approved' });
+      }
+      const approved = { ...connection, verified: true, approvedBy: req.auth.address };
+      userAgentConnections.set(key, approved);
+      res.json({ success: true, ...approved });
+    } catch (e) { next(e); }
+  }
+);
+
 // Get connected agent for user wallet
 router.get('/user/:walletAddress', async (req, res, next) => {
   try {
@@ -146,6 +197,7 @@ router.post('/pay-agent', async (req, res, next) => {
     
     let paymentResult = null;
     let fromAddress = null;
+    let agentSigner = null;
     
     if (useAgentWalletFinal) {
       // User chose: Use Agent Wallet
@@ -180,12 +232,26 @@ router.post('/pay-agent', async (req, res, next) => {
       }
       
       fromAddress = agentWallet.address;
+
+      // The agent wallet is only unlocked through a signing session opened by a wallet that controls the agent
+      const sessionToken = req.get(signingSessionService.SESSION_HEADER);
+      if (!sessionToken) {
+        return res.status(401).json({
+          error: 'A signing session (X-Signing-Session header) is required to pay with the agent wallet',
+          requiresSigningSession: true
+        });
+      }
+      const { session, signer } = await signingSessionService.getSigner(sessionToken, 'payments:create');
+      if (session.agentAddress.toLowerCase() !== agentWallet.address.toLowerCase()) {
+        return res.status(403).json({ error: `Signing session is for agent ${session.agentId}, not ${fromAgentId}` });
+      }
+      agentSigner = signer;
       
-      // Use payment service with agent's private key
+      // Use payment service with the agent's session signer
       const payTo = toAgent.agentWalletAddress || toAgent.registeredAddress || toAgent.address;
       
       console.log(`[pay-agent] Creating payment: ${fromAddress} -> ${payTo}, amount: ${amount} ${currency || 'HBAR'}`);
-      console.log(`[pay-agent] Agent wallet address: ${agentWallet.address}, private key present: ${!!agentWallet.privateKey}`);
+      console.log(`[pay-agent] Agent wallet address: ${agentWallet.address}, signing session: ${session.agentId} (${session.address})`);
       
       try {
         paymentResult = await paymentService.createMultiCurrencyEscrow(
@@ -194,7 +260,7 @@ router.post('/pay-agent', async (req, res, next) => {
           amount,
           `Payment from ${fromAgentId} (agent wallet) to ${toAgentId}`,
           fromAddress,
-          agentWallet.privateKey // Agent's private key for signing
+          agentSigner // Agent wallet unlocked by the signing session
         );
         console.log(`[pay-agent] Payment result:`, JSON.stringify(paymentResult, null, 2));
       } catch (paymentError) {
@@ -393,7 +459,7 @@ router.post('/pay-agent', async (req, res, next) => {
         fromAgentAddress,
         toAgentAddress,
         'payment',
-        useAgentWalletFinal ? AgentService.getAgentWallet(fromAgentId)?.privateKey : null
+        agentSigner
       );
     } catch (a2aError) {
       console.warn('A2A communication logging failed (non-critical):', a2aError.message);
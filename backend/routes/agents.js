@@ -2,6 +2,11 @@
 const express = require('express');
 const router = express.Router();
 const agentService = require('../services/agent-service');
+const agentSearchService = require('../services/agent-search-service');
+const capabilityRegistry = require('../services/capability-registry-service');
+const priceListService = require('../services/price-list-service');
+const splitPaymentService = require('../services/split-payment-service');
+const { requireAgentOwner } = require('../middleware/auth');
 
 // Register a new agent (traditional - requires wallet)
 router.post('/', async (req, res, next) => {
@@ -10,9 +15,10 @@ router.post('/', async (req, res, next) => {
     if (!name || !capabilities || !Array.isArray(capabilities) || capabilities.length === 0) {
       return res.status(400).json({ error: 'Name and capabilities array are required' });
     }
+    const canonicalCapabilities = capabilityRegistry.validate(capabilities);
     // Phase 2: If signedTx provided, use signed transaction (production mode)
     // Otherwise use backend wallet (backward compatibility)
-    const result = await agentService.registerAgent(name, capabilities, metadata || '', signedTx || null);
+    const result = await agentService.registerAgent(name, canonicalCapabilities, metadata || '', signedTx || null);
     res.json(result);
   } catch (e) { next(e); }
 });
@@ -25,6 +31,9 @@ router.post('/register-agent', async (req, res, next) => {
     if (!name || !capabilities || !Array.isArray(capabilities) || capabilities.length === 0) {
       return res.status(400).json({ error: 'Name and capabilities array are required' });
     }
+
+    // Capabilities must be in the taxonomy (aliases are stored as their canonical id)
+    const canonicalCapabilities = capabilityRegistry.validate(capabilities);
     
     // Validate paymentMode
     const validPaymentMode = paymentMode === 'permissionless' ? 'permissionless' : 'permissioned';
@@ -38,7 +47,7 @@ router.post('/register-agent', async (req, res, next) => {
       result = await agentService.registerAgentWithoutWallet(
         uniqueAgentId,
         name,
-        capabilities,
+        canonicalCapabilities,
         metadata || '',
         null, // signedTx
         validPaymentMode,
@@ -74,7 +83,7 @@ router.post('/register-agent', async (req, res, next) => {
       success: true,
       agentId: uniqueAgentId,
       name,
-      capabilities,
+      capabilities: canonicalCapabilities,
       registeredAddress: result.agentAddress,
       paymentMode: result.paymentMode,
       agentWalletAddress: result.agentWalletAddress,
@@ -99,6 +108,62 @@ router.get('/by-id/:agentId', async (req, res, next) => {
   }
 });
 
+// Get an agent's published price list
+router.get('/by-id/:agentId/price-list', (req, res) => {
+  const priceList = priceListService.get(req.params.agentId);
+  if (!priceList) return res.status(404).json({ error: `No price list for ${req.params.agentId}` });
+  res.json(priceList);
+});
+
+// Publish (replace) an agent's price list: per-capability HBAR/USDC unit prices, volume tiers, validity windows
+router.put('/by-id/:agentId/price-list', requireAgentOwner(req => req.params.agentId), async (req, res, next) => {
+  try {
+    const { agentId } = req.params;
+    const AgentServiceClass = Object.getPrototypeOf(agentService).constructor;
+    const agent = AgentServiceClass.agentIdMapping.get(agentId);
+    if (!agent) return res.status(404).json({ error: `Agent ${agentId} not found` });
+    const items = priceListService.validateItems(req.body.items);
+    const offered = new Set((agent.capabilities || []).map(c => capabilityRegistry.resolve(c) || c));
+    const unoffered = items.filter(item => !offered.has(item.capability)).map(item => item.capability);
+    if (unoffered.length > 0) {
+      return res.status(400).json({ error: `Agent does not offer: ${unoffered.join(', ')}` });
+    }
+    res.json({ success: true, priceList: await priceListService.set(agentId, items) });
+  } catch (e) { next(e); }
+});
+
+// Withdraw an agent's price list (quotes fall back to the capability's default price)
+router.delete('/by-id/:agentId/price-list', requireAgentOwner(req => req.params.agentId), (req, res, next) => {
+  try {
+    priceListService.remove(req.params.agentId);
+    res.json({ success: true });
+  } catch (e) { next(e); }
+});
+
+// An agent's revenue split rule: how payments made with { agentId } are shared (basis points per recipient)
+router.get('/by-id/:agentId/revenue-split', (req, res) => {
+  const rule = splitPaymentService.getRule(req.params.agentId);
+  if (!rule) return res.status(404).json({ error: `No split rule for ${req.params.agentId}` });
+  res.json(rule);
+});
+
+// Set (replace) an agent's split rule: { legs: [{ recipient, bps, label? }] }, bps adding up to 10000
+router.put('/by-id/:agentId/revenue-split', requireAgentOwner(req => req.params.agentId), async (req, res, next) => {
+  try {
+    const { agentId } = req.params;
+    const AgentServiceClass = Object.getPrototypeOf(agentService).constructor;
+    if (!AgentServiceClass.agentIdMapping.get(agentId)) return res.status(404).json({ error: `Agent ${agentId} not found` });
+    res.json({ success: true, rule: await splitPaymentService.setRule(agentId, req.body.legs, req.auth.address) });
+  } catch (e) { next(e); }
+});
+
+router.delete('/by-id/:agentId/revenue-split', requireAgentOwner(req => req.params.agentId), (req, res, next) => {
+  try {
+    splitPaymentService.removeRule(req.params.agentId);
+    res.json({ success: true });
+  } catch (e) { next(e); }
+});
+
 // Get all agents (including walletless/seeded agents)
 router.get('/', async (_req, res, next) => {
   try {
@@ -126,6 +191,25 @@ router.get('/search', async (req, res, next) => {
   } catch (e) { next(e); }
 });
 
+// Semantic search over agent name, capabilities and metadata, ranked by embedding similarity
+router.post('/semantic-search', async (req, res, next) => {
+  try {
+    const { query, limit = 10, minScore } = req.body || {};
+    if (!query || typeof query !== 'string') {
+      return res.status(400).json({ error: 'query is required and must be a string' });
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > 50) {
+      return res.status(400).json({ error: 'limit must be an integer between 1 and 50' });
+    }
+    if (minScore !== undefined && (typeof minScore !== 'number' || minScore < -1 || minScore > 1)) {
+      return res.status(400).json({ error: 'minScore must be a number between -1 and 1' });
+    }
+    const results = await agentSearchService.search(query, { limit, ...(minScore !== undefined && { minScore }) });
+    const { provider, model } = agentSearchService.getStatus();
+    res.json({ query, results, count: results.length, provider, model });
+  } catch (e) { next(e); }
+});
+
 // Get specific agent
 router.get('/:address', async (req, res, next) => {
   try {
@@ -141,13 +225,13 @@ router.get('/:address', async (req, res, next) => {
 });
 
 // Update agent capabilities
-router.put('/capabilities', async (req, res, next) => {
+router.put('/capabilities', requireAgentOwner(req => req.body.agentId), async (req, res, next) => {
   try {
-    const { capabilities } = req.body;
+    const { agentId, capabilities } = req.body;
     if (!capabilities || !Array.isArray(capabilities)) {
       return res.status(400).json({ error: 'Capabilities array required' });
     }
-    const result = await agentService.updateCapabilities(capabilities);
+    const result = await agentService.updateCapabilities(agentId, capabilityRegistry.validate(capabilities));
     res.json(result);
   } catch (e) { next(e); }
 });
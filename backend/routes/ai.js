@@ -2,11 +2,23 @@
 const express = require('express');
 const router = express.Router();
 const groqService = require('../services/groq-service');
+const chatSessionService = require('../services/chat-session-service');
+const chatStreamService = require('../services/chat-stream-service');
+const agentToolsService = require('../services/agent-tools-service');
+const signingSessionService = require('../services/signing-session-service');
+const capabilityRegistry = require('../services/capability-registry-service');
+const { requireRole } = require('../middleware/auth');
+
+// POST /api/ai/chat - Chat with the configured LLM
+// Pass the returned sessionId back to continue a conversation (history, earlier matches, pending action)
+// Send `stream: true` or `Accept: text/event-stream` for Server-Sent Events; closing the connection cancels
+router.post('/chat', async (req, res, next) => {
+  if (req.body?.stream === true || req.get('accept') === 'text/event-stream') {
+    return streamChat(req, res, next);
+  }
 
-// POST /api/ai/chat - Chat with Groq AI
-router.post('/chat', async (req, res) => {
   try {
-    const { input, availableAgents } = req.body;
+    const { input, availableAgents, sessionId } = req.body;
 
     if (!input || typeof input !== 'string') {
       return res.status(400).json({
@@ -15,30 +27,133 @@ router.post('/chat', async (req, res) => {
       });
     }
 
+    const owner = req.auth?.address || null;
+    const session = sessionId ? chatSessionService.get(sessionId, owner) : chatSessionService.create(owner);
+    const options = { route: 'chat', ...chatSessionService.buildPrompt(session) };
+
+    let result;
     // If availableAgents provided, use searchAgents method
     if (availableAgents && Array.isArray(availableAgents) && availableAgents.length > 0) {
-      const result = await groqService.searchAgents(input, availableAgents);
+      const data = await groqService.searchAgents(input, availableAgents, options);
       // Format result to match chat response format
-      return res.json({
+      result = {
         success: true,
         data: {
-          message: result.message || `Found ${result.matchedAgents?.length || 0} agents matching your query.`,
-          reasoning: result.reasoning || [],
-          breakpoints: result.breakpoints || [],
-          matchedAgents: result.matchedAgents || [],
-          action: result.action || { type: "show_agents", payload: {} }
+          message: data.message,
+          reasoning: data.reasoning,
+          breakpoints: data.breakpoints,
+          matchedAgents: data.matchedAgents,
+          action: data.action
         }
-      });
+      };
+    } else {
+      result = await groqService.chat(input, '', options);
     }
 
-    const result = await groqService.chat(input);
-    res.json(result);
+    if (result.success) await chatSessionService.recordTurn(session, input, result.data);
+    res.status(result.success ? 200 : 502).json({ ...result, sessionId: session.id });
   } catch (error) {
-    console.error('Groq chat error:', error);
-    res.status(500).json({
+    console.error('AI chat error:', error);
+    res.status(error.status || 500).json({
       success: false,
-      error: error.message
+      error: error.message,
+      ...(error.code && { code: error.code }),
+      ...(error.details && { errors: error.details })
+    });
+  }
+});
+
+async function streamChat(req, res, next) {
+  let session;
+  try {
+    session = chatStreamService.openSession(req.body, req.auth?.address);
+  } catch (error) {
+    return next(error);
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+  const send = event => {
+    if (!res.writableEnded) res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+
+  try {
+    await chatStreamService.stream(session, req.body, send, controller.signal);
+  } catch (error) {
+    console.error('AI chat stream error:', error);
+    send({ type: 'error', error: error.message, status: error.status || 500, ...(error.code && { code: error.code }) });
+  }
+  res.end();
+}
+
+// GET /api/ai/sessions/:id - Resume a chat session
+router.get('/sessions/:id', (req, res, next) => {
+  try {
+    const session = chatSessionService.get(req.params.id, req.auth?.address);
+    res.json({ success: true, session: chatSessionService.serialize(session) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/ai/sessions/:id - Forget a chat session
+router.delete('/sessions/:id', (req, res, next) => {
+  try {
+    chatSessionService.delete(req.params.id, req.auth?.address);
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/ai/agent - Let the tool-calling agent act on a request
+// Value-moving tool calls come back as pending confirmations instead of being executed
+router.post('/agent', async (req, res, next) => {
+  try {
+    const { input } = req.body;
+    if (!input || typeof input !== 'string') {
+      return res.status(400).json({ success: false, error: 'Input is required and must be a string' });
+    }
+    const run = await agentToolsService.run(input, req.auth?.address);
+    res.json({ success: true, run });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/ai/agent/runs/:id - Steps, confirmations and output of an agent run
+router.get('/agent/runs/:id', (req, res, next) => {
+  try {
+    res.json({ success: true, run: agentToolsService.get(req.params.id, req.auth?.address) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/ai/agent/runs/:id/confirmations/:confirmationId - Approve or reject a value-moving call
+// Body: { approve: boolean }. With an X-Signing-Session header the session's agent wallet signs, else the backend wallet
+router.post('/agent/runs/:id/confirmations/:confirmationId', async (req, res, next) => {
+  try {
+    if (typeof req.body.approve !== 'boolean') {
+      return res.status(400).json({ success: false, error: 'approve (boolean) is required' });
+    }
+    const confirmation = await agentToolsService.confirm(req.params.id, req.params.confirmationId, {
+      approve: req.body.approve,
+      owner: req.auth?.address,
+      signingToken: req.get(signingSessionService.SESSION_HEADER)
     });
+    res.json({ success: confirmation.status !== 'failed', confirmation });
+  } catch (error) {
+    next(error);
   }
 });
 
@@ -84,7 +199,8 @@ router.post('/analyze-transaction', async (req, res, next) => {
 
     const analysis = await groqService.chat(
       `Analyze this transaction flow and provide insights: ${JSON.stringify(steps)}`,
-      'You are a blockchain transaction analyst. Provide concise insights about transaction speed, trust score changes, and potential optimizations.'
+      'You are a blockchain transaction analyst. Provide concise insights about transaction speed, trust score changes, and potential optimizations.',
+      { route: 'analyze-transaction' }
     );
     
     res.json({ 
@@ -96,7 +212,7 @@ router.post('/analyze-transaction', async (req, res, next) => {
   }
 });
 
-// POST /api/ai/suggest-capabilities - AI capability suggestions
+// POST /api/ai/suggest-capabilities - AI capability suggestions, limited to the capability taxonomy
 router.post('/suggest-capabilities', async (req, res, next) => {
   try {
     const { description } = req.body;
@@ -108,60 +224,52 @@ router.post('/suggest-capabilities', async (req, res, next) => {
       });
     }
 
+    const taxonomy = capabilityRegistry.list()
+      .map(entry => `- ${entry.id} (${entry.category}): ${entry.description}`)
+      .join('\n');
     const result = await groqService.chat(
-      `Based on this agent description: "${description}", suggest 3-5 relevant capabilities. Return ONLY a JSON array of strings, no other text. Example: ["capability1", "capability2", "capability3"]`,
-      'You analyze agent descriptions and suggest capabilities. Return ONLY a valid JSON array of strings, no explanation or other text.'
+      `Based on this agent description: "${description}", suggest 3-5 relevant capabilities. Return ONLY a JSON array of capability ids, no other text. Example: ["data-analysis", "reporting"]`,
+      `You analyze agent descriptions and suggest capabilities. Only use ids from this list:\n${taxonomy}\nReturn ONLY a valid JSON array of strings, no explanation or other text.`,
+      { route: 'suggest-capabilities' }
     );
     
-    // Parse suggestions from the response
-    let suggestions = [];
-    if (result.data && result.data.message) {
-      const message = result.data.message;
-      // Try to extract JSON array from the message
-      const jsonMatch = message.match(/\[[\s\S]*\]/);
-      if (jsonMatch) {
-        try {
-          suggestions = JSON.parse(jsonMatch[0]);
-          if (!Array.isArray(suggestions)) {
-            suggestions = [];
-          }
-        } catch (parseError) {
-          // If parsing fails, try to extract capabilities from text
-          const lines = message.split('\n').filter(line => line.trim());
-          suggestions = lines
-            .map(line => line.replace(/^[-*•]\s*/, '').replace(/"/g, '').trim())
-            .filter(cap => cap.length > 0)
-            .slice(0, 5);
-        }
-      } else {
-        // Fallback: extract from text lines
-        const lines = message.split('\n').filter(line => line.trim());
-        suggestions = lines
-          .map(line => line.replace(/^[-*•]\s*/, '').replace(/"/g, '').trim())
-          .filter(cap => cap.length > 0 && !cap.toLowerCase().includes('example'))
-          .slice(0, 5);
-      }
+    // Parse suggestions from the response (a JSON array, else one capability per line)
+    let candidates = [];
+    const message = result.data?.message || '';
+    const jsonMatch = message.match(/\[[\s\S]*\]/);
+    try {
+      candidates = jsonMatch ? JSON.parse(jsonMatch[0]) : [];
+    } catch (_parseError) {
+      candidates = [];
+    }
+    if (!Array.isArray(candidates) || candidates.length === 0) {
+      candidates = message.split('\n').map(line => line.replace(/^[-*•]\s*/, '').replace(/"/g, '').trim());
     }
+
+    // Keep only taxonomy entries (aliases map to their canonical id)
+    let suggestions = Array.from(new Set(
+      candidates.map(candidate => capabilityRegistry.resolve(String(candidate))).filter(Boolean)
+    )).slice(0, 5);
     
     // Ensure we return at least some suggestions
     if (suggestions.length === 0) {
-      suggestions = ['data-analysis', 'automation', 'blockchain'];
+      suggestions = ['data-analysis', 'automation'];
     }
     
-    res.json({ suggestions });
+    res.json({ suggestions, capabilities: suggestions.map(id => capabilityRegistry.get(id)) });
   } catch (error) {
     console.error('Capability suggestion error:', error);
     next(error);
   }
 });
 
-// POST /api/ai/reinitialize - Reinitialize Groq client (after settings update)
-router.post('/reinitialize', (req, res) => {
+// POST /api/ai/reinitialize - Reinitialize LLM providers (after settings update)
+router.post('/reinitialize', requireRole('admin'), (req, res) => {
   try {
     groqService.reinitialize();
     res.json({
       success: true,
-      message: 'Groq client reinitialized',
+      message: 'LLM providers reinitialized',
       configured: groqService.isConfigured()
     });
   } catch (error) {
@@ -172,11 +280,11 @@ router.post('/reinitialize', (req, res) => {
   }
 });
 
-// GET /api/ai/status - Check Groq configuration status
+// GET /api/ai/status - Active LLM provider/model, available providers and per-route resolution
 router.get('/status', (req, res) => {
   res.json({
     success: true,
-    configured: groqService.isConfigured()
+    ...groqService.getStatus()
   });
 });
 
@@ -2,6 +2,9 @@
 const express = require('express');
 const router = express.Router();
 const { ethers } = require('ethers');
+const signingSessionService = require('../services/signing-session-service');
+const authService = require('../services/auth-service');
+const { requireAuth } = require('../middleware/auth');
 
 router.post('/verify-signature', async (req, res) => {
   const { accountId, evmAddress, message, signature } = req.body;
@@ -32,4 +35,61 @@ router.post('/verify-signature', async (req, res) => {
   }
 });
 
+// Sign-In-With-Ethereum style login: get a challenge, sign JSON.stringify(message), exchange it for a JWT
+router.get('/challenge', (req, res, next) => {
+  try {
+    // Bind the message to the requesting app when the browser sends an Origin header
+    let origin = {};
+    try {
+      const url = new URL(req.get('origin'));
+      origin = { domain: url.host, uri: url.origin };
+    } catch (_e) {}
+    const message = authService.createChallenge(req.query.address, origin);
+    res.json({ message });
+  } catch (e) { next(e); }
+});
+
+router.post('/login', (req, res, next) => {
+  try {
+    const { message, signature } = req.body;
+    const result = authService.login(message, signature);
+    res.json({ success: true, ...result });
+  } catch (e) { next(e); }
+});
+
+router.get('/me', requireAuth, (req, res) => {
+  res.json({ success: true, ...req.auth });
+});
+
+// Signing sessions: get a challenge, sign JSON.stringify(message) with a wallet that controls the agent,
+// then send the returned token as X-Signing-Session on payment / A2A routes
+router.get('/signing-sessions/challenge', (req, res, next) => {
+  try {
+    const { address, agentId, scopes } = req.query;
+    const message = signingSessionService.createChallenge(address, agentId, scopes);
+    res.json({ message, scopes: signingSessionService.SIGNING_SCOPES });
+  } catch (e) { next(e); }
+});
+
+router.post('/signing-sessions', (req, res, next) => {
+  try {
+    const { message, signature } = req.body;
+    const session = signingSessionService.createSession(message, signature);
+    res.json({ success: true, header: 'X-Signing-Session', ...session });
+  } catch (e) { next(e); }
+});
+
+router.get('/signing-sessions/current', (req, res, next) => {
+  try {
+    const session = signingSessionService.getSession(req.get(signingSessionService.SESSION_HEADER));
+    res.json({ success: true, ...signingSessionService.describe(session) });
+  } catch (e) { next(e); }
+});
+
+router.delete('/signing-sessions/current', (req, res) => {
+  const token = req.get(signingSessionService.SESSION_HEADER);
+  const revoked = token ? signingSessionService.revokeSession(token) : false;
+  res.json({ success: true, revoked });
+});
+
 module.exports = router;
@@ -0,0 +1,46 @@
+// routes/capabilities.js
+// Capability taxonomy: canonical ids, categories, aliases, request/result schemas, default pricing and SLA
+const express = require('express');
+const router = express.Router();
+const capabilityRegistry = require('../services/capability-registry-service');
+const { requireRole } = require('../middleware/auth');
+
+// List capabilities (optionally ?category=)
+router.get('/', (req, res) => {
+  const capabilities = capabilityRegistry.list({ category: req.query.category });
+  res.json({ capabilities, categories: capabilityRegistry.getCategories(), count: capabilities.length });
+});
+
+// Map free-form capabilities to canonical ids
+router.post('/normalize', (req, res) => {
+  const { capabilities } = req.body;
+  if (!Array.isArray(capabilities)) {
+    return res.status(400).json({ error: 'Capabilities array required' });
+  }
+  res.json(capabilityRegistry.normalize(capabilities));
+});
+
+// Get a capability by id or alias
+router.get('/:id', (req, res) => {
+  const capability = capabilityRegistry.get(req.params.id);
+  if (!capability) return res.status(404).json({ error: `Capability ${req.params.id} not found` });
+  res.json(capability);
+});
+
+// Add a capability or override a built-in one (admin)
+router.put('/:id', requireRole('admin'), (req, res, next) => {
+  try {
+    const capability = capabilityRegistry.upsert({ ...req.body, id: req.params.id });
+    res.json({ success: true, capability });
+  } catch (e) { next(e); }
+});
+
+// Remove an added capability or override (admin)
+router.delete('/:id', requireRole('admin'), (req, res, next) => {
+  try {
+    const capability = capabilityRegistry.remove(req.params.id);
+    res.json({ success: true, capability });
+  } catch (e) { next(e); }
+});
+
+module.exports = router;
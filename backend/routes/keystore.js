@@ -0,0 +1,64 @@
+// routes/keystore.js
+const express = require('express');
+const router = express.Router();
+const keystoreService = require('../services/keystore-service');
+const { requireRole } = require('../middleware/auth');
+
+// Keystore management is admin-only
+router.use(requireRole('admin'));
+
+// List agent wallets held in the keystore (addresses only)
+router.get('/', (req, res) => {
+  res.json({
+    success: true,
+    configured: keystoreService.isConfigured(),
+    keys: keystoreService.listKeys()
+  });
+});
+
+// Export an agent keystore re-encrypted under an export password
+router.post('/:agentId/export', async (req, res, next) => {
+  try {
+    const { password } = req.body;
+    if (!password) {
+      return res.status(400).json({ error: 'password is required' });
+    }
+    if (!keystoreService.hasKey(req.params.agentId)) {
+      return res.status(404).json({ error: `No keystore entry for ${req.params.agentId}` });
+    }
+    const result = await keystoreService.exportKeystore(req.params.agentId, password);
+    res.json({ success: true, ...result });
+  } catch (e) { next(e); }
+});
+
+// Import a JSON keystore for an agent
+router.post('/:agentId/import', async (req, res, next) => {
+  try {
+    const { keystore, password } = req.body;
+    if (!keystore || !password) {
+      return res.status(400).json({ error: 'keystore and password are required' });
+    }
+    const result = await keystoreService.importKeystore(req.params.agentId, keystore, password);
+    res.json({ success: true, ...result });
+  } catch (e) { next(e); }
+});
+
+// Rotate the master passphrase (re-encrypts every entry)
+router.post('/rotate', async (req, res, next) => {
+  try {
+    const { currentPassphrase, newPassphrase } = req.body;
+    if (!currentPassphrase || !newPassphrase) {
+      return res.status(400).json({ error: 'currentPassphrase and newPassphrase are required' });
+    }
+    const result = await keystoreService.rotateMasterPassphrase(currentPassphrase, newPassphrase);
+    res.json({ success: true, ...result });
+  } catch (e) { next(e); }
+});
+
+// Drop unlocked wallets from memory
+router.post('/lock', (req, res) => {
+  keystoreService.lock(req.body?.agentId || null);
+  res.json({ success: true });
+});
+
+module.exports = router;
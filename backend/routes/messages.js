@@ -2,9 +2,10 @@
 const express = require('express');
 const router = express.Router();
 const hederaClient = require('../services/hedera-client');
+const { requireRole } = require('../middleware/auth');
 
 // Initialize all required HCS topics (creates if missing)
-router.post('/topics/initialize', async (req, res, next) => {
+router.post('/topics/initialize', requireRole('admin'), async (req, res, next) => {
   try {
     const topics = {};
     
@@ -0,0 +1,110 @@
+// routes/payment-channels.js
+// Unidirectional payment channels: open and fund once, pay with signed cumulative vouchers, redeem on close
+const express = require('express');
+const router = express.Router();
+const paymentChannelService = require('../services/payment-channel-service');
+const signingSessionService = require('../services/signing-session-service');
+
+const channelIdOf = req => String(req.params.channelId).toLowerCase();
+
+// Open a channel: { payee, amount (HBAR deposit), payer?, expirationDays? }
+router.post('/', async (req, res, next) => {
+  try {
+    const { payee, amount, payer, expirationDays } = req.body;
+    if (!payee || !amount) {
+      return res.status(400).json({ error: 'payee and amount are required' });
+    }
+    // Agent wallet signer from the X-Signing-Session header (null when the backend wallet pays)
+    const payerSigner = await signingSessionService.signerFromRequest(req, 'payments:create');
+    if (payer && !payerSigner) {
+      return res.status(401).json({ error: 'A signing session (X-Signing-Session header) is required to open a channel as an agent' });
+    }
+    const channel = await paymentChannelService.open({
+      payee,
+      amount,
+      expirationDays: expirationDays || 0,
+      payer: payer || null,
+      payerSigner
+    });
+    res.status(201).json({ success: true, channel });
+  } catch (e) { next(e); }
+});
+
+// List channels known to the backend (?payer=&payee=)
+router.get('/', (req, res) => {
+  const { payer, payee } = req.query;
+  const channels = paymentChannelService.list({ payer, payee });
+  res.json({ channels, count: channels.length });
+});
+
+// Inspect a channel (?refresh=true re-reads it from the contract)
+router.get('/:channelId', async (req, res, next) => {
+  try {
+    const channelId = channelIdOf(req);
+    if (req.query.refresh === 'true') await paymentChannelService.sync(channelId);
+    res.json(await paymentChannelService.get(channelId));
+  } catch (e) { next(e); }
+});
+
+// What the payer signs for a voucher of ?amount= tinybars
+router.get('/:channelId/voucher-hash', async (req, res, next) => {
+  try {
+    const { amount } = req.query;
+    if (!/^\d+$/.test(amount || '')) {
+      return res.status(400).json({ error: 'amount (tinybars) is required' });
+    }
+    const channel = await paymentChannelService.get(channelIdOf(req));
+    res.json({ channelId: channel.channelId, amount, hash: paymentChannelService.voucherHash(channel, amount) });
+  } catch (e) { next(e); }
+});
+
+// Add funds: { amount (HBAR), payer? }
+router.post('/:channelId/top-up', async (req, res, next) => {
+  try {
+    const { amount, payer } = req.body;
+    if (!amount) return res.status(400).json({ error: 'amount is required' });
+    const payerSigner = await signingSessionService.signerFromRequest(req, 'payments:create');
+    const channel = await paymentChannelService.topUp(channelIdOf(req), amount, payer || null, payerSigner);
+    res.json({ success: true, channel });
+  } catch (e) { next(e); }
+});
+
+// Update the channel with a newer voucher: { amount (cumulative tinybars), signature }
+router.post('/:channelId/vouchers', async (req, res, next) => {
+  try {
+    const { amount, signature } = req.body;
+    if (!amount || !signature) {
+      return res.status(400).json({ error: 'amount and signature are required' });
+    }
+    const result = await paymentChannelService.acceptVoucher(channelIdOf(req), amount, signature);
+    res.json({ success: true, ...result });
+  } catch (e) { next(e); }
+});
+
+// Close: the payee redeems the latest voucher, the payer gets the rest back: { payee? }
+router.post('/:channelId/close', async (req, res, next) => {
+  try {
+    const { payee } = req.body;
+    const payeeSigner = await signingSessionService.signerFromRequest(req, 'payments:release');
+    if (payee && !payeeSigner) {
+      return res.status(401).json({ error: 'A signing session (X-Signing-Session header) is required to close as an agent' });
+    }
+    const channel = await paymentChannelService.close(channelIdOf(req), payee || null, payeeSigner);
+    res.json({ success: true, channel });
+  } catch (e) { next(e); }
+});
+
+// Refund a channel the payee didn't close before expiration: { payer? }
+router.post('/:channelId/claim-expired', async (req, res, next) => {
+  try {
+    const { payer } = req.body;
+    const payerSigner = await signingSessionService.signerFromRequest(req, 'payments:release');
+    if (payer && !payerSigner) {
+      return res.status(401).json({ error: 'A signing session (X-Signing-Session header) is required to claim as an agent' });
+    }
+    const channel = await paymentChannelService.claimExpired(channelIdOf(req), payer || null, payerSigner);
+    res.json({ success: true, channel });
+  } catch (e) { next(e); }
+});
+
+module.exports = router;
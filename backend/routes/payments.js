@@ -2,15 +2,25 @@
 const express = require('express');
 const router = express.Router();
 const paymentService = require('../services/payment-service');
+const signingSessionService = require('../services/signing-session-service');
+const escrowIndexer = require('../services/escrow-indexer-service');
+const escrowSweeper = require('../services/escrow-sweeper-service');
+const { requireRole } = require('../middleware/auth');
 
 // Create escrow payment
 router.post('/', async (req, res, next) => {
   try {
-    const { payee, amount, description, payer, payerPrivateKey, signedTx, expirationDays, currency } = req.body;
+    const { payee, amount, description, payer, signedTx, expirationDays, currency, arbiter } = req.body;
     if (!payee || !amount || !description) {
       return res.status(400).json({ error: 'Payee, amount, and description are required' });
     }
     if (amount <= 0) return res.status(400).json({ error: 'Amount must be greater than 0' });
+
+    // Agent wallet signer from the X-Signing-Session header (null when the backend wallet pays)
+    const payerSigner = await signingSessionService.signerFromRequest(req, 'payments:create');
+    if (payer && !payerSigner) {
+      return res.status(401).json({ error: 'A signing session (X-Signing-Session header) is required to pay as an agent' });
+    }
     
     // If currency is specified and not HBAR, use multi-currency method
     if (currency && currency !== 'HBAR') {
@@ -20,35 +30,102 @@ router.post('/', async (req, res, next) => {
         amount,
         description,
         payer || null,
-        payerPrivateKey || null
+        payerSigner
       );
       return res.json(result);
     }
     
-    // Phase 1 (Demo): If payer and payerPrivateKey provided, use agent wallet
+    // Phase 1 (Demo): If payer opened a signing session, the agent's keystore wallet signs
     // Phase 2 (Production): If signedTx provided, use signed transaction
     const result = await paymentService.createEscrow(
       payee, 
       amount, 
       description,
       payer || null,        // Agent address (optional)
-      payerPrivateKey || null, // Agent private key (optional, DEMO ONLY)
+      payerSigner,          // Signer from signing session (optional)
       signedTx || null,     // Signed transaction (optional, Phase 2)
+      expirationDays || 0,
+      arbiter || null       // Per-escrow dispute arbiter (optional)
+    );
+    res.json(result);
+  } catch (e) { next(e); }
+});
+
+// Create milestone escrow: milestones = [{ amount, description }], paid out one at a time
+router.post('/milestones', async (req, res, next) => {
+  try {
+    const { payee, description, milestones, payer, expirationDays } = req.body;
+    if (!payee || !description || !Array.isArray(milestones) || milestones.length === 0) {
+      return res.status(400).json({ error: 'Payee, description, and milestones are required' });
+    }
+    if (milestones.some(m => !m || !m.description || !(Number(m.amount) > 0))) {
+      return res.status(400).json({ error: 'Each milestone needs an amount greater than 0 and a description' });
+    }
+
+    const payerSigner = await signingSessionService.signerFromRequest(req, 'payments:create');
+    if (payer && !payerSigner) {
+      return res.status(401).json({ error: 'A signing session (X-Signing-Session header) is required to pay as an agent' });
+    }
+    const result = await paymentService.createMilestoneEscrow(
+      payee,
+      milestones,
+      description,
+      payer || null,
+      payerSigner,
       expirationDays || 0
     );
     res.json(result);
   } catch (e) { next(e); }
 });
 
+// Release one milestone
+router.post('/:escrowId/milestones/:index/release', async (req, res, next) => {
+  try {
+    const index = Number(req.params.index);
+    if (!Number.isInteger(index) || index < 0) {
+      return res.status(400).json({ error: 'Milestone index must be a non-negative integer' });
+    }
+    const { releaser } = req.body;
+    const releaserSigner = await signingSessionService.signerFromRequest(req, 'payments:release');
+    if (releaser && !releaserSigner) {
+      return res.status(401).json({ error: 'A signing session (X-Signing-Session header) is required to release as an agent' });
+    }
+    const result = await paymentService.releaseMilestone(
+      req.params.escrowId,
+      index,
+      releaser || null,
+      releaserSigner
+    );
+    res.json(result);
+  } catch (e) { next(e); }
+});
+
+// Get escrow milestones
+router.get('/:escrowId/milestones', async (req, res, next) => {
+  try {
+    const milestones = await paymentService.getMilestones(req.params.escrowId);
+    res.json({
+      escrowId: req.params.escrowId,
+      milestones,
+      released: milestones.filter(m => m.released).length,
+      total: milestones.length
+    });
+  } catch (e) { next(e); }
+});
+
 // Release escrow
 router.post('/:escrowId/release', async (req, res, next) => {
   try {
-    const { releaser, releaserPrivateKey } = req.body;
-    // Phase 1 (Demo): If releaser and releaserPrivateKey provided, use agent wallet
+    const { releaser } = req.body;
+    // Phase 1 (Demo): If releaser opened a signing session, the agent's keystore wallet signs
+    const releaserSigner = await signingSessionService.signerFromRequest(req, 'payments:release');
+    if (releaser && !releaserSigner) {
+      return res.status(401).json({ error: 'A signing session (X-Signing-Session header) is required to release as an agent' });
+    }
     const result = await paymentService.releaseEscrow(
       req.params.escrowId,
       releaser || null,
-      releaserPrivateKey || null
+      releaserSigner
     );
     res.json(result);
   } catch (e) { next(e); }
@@ -62,6 +139,108 @@ router.post('/:escrowId/refund', async (req, res, next) => {
   } catch (e) { next(e); }
 });
 
+// Dispute escrow (payer or payee; freezes funds until the arbiter resolves)
+router.post('/:escrowId/dispute', async (req, res, next) => {
+  try {
+    const { reason, disputer } = req.body;
+    if (!reason || reason.length > 500) {
+      return res.status(400).json({ error: 'reason is required (max 500 characters)' });
+    }
+    const disputerSigner = await signingSessionService.signerFromRequest(req, 'payments:dispute');
+    if (disputer && !disputerSigner) {
+      return res.status(401).json({ error: 'A signing session (X-Signing-Session header) is required to dispute as an agent' });
+    }
+    const result = await paymentService.disputeEscrow(
+      req.params.escrowId,
+      reason,
+      disputer || null,
+      disputerSigner
+    );
+    res.json(result);
+  } catch (e) { next(e); }
+});
+
+// Resolve disputed escrow as arbiter: { outcome: 'release' | 'refund' | 'split' (with payeePercent), arbiter? }
+// A per-escrow arbiter signs through a signing session; without one the backend wallet signs, which only admins may ask for
+const requireSessionOrAdmin = (req, res, next) => (
+  req.get(signingSessionService.SESSION_HEADER) ? next() : requireRole('admin')(req, res, next)
+);
+
+router.post('/:escrowId/resolve', requireSessionOrAdmin, async (req, res, next) => {
+  try {
+    const { outcome, payeePercent, arbiter } = req.body;
+    const arbiterSigner = await signingSessionService.signerFromRequest(req, 'payments:resolve');
+    if (arbiter && !arbiterSigner) {
+      return res.status(401).json({ error: 'A signing session (X-Signing-Session header) is required to resolve as an agent' });
+    }
+    if (arbiterSigner && !arbiter) {
+      return res.status(400).json({ error: 'arbiter is required with a signing session' });
+    }
+    let payeeBps;
+    if (outcome === 'release') {
+      payeeBps = 10000;
+    } else if (outcome === 'refund') {
+      payeeBps = 0;
+    } else if (outcome === 'split') {
+      const percent = Number(payeePercent);
+      if (!Number.isFinite(percent) || percent < 0 || percent > 100) {
+        return res.status(400).json({ error: 'payeePercent must be between 0 and 100 for a split' });
+      }
+      payeeBps = Math.round(percent * 100);
+    } else {
+      return res.status(400).json({ error: "outcome must be 'release', 'refund' or 'split'" });
+    }
+    const result = await paymentService.resolveDispute(req.params.escrowId, payeeBps, arbiter || null, arbiterSigner);
+    res.json(result);
+  } catch (e) { next(e); }
+});
+
+// List indexed escrows: ?status=&from=&to= (from/to filter creation time; ISO dates or unix seconds)
+router.get('/', async (req, res, next) => {
+  try {
+    const { status, from, to, payer, payee } = req.query;
+    const escrows = escrowIndexer.list({ status, from, to, payer, payee });
+    res.json({ escrows, count: escrows.length, indexer: escrowIndexer.getStatus() });
+  } catch (e) { next(e); }
+});
+
+// Escrow indexer status (block cursor, last poll)
+router.get('/indexer/status', (req, res) => {
+  res.json(escrowIndexer.getStatus());
+});
+
+// Expired-escrow sweeper status (keeper, pending, recent sweeps, failures)
+router.get('/sweeper', (req, res) => {
+  res.json(escrowSweeper.getStatus());
+});
+
+// Run a sweep now
+router.post('/sweeper/run', requireRole('admin'), async (req, res, next) => {
+  try {
+    const result = await escrowSweeper.sweep();
+    res.json({ success: true, ...result });
+  } catch (e) { next(e); }
+});
+
+// Get payee's escrows (from the escrow index)
+router.get('/payee/:address', async (req, res, next) => {
+  try {
+    const escrows = escrowIndexer.list({ payee: req.params.address, status: req.query.status });
+    res.json({ escrows, count: escrows.length });
+  } catch (e) { next(e); }
+});
+
+// Get escrow state-transition history
+router.get('/:escrowId/history', async (req, res, next) => {
+  try {
+    const escrow = escrowIndexer.getEscrow(req.params.escrowId);
+    if (!escrow) {
+      return res.status(404).json({ error: `Escrow ${req.params.escrowId} has not been indexed` });
+    }
+    res.json({ escrowId: escrow.escrowId, status: escrow.status, history: escrow.history });
+  } catch (e) { next(e); }
+});
+
 // Get escrow details
 router.get('/:escrowId', async (req, res, next) => {
   try {
@@ -78,10 +257,10 @@ router.get('/payer/:address', async (req, res, next) => {
   } catch (e) { next(e); }
 });
 
-// Create multi-currency payment (HBAR or USDC)
+// Create multi-currency payment (HBAR or any token registered for payments)
 router.post('/multi-currency', async (req, res, next) => {
   try {
-    const { currency, payee, amount, description, payer, payerPrivateKey } = req.body;
+    const { currency, payee, amount, description, payer } = req.body;
     
     if (!payee || !amount || !description || !payer) {
       return res.status(400).json({ 
@@ -93,13 +272,17 @@ router.post('/multi-currency', async (req, res, next) => {
       return res.status(400).json({ error: 'Amount must be greater than 0' });
     }
     
+    const payerSigner = await signingSessionService.signerFromRequest(req, 'payments:create');
+    if (!payerSigner) {
+      return res.status(401).json({ error: 'A signing session (X-Signing-Session header) is required to pay as an agent' });
+    }
     const result = await paymentService.createMultiCurrencyEscrow(
       currency || 'HBAR',
       payee,
       amount,
       description,
       payer,
-      payerPrivateKey
+      payerSigner
     );
     
     res.json(result);
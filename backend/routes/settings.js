@@ -2,9 +2,11 @@
 const express = require('express');
 const router = express.Router();
 const configService = require('../services/config-service');
+const { requireRole } = require('../middleware/auth');
+const llmRegistry = require('../llm/registry');
 
 // GET /api/settings - Get current configuration (masked)
-router.get('/', (req, res) => {
+router.get('/', requireRole('admin'), (req, res) => {
   try {
     const config = configService.getMaskedConfig();
     res.json({ success: true, config });
@@ -14,7 +16,7 @@ router.get('/', (req, res) => {
 });
 
 // POST /api/settings - Update configuration
-router.post('/', (req, res) => {
+router.post('/', requireRole('admin'), (req, res) => {
   try {
     const newConfig = req.body;
 
@@ -26,6 +28,25 @@ router.post('/', (req, res) => {
       });
     }
 
+    if (newConfig.LLM_PROVIDER && !llmRegistry.hasProvider(newConfig.LLM_PROVIDER)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown LLM_PROVIDER "${newConfig.LLM_PROVIDER}". Available: ${llmRegistry.listProviders().map(p => p.name).join(', ')}`
+      });
+    }
+
+    if (newConfig.LLM_ROUTE_OVERRIDES) {
+      try {
+        // Stored as a JSON string like every other setting
+        newConfig.LLM_ROUTE_OVERRIDES = JSON.stringify(llmRegistry.parseRouteOverrides(newConfig.LLM_ROUTE_OVERRIDES));
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid LLM_ROUTE_OVERRIDES: ${error.message}`
+        });
+      }
+    }
+
     configService.saveConfig(newConfig);
 
     res.json({
@@ -92,6 +113,63 @@ router.get('/schema', (req, res) => {
         description: 'Trust Registry Contract Address',
         example: '0x1234...',
         required: false
+      },
+      LLM_PROVIDER: {
+        type: 'string',
+        description: 'Default LLM provider for all AI routes',
+        example: 'groq | gemini | openai-compatible | mock',
+        required: false
+      },
+      LLM_MODEL: {
+        type: 'string',
+        description: 'Model for the default LLM provider (empty for the provider default)',
+        example: 'llama-3.1-8b-instant',
+        required: false
+      },
+      LLM_ROUTE_OVERRIDES: {
+        type: 'json',
+        description: `Per-route provider/model overrides. Routes: ${llmRegistry.LLM_ROUTES.join(', ')}`,
+        example: '{"welcome":{"provider":"mock"},"chat":{"model":"llama-3.3-70b-versatile"}}',
+        required: false
+      },
+      GROQ_API_KEY: {
+        type: 'string',
+        description: 'Groq API key (provider "groq")',
+        example: 'gsk_...',
+        required: false,
+        sensitive: true
+      },
+      GEMINI_API_KEY: {
+        type: 'string',
+        description: 'Google Gemini API key (provider "gemini")',
+        example: 'AIza...',
+        required: false,
+        sensitive: true
+      },
+      OPENAI_COMPATIBLE_BASE_URL: {
+        type: 'string',
+        description: 'OpenAI-compatible endpoint, e.g. Ollama or llama.cpp server (provider "openai-compatible")',
+        example: 'http://localhost:11434/v1',
+        required: false
+      },
+      OPENAI_COMPATIBLE_MODEL: {
+        type: 'string',
+        description: 'Default model for the OpenAI-compatible provider',
+        example: 'llama3.1',
+        required: false
+      },
+      OPENAI_COMPATIBLE_API_KEY: {
+        type: 'string',
+        description: 'API key for the OpenAI-compatible endpoint, if it needs one',
+        example: 'sk-...',
+        required: false,
+        sensitive: true
+      },
+      MOCK_LLM_RESPONSE: {
+        type: 'string',
+        description: 'Fixed response for the mock provider (default: deterministic JSON echo)',
+        example: '{"message":"ok"}',
+        required: false
       }
     }
   });
@@ -0,0 +1,54 @@
+// routes/splits.js
+// Split payments: one payment divided between several recipients in a single Hedera transfer
+const express = require('express');
+const router = express.Router();
+const splitPaymentService = require('../services/split-payment-service');
+const signingSessionService = require('../services/signing-session-service');
+
+// Pay a split: { amount, currency?, legs? | agentId, payer?, reference? }
+// Without legs the agent's revenue split rule applies. The payer agent's wallet pays via a signing session;
+// without one the operator account pays, which only admins may do
+router.post('/', async (req, res, next) => {
+  try {
+    const { amount, currency, legs, agentId, payer, reference } = req.body;
+    if (!amount || (!legs && !agentId)) {
+      return res.status(400).json({ error: 'amount and either legs or agentId are required' });
+    }
+    const payerSigner = await signingSessionService.signerFromRequest(req, 'payments:create');
+    if (payer && !payerSigner) {
+      return res.status(401).json({ error: 'A signing session (X-Signing-Session header) is required to pay as an agent' });
+    }
+    if (!payerSigner) {
+      if (!req.auth) {
+        return res.status(401).json({ error: 'A signing session (X-Signing-Session header) is required to pay a split' });
+      }
+      if (!req.auth.roles.includes('admin')) {
+        return res.status(403).json({ error: 'Only admins can pay a split from the operator account' });
+      }
+    }
+    const payment = await splitPaymentService.execute({
+      amount,
+      currency: currency || 'HBAR',
+      legs: legs || null,
+      agentId: agentId || null,
+      payerSigner,
+      reference: reference || null
+    });
+    res.status(201).json({ success: true, payment });
+  } catch (e) { next(e); }
+});
+
+// List split payments (?payer=&agentId=&recipient=)
+router.get('/', (req, res) => {
+  const { payer, agentId, recipient } = req.query;
+  const payments = splitPaymentService.list({ payer, agentId, recipient });
+  res.json({ payments, count: payments.length });
+});
+
+router.get('/:id', (req, res, next) => {
+  try {
+    res.json(splitPaymentService.get(req.params.id));
+  } catch (e) { next(e); }
+});
+
+module.exports = router;
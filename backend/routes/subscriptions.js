@@ -0,0 +1,79 @@
+// routes/subscriptions.js
+// Recurring payment plans between agents, charged by the subscription keeper
+const express = require('express');
+const router = express.Router();
+const subscriptionService = require('../services/subscription-service');
+const { requireRole, requireAgentOwner } = require('../middleware/auth');
+
+// Load the plan for /:id routes (404 before any ownership check)
+router.param('id', (req, res, next, id) => {
+  try {
+    req.subscription = subscriptionService.get(id);
+    next();
+  } catch (e) { next(e); }
+});
+
+const payerOwner = requireAgentOwner(req => req.subscription.payerAgentId);
+const payerOwnerOrPayee = (req, res, next) => (
+  req.auth && req.auth.address.toLowerCase() === req.subscription.payee ? next() : payerOwner(req, res, next)
+);
+
+// List plans (?payer=&payee=&payerAgentId=&status=)
+router.get('/', (req, res) => {
+  const { payer, payee, payerAgentId, status } = req.query;
+  const subscriptions = subscriptionService.list({ payer, payee, payerAgentId, status });
+  res.json({ subscriptions, count: subscriptions.length });
+});
+
+// Keeper status; POST /keeper/run charges due plans now (admin)
+router.get('/keeper', (req, res) => {
+  res.json(subscriptionService.getStatus());
+});
+
+router.post('/keeper/run', requireRole('admin'), async (req, res, next) => {
+  try {
+    res.json(await subscriptionService.runDue());
+  } catch (e) { next(e); }
+});
+
+// Create a plan paid from an agent's wallet (owner of the payer agent):
+// { payerAgentId, payee, amount, currency?, intervalSeconds, maxCycles?, startAt?, description? }
+router.post('/', requireAgentOwner(req => req.body.payerAgentId), async (req, res, next) => {
+  try {
+    const { payerAgentId, payee, amount, currency, intervalSeconds, maxCycles, startAt, description } = req.body;
+    if (!payerAgentId || !payee || !amount || !intervalSeconds) {
+      return res.status(400).json({ error: 'payerAgentId, payee, amount and intervalSeconds are required' });
+    }
+    const subscription = await subscriptionService.create(
+      { payerAgentId, payee, amount, currency: currency || 'HBAR', intervalSeconds, maxCycles: maxCycles ?? null, startAt: startAt || null, description: description || '' },
+      req.auth.address
+    );
+    res.status(201).json({ success: true, subscription });
+  } catch (e) { next(e); }
+});
+
+router.get('/:id', (req, res) => {
+  res.json(req.subscription);
+});
+
+router.post('/:id/pause', payerOwner, async (req, res, next) => {
+  try {
+    res.json({ success: true, subscription: await subscriptionService.pause(req.params.id) });
+  } catch (e) { next(e); }
+});
+
+// Resume a paused plan, or a plan suspended after repeated failed charges
+router.post('/:id/resume', payerOwner, async (req, res, next) => {
+  try {
+    res.json({ success: true, subscription: await subscriptionService.resume(req.params.id) });
+  } catch (e) { next(e); }
+});
+
+// Either side can cancel: the payer agent's owner or the payee wallet
+router.post('/:id/cancel', payerOwnerOrPayee, async (req, res, next) => {
+  try {
+    res.json({ success: true, subscription: await subscriptionService.cancel(req.params.id, req.auth.address) });
+  } catch (e) { next(e); }
+});
+
+module.exports = router;
@@ -102,11 +102,34 @@ router.get('/:transactionId', async (req, res, next) => {
 function formatEventTitle(event) {
   const titles = {
     'AgentRegistered': '🤖 Agent Registered',
+    'CapabilitiesUpdated': '🧩 Capabilities Updated',
+    'PriceListUpdated': '🏷️ Price List Updated',
+    'QuotePaid': '🧾 Quote Paid',
     'A2ACommunicationInitiated': '💬 A2A Communication Started',
     'A2ACommunicationCompleted': '✅ A2A Communication Completed',
     'EscrowCreated': '💰 Payment Escrow Created',
     'EscrowReleased': '✅ Payment Completed',
-    'TokenEscrowCreated': '💵 USDC Payment Created',
+    'MilestoneEscrowCreated': '🪜 Milestone Escrow Created',
+    'MilestoneReleased': '🏁 Milestone Released',
+    'EscrowDisputed': '⚠️ Escrow Disputed',
+    'DisputeResolved': '⚖️ Dispute Resolved',
+    'TokenEscrowCreated': '💵 Token Payment Created',
+    'ChannelOpened': '🔁 Payment Channel Opened',
+    'ChannelToppedUp': '➕ Payment Channel Topped Up',
+    'ChannelClosed': '🔒 Payment Channel Closed',
+    'ChannelExpired': '⌛ Payment Channel Refunded',
+    'SubscriptionCreated': '🔁 Subscription Created',
+    'SubscriptionCharged': '💳 Subscription Charged',
+    'SubscriptionChargeFailed': '⚠️ Subscription Charge Failed',
+    'SubscriptionSuspended': '⛔ Subscription Suspended',
+    'SubscriptionPaused': '⏸️ Subscription Paused',
+    'SubscriptionResumed': '▶️ Subscription Resumed',
+    'SubscriptionCancelled': '🛑 Subscription Cancelled',
+    'SubscriptionCompleted': '🏁 Subscription Completed',
+    'SplitPaymentExecuted': '🔀 Split Payment',
+    'SplitPaymentFailed': '⚠️ Split Payment Failed',
+    'SplitRuleUpdated': '📝 Revenue Split Updated',
+    'PlatformFeesWithdrawn': '🏦 Platform Fees Withdrawn',
     'TrustEstablishedFromPayment': '🤝 Trust Established',
     'ReputationFeedbackSubmitted': '⭐ Reputation Feedback',
     'MCPMessageSent': '📡 MCP Message Sent'
@@ -120,9 +143,29 @@ function formatEventDescription(msg) {
     case 'EscrowCreated':
       return `${msg.payer?.substring(0, 10)}... created escrow of ${msg.amount} HBAR to ${msg.payee?.substring(0, 10)}...`;
     case 'TokenEscrowCreated':
-      return `${msg.payer?.substring(0, 10)}... created token escrow of ${msg.amount} USDC to ${msg.payee?.substring(0, 10)}...`;
+      return `${msg.payer?.substring(0, 10)}... created token escrow of ${msg.amount} ${msg.symbol || 'USDC'} to ${msg.payee?.substring(0, 10)}...`;
     case 'EscrowReleased':
       return `Payment released from ${msg.payer?.substring(0, 10)}... to ${msg.payee?.substring(0, 10)}...`;
+    case 'MilestoneEscrowCreated':
+      return `${msg.payer?.substring(0, 10)}... created escrow of ${msg.amount} HBAR in ${msg.milestones?.length} milestones to ${msg.payee?.substring(0, 10)}...`;
+    case 'MilestoneReleased':
+      return `Milestone ${msg.released}/${msg.total} "${msg.description}" released: ${msg.amount} HBAR (${msg.remaining} HBAR remaining)`;
+    case 'EscrowDisputed':
+      return `${msg.disputer?.substring(0, 10)}... disputed the escrow: ${msg.reason}`;
+    case 'DisputeResolved':
+      return `Arbiter paid ${msg.payeeAmount} HBAR to payee and refunded ${msg.payerAmount} HBAR to payer`;
+    case 'ChannelOpened':
+      return `${msg.payer?.substring(0, 10)}... opened a channel of ${msg.deposit} tinybars to ${msg.payee?.substring(0, 10)}...`;
+    case 'ChannelClosed':
+      return `Channel closed: ${msg.redeemed} tinybars to payee, ${msg.refunded} tinybars refunded`;
+    case 'SubscriptionCharged':
+      return `Cycle ${msg.cycle}: ${msg.payer?.substring(0, 10)}... paid ${msg.amount} ${msg.currency} to ${msg.payee?.substring(0, 10)}...`;
+    case 'SubscriptionChargeFailed':
+      return `Cycle ${msg.cycle} of ${msg.amount} ${msg.currency} failed (attempt ${msg.failures}): ${msg.error}`;
+    case 'SplitPaymentExecuted':
+      return `${msg.payer?.substring(0, 10)}... paid ${msg.amount} ${msg.asset === 'HBAR' ? 'tinybars' : `units of ${msg.asset}`} split ${msg.legs?.map(leg => `${leg.bps / 100}% to ${leg.label || leg.accountId}`).join(', ')}`;
+    case 'SplitRuleUpdated':
+      return `${msg.agentId} shares revenue ${msg.legs?.map(leg => `${leg.bps / 100}% to ${leg.label || leg.recipient}`).join(', ')}`;
     case 'A2ACommunicationInitiated':
       return `${msg.fromAgent?.substring(0, 10)}... initiated communication with ${msg.toAgent?.substring(0, 10)}... for ${msg.capability}`;
     case 'A2ACommunicationCompleted':
@@ -2,24 +2,94 @@
 const express = require('express');
 const router = express.Router();
 const tokenService = require('../services/token-service');
+const tokenRegistry = require('../services/token-registry-service');
+const hederaClient = require('../services/hedera-client');
+const paymentIntentService = require('../services/payment-intent-service');
+const signingSessionService = require('../services/signing-session-service');
+const { requireRole } = require('../middleware/auth');
 
-// GET balances (HBAR + token)
+// Token registry (?payment=true for tokens accepted for payments)
+router.get('/registry', (req, res) => {
+  const tokens = tokenRegistry.list({ payment: req.query.payment === 'true' });
+  res.json({ tokens, count: tokens.length });
+});
+
+// One registered token by symbol, token id or EVM address
+router.get('/registry/:token', (req, res, next) => {
+  try {
+    res.json(tokenRegistry.resolve(req.params.token));
+  } catch (e) { next(e); }
+});
+
+// Register a token, loading symbol, name and decimals from the mirror node:
+// { tokenId, allowedForPayment?, requiresAssociation?, symbol?, name?, decimals? (used if the mirror node has none) }
+router.post('/registry', requireRole('admin'), async (req, res, next) => {
+  try {
+    res.status(201).json(await tokenRegistry.register(req.body, req.auth.address));
+  } catch (e) { next(e); }
+});
+
+// { allowedForPayment?, requiresAssociation? }
+router.patch('/registry/:tokenId', requireRole('admin'), (req, res, next) => {
+  try {
+    const { allowedForPayment, requiresAssociation } = req.body;
+    res.json(tokenRegistry.update(req.params.tokenId, { allowedForPayment, requiresAssociation }, req.auth.address));
+  } catch (e) { next(e); }
+});
+
+// Reload symbol, name and decimals from the mirror node
+router.post('/registry/:tokenId/refresh', requireRole('admin'), async (req, res, next) => {
+  try {
+    res.json(await tokenRegistry.refresh(req.params.tokenId));
+  } catch (e) { next(e); }
+});
+
+router.delete('/registry/:tokenId', requireRole('admin'), (req, res, next) => {
+  try {
+    tokenRegistry.remove(req.params.tokenId);
+    res.json({ success: true });
+  } catch (e) { next(e); }
+});
+
+// GET balances (HBAR + any registered token, by symbol, token id or EVM address)
 router.get('/:accountId/balances/:tokenId', async (req, res, next) => {
   try {
-    const result = await tokenService.getBalances(req.params.accountId, req.params.tokenId);
-    res.json(result);
+    const token = tokenRegistry.resolve(req.params.tokenId);
+    const result = await tokenService.getBalances(req.params.accountId, token.tokenId);
+    res.json({ ...result, balance: tokenRegistry.formatAtomic(result.tokenBalance, token), token });
   } catch (e) { next(e); }
 });
 
-// POST transfer fungible token
+// POST transfer a registered fungible token; amount is in whole units (e.g. 12.5)
+// The sending agent's wallet signs via a signing session; without one the operator account sends, which only admins may do
 router.post('/transfer', async (req, res, next) => {
   try {
-    const { tokenId, fromId, fromKey, toId, amount } = req.body;
-    if (!tokenId || !fromId || !fromKey || !toId || !amount) {
-      return res.status(400).json({ error: 'tokenId, fromId, fromKey, toId, amount required' });
+    const { tokenId, toId, amount } = req.body;
+    if (!tokenId || !toId || !amount) {
+      return res.status(400).json({ error: 'tokenId, toId, amount required' });
     }
-    const result = await tokenService.transferToken(tokenId, fromId, fromKey, toId, Number(amount));
-    res.json(result);
+    const fromSigner = await signingSessionService.signerFromRequest(req, 'payments:create');
+    if (!fromSigner) {
+      if (!req.auth) {
+        return res.status(401).json({ error: 'A signing session (X-Signing-Session header) is required to transfer tokens' });
+      }
+      if (!req.auth.roles.includes('admin')) {
+        return res.status(403).json({ error: 'Only admins can transfer tokens from the operator account' });
+      }
+    }
+    const token = tokenRegistry.resolvePayment(tokenId);
+    if (token.tokenId === 'HBAR') {
+      return res.status(400).json({ error: 'tokenId must be an HTS token, not HBAR' });
+    }
+    const units = tokenRegistry.toAtomic(amount, token);
+    if (units <= 0n) return res.status(400).json({ error: 'amount must be greater than 0' });
+
+    hederaClient.ensureOperator();
+    const fromId = fromSigner
+      ? await paymentIntentService.resolveAccountId(fromSigner.address)
+      : hederaClient.accountId.toString();
+    const result = await tokenService.transferToken(token.tokenId, fromId, toId, units, fromSigner);
+    res.json({ ...result, tokenId: token.tokenId, symbol: token.symbol, from: fromId, amount: tokenRegistry.formatAtomic(units, token), units: units.toString() });
   } catch (e) { next(e); }
 });
 
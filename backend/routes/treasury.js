@@ -0,0 +1,66 @@
+// routes/treasury.js
+// Platform fees, treasury withdrawals and ledger reports (admin)
+const express = require('express');
+const router = express.Router();
+const treasuryService = require('../services/treasury-service');
+const paymentService = require('../services/payment-service');
+const { requireRole } = require('../middleware/auth');
+
+router.use(requireRole('admin'));
+
+// Fee settings, fees accrued in the PaymentProcessor treasury and the ledger's treasury balance
+router.get('/', async (req, res, next) => {
+  try {
+    res.json(await treasuryService.getStatus());
+  } catch (e) { next(e); }
+});
+
+// Ledger entries (?from=&to=&agent=&currency=&type=)
+router.get('/ledger', (req, res, next) => {
+  try {
+    const { from, to, agent, currency, type } = req.query;
+    const entries = treasuryService.list({ from, to, agent, currency, type });
+    res.json({ entries, count: entries.length });
+  } catch (e) { next(e); }
+});
+
+// Balance of every ledger account per currency (?from=&to=)
+router.get('/balances', (req, res, next) => {
+  try {
+    const { from, to } = req.query;
+    res.json({ balances: treasuryService.balances({ from, to }) });
+  } catch (e) { next(e); }
+});
+
+// Totals by period, agent or currency (?groupBy=period|agent|currency&period=day|week|month&from=&to=&agent=&currency=)
+router.get('/reports', (req, res, next) => {
+  try {
+    const { groupBy, period, from, to, agent, currency } = req.query;
+    const rows = treasuryService.report({ groupBy: groupBy || 'period', period: period || 'month', from, to, agent, currency });
+    res.json({ groupBy: groupBy || 'period', period: period || 'month', rows });
+  } catch (e) { next(e); }
+});
+
+// Escrow platform fee for new escrows: { bps } (at most 1000)
+router.put('/fee', async (req, res, next) => {
+  try {
+    const bps = Number(req.body.bps);
+    if (!Number.isInteger(bps) || bps < 0 || bps > 1000) {
+      return res.status(400).json({ error: 'bps must be an integer between 0 and 1000' });
+    }
+    res.json(await paymentService.setPlatformFee(bps));
+  } catch (e) { next(e); }
+});
+
+// Withdraw accrued escrow fees: { currency (HBAR | USDC | token id), amount, to }
+router.post('/withdraw', async (req, res, next) => {
+  try {
+    const { currency, amount, to } = req.body;
+    if (!amount || !to) {
+      return res.status(400).json({ error: 'amount and to are required' });
+    }
+    res.json(await paymentService.withdrawFees(currency || 'HBAR', to, amount));
+  } catch (e) { next(e); }
+});
+
+module.exports = router;
@@ -3,6 +3,19 @@
 const express = require('express');
 const router = express.Router();
 const unifiedAgentService = require('../services/unified-agent-service');
+const { requireRole } = require('../middleware/auth');
+const { requirePayment } = require('../middleware/x402');
+
+// Recommendations are a paid call when RECOMMENDATIONS_PRICE_HBAR is set (paid to RECOMMENDATIONS_PAY_TO,
+// default the backend account)
+const recommendationsPaywall = Number(process.env.RECOMMENDATIONS_PRICE_HBAR) > 0
+  ? requirePayment({
+    price: Number(process.env.RECOMMENDATIONS_PRICE_HBAR),
+    asset: 'HBAR',
+    payTo: process.env.RECOMMENDATIONS_PAY_TO || process.env.HEDERA_ACCOUNT_ID,
+    description: 'Premium agent recommendations'
+  })
+  : (_req, _res, next) => next();
 
 /**
  * Get unified agent data (combines ERC-8004 + reputation + validation)
@@ -83,8 +96,9 @@ router.post('/discover', async (req, res, next) => {
  * Get agent recommendations
  * POST /api/unified-agents/recommendations
  * Body: { capabilities, minTrustScore, validatedOnly, limit? }
+ * Paid (x402, X-PAYMENT header) when RECOMMENDATIONS_PRICE_HBAR is set
  */
-router.post('/recommendations', async (req, res, next) => {
+router.post('/recommendations', recommendationsPaywall, async (req, res, next) => {
   try {
     const {
       capabilities,
@@ -107,7 +121,8 @@ router.post('/recommendations', async (req, res, next) => {
     res.json({
       recommendations,
       count: recommendations.length,
-      criteria
+      criteria,
+      ...(req.payment && { payment: req.payment })
     });
   } catch (e) {
     next(e);
@@ -119,7 +134,7 @@ router.post('/recommendations', async (req, res, next) => {
  * POST /api/unified-agents/cache/clear
  * Query params: key (optional - clear specific key or all)
  */
-router.post('/cache/clear', async (req, res, next) => {
+router.post('/cache/clear', requireRole('admin'), async (req, res, next) => {
   try {
     const { key } = req.query;
     
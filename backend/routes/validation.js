@@ -5,6 +5,8 @@ const { ethers } = require('ethers');
 const erc8004Service = require('../services/erc8004-service');
 const agentService = require('../services/agent-service');
 const hederaClient = require('../services/hedera-client');
+const validationService = require('../services/validation-service');
+const { requireRole } = require('../middleware/auth');
 
 /**
  * Request validation for an agent
@@ -14,72 +16,8 @@ const hederaClient = require('../services/hedera-client');
 router.post('/request', async (req, res, next) => {
   try {
     const { agentId, validatorAddress, requestUri, requestHash } = req.body;
-    
-    if (!agentId || !validatorAddress) {
-      return res.status(400).json({ error: 'agentId and validatorAddress are required' });
-    }
-    
-    await erc8004Service.initialize();
-    
-    if (!erc8004Service.isAvailable()) {
-      return res.status(503).json({ error: 'ERC-8004 service not available' });
-    }
-    
-    // Get agent owner wallet
-    // Resolve agentId to ERC-8004 ID if needed
-    let erc8004AgentId = null;
-    if (typeof agentId === 'string' && agentId.startsWith('0x')) {
-      const AgentServiceClass = agentService.constructor;
-      erc8004AgentId = AgentServiceClass.getERC8004AgentId(agentId);
-      if (!erc8004AgentId) {
-        return res.status(404).json({ error: `No ERC-8004 agent ID found for ${agentId}` });
-      }
-    } else {
-      erc8004AgentId = parseInt(agentId);
-    }
-    
-    // Get agent owner wallet (for signing validation request)
-    const AgentServiceClass = agentService.constructor;
-    const agentServiceInstance = new AgentServiceClass();
-    agentServiceInstance.ensureWallet();
-    
-    // Get agent data to determine wallet
-    const agentEntry = Array.from(AgentServiceClass.agentIdMapping.entries())
-      .find(([id, data]) => data.erc8004AgentId === erc8004AgentId.toString());
-    
-    let agentOwnerWallet = agentServiceInstance.wallet; // Default to backend wallet
-    if (agentEntry && agentEntry[1].paymentMode === 'permissionless' && agentEntry[1].agentWalletAddress) {
-      // For permissionless agents, use their wallet
-      // In production, agent owner would sign
-      agentOwnerWallet = agentServiceInstance.wallet;
-    }
-    
-    const result = await erc8004Service.requestValidation(
-      agentOwnerWallet,
-      erc8004AgentId,
-      validatorAddress,
-      requestUri || '',
-      requestHash || ethers.ZeroHash
-    );
-    
-    // HCS logging
-    const validationTopicId = await hederaClient.ensureTopic('VALIDATION_TOPIC_ID', 'Validation', 'Agent validation events');
-    await hederaClient.submitMessage(validationTopicId, JSON.stringify({
-      event: 'ValidationRequested',
-      agentId: erc8004AgentId,
-      validatorAddress: validatorAddress,
-      requestHash: result.requestHash,
-      txHash: result.txHash,
-      timestamp: new Date().toISOString()
-    }));
-    
-    res.json({
-      success: true,
-      requestHash: result.requestHash,
-      agentId: erc8004AgentId,
-      validatorAddress: validatorAddress,
-      txHash: result.txHash
-    });
+    const result = await validationService.requestValidation({ agentId, validatorAddress, requestUri, requestHash });
+    res.json(result);
   } catch (e) {
     next(e);
   }
@@ -90,7 +28,7 @@ router.post('/request', async (req, res, next) => {
  * POST /api/validation/response
  * Body: { requestHash, response, responseUri?, responseHash?, tag? }
  */
-router.post('/response', async (req, res, next) => {
+router.post('/response', requireRole('validator', 'admin'), async (req, res, next) => {
   try {
     const { requestHash, response, responseUri, responseHash, tag } = req.body;
     
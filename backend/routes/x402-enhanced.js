@@ -4,6 +4,7 @@ const express = require('express');
 const router = express.Router();
 const x402EnhancedService = require('../services/x402-enhanced-service');
 const agentService = require('../services/agent-service');
+const signingSessionService = require('../services/signing-session-service');
 
 /**
  * Create conditional payment challenge based on agent capabilities and trust
@@ -34,7 +35,7 @@ router.post('/conditional-challenge', async (req, res, next) => {
 /**
  * Verify and settle payment with automatic ERC-8004 feedback linking
  * POST /api/x402-enhanced/verify-settle
- * Body: { txId, agentAddress, capability, expectedAmount, expectedPayTo, payerAddress, autoFeedback?, feedbackRating? }
+ * Body: { txId, agentAddress, capability, intentId?, expectedAmount, expectedPayTo, payerAddress, autoFeedback?, feedbackRating? }
  */
 router.post('/verify-settle', async (req, res, next) => {
   try {
@@ -42,6 +43,7 @@ router.post('/verify-settle', async (req, res, next) => {
       txId, 
       agentAddress, 
       capability, 
+      intentId,
       expectedAmount, 
       expectedPayTo,
       payerAddress,
@@ -58,6 +60,7 @@ router.post('/verify-settle', async (req, res, next) => {
       {
         agentAddress,
         capability,
+        intentId,
         expectedAmount: expectedAmount || '0.001',
         expectedPayTo: expectedPayTo || agentAddress,
         payerAddress
@@ -77,11 +80,11 @@ router.post('/verify-settle', async (req, res, next) => {
 /**
  * Create high-value escrow
  * POST /api/x402-enhanced/high-value-escrow
- * Body: { payee, amount, description, capability?, payerAddress?, payerPrivateKey? }
+ * Body: { payee, amount, description, capability?, payerAddress? }
  */
 router.post('/high-value-escrow', async (req, res, next) => {
   try {
-    const { payee, amount, description, capability, payerAddress, payerPrivateKey } = req.body;
+    const { payee, amount, description, capability, payerAddress } = req.body;
 
     if (!payee || !amount || !description) {
       return res.status(400).json({ error: 'payee, amount, and description are required' });
@@ -91,7 +94,11 @@ router.post('/high-value-escrow', async (req, res, next) => {
       payee,
       amount,
       description,
-      { capability, payerAddress, payerPrivateKey }
+      {
+        capability,
+        payerAddress,
+        payerSigner: await signingSessionService.signerFromRequest(req, 'payments:create')
+      }
     );
 
     res.json(result);
@@ -103,11 +110,11 @@ router.post('/high-value-escrow', async (req, res, next) => {
 /**
  * Auto-settle payment after service completion
  * POST /api/x402-enhanced/auto-settle
- * Body: { txId, agentAddress, capability, payerAddress, amount, serviceResult? }
+ * Body: { txId, agentAddress, capability, payerAddress, intentId?, amount, serviceResult? }
  */
 router.post('/auto-settle', async (req, res, next) => {
   try {
-    const { txId, agentAddress, capability, payerAddress, amount, serviceResult } = req.body;
+    const { txId, agentAddress, capability, payerAddress, intentId, amount, serviceResult } = req.body;
 
     if (!txId || !agentAddress || !capability || !payerAddress) {
       return res.status(400).json({ 
@@ -121,6 +128,7 @@ router.post('/auto-settle', async (req, res, next) => {
         agentAddress,
         capability,
         payerAddress,
+        intentId,
         amount: amount || '0.001',
         serviceResult: serviceResult || { success: true }
       }
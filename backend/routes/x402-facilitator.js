@@ -0,0 +1,47 @@
+// routes/x402-facilitator.js
+// Built-in x402 facilitator endpoints (enabled with X402_FACILITATOR_URL=local). Clients such as
+// frontend/lib/x402-payment.ts can point their facilitator URL at /api/x402/facilitator.
+const express = require('express');
+const router = express.Router();
+const x402Service = require('../services/x402-facilitator-service');
+const localFacilitator = require('../services/local-facilitator-service');
+
+router.use((req, res, next) => {
+  if (!x402Service.isLocal()) {
+    return res.status(503).json({ error: 'Local facilitator disabled (set X402_FACILITATOR_URL=local)' });
+  }
+  next();
+});
+
+// Payment kinds this facilitator settles
+router.get('/supported', (_req, res) => {
+  res.json(localFacilitator.supported());
+});
+
+router.get('/health', (_req, res) => {
+  res.json(localFacilitator.health());
+});
+
+// Verify a signed payment { paymentPayload, paymentRequirements }, or a submitted one { txId, expectedAmount?, expectedPayTo? }
+router.post('/verify', async (req, res, next) => {
+  try {
+    const { paymentPayload, paymentRequirements, txId, expectedAmount, expectedPayTo } = req.body;
+    if (paymentPayload) {
+      return res.json(await localFacilitator.verify(paymentPayload, paymentRequirements));
+    }
+    if (!txId) return res.status(400).json({ error: 'paymentPayload or txId required' });
+    res.json(await localFacilitator.verifyTransaction(txId, expectedAmount, expectedPayTo));
+  } catch (e) { next(e); }
+});
+
+// Co-sign and submit a signed payment { paymentPayload, paymentRequirements }
+router.post('/settle', async (req, res, next) => {
+  try {
+    const { paymentPayload, paymentRequirements } = req.body;
+    if (!paymentPayload) return res.status(400).json({ error: 'paymentPayload required' });
+    const settlement = await localFacilitator.settle(paymentPayload, paymentRequirements);
+    res.status(settlement.success ? 200 : 400).json(settlement);
+  } catch (e) { next(e); }
+});
+
+module.exports = router;
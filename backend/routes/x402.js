@@ -1,19 +1,44 @@
 // routes/x402.js
 const express = require('express');
 const router = express.Router();
-const hederaClient = require('../services/hedera-client');
 const x402Service = require('../services/x402-facilitator-service');
+const quoteService = require('../services/quote-service');
+const paymentIntentService = require('../services/payment-intent-service');
+const tokenRegistry = require('../services/token-registry-service');
+
+// Issue a signed, expiring quote for an agent's capability, priced from its price list
+router.post('/quote', async (req, res, next) => {
+  try {
+    const { agentId, agentAddress, capability, quantity, currency, payer } = req.body;
+    const quote = await quoteService.createQuote({ agentId, agentAddress, capability, quantity, currency, payer });
+    res.status(201).json(quote);
+  } catch (e) { next(e); }
+});
+
+// Get a quote and whether its signature still checks out
+router.get('/quotes/:id', (req, res, next) => {
+  try {
+    const quote = quoteService.get(req.params.id);
+    res.json({ ...quote, signatureValid: quoteService.verifySignature(quote) });
+  } catch (e) { next(e); }
+});
 
 // Issue 402 challenge - Get payment requirements
 router.post('/challenge', async (req, res) => {
   try {
-    const { amount, currency, payTo, memo } = req.body;
+    const { quoteId, amount, currency, payTo, payer, memo } = req.body;
+
+    // Quoted payments: the challenge asks for exactly the quoted amount, asset and payee
+    if (quoteId) {
+      return res.status(402).json(await quoteService.createChallenge(quoteId));
+    }
     
     if (!amount || !payTo) {
-      return res.status(400).json({ error: 'amount and payTo are required' });
+      return res.status(400).json({ error: 'quoteId, or amount and payTo, are required' });
     }
     
-    const asset = currency === 'USDC' ? (process.env.USDC_TOKEN_ID || '0.0.429274') : 'HBAR';
+    // Any token registered for payments, by symbol, token id or EVM address
+    const asset = tokenRegistry.resolvePayment(currency || 'HBAR').tokenId;
     const network = process.env.HEDERA_NETWORK || 'hedera-testnet';
     
     const challenge = await x402Service.createChallenge(
@@ -21,35 +46,38 @@ router.post('/challenge', async (req, res) => {
       asset,
       payTo,
       memo || 'Agent payment',
-      network
+      network,
+      { payer }
     );
     
     res.status(402).json(challenge);
   } catch (e) {
-    res.status(500).json({ error: e.message });
+    res.status(e.status || 500).json({ error: e.message });
   }
 });
 
-// Verify settlement via mirror node
+// Verify settlement via mirror node: the transaction must match the challenge's payment intent (memo, payer,
+// payee, asset, exact amount, before expiry) or quote, and each txId is accepted once
 router.post('/verify', async (req, res, next) => {
   try {
-    const { txId, expectedAmount, expectedPayTo } = req.body;
+    const { txId, intentId, quoteId } = req.body;
     if (!txId) return res.status(400).json({ error: 'txId required' });
+    if (!intentId && !quoteId) return res.status(400).json({ error: 'intentId or quoteId required' });
 
-    const tx = await hederaClient.getTransaction(txId);
-    const success = (tx.result === 'SUCCESS') || (tx.status === 'SUCCESS');
-    if (!success) return res.status(400).json({ error: 'Settlement not found or failed' });
-
-    // Optional: validate recipient and amount from transfers
-    if (expectedPayTo && expectedAmount) {
-      const transfers = tx.transfers || [];
-      const match = transfers.find(t => t.account === expectedPayTo && parseFloat(t.amount) >= parseFloat(expectedAmount));
-      if (!match) {
-        return res.status(400).json({ error: 'Payment amount or recipient mismatch', expected: { payTo: expectedPayTo, amount: expectedAmount } });
-      }
+    if (quoteId) {
+      const { quote, transaction } = await quoteService.verifyPayment(quoteId, txId);
+      return res.json({ verified: true, quote, tx: transaction });
     }
 
-    return res.json({ verified: true, tx });
+    const { intent, transaction } = await paymentIntentService.verify(intentId, txId);
+    return res.json({ verified: true, intent, tx: transaction });
+  } catch (e) { next(e); }
+});
+
+// Payment intent behind a challenge: pending, expired or settled (with txId)
+router.get('/intents/:id', (req, res, next) => {
+  try {
+    res.json(paymentIntentService.get(req.params.id));
   } catch (e) { next(e); }
 });
 
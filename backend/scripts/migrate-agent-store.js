@@ -0,0 +1,29 @@
+// scripts/migrate-agent-store.js
+// Backfill the persistent agent store (backend/data) from ERC-8004 and HCS AgentRegistered messages.
+// Usage: cd backend && node scripts/migrate-agent-store.js [--skip-hcs] [--skip-erc8004]
+require('dotenv').config({ path: '../.env' });
+require('../services/config-service').initializeEnv();
+
+const { backfillAgentStore } = require('../repositories/agent-backfill');
+
+async function migrate() {
+  const args = process.argv.slice(2);
+  console.log('🔄 Backfilling agent store...\n');
+
+  const summary = await backfillAgentStore({
+    fromHcs: !args.includes('--skip-hcs'),
+    fromErc8004: !args.includes('--skip-erc8004')
+  });
+
+  console.log(`📨 AgentRegistered messages replayed: ${summary.hcsMessages}`);
+  console.log(`🪪 ERC-8004 agents scanned: ${summary.erc8004Agents}`);
+  console.log(`✅ Agents created: ${summary.created}, updated: ${summary.updated}`);
+  console.log('\n✨ Migration complete!');
+}
+
+migrate()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Migration failed:', error.message);
+    process.exit(1);
+  });
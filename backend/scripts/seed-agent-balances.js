@@ -193,7 +193,7 @@ async function seedAgentBalances() {
         try {
           const x402FacilitatorService = require('../services/x402-facilitator-service');
           const challenge = await x402FacilitatorService.createChallenge(
-            SEED_AMOUNT_HBAR.toString(),
+            x402FacilitatorService.toAtomicAmount(SEED_AMOUNT_HBAR, 'HBAR'),
             'HBAR',
             agentAddress,
             `Seed balance for ${agent.name || agent.agentId}`,
@@ -201,8 +201,8 @@ async function seedAgentBalances() {
           );
           
           console.log(`   ✅ Created x402 challenge for ${SEED_AMOUNT_HBAR} HBAR`);
-          console.log(`   📋 Challenge ID: ${challenge.challengeId || challenge.id || 'N/A'}`);
-          console.log(`   💡 Complete payment manually via: ${challenge.paymentUrl || challenge.url || 'N/A'}`);
+          console.log(`   📋 Payment intent: ${challenge.accepts[0].extra.intentId} (memo ${challenge.accepts[0].extra.memo})`);
+          console.log(`   💡 Complete payment manually, then POST /api/x402/verify { intentId, txId }`);
           
           // Note: x402 requires manual payment completion
           // In a production setup, you'd use an automated payment
@@ -11,8 +11,13 @@ configService.initializeEnv();
 
 const agentRoutes = require('./routes/agents');
 const paymentRoutes = require('./routes/payments');
+const paymentChannelRoutes = require('./routes/payment-channels');
+const subscriptionRoutes = require('./routes/subscriptions');
+const splitRoutes = require('./routes/splits');
+const treasuryRoutes = require('./routes/treasury');
 const messageRoutes = require('./routes/messages');
 const x402Routes = require('./routes/x402');
+const x402FacilitatorRoutes = require('./routes/x402-facilitator');
 const tokenRoutes = require('./routes/tokens');
 const authRoutes = require('./routes/auth');
 const a2aRoutes = require('./routes/a2a');
@@ -26,6 +31,9 @@ const aiRoutes = require('./routes/ai');
 const mcpRoutes = require('./routes/mcp');
 const timelineRoutes = require('./routes/timeline');
 const agentConnectionRoutes = require('./routes/agent-connection');
+const keystoreRoutes = require('./routes/keystore');
+const capabilityRoutes = require('./routes/capabilities');
+const { authenticate } = require('./middleware/auth');
 const errorHandler = require('./utils/error-handler');
 const { version } = require('./package.json');
 
@@ -54,10 +62,17 @@ app.use((req, _res, next) => {
   next();
 });
 
+// Authentication: attaches req.auth from a Bearer JWT; routes enforce roles individually
+app.use('/api', authenticate);
+
 // Routes
 app.use('/api/agents', agentRoutes);
+app.use('/api/payments/channels', paymentChannelRoutes);
+app.use('/api/payments/subscriptions', subscriptionRoutes);
+app.use('/api/payments/splits', splitRoutes);
 app.use('/api/payments', paymentRoutes);
 app.use('/api/messages', messageRoutes);
+app.use('/api/x402/facilitator', x402FacilitatorRoutes);
 app.use('/api/x402', x402Routes);
 app.use('/api/tokens', tokenRoutes);
 app.use('/api/auth', authRoutes);
@@ -72,6 +87,9 @@ app.use('/api/ai', aiRoutes);
 app.use('/api/mcp', mcpRoutes);
 app.use('/api/timeline', timelineRoutes);
 app.use('/api/agent-connection', agentConnectionRoutes);
+app.use('/api/keystore', keystoreRoutes);
+app.use('/api/capabilities', capabilityRoutes);
+app.use('/api/treasury', treasuryRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -94,13 +112,15 @@ app.use(errorHandler);
 // WebSocket connection handling
 io.on('connection', async (socket) => {
   console.log('🔌 Client connected:', socket.id);
+  // In-flight AI chat streams: requestId -> AbortController
+  const aiChats = new Map();
   
   // Subscribe to agent updates
   socket.on('subscribe-agent', async (agentAddress) => {
     socket.join(`agent-${agentAddress}`);
     console.log(`📡 Client ${socket.id} subscribed to agent ${agentAddress}`);
     
-    // Send AI-powered welcome message using Groq
+    // Send AI-powered welcome message (LLM route 'welcome')
     try {
       const groqService = require('./services/groq-service');
       const agentService = require('./services/agent-service');
@@ -109,7 +129,8 @@ io.on('connection', async (socket) => {
       
       const welcomeMsg = await groqService.chat(
         `Create a brief, friendly welcome message for agent "${agent.name}" with trust score ${agent.trustScore}. Keep it under 50 words.`,
-        'You create brief, professional welcome messages for blockchain agents. Be concise and highlight the agent\'s trust score.'
+        'You create brief, professional welcome messages for blockchain agents. Be concise and highlight the agent\'s trust score.',
+        { route: 'welcome' }
       );
       
       socket.emit('welcome', {
@@ -124,6 +145,31 @@ io.on('connection', async (socket) => {
     }
   });
   
+  // Streamed AI chat: replies arrive as 'ai-chat' events { requestId, type, ... } (see chat-stream-service)
+  // Send { requestId } on 'ai-chat-cancel' to stop a reply; disconnecting cancels everything in flight
+  socket.on('ai-chat', async (request = {}) => {
+    const requestId = request.requestId || `${socket.id}-${Date.now()}`;
+    const emit = event => socket.emit('ai-chat', { requestId, ...event });
+    const controller = new AbortController();
+    aiChats.set(requestId, controller);
+
+    try {
+      const authService = require('./services/auth-service');
+      const chatStreamService = require('./services/chat-stream-service');
+      const owner = request.token ? authService.verifyToken(request.token).sub : null;
+      await chatStreamService.run(request, owner, emit, controller.signal);
+    } catch (error) {
+      console.warn('AI chat stream failed:', error.message);
+      emit({ type: 'error', error: error.message, status: error.status || 500, ...(error.code && { code: error.code }) });
+    } finally {
+      aiChats.delete(requestId);
+    }
+  });
+
+  socket.on('ai-chat-cancel', ({ requestId } = {}) => {
+    aiChats.get(requestId)?.abort();
+  });
+
   // Subscribe to transaction timeline updates
   socket.on('subscribe-timeline', (transactionId) => {
     socket.join(`timeline-${transactionId}`);
@@ -143,6 +189,7 @@ io.on('connection', async (socket) => {
   });
   
   socket.on('disconnect', () => {
+    aiChats.forEach(controller => controller.abort());
     console.log('🔌 Client disconnected:', socket.id);
   });
 });
@@ -153,6 +200,17 @@ const AgentService = agentServiceInstance.constructor;
 (async () => {
   try {
     await AgentService.loadAliceBobWalletsFromEnv();
+
+    // Follow PaymentProcessor escrow events into the local store, and refund expired escrows
+    try {
+      require('./services/escrow-indexer-service').start();
+      require('./services/escrow-sweeper-service').start();
+    } catch (error) {
+      console.warn('⚠️  Escrow indexer not started:', error.message);
+    }
+
+    // Charge recurring payment plans as they fall due
+    require('./services/subscription-service').start();
     
     // Populate agentIdMapping from ERC-8004 on startup
     // This ensures agents registered in previous sessions are available
@@ -180,4 +238,9 @@ server.listen(PORT, () => {
   console.log(`⚡ WebSocket enabled for real-time updates`);
 });
 
+// Exit on SIGINT/SIGTERM so batched store writes are flushed (see repositories/persistent-map.js)
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.once(signal, () => process.exit(0));
+}
+
 module.exports = { app, io, server };
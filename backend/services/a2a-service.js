@@ -55,16 +55,35 @@ class A2AService {
     );
   }
 
+  /**
+   * Resolve the signer an agent should act with
+   * @param {string} agentAddress - Agent address the signer must belong to
+   * @param {ethers.Signer} [signer] - Signer resolved from a signing session
+   * @returns {Promise<ethers.Signer|null>} Connected signer, or null to fall back to the backend wallet
+   */
+  async resolveAgentSigner(agentAddress, signer = null) {
+    if (!signer) return null;
+    this.ensureProvider();
+    let wallet = signer;
+    if (!wallet.provider) wallet = wallet.connect(this.provider);
+
+    const signerAddress = await wallet.getAddress();
+    if (signerAddress.toLowerCase() !== agentAddress.toLowerCase()) {
+      throw new Error(`Signer does not match agent address. Expected ${agentAddress}, got ${signerAddress}`);
+    }
+    return wallet;
+  }
+
   /**
    * Initiate A2A communication between agents with optional payment integration
    * @param {string} fromAgent - Agent address initiating communication
    * @param {string} toAgent - Target agent address
    * @param {string} capability - Capability being requested
-   * @param {string} [fromAgentPrivateKey] - From agent's EVM private key (optional, DEMO ONLY)
+   * @param {ethers.Signer} [signer] - From agent's signer from a signing session (defaults to the backend wallet)
    * @param {Object} [paymentOptions] - Payment options (txId, amount, etc.)
    * @returns {Promise<Object>} Communication initiation result
    */
-  async initiateCommunication(fromAgent, toAgent, capability, fromAgentPrivateKey = null, paymentOptions = null) {
+  async initiateCommunication(fromAgent, toAgent, capability, signer = null, paymentOptions = null) {
     try {
       // Verify both agents exist and check trust thresholds
       const fromAgentData = await agentService.getAgent(fromAgent);
@@ -78,20 +97,9 @@ class A2AService {
       // Determine which wallet/contract to use
       let contractToUse = null;
       
-      if (fromAgentPrivateKey) {
-        // Phase 1 (Demo): Use agent's wallet
-        this.ensureProvider();
-        let privateKey = fromAgentPrivateKey;
-        if (!privateKey.startsWith('0x')) {
-          privateKey = '0x' + privateKey;
-        }
-        const wallet = new ethers.Wallet(privateKey, this.provider);
-        
-        // Verify wallet address matches agent address
-        if (wallet.address.toLowerCase() !== fromAgent.toLowerCase()) {
-          throw new Error(`Private key does not match agent address. Expected ${fromAgent}, got ${wallet.address}`);
-        }
-        
+      const wallet = await this.resolveAgentSigner(fromAgent, signer);
+      if (wallet) {
+        // Agent signs with its own wallet
         contractToUse = this.getAgentRegistryContract(wallet);
       } else {
         // Fallback to backend wallet
@@ -179,11 +187,11 @@ class A2AService {
    * Complete an A2A interaction (establishes trust) with task lifecycle tracking
    * @param {string} interactionId - Interaction ID to complete
    * @param {string} [completerAgentAddress] - Agent address completing (toAgent). If not provided, uses backend wallet.
-   * @param {string} [completerPrivateKey] - Completer's EVM private key (optional, DEMO ONLY)
+   * @param {ethers.Signer} [signer] - Completer's signer from a signing session (defaults to the backend wallet)
    * @param {Object} [taskResult] - Task completion result (success, output, etc.)
    * @returns {Promise<Object>} Completion result
    */
-  async completeInteraction(interactionId, completerAgentAddress = null, completerPrivateKey = null, taskResult = null) {
+  async completeInteraction(interactionId, completerAgentAddress = null, signer = null, taskResult = null) {
     try {
       // Get interaction details first to verify completer
       this.ensureInitialized();
@@ -192,23 +200,13 @@ class A2AService {
       // Determine which wallet/contract to use
       let contractToUse = null;
       
-      if (completerAgentAddress && completerPrivateKey) {
+      const wallet = completerAgentAddress ? await this.resolveAgentSigner(completerAgentAddress, signer) : null;
+      if (wallet) {
         // Verify completer is the toAgent
         if (completerAgentAddress.toLowerCase() !== interaction.toAgent.toLowerCase()) {
           throw new Error(`Only ${interaction.toAgent} can complete this interaction. Got ${completerAgentAddress}`);
         }
         
-        this.ensureProvider();
-        let privateKey = completerPrivateKey;
-        if (!privateKey.startsWith('0x')) {
-          privateKey = '0x' + privateKey;
-        }
-        const wallet = new ethers.Wallet(privateKey, this.provider);
-        
-        if (wallet.address.toLowerCase() !== completerAgentAddress.toLowerCase()) {
-          throw new Error(`Private key does not match agent address. Expected ${completerAgentAddress}, got ${wallet.address}`);
-        }
-        
         contractToUse = this.getAgentRegistryContract(wallet);
       } else {
         // Fallback to backend wallet
@@ -0,0 +1,227 @@
+// services/agent-search-service.js
+// Semantic agent search: an embedding index over each agent's name, capabilities and metadata, kept in a
+// vector store. Agents are indexed as they register; a periodic sync picks up anything registered elsewhere
+// (backfills, other nodes) and re-embeds everything when the embedding model changes.
+const crypto = require('crypto');
+const embeddingRegistry = require('../llm/embeddings/registry');
+const { VectorStore, cosineSimilarity } = require('../repositories/vector-store');
+const agentService = require('./agent-service');
+
+const DEFAULT_MIN_SCORE = 0.2;
+const DEFAULT_SYNC_INTERVAL_MS = 5 * 60 * 1000; // 5 minutes
+const DEFAULT_SHORTLIST_SIZE = 20;
+const MAX_METADATA_CHARS = 1000;
+const BATCH_SIZE = 32;
+
+// Agent fields returned with search results
+function snapshot(agent) {
+  return {
+    agentId: agent.agentId,
+    erc8004AgentId: agent.erc8004AgentId ?? null,
+    name: agent.name,
+    address: agent.address,
+    capabilities: agent.capabilities || [],
+    metadata: agent.metadata || '',
+    trustScore: agent.trustScore ?? '0',
+    paymentMode: agent.paymentMode || 'permissioned',
+    agentWalletAddress: agent.agentWalletAddress ?? null
+  };
+}
+
+class AgentSearchService {
+  constructor() {
+    // agentId -> { vector, metadata: { digest, model, agent, indexedAt } }
+    this.store = new VectorStore('agentEmbeddings');
+    this.lastSyncAt = 0;
+    this.syncing = null;
+    this.fallback = false;
+  }
+
+  getMinScore() {
+    const score = Number(process.env.SEMANTIC_SEARCH_MIN_SCORE);
+    return Number.isFinite(score) && score >= -1 && score <= 1 ? score : DEFAULT_MIN_SCORE;
+  }
+
+  getSyncInterval() {
+    const interval = Number(process.env.SEMANTIC_INDEX_SYNC_MS);
+    return Number.isFinite(interval) && interval > 0 ? interval : DEFAULT_SYNC_INTERVAL_MS;
+  }
+
+  getShortlistSize() {
+    const size = Number(process.env.SEMANTIC_SHORTLIST_SIZE);
+    return Number.isFinite(size) && size > 0 ? size : DEFAULT_SHORTLIST_SIZE;
+  }
+
+  /**
+   * Embedding provider in use; falls back to 'hash' when the local model can't be loaded
+   * @returns {Object} { provider, providerName, model, key }
+   */
+  resolveEmbedder() {
+    const resolved = this.fallback ? this.hashEmbedder() : embeddingRegistry.resolve();
+    return { ...resolved, key: `${resolved.providerName}/${resolved.model}` };
+  }
+
+  hashEmbedder() {
+    const provider = embeddingRegistry.getProvider('hash');
+    return { provider, providerName: 'hash', model: provider.defaultModel };
+  }
+
+  async embed(texts) {
+    const { provider, providerName, model } = this.resolveEmbedder();
+    try {
+      return await provider.embed(texts, { model });
+    } catch (error) {
+      if (providerName !== 'local' || error.code !== 'ERR_MODULE_NOT_FOUND') throw error;
+      console.warn('⚠️  @xenova/transformers is not installed; semantic search is using the hash embedder');
+      this.fallback = true;
+      return this.embed(texts);
+    }
+  }
+
+  /**
+   * Text embedded for an agent
+   * @param {Object} agent - Agent (getAllAgentsWithIds shape)
+   * @returns {string} Document
+   */
+  buildDocument(agent) {
+    const metadata = typeof agent.metadata === 'string' ? agent.metadata : JSON.stringify(agent.metadata || '');
+    return [
+      agent.name,
+      (agent.capabilities || []).length > 0 ? `Capabilities: ${agent.capabilities.join(', ')}` : '',
+      metadata.slice(0, MAX_METADATA_CHARS)
+    ].filter(Boolean).join('. ');
+  }
+
+  digest(agent) {
+    return crypto.createHash('sha256').update(this.buildDocument(agent)).digest('hex');
+  }
+
+  // Whether the stored entry is missing or out of date for this agent / embedding model
+  isStale(agent, key) {
+    const entry = this.store.get(agent.agentId);
+    return !entry || entry.metadata.model !== key || entry.metadata.digest !== this.digest(agent);
+  }
+
+  /**
+   * Embed and store a batch of agents
+   * @param {Object[]} agents - Agents to (re-)index
+   */
+  async indexAgents(agents) {
+    for (let i = 0; i < agents.length; i += BATCH_SIZE) {
+      const batch = agents.slice(i, i + BATCH_SIZE);
+      const vectors = await this.embed(batch.map(agent => this.buildDocument(agent)));
+      const { key } = this.resolveEmbedder();
+      batch.forEach((agent, j) => {
+        this.store.upsert(agent.agentId, vectors[j], {
+          digest: this.digest(agent),
+          model: key,
+          agent: snapshot(agent),
+          indexedAt: new Date().toISOString()
+        });
+      });
+    }
+  }
+
+  /**
+   * Index one agent (called on AgentRegistered); a no-op when its document hasn't changed
+   * @param {Object} agent - Agent with agentId, name, capabilities, metadata
+   * @returns {Promise<boolean>} Whether the agent was (re-)embedded
+   */
+  async indexAgent(agent) {
+    if (!agent?.agentId) return false;
+    if (!this.isStale(agent, this.resolveEmbedder().key)) return false;
+    await this.indexAgents([agent]);
+    console.log(`📝 Indexed ${agent.agentId} for semantic search`);
+    return true;
+  }
+
+  /**
+   * Reconcile the index with the agent registry (one sync at a time)
+   * @param {Object} [options] - { force: sync even if the last sync is recent }
+   * @returns {Promise<Object>} { indexed, removed, total }
+   */
+  async sync({ force = false } = {}) {
+    if (this.syncing) return this.syncing;
+    if (!force && this.lastSyncAt && Date.now() - this.lastSyncAt < this.getSyncInterval()) {
+      return { indexed: 0, removed: 0, total: this.store.size };
+    }
+
+    this.syncing = (async () => {
+      const agents = (await agentService.getAllAgentsWithIds()).filter(agent => agent.agentId);
+      const stale = agents.filter(agent => this.isStale(agent, this.resolveEmbedder().key));
+      await this.indexAgents(stale);
+
+      const known = new Set(agents.map(agent => agent.agentId));
+      const removed = this.store.ids().filter(id => !known.has(id));
+      removed.forEach(id => this.store.remove(id));
+
+      this.lastSyncAt = Date.now();
+      if (stale.length > 0 || removed.length > 0) {
+        console.log(`📝 Semantic index synced: ${stale.length} embedded, ${removed.length} removed, ${this.store.size} total`);
+      }
+      return { indexed: stale.length, removed: removed.length, total: this.store.size };
+    })();
+
+    try {
+      return await this.syncing;
+    } finally {
+      this.syncing = null;
+    }
+  }
+
+  /**
+   * Rank indexed agents by similarity to a query
+   * @param {string} query - Free-text query
+   * @param {Object} [options] - { limit, minScore }
+   * @returns {Promise<Array>} Agents with a `score` (cosine similarity), best first
+   */
+  async search(query, { limit = 10, minScore = this.getMinScore() } = {}) {
+    await this.sync();
+    const [vector] = await this.embed([query]);
+    const { key } = this.resolveEmbedder();
+    return this.store
+      .query(vector, { limit, minScore, filter: entry => entry.metadata.model === key })
+      .map(result => ({ ...result.metadata.agent, score: Number(result.score.toFixed(4)) }));
+  }
+
+  /**
+   * Keep only the agents most similar to a query (so LLM prompts don't carry the whole marketplace).
+   * Works on caller-supplied agents: indexed ones reuse their stored vector, others are embedded on the fly.
+   * @param {string} query - Free-text query
+   * @param {Object[]} agents - Candidate agents (any shape with name/capabilities/metadata)
+   * @param {number} [size] - Maximum agents to keep
+   * @returns {Promise<Object[]>} Up to `size` of the given agents, most similar first
+   */
+  async shortlist(query, agents, size = this.getShortlistSize()) {
+    if (!Array.isArray(agents) || agents.length <= size) return agents;
+
+    const { key } = this.resolveEmbedder();
+    const vectors = agents.map(agent => (agent.agentId && !this.isStale(agent, key) ? this.store.get(agent.agentId).vector : null));
+    const missing = agents.map((agent, i) => (vectors[i] ? null : i)).filter(i => i !== null);
+    const [queryVector, ...embedded] = await this.embed([query, ...missing.map(i => this.buildDocument(agents[i]))]);
+    missing.forEach((agentIndex, j) => { vectors[agentIndex] = embedded[j]; });
+
+    return agents
+      .map((agent, i) => ({ agent, score: cosineSimilarity(queryVector, vectors[i]) }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, size)
+      .map(({ agent }) => agent);
+  }
+
+  getStatus() {
+    let provider = null;
+    let model = null;
+    try {
+      ({ providerName: provider, model } = this.resolveEmbedder());
+    } catch (_e) {}
+    return {
+      provider,
+      model,
+      fallback: this.fallback,
+      indexed: this.store.size,
+      lastSyncAt: this.lastSyncAt ? new Date(this.lastSyncAt).toISOString() : null
+    };
+  }
+}
+
+module.exports = new AgentSearchService();
@@ -1,14 +1,19 @@
 // services/agent-service.js
 const { ethers } = require('ethers');
 const hederaClient = require('./hedera-client');
+const PersistentMap = require('../repositories/persistent-map');
+const keystoreService = require('./keystore-service');
+const httpError = require('../utils/http-error');
 
 class AgentService {
-  // In-memory store for agentId -> agent data (in production, use database)
-  static agentIdMapping = new Map();
-  // In-memory store for ERC-8004 agent IDs: agentAddress -> erc8004AgentId
-  static erc8004AgentIdMapping = new Map();
-  // In-memory store for agent wallet private keys (demo only - use secure storage in production)
-  static agentWalletKeys = new Map(); // agentId -> { privateKey, address }
+  // Persistent store for agentId -> agent data (see repositories/store.js for adapters)
+  static agentIdMapping = new PersistentMap('agentIdMapping');
+  // Persistent store for ERC-8004 agent IDs: agentAddress -> erc8004AgentId
+  static erc8004AgentIdMapping = new PersistentMap('erc8004AgentIdMapping');
+  // Persistent index of agents with their own wallet; keys themselves are encrypted in keystore-service
+  static agentWalletKeys = new PersistentMap('agentWalletKeys'); // agentId -> { address }
+  // Persistent store for user wallet -> agent connections (see routes/agent-connection.js)
+  static userAgentConnections = new PersistentMap('userAgentConnections'); // userWallet (lowercase) -> { agentId, userWallet, connectedAt, verified }
 
   constructor() {
     this.provider = null;
@@ -68,11 +73,13 @@ class AgentService {
   }
 
   async searchAgents(capability) {
-    // Search in agentIdMapping and ERC-8004 agents
+    // Search in agentIdMapping and ERC-8004 agents; aliases match their canonical capability
+    const capabilityRegistry = require('./capability-registry-service');
+    const [wanted] = capabilityRegistry.normalize([capability]).capabilities;
     const matchingAgents = [];
     const allAgents = await this.getAllAgentsWithIds();
     for (const agent of allAgents) {
-      if (agent.capabilities && agent.capabilities.includes(capability)) {
+      if (agent.capabilities && capabilityRegistry.normalize(agent.capabilities).capabilities.includes(wanted)) {
         matchingAgents.push(agent.address);
       }
     }
@@ -160,23 +167,14 @@ class AgentService {
         }
         agentWallet = new ethers.Wallet(agentPrivateKey, this.provider);
         registeredAddress = agentWallet.address;
-        
-        // Store agent wallet key (demo only - use secure storage in production)
-        AgentService.agentWalletKeys.set(agentId, {
-          privateKey: agentWallet.privateKey,
-          address: registeredAddress
-        });
       } else {
         // Generate new wallet for permissionless agent
         agentWallet = ethers.Wallet.createRandom();
         registeredAddress = agentWallet.address;
-        
-        // Store agent wallet key (demo only - use secure storage in production)
-        AgentService.agentWalletKeys.set(agentId, {
-          privateKey: agentWallet.privateKey,
-          address: registeredAddress
-        });
       }
+
+      // Key is encrypted into the keystore; agentWalletKeys only indexes the public address
+      await AgentService.storeWalletKey(agentId, agentWallet);
     } else {
       // Permissioned mode: use backend wallet for registration (agent doesn't have its own wallet)
       registeredAddress = this.wallet.address;
@@ -271,6 +269,11 @@ class AgentService {
       timestamp: new Date().toISOString()
     }));
 
+    // Add the agent to the semantic search index (in the background: the first embedding may load a model)
+    const agentSearchService = require('./agent-search-service');
+    agentSearchService.indexAgent({ ...AgentService.agentIdMapping.get(agentId), address: registeredAddress })
+      .catch(e => console.warn(`⚠️  Failed to index ${agentId} for semantic search:`, e.message));
+
     return {
       success: true,
       txHash: erc8004AgentId ? 'erc8004-registered' : 'pending',
@@ -284,33 +287,57 @@ class AgentService {
     };
   }
   
+  /**
+   * Encrypt an agent wallet into the keystore and index its address in agentWalletKeys
+   * @param {string} agentId - Agent ID
+   * @param {ethers.Wallet} wallet - Wallet holding the private key
+   * @param {string} [source] - Where the key came from (for logging)
+   */
+  static async storeWalletKey(agentId, wallet, source = null) {
+    const storedAddress = keystoreService.getAddress(agentId);
+    if (storedAddress?.toLowerCase() !== wallet.address.toLowerCase()) {
+      await keystoreService.storeKey(agentId, wallet.privateKey);
+      if (source) {
+        console.log(`🔐 Imported ${agentId} wallet from ${source} into the encrypted keystore (the raw key can now be removed)`);
+      }
+    }
+    AgentService.agentWalletKeys.set(agentId, { address: wallet.address });
+  }
+
+  /**
+   * Move any plaintext keys left in agentWalletKeys (stores written before the keystore existed) into the keystore
+   */
+  static async migratePlaintextWalletKeys() {
+    for (const [agentId, walletInfo] of Array.from(AgentService.agentWalletKeys.entries())) {
+      if (!walletInfo.privateKey) continue;
+      try {
+        await AgentService.storeWalletKey(agentId, new ethers.Wallet(walletInfo.privateKey), 'agent store');
+      } catch (e) {
+        console.warn(`⚠️  Failed to migrate ${agentId} wallet into keystore:`, e.message);
+      }
+    }
+  }
+
   /**
    * Load Alice and Bob wallet keys from .env files on startup
-   * This ensures their wallets are available even after server restart
+   * Keys are imported into the encrypted keystore once; later restarts use the keystore copy
    */
   static async loadAliceBobWalletsFromEnv() {
-    const { ethers } = require('ethers');
     const fs = require('fs');
     const path = require('path');
     
     try {
-      // Ensure provider is available
-      const agentService = new AgentService();
-      agentService.ensureWallet();
-      const provider = agentService.provider;
-      
+      await AgentService.migratePlaintextWalletKeys();
+
       // Load Alice wallet if ALICE_PRIVATE_KEY is in env
       if (process.env.ALICE_PRIVATE_KEY) {
         try {
           const aliceKey = process.env.ALICE_PRIVATE_KEY.startsWith('0x') 
             ? process.env.ALICE_PRIVATE_KEY 
             : '0x' + process.env.ALICE_PRIVATE_KEY;
-          const aliceWallet = new ethers.Wallet(aliceKey, provider);
-          AgentService.agentWalletKeys.set('alice', {
-            privateKey: aliceWallet.privateKey,
-            address: aliceWallet.address
-          });
-          console.log(`✅ Loaded Alice wallet from env: ${aliceWallet.address}`);
+          const aliceWallet = new ethers.Wallet(aliceKey);
+          await AgentService.storeWalletKey('alice', aliceWallet, 'ALICE_PRIVATE_KEY');
+          console.log(`✅ Loaded Alice wallet: ${aliceWallet.address}`);
         } catch (e) {
           console.warn('⚠️  Failed to load Alice wallet from env:', e.message);
         }
@@ -322,12 +349,9 @@ class AgentService {
           const bobKey = process.env.BOB_PRIVATE_KEY.startsWith('0x')
             ? process.env.BOB_PRIVATE_KEY
             : '0x' + process.env.BOB_PRIVATE_KEY;
-          const bobWallet = new ethers.Wallet(bobKey, provider);
-          AgentService.agentWalletKeys.set('bob', {
-            privateKey: bobWallet.privateKey,
-            address: bobWallet.address
-          });
-          console.log(`✅ Loaded Bob wallet from env: ${bobWallet.address}`);
+          const bobWallet = new ethers.Wallet(bobKey);
+          await AgentService.storeWalletKey('bob', bobWallet, 'BOB_PRIVATE_KEY');
+          console.log(`✅ Loaded Bob wallet: ${bobWallet.address}`);
         } catch (e) {
           console.warn('⚠️  Failed to load Bob wallet from env:', e.message);
         }
@@ -338,17 +362,14 @@ class AgentService {
       
       // Try .env.alice
       const aliceEnvPath = path.join(rootDir, '.env.alice');
-      if (fs.existsSync(aliceEnvPath)) {
+      if (fs.existsSync(aliceEnvPath) && !keystoreService.hasKey('alice')) {
         try {
           const envContent = fs.readFileSync(aliceEnvPath, 'utf8');
           const evmKeyMatch = envContent.match(/EVM_PRIVATE_KEY=(0x[0-9a-fA-F]+)/i);
-          if (evmKeyMatch && !AgentService.agentWalletKeys.has('alice')) {
-            const aliceWallet = new ethers.Wallet(evmKeyMatch[1], provider);
-            AgentService.agentWalletKeys.set('alice', {
-              privateKey: aliceWallet.privateKey,
-              address: aliceWallet.address
-            });
-            console.log(`✅ Loaded Alice wallet from .env.alice: ${aliceWallet.address}`);
+          if (evmKeyMatch) {
+            const aliceWallet = new ethers.Wallet(evmKeyMatch[1]);
+            await AgentService.storeWalletKey('alice', aliceWallet, '.env.alice');
+            console.log(`✅ Loaded Alice wallet: ${aliceWallet.address}`);
           }
         } catch (e) {
           console.warn('⚠️  Failed to load Alice wallet from .env.alice:', e.message);
@@ -357,17 +378,14 @@ class AgentService {
       
       // Try .env.bob
       const bobEnvPath = path.join(rootDir, '.env.bob');
-      if (fs.existsSync(bobEnvPath)) {
+      if (fs.existsSync(bobEnvPath) && !keystoreService.hasKey('bob')) {
         try {
           const envContent = fs.readFileSync(bobEnvPath, 'utf8');
           const evmKeyMatch = envContent.match(/EVM_PRIVATE_KEY=(0x[0-9a-fA-F]+)/i);
-          if (evmKeyMatch && !AgentService.agentWalletKeys.has('bob')) {
-            const bobWallet = new ethers.Wallet(evmKeyMatch[1], provider);
-            AgentService.agentWalletKeys.set('bob', {
-              privateKey: bobWallet.privateKey,
-              address: bobWallet.address
-            });
-            console.log(`✅ Loaded Bob wallet from .env.bob: ${bobWallet.address}`);
+          if (evmKeyMatch) {
+            const bobWallet = new ethers.Wallet(evmKeyMatch[1]);
+            await AgentService.storeWalletKey('bob', bobWallet, '.env.bob');
+            console.log(`✅ Loaded Bob wallet: ${bobWallet.address}`);
           }
         } catch (e) {
           console.warn('⚠️  Failed to load Bob wallet from .env.bob:', e.message);
@@ -381,9 +399,30 @@ class AgentService {
   }
 
   /**
-   * Get agent wallet private key (for permissionless payments)
+   * Check whether an address controls an agent's wallet
+   * Either the agent's own wallet, or a user wallet whose signed connection was approved
+   * by an admin, the agent's wallet or another controller
+   * @param {string} agentId - Agent ID
+   * @param {string} address - EVM address
+   * @returns {boolean}
+   */
+  static isAgentController(agentId, address) {
+    if (!agentId || !address) return false;
+    const needle = address.toLowerCase();
+
+    const walletInfo = AgentService.agentWalletKeys.get(agentId);
+    if (walletInfo?.address?.toLowerCase() === needle) return true;
+
+    const connection = AgentService.userAgentConnections.get(needle);
+    // Connections stored before approvals existed have verified set but no approvedBy
+    return Boolean(connection && connection.verified && connection.approvedBy && connection.agentId === agentId);
+  }
+
+  /**
+   * Get agent wallet info (for permissionless payments)
+   * Private keys live in the keystore - use keystoreService.getSigner() to sign
    * @param {string} agentId - Agent ID or address
-   * @returns {Object|null} Wallet info { privateKey, address } or null
+   * @returns {Object|null} Wallet info { address } or null
    */
   static getAgentWallet(agentId) {
     // First try by agentId (e.g., "bob", "alice")
@@ -820,12 +859,32 @@ class AgentService {
     return AgentService.erc8004AgentIdMapping.get(agentAddress.toLowerCase()) || null;
   }
 
-  async updateCapabilities(newCapabilities) {
-    // Update capabilities in agentIdMapping (ERC-8004 doesn't have a direct update method)
-    // In production, this would update ERC-8004 metadata or create a new registration
-    this.ensureWallet();
-    // For now, just return success - capabilities should be updated via re-registration with new metadata
-    return { success: true, message: 'Capabilities should be updated via ERC-8004 metadata update' };
+  /**
+   * Replace an agent's capabilities in agentIdMapping (ERC-8004 metadata keeps the registration-time list)
+   * @param {string} agentId - Agent ID
+   * @param {string[]} capabilities - Canonical capability ids (see capability-registry-service)
+   * @returns {Promise<Object>} { success, agentId, capabilities }
+   */
+  async updateCapabilities(agentId, capabilities) {
+    const mapping = AgentService.agentIdMapping.get(agentId);
+    if (!mapping) throw httpError(404, `Agent not found: ${agentId}`);
+    const previous = mapping.capabilities || [];
+    AgentService.agentIdMapping.set(agentId, { ...mapping, capabilities });
+
+    const agentTopicId = await hederaClient.ensureTopic('AGENT_TOPIC_ID', 'Agent', 'Agent registration events');
+    await hederaClient.submitMessage(agentTopicId, JSON.stringify({
+      event: 'CapabilitiesUpdated',
+      agentId,
+      previous,
+      capabilities,
+      timestamp: new Date().toISOString()
+    }));
+
+    const agentSearchService = require('./agent-search-service');
+    agentSearchService.indexAgent({ ...AgentService.agentIdMapping.get(agentId), address: mapping.registeredAddress })
+      .catch(e => console.warn(`⚠️  Failed to re-index ${agentId} for semantic search:`, e.message));
+
+    return { success: true, agentId, capabilities };
   }
 
   async getAgentReputation(agentAddress) {
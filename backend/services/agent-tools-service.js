@@ -0,0 +1,288 @@
+// services/agent-tools-service.js
+// Tool-calling chat agent over Heracles' own services (llm/platform-tools.js). Read-only tools run
+// immediately; value-moving tools pause the plan with a pending confirmation that the user approves or
+// rejects before anything is signed. Every plan, tool call and decision is logged to HCS.
+const crypto = require('crypto');
+const llmRegistry = require('../llm/registry');
+const { PLATFORM_TOOLS, getTool } = require('../llm/platform-tools');
+const PersistentMap = require('../repositories/persistent-map');
+const hederaClient = require('./hedera-client');
+const signingSessionService = require('./signing-session-service');
+const httpError = require('../utils/http-error');
+
+const MAX_STEPS = 6;
+const MAX_RESULT_CHARS = 4000;
+const DEFAULT_CONFIRMATION_TTL_MS = 15 * 60 * 1000; // 15 minutes
+
+const SYSTEM_PROMPT = `You are the Heracles marketplace agent. Use the tools to act on the user's request.
+Tools that move funds (create_escrow, release_escrow) are not executed right away: the user must confirm them.
+When a tool returns status "awaiting_confirmation", tell the user exactly what will happen and stop.
+Only use agent addresses and ids returned by tools or given by the user.`;
+
+function jsonReplacer(_key, value) {
+  return typeof value === 'bigint' ? value.toString() : value;
+}
+
+// JSON-safe copy of a tool result (BigInt, class instances) for the run record
+function toRecord(result) {
+  return JSON.parse(JSON.stringify(result, jsonReplacer) ?? 'null');
+}
+
+// Tool result as text for the model, truncated
+function toResultText(result) {
+  const text = JSON.stringify(result, jsonReplacer) ?? 'null';
+  return text.length > MAX_RESULT_CHARS ? `${text.slice(0, MAX_RESULT_CHARS)}…` : text;
+}
+
+class AgentToolsService {
+  constructor() {
+    // runId -> { id, owner, input, status, steps, confirmations, output, createdAt, updatedAt }
+    this.runs = new PersistentMap('agentRuns');
+  }
+
+  getConfirmationTtl() {
+    const ttl = Number(process.env.AGENT_CONFIRMATION_TTL_MS);
+    return Number.isFinite(ttl) && ttl > 0 ? ttl : DEFAULT_CONFIRMATION_TTL_MS;
+  }
+
+  /**
+   * Start an auditable run
+   * @param {string} input - User request
+   * @param {string|null} owner - Authenticated address (only they may confirm its actions)
+   * @returns {Promise<Object>} Run
+   */
+  async startRun(input, owner = null) {
+    const now = new Date().toISOString();
+    const run = {
+      id: crypto.randomUUID(),
+      owner: owner ? owner.toLowerCase() : null,
+      input,
+      status: 'running',
+      steps: [],
+      confirmations: [],
+      output: null,
+      createdAt: now,
+      updatedAt: now
+    };
+    this.save(run);
+    await this.audit(run, 'AgentPlanStarted', { input });
+    return run;
+  }
+
+  save(run) {
+    run.updatedAt = new Date().toISOString();
+    this.runs.set(run.id, run);
+  }
+
+  /**
+   * Get a run the caller may see
+   * @param {string} id - Run id
+   * @param {string|null} owner - Authenticated address of the caller
+   */
+  get(id, owner = null) {
+    const run = this.runs.get(id);
+    if (!run) throw httpError(404, `Agent run ${id} not found`);
+    if (run.owner && run.owner !== (owner || '').toLowerCase()) {
+      throw httpError(403, 'Agent run belongs to another wallet');
+    }
+    return run;
+  }
+
+  /**
+   * LangChain tools bound to a run: read-only tools execute, value-moving tools queue a confirmation
+   * (so the gate holds whichever executor calls them, e.g. HederaAgentKitService.executeAction)
+   * @param {Object} run - Run from startRun
+   * @returns {Array} LangChain StructuredTools
+   */
+  createTools(run) {
+    const { tool } = require('@langchain/core/tools');
+    return PLATFORM_TOOLS.map(definition => tool(
+      async args => toResultText(await this.handleToolCall(run, definition, args || {})),
+      { name: definition.name, description: definition.description, schema: definition.parameters }
+    ));
+  }
+
+  async handleToolCall(run, definition, args) {
+    if (definition.valueMoving) {
+      const confirmation = {
+        id: crypto.randomUUID(),
+        tool: definition.name,
+        args,
+        summary: definition.describe(args),
+        status: 'pending',
+        createdAt: new Date().toISOString(),
+        expiresAt: new Date(Date.now() + this.getConfirmationTtl()).toISOString()
+      };
+      run.confirmations.push(confirmation);
+      run.steps.push({ type: 'confirmation_requested', tool: definition.name, args, confirmationId: confirmation.id, at: confirmation.createdAt });
+      this.save(run);
+      await this.audit(run, 'ToolConfirmationRequested', { confirmationId: confirmation.id, tool: definition.name, args });
+      return { status: 'awaiting_confirmation', confirmationId: confirmation.id, summary: confirmation.summary };
+    }
+
+    const step = { type: 'tool_call', tool: definition.name, args, at: new Date().toISOString() };
+    try {
+      const result = await definition.execute(args, {});
+      step.result = toRecord(result);
+      return result;
+    } catch (error) {
+      step.error = error.message;
+      return { error: error.message };
+    } finally {
+      run.steps.push(step);
+      this.save(run);
+      await this.audit(run, 'ToolCalled', { tool: definition.name, args, ...(step.error && { error: step.error }) });
+    }
+  }
+
+  /**
+   * Plan and act on a request with the 'tool-agent' LLM route
+   * @param {string} input - User request
+   * @param {string|null} owner - Authenticated address
+   * @returns {Promise<Object>} Run (status 'awaiting_confirmation' when value-moving calls are pending)
+   */
+  async run(input, owner = null) {
+    const { provider, providerName, model } = llmRegistry.resolve('tool-agent');
+    const llm = provider.isConfigured() ? provider.getChatModel({ model, temperature: 0 }) : null;
+    if (!llm || typeof llm.bindTools !== 'function') {
+      throw httpError(503, `LLM provider "${providerName}" does not support tool calling; point the 'tool-agent' route at groq`);
+    }
+
+    const { SystemMessage, HumanMessage, ToolMessage } = require('@langchain/core/messages');
+    const run = await this.startRun(input, owner);
+    const tools = this.createTools(run);
+    const toolsByName = new Map(tools.map(t => [t.name, t]));
+    const modelWithTools = llm.bindTools(tools);
+    const messages = [new SystemMessage(SYSTEM_PROMPT), new HumanMessage(input)];
+
+    try {
+      for (let step = 0; step < MAX_STEPS; step++) {
+        const response = await modelWithTools.invoke(messages);
+        messages.push(response);
+
+        const calls = response.tool_calls || [];
+        if (calls.length === 0) {
+          run.output = typeof response.content === 'string' ? response.content : JSON.stringify(response.content);
+          break;
+        }
+        for (const call of calls) {
+          const selected = toolsByName.get(call.name);
+          const content = selected
+            ? await selected.invoke(call.args)
+            : JSON.stringify({ error: `Unknown tool ${call.name}` });
+          messages.push(new ToolMessage({ content: String(content), tool_call_id: call.id }));
+        }
+      }
+      await this.finishRun(run);
+    } catch (error) {
+      run.status = 'failed';
+      run.output = error.message;
+      this.save(run);
+      await this.audit(run, 'AgentPlanFailed', { error: error.message });
+      throw error;
+    }
+    return run;
+  }
+
+  /**
+   * Settle a run's status once the model is done
+   * @param {Object} run - Run
+   * @param {string} [output] - Final answer, when produced elsewhere
+   */
+  async finishRun(run, output) {
+    if (output !== undefined) run.output = output;
+    const pending = run.confirmations.filter(c => c.status === 'pending');
+    run.status = pending.length > 0 ? 'awaiting_confirmation' : 'completed';
+    this.save(run);
+    await this.audit(run, 'AgentPlanCompleted', {
+      status: run.status,
+      pendingConfirmations: pending.map(c => c.id),
+      output: run.output
+    });
+  }
+
+  /**
+   * Approve or reject a pending value-moving call
+   * @param {string} runId - Run id
+   * @param {string} confirmationId - Confirmation id
+   * @param {Object} decision - { approve, owner, signingToken }
+   *   signingToken: X-Signing-Session token; the agent wallet it unlocks signs (else the backend wallet)
+   * @returns {Promise<Object>} Updated confirmation
+   */
+  async confirm(runId, confirmationId, { approve, owner = null, signingToken = null }) {
+    const run = this.get(runId, owner);
+    const confirmation = run.confirmations.find(c => c.id === confirmationId);
+    if (!confirmation) throw httpError(404, `Confirmation ${confirmationId} not found`);
+    if (confirmation.status !== 'pending') {
+      throw httpError(409, `Confirmation ${confirmationId} is already ${confirmation.status}`);
+    }
+    if (Date.parse(confirmation.expiresAt) <= Date.now()) {
+      confirmation.status = 'expired';
+      this.settle(run);
+      throw httpError(410, `Confirmation ${confirmationId} expired`);
+    }
+
+    const definition = getTool(confirmation.tool);
+    confirmation.decidedAt = new Date().toISOString();
+    if (!approve) {
+      confirmation.status = 'rejected';
+      await this.audit(run, 'ToolRejected', { confirmationId, tool: confirmation.tool });
+      this.settle(run);
+      return confirmation;
+    }
+
+    let context = {};
+    if (signingToken) {
+      const { session, signer } = await signingSessionService.getSigner(signingToken, definition.scope);
+      context = { signer, agentAddress: session.agentAddress };
+    }
+    await this.audit(run, 'ToolConfirmed', { confirmationId, tool: confirmation.tool, signer: context.agentAddress || 'backend' });
+
+    try {
+      const result = await definition.execute(confirmation.args, context);
+      confirmation.status = 'executed';
+      confirmation.result = toRecord(result);
+      await this.audit(run, 'ToolExecuted', {
+        confirmationId,
+        tool: confirmation.tool,
+        args: confirmation.args,
+        txHash: result?.txHash || result?.transactionHash || null,
+        escrowId: result?.escrowId || confirmation.args.escrowId || null
+      });
+    } catch (error) {
+      confirmation.status = 'failed';
+      confirmation.error = error.message;
+      await this.audit(run, 'ToolFailed', { confirmationId, tool: confirmation.tool, error: error.message });
+    }
+    this.settle(run);
+    return confirmation;
+  }
+
+  // Mark the run completed once no confirmations are pending
+  settle(run) {
+    if (run.status === 'awaiting_confirmation' && !run.confirmations.some(c => c.status === 'pending')) {
+      run.status = 'completed';
+    }
+    this.save(run);
+  }
+
+  /**
+   * Log a run event to the HCS agent audit topic (best effort; the run record keeps the steps regardless)
+   */
+  async audit(run, event, details = {}) {
+    try {
+      const topicId = await hederaClient.ensureTopic('AGENT_AUDIT_TOPIC_ID', 'Agent audit', 'Chat agent plans, tool calls and confirmations');
+      await hederaClient.submitMessage(topicId, JSON.stringify({
+        event,
+        runId: run.id,
+        owner: run.owner,
+        ...details,
+        timestamp: new Date().toISOString()
+      }, jsonReplacer));
+    } catch (error) {
+      console.warn(`⚠️  Failed to log ${event} for agent run ${run.id} to HCS:`, error.message);
+    }
+  }
+}
+
+module.exports = new AgentToolsService();
@@ -0,0 +1,196 @@
+// services/auth-service.js
+// Sign-In-With-Ethereum style login: the wallet signs JSON.stringify(message) (same format as
+// /api/auth/verify-signature) and receives an HS256 JWT carrying its roles.
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const httpError = require('../utils/http-error');
+
+const ROLES = ['admin', 'agent-owner', 'validator'];
+const CHALLENGE_TTL_MS = 5 * 60 * 1000; // 5 minutes to sign the challenge
+const DEFAULT_TOKEN_TTL_SECONDS = 60 * 60; // 1 hour
+const CHAIN_IDS = { mainnet: 295, testnet: 296, previewnet: 297 };
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64url');
+}
+
+function parseAddressList(value) {
+  return (value || '')
+    .split(',')
+    .map(a => a.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+class AuthService {
+  constructor() {
+    // Pending login challenges: nonce -> { address, expiresAt }
+    this.challenges = new Map();
+    this.ephemeralSecret = null;
+  }
+
+  getSecret() {
+    if (process.env.JWT_SECRET) return process.env.JWT_SECRET;
+    if (!this.ephemeralSecret) {
+      this.ephemeralSecret = crypto.randomBytes(32).toString('hex');
+      console.warn('⚠️  JWT_SECRET not set - using a per-process secret (tokens are invalidated on restart)');
+    }
+    return this.ephemeralSecret;
+  }
+
+  getTokenTtl() {
+    const ttl = Number(process.env.JWT_EXPIRES_IN);
+    return Number.isFinite(ttl) && ttl > 0 ? ttl : DEFAULT_TOKEN_TTL_SECONDS;
+  }
+
+  /**
+   * Sign a JWT (HS256)
+   * @param {Object} payload - Claims
+   * @returns {string} Token
+   */
+  signToken(payload) {
+    const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const body = base64url(JSON.stringify(payload));
+    const signature = crypto.createHmac('sha256', this.getSecret()).update(`${header}.${body}`).digest('base64url');
+    return `${header}.${body}.${signature}`;
+  }
+
+  /**
+   * Verify a JWT and return its claims
+   * @param {string} token - JWT
+   * @returns {Object} Claims
+   */
+  verifyToken(token) {
+    const parts = (token || '').split('.');
+    if (parts.length !== 3) {
+      throw httpError(401, 'Malformed token');
+    }
+    const [header, body, signature] = parts;
+
+    const expected = crypto.createHmac('sha256', this.getSecret()).update(`${header}.${body}`).digest();
+    const actual = Buffer.from(signature, 'base64url');
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+      throw httpError(401, 'Invalid token signature');
+    }
+
+    let claims;
+    try {
+      const decodedHeader = JSON.parse(Buffer.from(header, 'base64url').toString('utf8'));
+      if (decodedHeader.alg !== 'HS256') throw new Error('unsupported alg');
+      claims = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    } catch (_e) {
+      throw httpError(401, 'Malformed token');
+    }
+    if (!claims.exp || claims.exp * 1000 <= Date.now()) {
+      throw httpError(401, 'Token expired');
+    }
+    return claims;
+  }
+
+  /**
+   * Roles granted to an address
+   * admin: ADMIN_ADDRESSES or the backend wallet; validator: VALIDATOR_ADDRESSES;
+   * agent-owner: controls at least one agent wallet (see AgentService.isAgentController)
+   * @param {string} address - EVM address
+   * @returns {Array} Roles
+   */
+  getRoles(address) {
+    const needle = address.toLowerCase();
+    const roles = [];
+
+    const admins = parseAddressList(process.env.ADMIN_ADDRESSES);
+    if (process.env.EVM_PRIVATE_KEY) {
+      try {
+        admins.push(new ethers.Wallet(process.env.EVM_PRIVATE_KEY).address.toLowerCase());
+      } catch (_e) {}
+    }
+    if (admins.includes(needle)) roles.push('admin');
+
+    const AgentService = require('./agent-service').constructor;
+    const agentIds = new Set([
+      ...AgentService.agentIdMapping.keys(),
+      ...AgentService.agentWalletKeys.keys()
+    ]);
+    for (const agentId of agentIds) {
+      if (AgentService.isAgentController(agentId, address)) {
+        roles.push('agent-owner');
+        break;
+      }
+    }
+
+    if (parseAddressList(process.env.VALIDATOR_ADDRESSES).includes(needle)) roles.push('validator');
+
+    return roles;
+  }
+
+  /**
+   * Build a SIWE-style login message
+   * @param {string} address - Wallet address that will sign
+   * @param {Object} [origin] - { domain, uri } of the requesting app
+   * @returns {Object} Message object (sign JSON.stringify(message))
+   */
+  createChallenge(address, origin = {}) {
+    if (!ethers.isAddress(address)) {
+      throw httpError(400, 'A valid EVM address is required');
+    }
+    const now = Date.now();
+    for (const [nonce, challenge] of this.challenges.entries()) {
+      if (challenge.expiresAt <= now) this.challenges.delete(nonce);
+    }
+
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const expiresAt = now + CHALLENGE_TTL_MS;
+    this.challenges.set(nonce, { address: address.toLowerCase(), expiresAt });
+
+    return {
+      domain: origin.domain || 'heracles',
+      address: ethers.getAddress(address),
+      statement: 'Sign in to Heracles',
+      uri: origin.uri || process.env.FRONTEND_URL || 'http://localhost:3000',
+      version: '1',
+      chainId: CHAIN_IDS[process.env.HEDERA_NETWORK] || CHAIN_IDS.testnet,
+      nonce,
+      issuedAt: new Date(now).toISOString(),
+      expirationTime: new Date(expiresAt).toISOString()
+    };
+  }
+
+  /**
+   * Verify a signed login message and issue a JWT
+   * @param {Object} message - Message returned by createChallenge
+   * @param {string} signature - Signature over JSON.stringify(message)
+   * @returns {Object} { token, address, roles, expiresAt }
+   */
+  login(message, signature) {
+    if (!message || !signature) {
+      throw httpError(400, 'message and signature required');
+    }
+    const challenge = this.challenges.get(message.nonce);
+    if (!challenge || challenge.expiresAt <= Date.now()) {
+      throw httpError(401, 'Unknown or expired login nonce');
+    }
+
+    let recovered;
+    try {
+      recovered = ethers.verifyMessage(JSON.stringify(message), signature);
+    } catch (e) {
+      throw httpError(401, `Invalid signature: ${e.message}`);
+    }
+    if (recovered.toLowerCase() !== challenge.address) {
+      throw httpError(401, 'Signature does not match the login challenge');
+    }
+    this.challenges.delete(message.nonce);
+
+    const roles = this.getRoles(recovered);
+    const iat = Math.floor(Date.now() / 1000);
+    const exp = iat + this.getTokenTtl();
+    const token = this.signToken({ sub: recovered, roles, iat, exp });
+    console.log(`🔐 ${recovered} signed in (${roles.join(', ') || 'no roles'})`);
+
+    return { token, address: recovered, roles, expiresAt: new Date(exp * 1000).toISOString() };
+  }
+}
+
+const authService = new AuthService();
+authService.ROLES = ROLES;
+
+module.exports = authService;
@@ -0,0 +1,204 @@
+// services/capability-registry-service.js
+// Capability registry: the built-in taxonomy plus entries admins add or override (stored in the
+// `capabilityTaxonomy` collection). Resolves free-form names and aliases to canonical capability ids.
+const PersistentMap = require('../repositories/persistent-map');
+const { CATEGORIES, CAPABILITIES, DEFAULT_PRICING, DEFAULT_SLA } = require('./capability-taxonomy');
+const httpError = require('../utils/http-error');
+
+const ID_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+const MAX_SUGGESTIONS = 3;
+
+/**
+ * Canonical form of a capability name: lowercase, words joined by dashes
+ * @param {string} value - e.g. "Smart Contract Audit", "smart_contract_audit"
+ * @returns {string} e.g. "smart-contract-audit"
+ */
+function slugify(value) {
+  return String(value).trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+class CapabilityRegistryService {
+  constructor() {
+    // id -> capability entry (admin additions and overrides of built-in entries)
+    this.custom = new PersistentMap('capabilityTaxonomy');
+    this.rebuild();
+  }
+
+  isStrict() {
+    return process.env.CAPABILITY_TAXONOMY_STRICT !== 'false';
+  }
+
+  // Merge built-in and custom entries and index every id and alias
+  rebuild() {
+    this.entries = new Map(CAPABILITIES.map(entry => [entry.id, entry]));
+    for (const [id, entry] of this.custom.entries()) {
+      this.entries.set(id, entry);
+    }
+    this.lookup = new Map();
+    for (const entry of this.entries.values()) {
+      for (const alias of entry.aliases || []) this.lookup.set(slugify(alias), entry.id);
+    }
+    // Ids win over aliases
+    for (const id of this.entries.keys()) this.lookup.set(id, id);
+  }
+
+  getCategories() {
+    return Object.entries(CATEGORIES).map(([id, description]) => ({ id, description }));
+  }
+
+  /**
+   * @param {Object} [filter] - { category }
+   * @returns {Object[]} Capability entries sorted by category, then id
+   */
+  list({ category } = {}) {
+    return Array.from(this.entries.values())
+      .filter(entry => !category || entry.category === category)
+      .sort((a, b) => a.category.localeCompare(b.category) || a.id.localeCompare(b.id));
+  }
+
+  /**
+   * Canonical id for a capability name or alias
+   * @param {string} value - Capability as entered
+   * @returns {string|null} Canonical id, or null if it isn't in the taxonomy
+   */
+  resolve(value) {
+    if (typeof value !== 'string') return null;
+    return this.lookup.get(slugify(value)) || null;
+  }
+
+  /**
+   * @param {string} value - Capability id or alias
+   * @returns {Object|null} Entry
+   */
+  get(value) {
+    const id = this.resolve(value);
+    return id ? this.entries.get(id) : null;
+  }
+
+  /**
+   * Ids that share a word with an unknown capability (for error messages)
+   */
+  suggest(value) {
+    const words = slugify(value).split('-').filter(word => word.length > 2);
+    if (words.length === 0) return [];
+    const matches = new Set();
+    for (const [name, id] of this.lookup.entries()) {
+      if (words.some(word => name.includes(word))) matches.add(id);
+      if (matches.size >= MAX_SUGGESTIONS) break;
+    }
+    return Array.from(matches);
+  }
+
+  /**
+   * Map capabilities to canonical ids, dropping duplicates
+   * @param {string[]} capabilities - Capabilities as entered
+   * @returns {Object} { capabilities: canonical ids (unknown ones slugified, in order), unknown: entries not in the taxonomy }
+   */
+  normalize(capabilities) {
+    const normalized = [];
+    const unknown = [];
+    for (const value of capabilities || []) {
+      const id = this.resolve(value);
+      if (!id) unknown.push(value);
+      const canonical = id || slugify(value);
+      if (canonical && !normalized.includes(canonical)) normalized.push(canonical);
+    }
+    return { capabilities: normalized, unknown };
+  }
+
+  /**
+   * Normalize capabilities for storage; with CAPABILITY_TAXONOMY_STRICT (default) unknown ones are rejected
+   * @param {string[]} capabilities - Capabilities as entered
+   * @returns {string[]} Canonical ids
+   * @throws 400 CAPABILITY_UNKNOWN with { unknown, suggestions } in details
+   */
+  validate(capabilities) {
+    if (!Array.isArray(capabilities) || capabilities.length === 0 || capabilities.some(c => typeof c !== 'string')) {
+      throw httpError(400, 'Capabilities must be a non-empty array of strings');
+    }
+    const { capabilities: normalized, unknown } = this.normalize(capabilities);
+    if (unknown.length > 0) {
+      if (!this.isStrict()) {
+        console.warn(`⚠️  Capabilities not in the taxonomy: ${unknown.join(', ')}`);
+        return normalized;
+      }
+      const err = httpError(400, `Unknown capabilities: ${unknown.join(', ')}. See GET /api/capabilities`);
+      err.code = 'CAPABILITY_UNKNOWN';
+      err.details = { unknown, suggestions: Object.fromEntries(unknown.map(value => [value, this.suggest(value)])) };
+      throw err;
+    }
+    return normalized;
+  }
+
+  /**
+   * Default pricing for a capability (the platform default when it isn't in the taxonomy)
+   * @param {string} capability - Capability id or alias
+   * @returns {Object} { basePrice, currency, unit }
+   */
+  getPricing(capability) {
+    return this.get(capability)?.pricing || DEFAULT_PRICING;
+  }
+
+  /**
+   * Add a capability or override a built-in one
+   * @param {Object} entry - { id, category, name, description?, aliases?, inputSchema?, outputSchema?, pricing?, sla? }
+   * @returns {Object} Stored entry
+   */
+  upsert(entry) {
+    const { id, category, name } = entry || {};
+    if (!id || !ID_PATTERN.test(id)) {
+      throw httpError(400, 'id must be lowercase words separated by dashes (e.g. "smart-contract-audit")');
+    }
+    if (!CATEGORIES[category]) {
+      throw httpError(400, `category must be one of: ${Object.keys(CATEGORIES).join(', ')}`);
+    }
+    if (!name || typeof name !== 'string') throw httpError(400, 'name is required');
+
+    const aliases = (entry.aliases || []).map(slugify).filter(alias => alias && alias !== id);
+    for (const value of [id, ...aliases]) {
+      const owner = this.lookup.get(value);
+      if (owner && owner !== id) throw httpError(409, `"${value}" already belongs to capability ${owner}`);
+    }
+    for (const field of ['inputSchema', 'outputSchema']) {
+      if (entry[field] !== undefined && (typeof entry[field] !== 'object' || entry[field] === null || Array.isArray(entry[field]))) {
+        throw httpError(400, `${field} must be a JSON schema object`);
+      }
+    }
+    const pricing = { ...DEFAULT_PRICING, ...entry.pricing };
+    if (!(Number(pricing.basePrice) > 0)) throw httpError(400, 'pricing.basePrice must be greater than 0');
+
+    const existing = this.entries.get(id);
+    const stored = {
+      id,
+      category,
+      name,
+      description: entry.description || existing?.description || '',
+      aliases,
+      inputSchema: entry.inputSchema || existing?.inputSchema || null,
+      outputSchema: entry.outputSchema || existing?.outputSchema || null,
+      pricing: { ...pricing, basePrice: Number(pricing.basePrice) },
+      sla: { ...DEFAULT_SLA, ...entry.sla }
+    };
+    this.custom.set(id, stored);
+    this.rebuild();
+    return stored;
+  }
+
+  /**
+   * Remove an admin-added capability (or an override, restoring the built-in entry)
+   * @param {string} id - Capability id
+   * @returns {Object|null} The entry now in effect, or null if none remains
+   */
+  remove(id) {
+    if (!this.custom.has(id)) {
+      throw httpError(this.entries.has(id) ? 400 : 404, this.entries.has(id)
+        ? `Capability ${id} is built in and can't be removed`
+        : `Capability ${id} not found`);
+    }
+    this.custom.delete(id);
+    this.rebuild();
+    return this.entries.get(id) || null;
+  }
+}
+
+module.exports = new CapabilityRegistryService();
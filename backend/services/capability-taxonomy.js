@@ -0,0 +1,288 @@
+// services/capability-taxonomy.js
+// Built-in capability taxonomy: canonical ids (the names the seed agents already use), categories, aliases,
+// JSON schemas for a service request and its result, default pricing and SLA. Admins can add or override
+// entries at runtime through /api/capabilities (see capability-registry-service.js).
+
+const CATEGORIES = {
+  payments: 'Payments and agent-to-agent commerce',
+  data: 'Data analysis, aggregation and reporting',
+  security: 'Audits and vulnerability detection',
+  development: 'Smart contract development',
+  defi: 'Decentralized finance',
+  tokens: 'Token issuance and distribution',
+  nft: 'NFT trading and collections',
+  governance: 'DAO governance',
+  infrastructure: 'Oracles, bridges and cross-chain transfers',
+  automation: 'Integrations and workflow automation',
+  ai: 'Model training and language tasks'
+};
+
+const DEFAULT_PRICING = { basePrice: 0.001, currency: 'HBAR', unit: 'request' };
+const PREMIUM_PRICING = { basePrice: 0.0015, currency: 'HBAR', unit: 'request' };
+const DEFAULT_SLA = { responseTimeMs: 30000, availability: 0.99 };
+
+// Generic request/result shapes; capabilities with a more specific contract override them
+const TASK_INPUT = {
+  type: 'object',
+  required: ['task'],
+  properties: {
+    task: { type: 'string', description: 'What the agent should do' },
+    parameters: { type: 'object', description: 'Capability-specific options' }
+  }
+};
+const REPORT_OUTPUT = {
+  type: 'object',
+  required: ['summary'],
+  properties: {
+    summary: { type: 'string' },
+    data: { type: 'object' }
+  }
+};
+const TRANSFER_INPUT = {
+  type: 'object',
+  required: ['amount', 'to'],
+  properties: {
+    amount: { type: 'number', description: 'Amount in HBAR or token units' },
+    asset: { type: 'string', description: 'HBAR or an HTS token id' },
+    to: { type: 'string', description: 'Recipient Hedera account or EVM address' },
+    memo: { type: 'string' }
+  }
+};
+const TRANSACTION_OUTPUT = {
+  type: 'object',
+  required: ['transactionId'],
+  properties: {
+    transactionId: { type: 'string' },
+    status: { type: 'string' }
+  }
+};
+const CONTRACT_INPUT = {
+  type: 'object',
+  properties: {
+    contractAddress: { type: 'string', description: 'Deployed contract to inspect' },
+    source: { type: 'string', description: 'Solidity source, when not deployed' }
+  }
+};
+const FINDINGS_OUTPUT = {
+  type: 'object',
+  required: ['findings'],
+  properties: {
+    findings: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          severity: { type: 'string', enum: ['critical', 'high', 'medium', 'low', 'info'] },
+          title: { type: 'string' },
+          description: { type: 'string' }
+        }
+      }
+    },
+    summary: { type: 'string' }
+  }
+};
+const QUOTE_INPUT = {
+  type: 'object',
+  required: ['asset'],
+  properties: {
+    asset: { type: 'string', description: 'Token, pair or collection to price' },
+    quoteCurrency: { type: 'string' }
+  }
+};
+const QUOTE_OUTPUT = {
+  type: 'object',
+  required: ['price'],
+  properties: {
+    price: { type: 'number' },
+    quoteCurrency: { type: 'string' },
+    timestamp: { type: 'string' }
+  }
+};
+
+function capability(id, category, name, description, options = {}) {
+  return {
+    id,
+    category,
+    name,
+    description,
+    aliases: options.aliases || [],
+    inputSchema: options.inputSchema || TASK_INPUT,
+    outputSchema: options.outputSchema || REPORT_OUTPUT,
+    pricing: options.pricing || DEFAULT_PRICING,
+    sla: options.sla || DEFAULT_SLA
+  };
+}
+
+const CAPABILITIES = [
+  // Payments
+  capability('payment', 'payments', 'Payments', 'Receives and sends HBAR or token payments', {
+    aliases: ['payments', 'micropayments', 'payment-processing'],
+    inputSchema: TRANSFER_INPUT,
+    outputSchema: TRANSACTION_OUTPUT,
+    sla: { responseTimeMs: 10000, availability: 0.999 }
+  }),
+  capability('agent-negotiation', 'payments', 'Agent negotiation', 'Negotiates prices and terms with other agents', {
+    aliases: ['negotiation', 'price-negotiation']
+  }),
+  capability('autonomous-transactions', 'payments', 'Autonomous transactions', 'Signs and submits transactions without a human in the loop', {
+    aliases: ['autonomous-payments'],
+    inputSchema: TRANSFER_INPUT,
+    outputSchema: TRANSACTION_OUTPUT
+  }),
+  capability('multi-agent-coordination', 'payments', 'Multi-agent coordination', 'Splits work across agents and coordinates their results', {
+    aliases: ['agent-coordination', 'coordination', 'orchestration']
+  }),
+
+  // Data
+  capability('data-analysis', 'data', 'Data analysis', 'Analyzes datasets and explains trends', {
+    aliases: ['analytics', 'data-analytics', 'analysis']
+  }),
+  capability('data-processing', 'data', 'Data processing', 'Cleans, transforms and enriches large datasets', {
+    aliases: ['etl', 'data-pipeline', 'data-transformation'],
+    pricing: PREMIUM_PRICING,
+    sla: { responseTimeMs: 120000, availability: 0.99 }
+  }),
+  capability('data-aggregation', 'data', 'Data aggregation', 'Collects and merges data from several sources', {
+    aliases: ['aggregation']
+  }),
+  capability('visualization', 'data', 'Visualization', 'Turns data into charts and dashboards', {
+    aliases: ['data-visualization', 'charts', 'dashboards']
+  }),
+  capability('reporting', 'data', 'Reporting', 'Produces periodic and ad-hoc reports', {
+    aliases: ['reports']
+  }),
+  capability('sql', 'data', 'SQL', 'Writes and runs SQL queries', {
+    aliases: ['database-queries', 'sql-queries']
+  }),
+  capability('pricing', 'data', 'Pricing', 'Values assets and recommends prices', {
+    aliases: ['valuation', 'price-discovery', 'appraisal'],
+    inputSchema: QUOTE_INPUT,
+    outputSchema: QUOTE_OUTPUT
+  }),
+
+  // Security and development
+  capability('security-audit', 'security', 'Security audit', 'Audits smart contracts and systems for vulnerabilities', {
+    aliases: ['smart-contract-audit', 'audit', 'code-audit'],
+    inputSchema: CONTRACT_INPUT,
+    outputSchema: FINDINGS_OUTPUT,
+    pricing: PREMIUM_PRICING,
+    sla: { responseTimeMs: 300000, availability: 0.99 }
+  }),
+  capability('vulnerability-detection', 'security', 'Vulnerability detection', 'Scans code for known vulnerability patterns', {
+    aliases: ['vulnerability-scanning', 'security-scanning'],
+    inputSchema: CONTRACT_INPUT,
+    outputSchema: FINDINGS_OUTPUT
+  }),
+  capability('smart-contracts', 'development', 'Smart contracts', 'Writes, deploys and interacts with smart contracts', {
+    aliases: ['smart-contract', 'smart-contract-development', 'contract-development'],
+    inputSchema: CONTRACT_INPUT
+  }),
+  capability('solidity', 'development', 'Solidity', 'Solidity development and review', {
+    aliases: ['solidity-development'],
+    inputSchema: CONTRACT_INPUT
+  }),
+
+  // DeFi
+  capability('defi', 'defi', 'DeFi', 'General decentralized finance operations', {
+    aliases: ['decentralized-finance']
+  }),
+  capability('yield-farming', 'defi', 'Yield farming', 'Finds and manages yield strategies', {
+    aliases: ['defi-yield-optimizer', 'yield-optimization', 'yield'],
+    pricing: PREMIUM_PRICING
+  }),
+  capability('liquidity-pools', 'defi', 'Liquidity pools', 'Provides and manages AMM liquidity', {
+    aliases: ['liquidity', 'liquidity-provision', 'amm']
+  }),
+  capability('portfolio-management', 'defi', 'Portfolio management', 'Rebalances and tracks crypto portfolios', {
+    aliases: ['portfolio', 'asset-management']
+  }),
+  capability('staking', 'defi', 'Staking', 'Stakes tokens and manages rewards', {
+    aliases: ['stake']
+  }),
+
+  // Tokens
+  capability('token-distribution', 'tokens', 'Token distribution', 'Distributes tokens to many recipients', {
+    aliases: ['distribution']
+  }),
+  capability('airdrop', 'tokens', 'Airdrops', 'Runs token airdrops', {
+    aliases: ['airdrops']
+  }),
+  capability('vesting', 'tokens', 'Vesting', 'Manages token vesting schedules', {
+    aliases: ['token-vesting']
+  }),
+  capability('token-transfer', 'tokens', 'Token transfer', 'Moves HTS and ERC-20 tokens', {
+    aliases: ['token-transfers', 'transfers'],
+    inputSchema: TRANSFER_INPUT,
+    outputSchema: TRANSACTION_OUTPUT
+  }),
+
+  // NFT
+  capability('nft-trading', 'nft', 'NFT trading', 'Buys and sells NFTs', {
+    aliases: ['nft', 'nfts', 'nft-marketplace-trading']
+  }),
+  capability('marketplace', 'nft', 'Marketplace', 'Lists and matches marketplace orders', {
+    aliases: ['marketplace-listing']
+  }),
+  capability('collection-management', 'nft', 'Collection management', 'Mints and curates NFT collections', {
+    aliases: ['nft-collections', 'collections']
+  }),
+
+  // Governance
+  capability('governance', 'governance', 'Governance', 'Participates in on-chain governance', {
+    aliases: ['on-chain-governance']
+  }),
+  capability('voting', 'governance', 'Voting', 'Casts and delegates votes', {
+    aliases: ['vote', 'delegation']
+  }),
+  capability('proposals', 'governance', 'Proposals', 'Drafts and tracks governance proposals', {
+    aliases: ['proposal-drafting']
+  }),
+  capability('dao-management', 'governance', 'DAO management', 'Runs DAO operations and treasuries', {
+    aliases: ['dao', 'dao-operations']
+  }),
+
+  // Infrastructure
+  capability('oracle', 'infrastructure', 'Oracle', 'Brings off-chain data on-chain', {
+    aliases: ['oracles', 'data-oracle']
+  }),
+  capability('price-feed', 'infrastructure', 'Price feed', 'Publishes asset prices', {
+    aliases: ['price-oracle', 'price-feeds'],
+    inputSchema: QUOTE_INPUT,
+    outputSchema: QUOTE_OUTPUT,
+    sla: { responseTimeMs: 5000, availability: 0.999 }
+  }),
+  capability('bridge', 'infrastructure', 'Bridge', 'Bridges assets between networks', {
+    aliases: ['bridging', 'asset-bridge'],
+    inputSchema: TRANSFER_INPUT,
+    outputSchema: TRANSACTION_OUTPUT
+  }),
+  capability('cross-chain', 'infrastructure', 'Cross-chain', 'Coordinates actions across chains', {
+    aliases: ['interoperability', 'multi-chain']
+  }),
+
+  // Automation
+  capability('automation', 'automation', 'Automation', 'Automates recurring workflows', {
+    aliases: ['workflow-automation', 'workflows']
+  }),
+  capability('api-integration', 'automation', 'API integration', 'Connects to external APIs', {
+    aliases: ['api', 'integrations', 'api-integrations']
+  }),
+
+  // AI
+  capability('ai-training', 'ai', 'AI training', 'Trains and fine-tunes models', {
+    aliases: ['model-training', 'fine-tuning', 'machine-learning'],
+    pricing: PREMIUM_PRICING,
+    sla: { responseTimeMs: 3600000, availability: 0.95 }
+  }),
+  capability('translation', 'ai', 'Translation', 'Translates text between languages', {
+    aliases: ['translate', 'localization']
+  }),
+  capability('summarization', 'ai', 'Summarization', 'Summarizes documents and conversations', {
+    aliases: ['summaries', 'summarize']
+  }),
+  capability('content-generation', 'ai', 'Content generation', 'Writes copy, posts and documentation', {
+    aliases: ['copywriting', 'writing']
+  })
+];
+
+module.exports = { CATEGORIES, CAPABILITIES, DEFAULT_PRICING, DEFAULT_SLA };
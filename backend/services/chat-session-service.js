@@ -0,0 +1,226 @@
+// services/chat-session-service.js
+// Server-side sessions for /api/ai/chat: bounded message history, an LLM-written summary of older turns,
+// and the agents / pending action from earlier replies so follow-ups like "pay the second one" resolve.
+const crypto = require('crypto');
+const PersistentMap = require('../repositories/persistent-map');
+const httpError = require('../utils/http-error');
+
+const DEFAULT_MAX_MESSAGES = 20;
+const DEFAULT_MAX_TOKENS = 2000;
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+const KEEP_RECENT = 6; // messages kept verbatim when older ones are summarized
+const MAX_MATCHED_AGENTS = 10;
+const PENDING_ACTION_TYPES = ['request_payment', 'connect_agent'];
+
+const SUMMARY_PROMPT = 'You summarize conversations between a user and the Heracles agent marketplace assistant. ' +
+  'Keep agent names, addresses, amounts, currencies and anything the user asked for but has not done yet. ' +
+  'Reply with plain text of at most 120 words.';
+
+function envNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+// Rough token estimate (~4 characters per token) - good enough for budgeting the prompt
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+class ChatSessionService {
+  constructor() {
+    // sessionId -> { id, owner, createdAt, updatedAt, expiresAt, summary, messages, matchedAgents, pendingAction }
+    this.sessions = new PersistentMap('chatSessions');
+  }
+
+  getLimits() {
+    return {
+      maxMessages: envNumber('CHAT_SESSION_MAX_MESSAGES', DEFAULT_MAX_MESSAGES),
+      maxTokens: envNumber('CHAT_SESSION_MAX_TOKENS', DEFAULT_MAX_TOKENS),
+      ttlMs: envNumber('CHAT_SESSION_TTL_MS', DEFAULT_TTL_MS)
+    };
+  }
+
+  pruneExpired() {
+    const now = Date.now();
+    for (const [id, session] of this.sessions.entries()) {
+      if (session.expiresAt <= now) this.sessions.delete(id);
+    }
+  }
+
+  /**
+   * Start a session
+   * @param {string|null} owner - Authenticated address (sessions without one are reachable by id only)
+   * @returns {Object} Session
+   */
+  create(owner = null) {
+    this.pruneExpired();
+    const now = Date.now();
+    const session = {
+      id: crypto.randomUUID(),
+      owner: owner ? owner.toLowerCase() : null,
+      createdAt: new Date(now).toISOString(),
+      updatedAt: new Date(now).toISOString(),
+      expiresAt: now + this.getLimits().ttlMs,
+      summary: '',
+      messages: [],
+      matchedAgents: [],
+      pendingAction: null
+    };
+    this.sessions.set(session.id, session);
+    return session;
+  }
+
+  /**
+   * Get a live session the caller may use
+   * @param {string} id - Session id
+   * @param {string|null} owner - Authenticated address of the caller
+   * @returns {Object} Session
+   */
+  get(id, owner = null) {
+    const session = this.sessions.get(id);
+    if (!session || session.expiresAt <= Date.now()) {
+      if (session) this.sessions.delete(id);
+      throw httpError(404, `Chat session ${id} not found or expired`);
+    }
+    if (session.owner && session.owner !== (owner || '').toLowerCase()) {
+      throw httpError(403, 'Chat session belongs to another wallet');
+    }
+    return session;
+  }
+
+  delete(id, owner = null) {
+    this.get(id, owner);
+    this.sessions.delete(id);
+  }
+
+  /**
+   * History and system-prompt context for the next turn
+   * @param {Object} session - Session
+   * @returns {Object} { history: [{ role, content }], context }
+   */
+  buildPrompt(session) {
+    const lines = [];
+    if (session.summary) {
+      lines.push(`Summary of the earlier conversation: ${session.summary}`);
+    }
+    if (session.matchedAgents.length > 0) {
+      lines.push('Agents matched earlier in this conversation (the user may refer to them by position, e.g. "the second one"):');
+      session.matchedAgents.forEach((agent, i) => {
+        lines.push(`${i + 1}. ${agent.name} - address ${agent.address}, agentId ${agent.agentId}, capabilities: ${(agent.capabilities || []).join(', ') || 'none'}, trust score ${agent.trustScore}`);
+      });
+    }
+    if (session.pendingAction) {
+      lines.push(`Pending action the user has not completed yet: ${JSON.stringify({ type: session.pendingAction.type, payload: session.pendingAction.payload })}`);
+    }
+    if (lines.length > 0) {
+      lines.push('When the user asks to pay or connect to one of these agents, reply with a request_payment action (payee = its address) or a connect_agent action (agentId = its agentId).');
+    }
+
+    return {
+      history: session.messages.map(m => ({ role: m.role, content: m.content })),
+      context: lines.join('\n')
+    };
+  }
+
+  /**
+   * Record a completed turn, remember matched agents / pending actions and compact the history
+   * @param {Object} session - Session
+   * @param {string} userInput - User message
+   * @param {Object} data - Validated assistant response
+   * @returns {Promise<Object>} Updated session
+   */
+  async recordTurn(session, userInput, data) {
+    const timestamp = new Date().toISOString();
+    session.messages.push(
+      { role: 'user', content: userInput, timestamp },
+      { role: 'assistant', content: data.message, timestamp }
+    );
+
+    if (Array.isArray(data.matchedAgents) && data.matchedAgents.length > 0) {
+      session.matchedAgents = data.matchedAgents.slice(0, MAX_MATCHED_AGENTS).map(agent => ({
+        agentId: agent.agentId,
+        name: agent.name,
+        address: agent.address,
+        capabilities: agent.capabilities || [],
+        trustScore: agent.trustScore
+      }));
+    }
+    if (data.action && PENDING_ACTION_TYPES.includes(data.action.type)) {
+      session.pendingAction = { ...data.action, createdAt: timestamp };
+    }
+
+    await this.compact(session);
+
+    session.updatedAt = timestamp;
+    session.expiresAt = Date.now() + this.getLimits().ttlMs;
+    this.sessions.set(session.id, session);
+    return session;
+  }
+
+  /**
+   * Keep the history within CHAT_SESSION_MAX_MESSAGES / CHAT_SESSION_MAX_TOKENS by folding older messages
+   * into the summary
+   * @param {Object} session - Session (mutated)
+   */
+  async compact(session) {
+    const { maxMessages, maxTokens } = this.getLimits();
+    const size = () => estimateTokens(session.summary) +
+      session.messages.reduce((sum, m) => sum + estimateTokens(m.content), 0);
+
+    if (session.messages.length <= maxMessages && size() <= maxTokens) return;
+
+    const keep = Math.min(KEEP_RECENT, maxMessages);
+    const older = session.messages.slice(0, Math.max(session.messages.length - keep, 0));
+    if (older.length > 0) {
+      session.summary = await this.summarize(session.summary, older);
+      session.messages = session.messages.slice(older.length);
+    }
+
+    // Very long recent messages can still blow the budget; drop the oldest of them
+    while (session.messages.length > 2 && size() > maxTokens) {
+      session.messages.shift();
+    }
+  }
+
+  /**
+   * Summarize older messages with the 'chat-summary' LLM route, falling back to a truncated transcript
+   * @param {string} previousSummary - Existing summary
+   * @param {Array} messages - Messages to fold in
+   * @returns {Promise<string>} New summary
+   */
+  async summarize(previousSummary, messages) {
+    const transcript = messages.map(m => `${m.role}: ${m.content}`).join('\n');
+    try {
+      const groqService = require('./groq-service');
+      const result = await groqService.chat(
+        `${previousSummary ? `Summary so far: ${previousSummary}\n\n` : ''}New messages:\n${transcript}`,
+        SUMMARY_PROMPT,
+        { route: 'chat-summary', schema: null, temperature: 0.2 }
+      );
+      if (result.success && result.data?.message) return result.data.message;
+    } catch (error) {
+      console.warn('⚠️  Chat summary failed, truncating instead:', error.message);
+    }
+
+    const budget = this.getLimits().maxTokens * 2; // characters: half of the token budget
+    return `${previousSummary ? `${previousSummary}\n` : ''}${transcript}`.slice(-budget);
+  }
+
+  /**
+   * Public view of a session
+   */
+  serialize(session) {
+    return {
+      id: session.id,
+      createdAt: session.createdAt,
+      updatedAt: session.updatedAt,
+      expiresAt: new Date(session.expiresAt).toISOString(),
+      summary: session.summary,
+      messages: session.messages,
+      matchedAgents: session.matchedAgents,
+      pendingAction: session.pendingAction
+    };
+  }
+}
+
+module.exports = new ChatSessionService();
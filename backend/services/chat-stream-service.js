@@ -0,0 +1,57 @@
+// services/chat-stream-service.js
+// One streamed /api/ai/chat turn, shared by the SSE response and the socket.io 'ai-chat' event.
+// Events: session, reasoning, message, final (validated payload) and cancelled; errors are thrown.
+const groqService = require('./groq-service');
+const chatSessionService = require('./chat-session-service');
+const httpError = require('../utils/http-error');
+
+class ChatStreamService {
+  /**
+   * Validate a chat request and open (or resume) its session
+   * @param {Object} request - { input, sessionId }
+   * @param {string|null} owner - Authenticated address
+   * @returns {Object} Session
+   */
+  openSession({ input, sessionId }, owner = null) {
+    if (!input || typeof input !== 'string') {
+      throw httpError(400, 'Input is required and must be a string');
+    }
+    return sessionId ? chatSessionService.get(sessionId, owner) : chatSessionService.create(owner);
+  }
+
+  /**
+   * Stream one turn
+   * @param {Object} session - Session from openSession
+   * @param {Object} request - { input, availableAgents }
+   * @param {Function} emit - Called with each event
+   * @param {AbortSignal} [signal] - Cancels the completion
+   */
+  async stream(session, { input, availableAgents }, emit, signal) {
+    emit({ type: 'session', sessionId: session.id });
+
+    const options = { route: 'chat', signal, ...chatSessionService.buildPrompt(session) };
+    const candidates = Array.isArray(availableAgents) && availableAgents.length > 0
+      ? await groqService.shortlistAgents(input, availableAgents)
+      : null;
+    const events = candidates
+      ? groqService.streamChat(input, groqService.buildSearchPrompt(input, candidates), { ...options, schema: 'agent-search' })
+      : groqService.streamChat(input, '', options);
+
+    for await (const event of events) {
+      if (event.type === 'final' && event.success) {
+        await chatSessionService.recordTurn(session, input, event.data);
+      }
+      emit(event.type === 'final' ? { ...event, sessionId: session.id } : event);
+    }
+  }
+
+  /**
+   * openSession + stream
+   */
+  async run(request, owner, emit, signal) {
+    const session = this.openSession(request, owner);
+    await this.stream(session, request, emit, signal);
+  }
+}
+
+module.exports = new ChatStreamService();
@@ -4,6 +4,19 @@ const path = require('path');
 
 const CONFIG_FILE_PATH = path.join(__dirname, '../../.config.json');
 
+// Settings that change which LLM provider/model serves a route
+const LLM_CONFIG_KEYS = [
+  'GROQ_API_KEY',
+  'GEMINI_API_KEY',
+  'LLM_PROVIDER',
+  'LLM_MODEL',
+  'LLM_ROUTE_OVERRIDES',
+  'OPENAI_COMPATIBLE_BASE_URL',
+  'OPENAI_COMPATIBLE_API_KEY',
+  'OPENAI_COMPATIBLE_MODEL',
+  'MOCK_LLM_RESPONSE'
+];
+
 class ConfigService {
   constructor() {
     this.config = this.loadConfig();
@@ -34,14 +47,14 @@ class ConfigService {
         }
       });
 
-      // Reinitialize Groq service if API key was updated
-      if (newConfig.GROQ_API_KEY) {
+      // Reinitialize LLM providers if any LLM setting was updated
+      if (LLM_CONFIG_KEYS.some(key => newConfig[key])) {
         try {
           const groqService = require('./groq-service');
           groqService.reinitialize();
-          console.log('✅ Groq service reinitialized after config update');
+          console.log('✅ LLM providers reinitialized after config update');
         } catch (err) {
-          console.warn('⚠️  Could not reinitialize Groq service:', err.message);
+          console.warn('⚠️  Could not reinitialize LLM providers:', err.message);
         }
       }
 
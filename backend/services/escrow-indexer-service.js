@@ -0,0 +1,384 @@
+// services/escrow-indexer-service.js
+// Follows PaymentProcessor escrow events and keeps a local, persistent copy of every escrow
+// with its state-transition history. Resumes from a stored block cursor after restarts.
+const { ethers } = require('ethers');
+const PersistentMap = require('../repositories/persistent-map');
+const tokenRegistry = require('./token-registry-service');
+const httpError = require('../utils/http-error');
+
+const CURSOR_KEY = 'PaymentProcessor';
+const DEFAULT_INTERVAL_MS = 15000;
+const DEFAULT_BATCH_BLOCKS = 1000;
+const MAX_BATCHES_PER_POLL = 20;
+
+const INDEXED_EVENTS = ['EscrowCreated', 'EscrowCompleted', 'EscrowRefunded', 'EscrowDisputed', 'EscrowExpired', 'DisputeResolved', 'MilestoneReleased', 'TokenEscrowCreated'];
+// Not escrow transitions, but the treasury ledger needs them
+const LEDGER_EVENTS = ['PlatformFeeCollected', 'FeesWithdrawn'];
+const STATUS_BY_EVENT = {
+  EscrowCreated: 'Active',
+  EscrowCompleted: 'Completed',
+  EscrowRefunded: 'Refunded',
+  EscrowDisputed: 'Disputed',
+  EscrowExpired: 'Refunded', // Contract marks expired escrows as refunded to the payer
+  DisputeResolved: 'Resolved',
+  MilestoneReleased: 'Active',
+  TokenEscrowCreated: 'Active'
+};
+
+class EscrowIndexerService {
+  constructor() {
+    // escrowId (lowercase bytes32) -> indexed escrow with history
+    this.escrows = new PersistentMap('escrows');
+    // contract name -> { lastBlock, updatedAt }
+    this.cursors = new PersistentMap('indexerCursors');
+    this.timer = null;
+    this.polling = false;
+    this.lastError = null;
+    this.lastPollAt = null;
+    this.blockTimestamps = new Map();
+    // token address -> { symbol, decimals }
+    this.tokenInfo = new Map();
+  }
+
+  getInterval() {
+    const interval = Number(process.env.ESCROW_INDEXER_INTERVAL_MS);
+    return Number.isFinite(interval) && interval > 0 ? interval : DEFAULT_INTERVAL_MS;
+  }
+
+  getBatchSize() {
+    const batch = Number(process.env.ESCROW_INDEXER_BATCH_BLOCKS);
+    return Number.isFinite(batch) && batch > 0 ? batch : DEFAULT_BATCH_BLOCKS;
+  }
+
+  normalizeId(escrowId) {
+    const id = ethers.isHexString(escrowId, 32) ? escrowId : ethers.id(String(escrowId));
+    return id.toLowerCase();
+  }
+
+  getContract() {
+    const paymentService = require('./payment-service');
+    paymentService.ensureContract();
+    return paymentService.paymentProcessor;
+  }
+
+  /**
+   * Start polling for new events (no-op when ESCROW_INDEXER_ENABLED=false)
+   */
+  start() {
+    if (this.timer || process.env.ESCROW_INDEXER_ENABLED === 'false') return;
+    this.timer = setInterval(() => {
+      this.poll().catch(() => {});
+    }, this.getInterval());
+    if (this.timer.unref) this.timer.unref();
+    console.log(`📇 Escrow indexer started (every ${this.getInterval()}ms)`);
+    this.poll().catch(() => {});
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * First block to index when no cursor is stored
+   */
+  async getStartBlock(provider) {
+    if (process.env.ESCROW_INDEXER_START_BLOCK) {
+      return Number(process.env.ESCROW_INDEXER_START_BLOCK);
+    }
+    try {
+      const deploymentInfo = require('../../contracts/deployment.json');
+      if (deploymentInfo.blockNumber) return Number(deploymentInfo.blockNumber);
+    } catch (_e) {}
+    return provider.getBlockNumber();
+  }
+
+  /**
+   * Index new blocks since the stored cursor
+   * @returns {Promise<Object>} { fromBlock, toBlock, events }
+   */
+  async poll() {
+    if (this.polling) return { skipped: true };
+    this.polling = true;
+
+    try {
+      const contract = this.getContract();
+      const provider = contract.runner.provider;
+      const latest = await provider.getBlockNumber();
+
+      const cursor = this.cursors.get(CURSOR_KEY);
+      let fromBlock = cursor ? cursor.lastBlock + 1 : await this.getStartBlock(provider);
+      const startBlock = fromBlock;
+      let events = 0;
+
+      for (let batch = 0; batch < MAX_BATCHES_PER_POLL && fromBlock <= latest; batch++) {
+        const toBlock = Math.min(fromBlock + this.getBatchSize() - 1, latest);
+        const logs = await provider.getLogs({ address: contract.target, fromBlock, toBlock });
+        events += await this.ingestLogs(contract.interface, logs);
+
+        this.cursors.set(CURSOR_KEY, { lastBlock: toBlock, updatedAt: new Date().toISOString() });
+        fromBlock = toBlock + 1;
+      }
+
+      this.lastPollAt = new Date().toISOString();
+      this.lastError = null;
+      if (events > 0) {
+        console.log(`📇 Indexed ${events} escrow events (blocks ${startBlock}-${fromBlock - 1})`);
+      }
+      return { fromBlock: startBlock, toBlock: fromBlock - 1, events };
+    } catch (error) {
+      this.lastError = error.message;
+      console.warn('⚠️  Escrow indexer poll failed:', error.message);
+      throw error;
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Apply escrow events from a transaction receipt right away (the poller will see them again idempotently)
+   * @param {Object} receipt - ethers transaction receipt
+   */
+  async ingestReceipt(receipt) {
+    try {
+      const contract = this.getContract();
+      const logs = receipt.logs.filter(l => l.address?.toLowerCase() === contract.target.toLowerCase());
+      await this.ingestLogs(contract.interface, logs);
+    } catch (error) {
+      console.warn('⚠️  Failed to index escrow receipt:', error.message);
+    }
+  }
+
+  async ingestLogs(iface, logs) {
+    const ordered = [...logs].sort((a, b) => (a.blockNumber - b.blockNumber) || ((a.index ?? a.logIndex) - (b.index ?? b.logIndex)));
+    let applied = 0;
+    const ledgerEvents = [];
+
+    for (const log of ordered) {
+      let parsed;
+      try {
+        parsed = iface.parseLog(log);
+      } catch (_e) {
+        continue;
+      }
+      if (parsed && LEDGER_EVENTS.includes(parsed.name)) {
+        ledgerEvents.push({ parsed, log, timestamp: await this.getBlockTimestamp(log) });
+        continue;
+      }
+      if (!parsed || !INDEXED_EVENTS.includes(parsed.name)) continue;
+
+      const timestamp = await this.getBlockTimestamp(log);
+      const token = parsed.name === 'TokenEscrowCreated' ? await this.getTokenInfo(parsed.args.token, log.provider) : null;
+      if (this.applyEvent(parsed, log, timestamp, token)) {
+        applied++;
+        ledgerEvents.push({ parsed, log, timestamp });
+      }
+    }
+
+    // Payouts, refunds and fees go to the treasury ledger once the escrows are up to date
+    if (ledgerEvents.length > 0) {
+      try {
+        require('./treasury-service').recordEscrowEvents(ledgerEvents, escrowId => this.escrows.get(escrowId));
+      } catch (error) {
+        console.warn('⚠️  Failed to record escrow events in the ledger:', error.message);
+      }
+    }
+    return applied;
+  }
+
+  async getBlockTimestamp(log) {
+    if (this.blockTimestamps.has(log.blockNumber)) return this.blockTimestamps.get(log.blockNumber);
+    let timestamp = new Date().toISOString();
+    try {
+      const block = await log.provider?.getBlock(log.blockNumber);
+      if (block) timestamp = new Date(block.timestamp * 1000).toISOString();
+    } catch (_e) {}
+    this.blockTimestamps.set(log.blockNumber, timestamp);
+    // Keep the cache small - only recent blocks are looked up again
+    if (this.blockTimestamps.size > 500) {
+      this.blockTimestamps.delete(this.blockTimestamps.keys().next().value);
+    }
+    return timestamp;
+  }
+
+  async getTokenInfo(address, provider) {
+    if (this.tokenInfo.has(address)) return this.tokenInfo.get(address);
+    const token = new ethers.Contract(address, [
+      'function decimals() view returns (uint8)',
+      'function symbol() view returns (string)'
+    ], provider || this.getContract().runner.provider);
+    const info = {
+      decimals: Number(await token.decimals().catch(() => 18)),
+      symbol: await token.symbol().catch(() => address)
+    };
+    this.tokenInfo.set(address, info);
+    return info;
+  }
+
+  /**
+   * Apply one parsed event to the local escrow copy
+   * @param {Object} [token] - { symbol, decimals } for TokenEscrowCreated events
+   * @returns {boolean} false when the event was already applied
+   */
+  applyEvent(parsed, log, timestamp, token = null) {
+    const escrowId = parsed.args.escrowId.toLowerCase();
+    const txHash = log.transactionHash;
+    const logIndex = log.index ?? log.logIndex;
+    const existing = this.escrows.get(escrowId);
+
+    if (existing?.history.some(h => h.txHash === txHash && h.logIndex === logIndex)) {
+      return false;
+    }
+
+    const escrow = existing || {
+      escrowId,
+      payer: null,
+      payee: null,
+      amount: null,
+      amountAtomic: null,
+      releasedAmount: '0.0',
+      serviceDescription: null,
+      status: null,
+      createdAt: null,
+      completedAt: null,
+      expirationTime: null,
+      expired: false,
+      token: null,
+      currency: 'HBAR',
+      decimals: tokenRegistry.resolve('HBAR').decimals, // HBAR escrow amounts are tinybars
+      history: []
+    };
+
+    const entry = {
+      event: parsed.name,
+      status: STATUS_BY_EVENT[parsed.name],
+      blockNumber: log.blockNumber,
+      txHash,
+      logIndex,
+      timestamp
+    };
+
+    switch (parsed.name) {
+      case 'EscrowCreated':
+        escrow.payer = parsed.args.payer;
+        escrow.payee = parsed.args.payee;
+        escrow.amountAtomic = parsed.args.amount.toString();
+        escrow.amount = tokenRegistry.formatAtomic(parsed.args.amount, escrow);
+        escrow.serviceDescription = parsed.args.serviceDescription;
+        escrow.expirationTime = new Date(Number(parsed.args.expirationTime) * 1000).toISOString();
+        escrow.createdAt = timestamp;
+        escrow.createdBlock = log.blockNumber;
+        break;
+      case 'EscrowCompleted':
+      case 'EscrowRefunded':
+        escrow.completedAt = timestamp;
+        break;
+      case 'EscrowDisputed':
+        entry.disputer = parsed.args.disputer;
+        entry.reason = parsed.args.reason;
+        break;
+      case 'EscrowExpired':
+        escrow.completedAt = timestamp;
+        escrow.expired = true;
+        entry.refundedTo = parsed.args.refundedTo;
+        break;
+      case 'TokenEscrowCreated':
+        escrow.token = parsed.args.token;
+        escrow.currency = token?.symbol || parsed.args.token;
+        escrow.decimals = token?.decimals ?? 18;
+        escrow.amountAtomic = parsed.args.amount.toString();
+        escrow.amount = tokenRegistry.formatAtomic(parsed.args.amount, escrow);
+        break;
+      case 'MilestoneReleased':
+        entry.milestoneIndex = Number(parsed.args.milestoneIndex);
+        entry.amount = tokenRegistry.formatAtomic(parsed.args.amount, escrow);
+        entry.remaining = tokenRegistry.formatAtomic(parsed.args.remaining, escrow);
+        if (escrow.amountAtomic) {
+          escrow.releasedAmount = tokenRegistry.formatAtomic(BigInt(escrow.amountAtomic) - parsed.args.remaining, escrow);
+        }
+        break;
+      case 'DisputeResolved':
+        escrow.completedAt = timestamp;
+        entry.arbiter = parsed.args.arbiter;
+        entry.payeeBps = Number(parsed.args.payeeBps);
+        entry.payeeAmount = tokenRegistry.formatAtomic(parsed.args.payeeAmount, escrow);
+        entry.payerAmount = tokenRegistry.formatAtomic(parsed.args.payerAmount, escrow);
+        break;
+      default:
+        break;
+    }
+
+    escrow.history.push(entry);
+    escrow.history.sort((a, b) => (a.blockNumber - b.blockNumber) || (a.logIndex - b.logIndex));
+    // Current status is the latest transition (events can arrive out of order via ingestReceipt)
+    escrow.status = escrow.history[escrow.history.length - 1].status;
+    escrow.updatedAt = new Date().toISOString();
+
+    this.escrows.set(escrowId, escrow);
+    return true;
+  }
+
+  /**
+   * Get an indexed escrow
+   * @param {string} escrowId - Escrow ID (bytes32 hex)
+   * @returns {Object|null} Escrow with history
+   */
+  getEscrow(escrowId) {
+    return this.escrows.get(this.normalizeId(escrowId)) || null;
+  }
+
+  /**
+   * State-transition history of an escrow
+   * @param {string} escrowId - Escrow ID
+   * @returns {Array|null} History entries (oldest first)
+   */
+  getHistory(escrowId) {
+    return this.getEscrow(escrowId)?.history || null;
+  }
+
+  /**
+   * List indexed escrows
+   * @param {Object} filters - { payer, payee, status, from, to } (from/to filter createdAt; ISO dates or unix seconds)
+   * @returns {Array} Escrows, newest first
+   */
+  list(filters = {}) {
+    const toTime = (value) => {
+      if (value === undefined || value === null || value === '') return null;
+      const time = /^\d+$/.test(String(value)) ? Number(value) * 1000 : Date.parse(value);
+      if (Number.isNaN(time)) throw httpError(400, `Invalid date: ${value}`);
+      return time;
+    };
+    const from = toTime(filters.from);
+    const to = toTime(filters.to);
+    const status = filters.status ? String(filters.status).toLowerCase() : null;
+    const payer = filters.payer?.toLowerCase();
+    const payee = filters.payee?.toLowerCase();
+
+    return Array.from(this.escrows.values())
+      .filter(e => !payer || e.payer?.toLowerCase() === payer)
+      .filter(e => !payee || e.payee?.toLowerCase() === payee)
+      .filter(e => !status || (status === 'expired' ? e.expired : e.status?.toLowerCase() === status))
+      .filter(e => from === null || (e.createdAt && Date.parse(e.createdAt) >= from))
+      .filter(e => to === null || (e.createdAt && Date.parse(e.createdAt) <= to))
+      .sort((a, b) => Date.parse(b.createdAt || 0) - Date.parse(a.createdAt || 0));
+  }
+
+  /**
+   * Whether the index has synced at least once (routes fall back to the contract otherwise)
+   */
+  isReady() {
+    return this.cursors.has(CURSOR_KEY);
+  }
+
+  getStatus() {
+    return {
+      running: Boolean(this.timer),
+      cursor: this.cursors.get(CURSOR_KEY) || null,
+      escrows: this.escrows.size,
+      lastPollAt: this.lastPollAt,
+      lastError: this.lastError
+    };
+  }
+}
+
+module.exports = new EscrowIndexerService();
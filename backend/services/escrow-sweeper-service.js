@@ -0,0 +1,197 @@
+// services/escrow-sweeper-service.js
+// Refunds expired escrows: scans the escrow index for Active escrows past expirationTime and calls
+// PaymentProcessor.claimExpiredEscrow with a keeper wallet (funds always go back to the payer).
+const { ethers } = require('ethers');
+const hederaClient = require('./hedera-client');
+const escrowIndexer = require('./escrow-indexer-service');
+
+const DEFAULT_INTERVAL_MS = 60000;
+const MAX_ATTEMPTS = 5;
+const MAX_RECENT = 20;
+
+class EscrowSweeperService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+    this.keeper = null;
+    this.lastRunAt = null;
+    this.lastError = null;
+    this.swept = 0;
+    // Latest sweeps, newest first
+    this.recent = [];
+    // escrowId -> { attempts, lastError, lastAttemptAt }
+    this.failures = new Map();
+  }
+
+  getInterval() {
+    const interval = Number(process.env.ESCROW_SWEEPER_INTERVAL_MS);
+    return Number.isFinite(interval) && interval > 0 ? interval : DEFAULT_INTERVAL_MS;
+  }
+
+  /**
+   * Keeper wallet: KEEPER_PRIVATE_KEY, else the backend wallet (contract owner, always allowed to sweep)
+   * Other keepers must be enabled on-chain with PaymentProcessor.setKeeper
+   */
+  getKeeper() {
+    if (this.keeper) return this.keeper;
+    const paymentService = require('./payment-service');
+    paymentService.ensureContract();
+
+    const { KEEPER_PRIVATE_KEY } = process.env;
+    const wallet = KEEPER_PRIVATE_KEY
+      ? new ethers.Wallet(KEEPER_PRIVATE_KEY, paymentService.provider)
+      : paymentService.wallet;
+    this.keeper = { wallet, contract: paymentService.paymentProcessor.connect(wallet) };
+    return this.keeper;
+  }
+
+  /**
+   * Start sweeping on an interval (no-op when ESCROW_SWEEPER_ENABLED=false)
+   */
+  start() {
+    if (this.timer || process.env.ESCROW_SWEEPER_ENABLED === 'false') return;
+    this.timer = setInterval(() => {
+      this.sweep().catch(() => {});
+    }, this.getInterval());
+    if (this.timer.unref) this.timer.unref();
+    console.log(`🧹 Escrow sweeper started (every ${this.getInterval()}ms)`);
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Indexed escrows that are still Active past their expiration time
+   * @returns {Array} Expired escrows
+   */
+  getExpiredEscrows(now = Date.now()) {
+    return escrowIndexer.list({ status: 'active' })
+      .filter(e => e.expirationTime && Date.parse(e.expirationTime) <= now);
+  }
+
+  /**
+   * Claim every expired escrow once
+   * @returns {Promise<Object>} { swept, failed, skipped }
+   */
+  async sweep() {
+    if (this.running) return { skipped: true };
+    if (!escrowIndexer.isReady()) return { skipped: true, reason: 'Escrow index not synced yet' };
+    this.running = true;
+
+    let swept = 0;
+    let failed = 0;
+    try {
+      const candidates = this.getExpiredEscrows()
+        .filter(e => (this.failures.get(e.escrowId)?.attempts || 0) < MAX_ATTEMPTS);
+
+      for (const escrow of candidates) {
+        try {
+          await this.claim(escrow);
+          swept++;
+        } catch (error) {
+          failed++;
+          const failure = this.failures.get(escrow.escrowId) || { attempts: 0 };
+          this.failures.set(escrow.escrowId, {
+            attempts: failure.attempts + 1,
+            lastError: error.shortMessage || error.message,
+            lastAttemptAt: new Date().toISOString()
+          });
+          console.warn(`⚠️  Failed to sweep expired escrow ${escrow.escrowId}:`, error.shortMessage || error.message);
+        }
+      }
+
+      this.lastRunAt = new Date().toISOString();
+      this.lastError = null;
+      if (swept > 0) console.log(`🧹 Swept ${swept} expired escrows`);
+      return { swept, failed };
+    } catch (error) {
+      this.lastError = error.message;
+      console.warn('⚠️  Escrow sweep failed:', error.message);
+      throw error;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Refund one expired escrow to its payer
+   * @param {Object} escrow - Indexed escrow
+   * @returns {Promise<Object>} Sweep record
+   */
+  async claim(escrow) {
+    const { wallet, contract } = this.getKeeper();
+    const tx = await contract.claimExpiredEscrow(escrow.escrowId);
+    const receipt = await tx.wait();
+    await escrowIndexer.ingestReceipt(receipt);
+    this.failures.delete(escrow.escrowId);
+
+    const record = {
+      event: 'EscrowExpired',
+      escrowId: escrow.escrowId,
+      payer: escrow.payer,
+      payee: escrow.payee,
+      amount: escrow.amount,
+      currency: escrow.currency || 'HBAR',
+      refundedTo: escrow.payer,
+      expirationTime: escrow.expirationTime,
+      keeper: wallet.address,
+      txHash: receipt.hash,
+      timestamp: new Date().toISOString()
+    };
+    this.swept++;
+    this.recent.unshift(record);
+    this.recent.length = Math.min(this.recent.length, MAX_RECENT);
+
+    // Notify the payer and payee directly - HCS below may be unavailable
+    try {
+      const { app } = require('../server');
+      const io = app.get('io');
+      if (io) {
+        io.to(`agent-${escrow.payer}`).emit('escrow-expired', record);
+        io.to(`agent-${escrow.payee}`).emit('escrow-expired', record);
+      }
+    } catch (error) {
+      console.warn('Failed to emit WebSocket event:', error.message);
+    }
+
+    try {
+      const paymentTopicId = await hederaClient.ensureTopic('PAYMENT_TOPIC_ID', 'Payment', 'Agent payment events');
+      await hederaClient.submitMessage(paymentTopicId, JSON.stringify(record));
+    } catch (error) {
+      console.warn(`⚠️  Failed to log EscrowExpired for ${escrow.escrowId} to HCS:`, error.message);
+    }
+    return record;
+  }
+
+  getStatus() {
+    let keeper = null;
+    try {
+      keeper = this.getKeeper().wallet.address;
+    } catch (_e) {}
+
+    let pending = null;
+    try {
+      pending = this.getExpiredEscrows().length;
+    } catch (_e) {}
+
+    return {
+      running: Boolean(this.timer),
+      intervalMs: this.getInterval(),
+      keeper,
+      lastRunAt: this.lastRunAt,
+      lastError: this.lastError,
+      swept: this.swept,
+      pending,
+      recent: this.recent,
+      failures: Array.from(this.failures.entries()).map(([escrowId, failure]) => ({
+        escrowId,
+        ...failure,
+        gaveUp: failure.attempts >= MAX_ATTEMPTS
+      }))
+    };
+  }
+}
+
+module.exports = new EscrowSweeperService();
@@ -1,123 +1,392 @@
 // services/groq-service.js
-const { ChatGroq } = require('@langchain/groq');
-const { ChatPromptTemplate } = require('@langchain/core/prompts');
+// LLM facade used by the AI routes. Despite the name it is provider-agnostic: the provider and model
+// for each call come from llm/registry.js (LLM_PROVIDER, LLM_MODEL, LLM_ROUTE_OVERRIDES).
+const llmRegistry = require('../llm/registry');
+const {
+  LLM_ERROR_CODES,
+  validateResponse,
+  extractJson,
+  describeSchema
+} = require('../llm/response-schema');
+const { readPartialFields } = require('../llm/partial-json');
+const agentService = require('./agent-service');
+const agentSearchService = require('./agent-search-service');
+const httpError = require('../utils/http-error');
+
+const DEFAULT_REPAIR_ATTEMPTS = 2;
+const FALLBACK_MESSAGE = "I'm here to help you find agents on the Hedera marketplace. How can I assist you?";
+
+const DEFAULT_SYSTEM_PROMPT = `You are an AI assistant for Heracles, a Hedera blockchain-based agent economy platform.
+
+Your role is to help users find agents in a marketplace and facilitate agent-to-agent transactions. When users request to:
+- Find an agent: Parse their query, match against agent capabilities, and return matching agents (action "show_agents")
+- Pay an agent: Guide them through selecting currency (HBAR or another token accepted for payments) and amount (action "request_payment")
+- Use their connected agent: Help them connect their wallet to an agent or use it to pay another agent (action "connect_agent")
+
+Only list agents you were given; never invent names or addresses.
+
+Always respond with valid JSON only in this format:
+{
+  "message": "Found X agents matching your query",
+  "reasoning": ["Step 1", "Step 2"],
+  "breakpoints": [],
+  "matchedAgents": [{"name": "Agent Name", "address": "0x...", "capabilities": [...], "trustScore": 85}],
+  "action": {"type": "show_agents" | "request_payment" | "connect_agent", "payload": {"payee": "0x...", "amount": 10, "currency": "HBAR"}}
+}`;
+
+function getRepairAttempts() {
+  const attempts = Number(process.env.LLM_REPAIR_ATTEMPTS);
+  return Number.isInteger(attempts) && attempts >= 0 ? attempts : DEFAULT_REPAIR_ATTEMPTS;
+}
+
+function formatErrors(errors) {
+  return errors.map(e => `${e.path} ${e.message}`).join('; ');
+}
+
+// Ensure required fields exist for frontend compatibility
+function withDefaults(data) {
+  return {
+    ...data,
+    message: data.message || (data.matchedAgents?.length
+      ? `Found ${data.matchedAgents.length} agents matching your query.`
+      : 'I found some agents for you.'),
+    reasoning: data.reasoning || [],
+    breakpoints: data.breakpoints || [],
+    matchedAgents: data.matchedAgents || [],
+    action: data.action || { type: 'show_agents', payload: {} }
+  };
+}
+
+function fallbackResponse(message) {
+  return withDefaults({ message });
+}
+
+function freeFormResult(text) {
+  const parsed = extractJson(text);
+  if (parsed) return { success: true, data: withDefaults(parsed) };
+
+  // Free-form text: wrap it so callers can always read data.message
+  return { success: true, data: fallbackResponse(text || FALLBACK_MESSAGE) };
+}
+
+// Even on error, return structured response
+function providerErrorResult(error) {
+  return {
+    success: false,
+    code: LLM_ERROR_CODES.PROVIDER_ERROR,
+    data: fallbackResponse("I encountered an error, but I'm here to help. Could you rephrase your request?"),
+    error: error.message
+  };
+}
+
+/**
+ * Find a registered agent by agentId, else by address (owner or agent wallet; name breaks ties
+ * between agents sharing an owner)
+ */
+function findAgent(agents, { agentId, address, name }) {
+  if (agentId !== undefined && agentId !== null) {
+    const byId = agents.find(a => String(a.agentId) === String(agentId) || String(a.erc8004AgentId) === String(agentId));
+    if (byId) return byId;
+  }
+  if (!address) return null;
+  const target = String(address).toLowerCase();
+  const byAddress = agents.filter(a =>
+    a.address?.toLowerCase() === target || a.agentWalletAddress?.toLowerCase() === target
+  );
+  return byAddress.find(a => a.name === name) || byAddress[0] || null;
+}
 
 class GroqService {
   constructor() {
-    this.llm = null;
     this.initializeClient();
   }
 
   initializeClient() {
-    const apiKey = process.env.GROQ_API_KEY;
-    if (apiKey && apiKey !== '***masked***') {
-      this.llm = new ChatGroq({
-        apiKey: apiKey,
-        model: 'llama-3.1-8b-instant', // Fast and accurate
-        temperature: 0.7,
-        maxTokens: 4096,
-      });
-      console.log('✅ Groq AI client initialized (llama-3.1-8b-instant)');
-    } else {
-      console.warn('⚠️  GROQ_API_KEY not configured');
+    try {
+      const { providerName, model, provider } = llmRegistry.resolve();
+      if (provider.isConfigured()) {
+        console.log(`✅ LLM provider initialized (${providerName}: ${model})`);
+      } else {
+        console.warn(`⚠️  LLM provider "${providerName}" not configured`);
+      }
+    } catch (error) {
+      console.warn('⚠️  LLM provider not available:', error.message);
     }
   }
 
   reinitialize() {
+    llmRegistry.reset();
     this.initializeClient();
   }
 
-  isConfigured() {
-    return this.llm !== null;
+  /**
+   * @param {string} [route] - LLM route (see llm/registry.js) to check instead of the default
+   */
+  isConfigured(route) {
+    try {
+      return llmRegistry.resolve(route).provider.isConfigured();
+    } catch (_e) {
+      return false;
+    }
   }
 
-  async chat(userInput, systemContext = '') {
-    if (!this.isConfigured()) {
-      throw new Error('Groq API not configured. Please set GROQ_API_KEY in settings.');
-    }
+  getStatus() {
+    let provider = null;
+    let model = null;
+    try {
+      ({ providerName: provider, model } = llmRegistry.resolve());
+    } catch (_e) {}
+    return {
+      configured: this.isConfigured(),
+      provider,
+      model,
+      providers: llmRegistry.listProviders(),
+      routes: Object.fromEntries(llmRegistry.LLM_ROUTES.map(route => {
+        try {
+          const resolved = llmRegistry.resolve(route);
+          return [route, { provider: resolved.providerName, model: resolved.model }];
+        } catch (error) {
+          return [route, { error: error.message }];
+        }
+      })),
+      embeddings: agentSearchService.getStatus()
+    };
+  }
 
-    // Use simple system prompt to avoid template parsing issues
-    const systemPrompt = systemContext || `You are an AI assistant for Heracles, a Hedera blockchain-based agent economy platform.
+  /**
+   * @param {string} userInput - User message
+   * @param {string} [systemContext] - System prompt (defaults to the marketplace assistant prompt)
+   * @param {Object} [options] - { route, temperature, maxTokens, schema, history, context }
+   *   schema: response schema in llm/response-schema.js ('assistant' by default when no systemContext is given);
+   *   pass null for free-form text
+   *   history: earlier [{ role: 'user' | 'assistant', content }] turns; context: extra system prompt text
+   */
+  async chat(userInput, systemContext = '', options = {}) {
+    const { provider, providerName, schemaName, messages, completionOptions } = this.prepare(userInput, systemContext, options);
 
-Your role is to help users find agents in a marketplace and facilitate agent-to-agent transactions. When users request to:
-- Find an agent: Parse their query, match against agent capabilities, and return matching agents
-- Pay an agent: Guide them through selecting currency (HBAR or USDC) and amount
-- Use their connected agent: Help them use their connected agent to pay another agent
+    try {
+      if (schemaName) {
+        return await this.completeStructured(provider, schemaName, messages, completionOptions);
+      }
+      return freeFormResult(await provider.complete(messages, completionOptions));
+    } catch (error) {
+      console.error(`LLM error (${providerName}):`, error.message);
+      return providerErrorResult(error);
+    }
+  }
 
-Always respond with valid JSON only in this format:
-{
-  "message": "Found X agents matching your query",
-  "reasoning": ["Step 1", "Step 2"],
-  "breakpoints": [],
-  "matchedAgents": [{"name": "Agent Name", "address": "0x...", "capabilities": [...], "trustScore": 85}],
-  "action": {"type": "show_agents" | "request_payment", "payload": {"payee": "...", "amount": 10, "currency": "HBAR"}}
-}`;
+  /**
+   * Streaming chat(): same arguments plus options.signal (AbortSignal) to cancel.
+   * Yields { type: 'reasoning', index, step } and { type: 'message', delta } while the reply streams in,
+   * then { type: 'final', ...result } with the validated result chat() would return,
+   * or { type: 'cancelled' } once the signal aborts.
+   */
+  async *streamChat(userInput, systemContext = '', options = {}) {
+    const { provider, providerName, schemaName, messages, completionOptions } =
+      this.prepare(userInput, systemContext, options);
+    completionOptions.signal = options.signal;
 
     try {
-      // Escape all curly braces in system prompt to prevent ChatPromptTemplate from trying to parse them as variables
-      const escapedSystemPrompt = systemPrompt.replace(/\{/g, '{{').replace(/\}/g, '}}');
-      
-      const prompt = ChatPromptTemplate.fromMessages([
-        ['system', escapedSystemPrompt],
-        ['human', '{input}'],
-      ]);
-
-      const chain = prompt.pipe(this.llm);
-      const response = await chain.invoke({ input: userInput });
-
-      // Parse response
-      const text = response.content || response.text || String(response);
-      
-      // Try to extract JSON
-      const jsonMatch = text.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        try {
-          const parsed = JSON.parse(jsonMatch[0]);
-          
-          // Ensure required fields exist for frontend compatibility
-          if (!parsed.message) parsed.message = "I found some agents for you.";
-          if (!parsed.reasoning) parsed.reasoning = [];
-          if (!parsed.breakpoints) parsed.breakpoints = [];
-          if (!parsed.matchedAgents) parsed.matchedAgents = [];
-          if (!parsed.action) parsed.action = { type: "show_agents", payload: {} };
-          
-          return { success: true, data: parsed };
-        } catch (parseError) {
-          console.warn('JSON parse failed, creating structured fallback');
+      // Providers without stream() deliver the reply in one chunk
+      const chunks = provider.stream
+        ? provider.stream(messages, completionOptions)
+        : (async function* () { yield await provider.complete(messages, completionOptions); })();
+
+      let text = '';
+      let sentMessage = '';
+      let sentSteps = 0;
+      for await (const chunk of chunks) {
+        if (options.signal?.aborted) break;
+        text += chunk;
+        if (!schemaName) {
+          yield { type: 'message', delta: chunk };
+          continue;
         }
-      }
 
-      // Fallback: format raw text as structured response (prevents blank responses)
-      return { 
-        success: true, 
-        data: {
-          message: text || "I'm here to help you find agents on the Hedera marketplace. How can I assist you?",
-          reasoning: [],
-          breakpoints: [],
-          matchedAgents: [],
-          action: { type: "show_agents", payload: {} }
+        const partial = readPartialFields(text);
+        for (; sentSteps < partial.reasoning.length; sentSteps++) {
+          yield { type: 'reasoning', index: sentSteps, step: partial.reasoning[sentSteps] };
         }
-      };
+        if (partial.message && partial.message.length > sentMessage.length && partial.message.startsWith(sentMessage)) {
+          yield { type: 'message', delta: partial.message.slice(sentMessage.length) };
+          sentMessage = partial.message;
+        }
+      }
+      if (options.signal?.aborted) {
+        yield { type: 'cancelled' };
+        return;
+      }
+
+      // Validation (and any repair round trips) runs on the complete reply
+      const result = schemaName
+        ? await this.completeStructured(provider, schemaName, messages, completionOptions, text)
+        : freeFormResult(text);
+      yield { type: 'final', ...result };
+    } catch (error) {
+      if (options.signal?.aborted) {
+        yield { type: 'cancelled' };
+        return;
+      }
+      console.error(`LLM stream error (${providerName}):`, error.message);
+      yield { type: 'final', ...providerErrorResult(error) };
+    }
+  }
+
+  /**
+   * Resolve the provider for a call and build its messages
+   * @returns {Object} { provider, providerName, schemaName, messages, completionOptions }
+   */
+  prepare(userInput, systemContext, options) {
+    const { provider, providerName, model } = llmRegistry.resolve(options.route || 'chat');
+    if (!provider.isConfigured()) {
+      const err = httpError(503, `LLM provider "${providerName}" not configured. Please update the AI settings (e.g. GROQ_API_KEY).`);
+      err.code = LLM_ERROR_CODES.NOT_CONFIGURED;
+      throw err;
+    }
+
+    const schemaName = options.schema !== undefined ? options.schema : (systemContext ? null : 'assistant');
+    const systemPrompt = [systemContext || DEFAULT_SYSTEM_PROMPT, options.context].filter(Boolean).join('\n\n');
+    const messages = [
+      {
+        role: 'system',
+        content: schemaName
+          ? `${systemPrompt}\n\nYour reply is validated against this JSON schema:\n${describeSchema(schemaName)}`
+          : systemPrompt
+      },
+      ...(options.history || []),
+      { role: 'user', content: userInput }
+    ];
+    const completionOptions = { model, temperature: options.temperature, maxTokens: options.maxTokens };
+    return { provider, providerName, schemaName, messages, completionOptions };
+  }
+
+  /**
+   * Complete, validate against a schema and re-prompt with the validation errors until the response is valid
+   * (LLM_REPAIR_ATTEMPTS re-prompts, default 2)
+   * @param {string} [firstReply] - Already received reply to check instead of completing the first attempt
+   * @returns {Promise<Object>} { success, data, repairs } or { success: false, code, error, errors, data }
+   */
+  async completeStructured(provider, schemaName, messages, completionOptions, firstReply = null) {
+    const conversation = [...messages];
+    const maxRepairs = getRepairAttempts();
+    let agents = null;
+    const getAgents = async () => {
+      if (!agents) agents = await agentService.getAllAgentsWithIds();
+      return agents;
+    };
+
+    let result;
+    for (let attempt = 0; attempt <= maxRepairs; attempt++) {
+      const text = attempt === 0 && firstReply !== null
+        ? firstReply
+        : await provider.complete(conversation, completionOptions);
+      result = await this.checkResponse(text, schemaName, getAgents);
+      if (result.errors.length === 0) {
+        return { success: true, data: withDefaults(result.data), ...(attempt > 0 && { repairs: attempt }) };
+      }
+
+      console.warn(`⚠️  LLM response rejected (${result.code}, attempt ${attempt + 1}/${maxRepairs + 1}):`, formatErrors(result.errors));
+      if (result.code === LLM_ERROR_CODES.AGENT_LOOKUP_FAILED) break;
+      conversation.push(
+        { role: 'assistant', content: text },
+        { role: 'user', content: `Your previous reply was rejected:\n${formatErrors(result.errors)}\n\nReply again with only the corrected JSON object. Only reference agents that exist in the marketplace.` }
+      );
+    }
+
+    return {
+      success: false,
+      code: result.code,
+      error: `LLM response failed validation: ${formatErrors(result.errors)}`,
+      errors: result.errors,
+      data: fallbackResponse("I couldn't put together a reliable answer for that. Could you rephrase your request?")
+    };
+  }
+
+  /**
+   * Parse, validate and cross-check a model response
+   * @returns {Promise<Object>} { data, code, errors } - errors is empty when the response is usable
+   */
+  async checkResponse(text, schemaName, getAgents) {
+    const data = extractJson(text);
+    if (!data) {
+      return { data, code: LLM_ERROR_CODES.INVALID_JSON, errors: [{ path: '$', message: 'reply must be a single JSON object' }] };
+    }
+
+    const schemaErrors = validateResponse(schemaName, data);
+    if (schemaErrors.length > 0) {
+      return { data, code: LLM_ERROR_CODES.SCHEMA_VIOLATION, errors: schemaErrors };
+    }
+
+    const payload = data.action?.payload || {};
+    const needsAgents = (data.matchedAgents || []).length > 0 ||
+      data.action?.type === 'request_payment' || data.action?.type === 'connect_agent';
+    if (!needsAgents) return { data, code: null, errors: [] };
+
+    let agents;
+    try {
+      agents = await getAgents();
     } catch (error) {
-      console.error('Groq API error:', error);
-      // Even on error, return structured response
+      return { data, code: LLM_ERROR_CODES.AGENT_LOOKUP_FAILED, errors: [{ path: '$', message: `could not load agents: ${error.message}` }] };
+    }
+
+    const errors = [];
+    data.matchedAgents = (data.matchedAgents || []).map((match, i) => {
+      const agent = findAgent(agents, match);
+      if (!agent) {
+        errors.push({ path: `$.matchedAgents[${i}]`, message: `"${match.name}" (${match.address}) is not a registered agent` });
+        return match;
+      }
+      // Registry data wins over whatever the model wrote
       return {
-        success: false,
-        data: {
-          message: "I encountered an error, but I'm here to help. Could you rephrase your request?",
-          reasoning: [],
-          breakpoints: [],
-          matchedAgents: [],
-          action: { type: "show_agents", payload: {} }
-        },
-        error: error.message
+        ...match,
+        agentId: agent.agentId,
+        name: agent.name,
+        address: agent.address,
+        capabilities: agent.capabilities,
+        trustScore: agent.trustScore
       };
+    });
+
+    if (data.action.type === 'request_payment' && !findAgent(agents, { address: payload.payee })) {
+      errors.push({ path: '$.action.payload.payee', message: `${payload.payee} is not a registered agent address` });
     }
+    if (data.action.type === 'connect_agent' && !findAgent(agents, { agentId: payload.agentId })) {
+      errors.push({ path: '$.action.payload.agentId', message: `${payload.agentId} is not a registered agent` });
+    }
+
+    return { data, code: errors.length > 0 ? LLM_ERROR_CODES.UNKNOWN_AGENT : null, errors };
   }
 
   // AI-powered agent search
-  async searchAgents(query, availableAgents) {
-    // Don't escape here - chat() method will handle escaping when creating the prompt
+  async searchAgents(query, availableAgents, options = {}) {
+    const candidates = await this.shortlistAgents(query, availableAgents);
+    const result = await this.chat(query, this.buildSearchPrompt(query, candidates), { route: 'search-agents', schema: 'agent-search', ...options });
+    if (!result.success) {
+      const err = httpError(502, result.error);
+      err.code = result.code;
+      err.details = result.errors;
+      throw err;
+    }
+    return result.data;
+  }
+
+  /**
+   * Narrow a large agent list to the most similar agents before it goes into a prompt
+   * (falls back to the full list if the embedding provider fails)
+   */
+  async shortlistAgents(query, availableAgents) {
+    try {
+      return await agentSearchService.shortlist(query, availableAgents);
+    } catch (error) {
+      console.warn('⚠️  Agent shortlist failed, sending every agent to the LLM:', error.message);
+      return availableAgents;
+    }
+  }
+
+  /**
+   * System prompt ranking availableAgents for a query (schema 'agent-search')
+   */
+  buildSearchPrompt(query, availableAgents) {
     const agentsJson = JSON.stringify(availableAgents, null, 2);
     
     const jsonFormatExample = `{
@@ -133,7 +402,7 @@ Always respond with valid JSON only in this format:
   ]
 }`;
     
-    const systemContext = `You are an AI assistant that helps users find agents in a marketplace.
+    return `You are an AI assistant that helps users find agents in a marketplace.
 
 Given this user query: "${query}"
 
@@ -148,31 +417,6 @@ Analyze the query and return the top 5 matching agents ranked by relevance. Cons
 
 Return ONLY valid JSON in this format:
 ${jsonFormatExample}`;
-
-    const result = await this.chat(query, systemContext);
-    
-    // Ensure the result has matchedAgents array
-    if (result.data) {
-      if (!result.data.matchedAgents && result.data.matchedAgents === undefined) {
-        // Try to extract from the response
-        if (result.data.message && typeof result.data.message === 'string') {
-          // Try to parse agents from message if available
-          result.data.matchedAgents = [];
-        } else {
-          result.data.matchedAgents = [];
-        }
-      }
-      return result.data;
-    }
-    
-    // Fallback format
-    return {
-      message: result.raw || `Found agents matching your query.`,
-      matchedAgents: [],
-      reasoning: [],
-      breakpoints: [],
-      action: { type: "show_agents", payload: {} }
-    };
   }
 }
 
@@ -1,5 +1,6 @@
 // services/hedera-agent-kit-service.js
-const { ChatGroq } = require('@langchain/groq');
+const llmRegistry = require('../llm/registry');
+const agentToolsService = require('./agent-tools-service');
 
 class HederaAgentKitService {
   constructor() {
@@ -30,8 +31,15 @@ class HederaAgentKitService {
         return;
       }
 
-      if (!process.env.GROQ_API_KEY) {
-        console.warn('⚠️  GROQ_API_KEY not configured for Agent Kit');
+      // LLM for the agent kit: LLM route 'agent-kit' (needs a LangChain chat model)
+      const { provider, providerName, model } = llmRegistry.resolve('agent-kit');
+      if (!provider.isConfigured()) {
+        console.warn(`⚠️  LLM provider "${providerName}" not configured for Agent Kit`);
+        return;
+      }
+      const llm = provider.getChatModel({ model, temperature: 0.5 });
+      if (!llm) {
+        console.warn(`⚠️  LLM provider "${providerName}" has no LangChain chat model; Agent Kit disabled`);
         return;
       }
 
@@ -42,13 +50,6 @@ class HederaAgentKitService {
         'testnet'
       );
 
-      // Initialize Groq LLM for agent kit
-      const llm = new ChatGroq({
-        apiKey: process.env.GROQ_API_KEY,
-        model: 'llama3-70b-8192',
-        temperature: 0.5,
-      });
-
       // Create agent kit with core plugins
       this.agentKit = new HederaAgentKit(signer, {
         llm: llm,
@@ -61,7 +62,7 @@ class HederaAgentKitService {
 
       await this.agentKit.initialize();
       
-      console.log('✅ Hedera Agent Kit initialized with Groq');
+      console.log(`✅ Hedera Agent Kit initialized with ${providerName} (${model})`);
       this.initialized = true;
     } catch (error) {
       console.error('Failed to initialize Hedera Agent Kit:', error.message);
@@ -85,7 +86,8 @@ class HederaAgentKitService {
   }
 
   // Execute agent action using natural language
-  async executeAction(userQuery) {
+  // Heracles platform tools are added next to the agent kit's; value-moving ones only queue confirmations
+  async executeAction(userQuery, owner = null) {
     await this.initialize();
     
     if (!this.initialized || !this.agentKit) {
@@ -93,7 +95,8 @@ class HederaAgentKitService {
     }
     
     try {
-      const tools = this.getTools();
+      const run = await agentToolsService.startRun(userQuery, owner);
+      const tools = [...this.getTools(), ...agentToolsService.createTools(run)];
       const { AgentExecutor, createToolCallingAgent } = require('langchain/agents');
       const { ChatPromptTemplate } = require('@langchain/core/prompts');
 
@@ -111,8 +114,14 @@ class HederaAgentKitService {
 
       const executor = new AgentExecutor({ agent, tools });
       const response = await executor.invoke({ input: userQuery });
-
-      return response;
+      await agentToolsService.finishRun(run, response.output);
+
+      return {
+        ...response,
+        runId: run.id,
+        status: run.status,
+        pendingConfirmations: run.confirmations.filter(c => c.status === 'pending')
+      };
     } catch (error) {
       console.error('Agent execution failed:', error.message);
       throw new Error(`Agent execution failed: ${error.message}`);
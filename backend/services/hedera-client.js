@@ -159,6 +159,7 @@ class HederaClient {
     const axios = require('axios');
     const base = process.env.MIRROR_NODE_URL;
     if (!base) throw new Error('MIRROR_NODE_URL not set');
+    if (base === 'local') return require('./local-mirror-service').query(endpoint);
     const url = `${base}${endpoint}`;
     const { data } = await axios.get(url);
     return data;
@@ -168,6 +169,14 @@ class HederaClient {
     return this.queryMirrorNode(`/transactions/${transactionId}`);
   }
 
+  /**
+   * Mirror node account record
+   * @param {string} idOrAddress - Account ID (0.0.x), EVM address or alias
+   */
+  async getAccount(idOrAddress) {
+    return this.queryMirrorNode(`/accounts/${idOrAddress}`);
+  }
+
   async getAccountTransactions(accountId, limit = 10) {
     return this.queryMirrorNode(`/accounts/${accountId}/transactions?limit=${limit}`);
   }
@@ -0,0 +1,231 @@
+// services/keystore-service.js
+// Encrypted keystore for agent wallets (scrypt JSON keystore v3, encrypted with KEYSTORE_PASSPHRASE)
+const { ethers } = require('ethers');
+const PersistentMap = require('../repositories/persistent-map');
+
+const DEFAULT_UNLOCK_TTL_MS = 5 * 60 * 1000; // 5 minutes
+
+class KeystoreService {
+  constructor() {
+    // agentId -> { address, keystore, createdAt, updatedAt }
+    this.keystores = new PersistentMap('agentKeystores', null, { writeThrough: true });
+    // Unlocked wallets are only held in memory, for a short time: agentId -> { wallet, expiresAt }
+    this.unlocked = new Map();
+    this.passphraseOverride = null;
+  }
+
+  getPassphrase() {
+    const passphrase = this.passphraseOverride || process.env.KEYSTORE_PASSPHRASE;
+    if (!passphrase) {
+      throw new Error('Keystore locked: set KEYSTORE_PASSPHRASE to encrypt/decrypt agent wallet keys');
+    }
+    return passphrase;
+  }
+
+  isConfigured() {
+    return Boolean(this.passphraseOverride || process.env.KEYSTORE_PASSPHRASE);
+  }
+
+  getUnlockTtl() {
+    const ttl = Number(process.env.KEYSTORE_UNLOCK_TTL_MS);
+    return Number.isFinite(ttl) && ttl >= 0 ? ttl : DEFAULT_UNLOCK_TTL_MS;
+  }
+
+  async encrypt(wallet, passphrase) {
+    const options = {};
+    if (process.env.KEYSTORE_SCRYPT_N) {
+      options.scrypt = { N: Number(process.env.KEYSTORE_SCRYPT_N) };
+    }
+    return ethers.encryptKeystoreJson({ address: wallet.address, privateKey: wallet.privateKey }, passphrase, options);
+  }
+
+  /**
+   * Resolve a keystore entry by agentId or wallet address
+   * @param {string} agentIdOrAddress - Agent ID or EVM address
+   * @returns {Object|null} { agentId, entry } or null
+   */
+  findEntry(agentIdOrAddress) {
+    if (!agentIdOrAddress) return null;
+    const entry = this.keystores.get(agentIdOrAddress);
+    if (entry) return { agentId: agentIdOrAddress, entry };
+
+    const needle = agentIdOrAddress.toLowerCase();
+    for (const [agentId, candidate] of this.keystores.entries()) {
+      if (candidate.address?.toLowerCase() === needle) {
+        return { agentId, entry: candidate };
+      }
+    }
+    return null;
+  }
+
+  hasKey(agentIdOrAddress) {
+    return this.findEntry(agentIdOrAddress) !== null;
+  }
+
+  getAddress(agentIdOrAddress) {
+    return this.findEntry(agentIdOrAddress)?.entry.address || null;
+  }
+
+  /**
+   * Encrypt and store an agent private key
+   * @param {string} agentId - Agent identifier
+   * @param {string} privateKey - Hex private key (with or without 0x)
+   * @returns {Promise<Object>} { agentId, address }
+   */
+  async storeKey(agentId, privateKey) {
+    const passphrase = this.getPassphrase();
+    const normalizedKey = privateKey.startsWith('0x') ? privateKey : '0x' + privateKey;
+    const wallet = new ethers.Wallet(normalizedKey);
+    const keystore = await this.encrypt(wallet, passphrase);
+    const existing = this.keystores.get(agentId);
+
+    this.keystores.set(agentId, {
+      address: wallet.address,
+      keystore,
+      createdAt: existing?.createdAt || new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    });
+    this.unlocked.delete(agentId);
+
+    return { agentId, address: wallet.address };
+  }
+
+  /**
+   * Generate a new wallet for an agent and store it encrypted
+   * @param {string} agentId - Agent identifier
+   * @returns {Promise<Object>} { agentId, address }
+   */
+  async generateKey(agentId) {
+    const wallet = ethers.Wallet.createRandom();
+    return this.storeKey(agentId, wallet.privateKey);
+  }
+
+  /**
+   * Unlock an agent wallet on demand and return it as a signer
+   * @param {string} agentIdOrAddress - Agent ID or wallet address
+   * @param {Object} [provider] - ethers provider to connect the signer to
+   * @returns {Promise<ethers.Wallet>} Connected wallet
+   */
+  async getSigner(agentIdOrAddress, provider = null) {
+    const found = this.findEntry(agentIdOrAddress);
+    if (!found) {
+      throw new Error(`No keystore entry for ${agentIdOrAddress}`);
+    }
+
+    const cached = this.unlocked.get(found.agentId);
+    let wallet = cached && cached.expiresAt > Date.now() ? cached.wallet : null;
+
+    if (!wallet) {
+      const account = await ethers.decryptKeystoreJson(found.entry.keystore, this.getPassphrase());
+      wallet = new ethers.Wallet(account.privateKey);
+      const ttl = this.getUnlockTtl();
+      if (ttl > 0) {
+        this.unlocked.set(found.agentId, { wallet, expiresAt: Date.now() + ttl });
+      }
+    }
+
+    return provider ? wallet.connect(provider) : wallet;
+  }
+
+  /**
+   * Drop unlocked wallets from memory
+   * @param {string} [agentId] - Lock a single agent (locks all if omitted)
+   */
+  lock(agentId = null) {
+    if (agentId) {
+      this.unlocked.delete(agentId);
+    } else {
+      this.unlocked.clear();
+    }
+  }
+
+  /**
+   * Re-encrypt every keystore entry under a new master passphrase
+   * @param {string} currentPassphrase - Current master passphrase (must match)
+   * @param {string} newPassphrase - New master passphrase
+   * @returns {Promise<Object>} { rotated }
+   */
+  async rotateMasterPassphrase(currentPassphrase, newPassphrase) {
+    if (currentPassphrase !== this.getPassphrase()) {
+      throw new Error('Current passphrase does not match');
+    }
+    if (!newPassphrase || newPassphrase.length < 12) {
+      throw new Error('New passphrase must be at least 12 characters');
+    }
+
+    // Decrypt everything first so a bad entry aborts the rotation before anything is rewritten
+    const decrypted = [];
+    for (const [agentId, entry] of this.keystores.entries()) {
+      const account = await ethers.decryptKeystoreJson(entry.keystore, currentPassphrase);
+      decrypted.push([agentId, entry, new ethers.Wallet(account.privateKey)]);
+    }
+
+    for (const [agentId, entry, wallet] of decrypted) {
+      this.keystores.set(agentId, {
+        ...entry,
+        keystore: await this.encrypt(wallet, newPassphrase),
+        updatedAt: new Date().toISOString()
+      });
+    }
+
+    this.passphraseOverride = newPassphrase;
+    process.env.KEYSTORE_PASSPHRASE = newPassphrase;
+    this.lock();
+    console.log(`🔐 Rotated keystore passphrase for ${decrypted.length} agent wallets (update KEYSTORE_PASSPHRASE before restarting)`);
+
+    return { rotated: decrypted.length };
+  }
+
+  /**
+   * Export an agent's keystore, re-encrypted under an export password
+   * @param {string} agentIdOrAddress - Agent ID or wallet address
+   * @param {string} exportPassword - Password protecting the exported keystore
+   * @returns {Promise<Object>} { agentId, address, keystore }
+   */
+  async exportKeystore(agentIdOrAddress, exportPassword) {
+    if (!exportPassword) {
+      throw new Error('An export password is required');
+    }
+    const found = this.findEntry(agentIdOrAddress);
+    if (!found) {
+      throw new Error(`No keystore entry for ${agentIdOrAddress}`);
+    }
+    const wallet = await this.getSigner(found.agentId);
+    return {
+      agentId: found.agentId,
+      address: found.entry.address,
+      keystore: await this.encrypt(wallet, exportPassword)
+    };
+  }
+
+  /**
+   * Import a JSON keystore and store it under the master passphrase
+   * @param {string} agentId - Agent identifier
+   * @param {string|Object} keystore - JSON keystore
+   * @param {string} password - Password of the imported keystore
+   * @returns {Promise<Object>} { agentId, address }
+   */
+  async importKeystore(agentId, keystore, password) {
+    const json = typeof keystore === 'string' ? keystore : JSON.stringify(keystore);
+    if (!ethers.isKeystoreJson(json)) {
+      throw new Error('Invalid JSON keystore');
+    }
+    const account = await ethers.decryptKeystoreJson(json, password);
+    return this.storeKey(agentId, account.privateKey);
+  }
+
+  /**
+   * List stored wallets (addresses only)
+   * @returns {Array} [{ agentId, address, createdAt, updatedAt }]
+   */
+  listKeys() {
+    return Array.from(this.keystores.entries()).map(([agentId, entry]) => ({
+      agentId,
+      address: entry.address,
+      createdAt: entry.createdAt,
+      updatedAt: entry.updatedAt
+    }));
+  }
+}
+
+module.exports = new KeystoreService();
@@ -0,0 +1,204 @@
+// services/local-facilitator-service.js
+// Built-in x402 facilitator (X402_FACILITATOR_URL=local). Verifies pre-signed Hedera TransferTransaction payloads
+// against the payment requirements, settles them as fee payer with the operator account, and checks submitted
+// transactions on the mirror node (or the local mirror stand-in, MIRROR_NODE_URL=local, which also keeps
+// settlement offline: transfers are recorded there instead of being submitted).
+const hederaClient = require('./hedera-client');
+const localMirror = require('./local-mirror-service');
+const httpError = require('../utils/http-error');
+
+const SCHEME = 'exact';
+const DEFAULT_VALID_DURATION_SECONDS = 120;
+
+// HEDERA_NETWORK is 'testnet' while x402 names it 'hedera-testnet'; challenges have used both
+function normalizeNetwork(network) {
+  return network && !network.startsWith('hedera-') ? `hedera-${network}` : network;
+}
+
+function invalid(invalidReason, payer = null) {
+  return { isValid: false, invalidReason, payer };
+}
+
+class LocalFacilitatorService {
+  getNetwork() {
+    return normalizeNetwork(process.env.HEDERA_NETWORK || 'testnet');
+  }
+
+  /**
+   * Account that co-signs settlements and pays their fees
+   */
+  getFeePayer() {
+    return process.env.HEDERA_ACCOUNT_ID || null;
+  }
+
+  supported() {
+    return { kinds: [{ x402Version: 1, scheme: SCHEME, network: this.getNetwork() }] };
+  }
+
+  health() {
+    return {
+      status: 'ok',
+      facilitator: 'local',
+      network: this.getNetwork(),
+      feePayer: this.getFeePayer(),
+      mirror: localMirror.isEnabled() ? 'local' : (process.env.MIRROR_NODE_URL || null)
+    };
+  }
+
+  async resolveAccountId(idOrAddress) {
+    if (/^\d+\.\d+\.\d+$/.test(idOrAddress)) return idOrAddress;
+    const account = await hederaClient.getAccount(idOrAddress).catch(() => null);
+    return account?.account || null;
+  }
+
+  decode(paymentPayload) {
+    const { Transaction, TransferTransaction } = require('@hashgraph/sdk');
+    const encoded = paymentPayload?.payload?.transaction;
+    if (!encoded) return { error: 'missing_transaction' };
+    try {
+      const transaction = Transaction.fromBytes(Buffer.from(encoded, 'base64'));
+      if (!(transaction instanceof TransferTransaction)) return { error: 'unsupported_transaction_type' };
+      return { transaction };
+    } catch (_e) {
+      return { error: 'invalid_transaction_bytes' };
+    }
+  }
+
+  /**
+   * Transfers of one asset in a TransferTransaction
+   * @returns {Object[]} [{ account, amount (BigInt, smallest unit) }]
+   */
+  transfersOf(transaction, asset) {
+    const transfers = [];
+    if (asset === 'HBAR' || asset === '0.0.0') {
+      for (const [accountId, hbar] of transaction.hbarTransfers) {
+        transfers.push({ account: accountId.toString(), amount: BigInt(hbar.toTinybars().toString()) });
+      }
+      return transfers;
+    }
+    for (const [tokenId, accounts] of transaction.tokenTransfers) {
+      if (tokenId.toString() !== asset) continue;
+      for (const [accountId, amount] of accounts) {
+        transfers.push({ account: accountId.toString(), amount: BigInt(amount.toString()) });
+      }
+    }
+    return transfers;
+  }
+
+  /**
+   * Check a signed payment against its requirements without submitting it
+   * @param {Object} paymentPayload - { x402Version, scheme, network, payload: { transaction } }
+   * @param {Object} paymentRequirements - Challenge accepts[] entry
+   * @returns {Promise<Object>} { isValid, invalidReason?, payer }
+   */
+  async verify(paymentPayload, paymentRequirements) {
+    if (!paymentRequirements) return invalid('missing_payment_requirements');
+    if ((paymentPayload.scheme || SCHEME) !== SCHEME || paymentRequirements.scheme !== SCHEME) return invalid('unsupported_scheme');
+    const network = this.getNetwork();
+    if (normalizeNetwork(paymentRequirements.network) !== network ||
+      (paymentPayload.network && normalizeNetwork(paymentPayload.network) !== network)) {
+      return invalid('invalid_network');
+    }
+
+    const { transaction, error } = this.decode(paymentPayload);
+    if (error) return invalid(error);
+
+    const feePayer = this.getFeePayer();
+    if (!feePayer || transaction.transactionId?.accountId?.toString() !== feePayer) {
+      return invalid('invalid_fee_payer');
+    }
+    const validStart = transaction.transactionId.validStart.toDate().getTime();
+    const validDuration = (transaction.transactionValidDuration || DEFAULT_VALID_DURATION_SECONDS) * 1000;
+    if (validStart + validDuration <= Date.now()) return invalid('transaction_expired');
+
+    const memo = paymentRequirements.extra?.memo;
+    if (memo && transaction.transactionMemo !== memo) return invalid('invalid_memo');
+
+    const transfers = this.transfersOf(transaction, paymentRequirements.asset);
+    const debits = transfers.filter(t => t.amount < 0n);
+    const payer = debits.sort((a, b) => (a.amount < b.amount ? -1 : 1))[0]?.account || null;
+    // The facilitator only pays fees; a transfer out of its account would be paid by whoever co-signs it
+    if (debits.some(t => t.account === feePayer)) return invalid('fee_payer_debited', payer);
+    if (!payer) return invalid('missing_payer');
+
+    const payee = await this.resolveAccountId(paymentRequirements.payTo);
+    if (!payee) return invalid('unknown_payee', payer);
+    const received = transfers.filter(t => t.account === payee).reduce((sum, t) => sum + t.amount, 0n);
+    if (received !== BigInt(paymentRequirements.maxAmountRequired)) return invalid('invalid_amount', payer);
+
+    const platformFee = paymentRequirements.extra?.platformFee;
+    if (platformFee) {
+      const treasury = await this.resolveAccountId(platformFee.payTo);
+      const fee = transfers.filter(t => t.account === treasury).reduce((sum, t) => sum + t.amount, 0n);
+      if (fee !== BigInt(platformFee.amount)) return invalid('invalid_platform_fee', payer);
+    }
+
+    return { isValid: true, payer };
+  }
+
+  /**
+   * Verify, co-sign as fee payer and submit a signed payment (recorded in the local mirror when offline)
+   * @returns {Promise<Object>} { success, transaction (txId), network, payer, errorReason? }
+   */
+  async settle(paymentPayload, paymentRequirements) {
+    const verification = await this.verify(paymentPayload, paymentRequirements);
+    if (!verification.isValid) {
+      return { success: false, errorReason: verification.invalidReason, transaction: null, network: this.getNetwork(), payer: verification.payer };
+    }
+
+    const { transaction } = this.decode(paymentPayload);
+    const txId = transaction.transactionId.toString();
+    const mirrorId = txId.replace('@', '-').replace(/\.(\d+)$/, '-$1');
+
+    if (localMirror.isEnabled()) {
+      localMirror.recordTransfer({
+        transactionId: mirrorId,
+        memo: transaction.transactionMemo,
+        transfers: this.transfersOf(transaction, 'HBAR'),
+        tokenTransfers: paymentRequirements.asset === 'HBAR' ? [] : this.transfersOf(transaction, paymentRequirements.asset)
+          .map(t => ({ ...t, token_id: paymentRequirements.asset }))
+      });
+      console.log(`💾 Local facilitator recorded ${mirrorId} in the local mirror (offline settlement)`);
+      return { success: true, transaction: mirrorId, network: this.getNetwork(), payer: verification.payer };
+    }
+
+    try {
+      hederaClient.ensureOperator();
+      await transaction.sign(hederaClient.privateKey);
+      const response = await transaction.execute(hederaClient.client);
+      const receipt = await response.getReceipt(hederaClient.client);
+      console.log(`✅ Local facilitator settled ${mirrorId} (${receipt.status.toString()})`);
+      return { success: true, transaction: mirrorId, network: this.getNetwork(), payer: verification.payer };
+    } catch (error) {
+      console.error('❌ Local facilitator settlement failed:', error.message);
+      return { success: false, errorReason: error.message, transaction: mirrorId, network: this.getNetwork(), payer: verification.payer };
+    }
+  }
+
+  /**
+   * Check an already submitted transaction on the mirror node (the txId-based verify of the remote facilitator)
+   * @param {string} txId - Transaction id
+   * @param {string|number} [expectedAmount] - Minimum amount in HBAR
+   * @param {string} [expectedPayTo] - Recipient account id or EVM address
+   * @returns {Promise<Object>} { verified, txId, error? }
+   */
+  async verifyTransaction(txId, expectedAmount, expectedPayTo) {
+    if (!txId) throw httpError(400, 'txId is required');
+    const paymentIntentService = require('./payment-intent-service');
+    const transaction = await paymentIntentService.fetchTransaction(txId).catch(() => null);
+    if (!transaction) return { verified: false, txId, error: 'Settlement not found or failed' };
+
+    if (expectedPayTo) {
+      const payee = await this.resolveAccountId(expectedPayTo);
+      const received = (transaction.transfers || [])
+        .filter(t => t.account === payee)
+        .reduce((sum, t) => sum + BigInt(t.amount), 0n);
+      const x402Service = require('./x402-facilitator-service');
+      const expected = expectedAmount ? BigInt(x402Service.toAtomicAmount(expectedAmount, 'HBAR')) : 1n;
+      if (received < expected) return { verified: false, txId, error: 'Payment amount or recipient mismatch' };
+    }
+    return { verified: true, txId: transaction.transaction_id, consensusTimestamp: transaction.consensus_timestamp };
+  }
+}
+
+module.exports = new LocalFacilitatorService();
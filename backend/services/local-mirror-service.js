@@ -0,0 +1,99 @@
+// services/local-mirror-service.js
+// Offline stand-in for the Hedera mirror node REST API (MIRROR_NODE_URL=local). It serves the transactions the
+// local x402 facilitator settles, in mirror-node shape, so payment verification works without network access.
+const PersistentMap = require('../repositories/persistent-map');
+
+const LONG_ZERO_PREFIX = '0x' + '0'.repeat(24);
+
+function notFound(endpoint) {
+  const err = new Error(`Local mirror: ${endpoint} not found`);
+  err.response = { status: 404, data: { _status: { messages: [{ message: 'Not found' }] } } };
+  return err;
+}
+
+function consensusTimestamp(date = new Date()) {
+  const ms = date.getTime();
+  return `${Math.floor(ms / 1000)}.${String((ms % 1000) * 1e6).padStart(9, '0')}`;
+}
+
+class LocalMirrorService {
+  constructor() {
+    // mirror transaction id (0.0.x-sss-nnn) -> mirror-node transaction record
+    this.transactions = new PersistentMap('localMirrorTransactions');
+    // lowercased EVM address -> account id, for addresses that aren't long-zero
+    this.accounts = new PersistentMap('localMirrorAccounts');
+  }
+
+  isEnabled() {
+    return process.env.MIRROR_NODE_URL === 'local';
+  }
+
+  /**
+   * Map an EVM address to an account id (long-zero addresses resolve without this)
+   */
+  registerAccount(evmAddress, accountId) {
+    this.accounts.set(evmAddress.toLowerCase(), accountId);
+  }
+
+  /**
+   * Record a settled transfer
+   * @param {Object} transfer - { transactionId (mirror form), memo, transfers: [{ account, amount }], tokenTransfers?: [{ token_id, account, amount }] }
+   * @returns {Object} Mirror-node transaction record
+   */
+  recordTransfer({ transactionId, memo = '', transfers = [], tokenTransfers = [] }) {
+    const record = {
+      transaction_id: transactionId,
+      consensus_timestamp: consensusTimestamp(),
+      name: 'CRYPTOTRANSFER',
+      result: 'SUCCESS',
+      memo_base64: Buffer.from(memo).toString('base64'),
+      transfers: transfers.map(t => ({ account: t.account, amount: Number(t.amount), is_approval: false })),
+      token_transfers: tokenTransfers.map(t => ({ token_id: t.token_id, account: t.account, amount: Number(t.amount), is_approval: false }))
+    };
+    this.transactions.set(transactionId, record);
+    return record;
+  }
+
+  resolveAccount(idOrAddress) {
+    if (/^\d+\.\d+\.\d+$/.test(idOrAddress)) return idOrAddress;
+    const address = idOrAddress.toLowerCase();
+    if (address.startsWith(LONG_ZERO_PREFIX)) return `0.0.${parseInt(address.slice(LONG_ZERO_PREFIX.length), 16)}`;
+    return this.accounts.get(address) || null;
+  }
+
+  /**
+   * Answer a mirror-node REST query (the part of /api/v1 the backend uses)
+   * @param {string} endpoint - Path after /api/v1, e.g. /transactions/0.0.5-1700000000-000000001
+   * @returns {Promise<Object>} Response body
+   */
+  async query(endpoint) {
+    const [path, queryString = ''] = endpoint.split('?');
+    const params = new URLSearchParams(queryString);
+    const segments = path.split('/').filter(Boolean);
+
+    if (segments[0] === 'transactions' && segments.length === 2) {
+      const record = this.transactions.get(segments[1]);
+      if (!record) throw notFound(endpoint);
+      return { transactions: [record] };
+    }
+    if (segments[0] === 'accounts' && segments.length >= 2) {
+      const account = this.resolveAccount(decodeURIComponent(segments[1]));
+      if (!account) throw notFound(endpoint);
+      if (segments[2] === 'transactions') {
+        const limit = Number(params.get('limit')) || 25;
+        const transactions = Array.from(this.transactions.values())
+          .filter(tx => [...tx.transfers, ...tx.token_transfers].some(t => t.account === account))
+          .sort((a, b) => Number(b.consensus_timestamp) - Number(a.consensus_timestamp))
+          .slice(0, limit);
+        return { transactions, links: { next: null } };
+      }
+      return { account, evm_address: segments[1].startsWith('0x') ? segments[1].toLowerCase() : null };
+    }
+    if (segments[0] === 'topics' && segments[2] === 'messages') {
+      return { messages: [], links: { next: null } };
+    }
+    throw notFound(endpoint);
+  }
+}
+
+module.exports = new LocalMirrorService();
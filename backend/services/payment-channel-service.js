@@ -0,0 +1,350 @@
+// services/payment-channel-service.js
+// Unidirectional HBAR payment channels (contracts/src/PaymentChannel.sol). The payer funds a channel once, then
+// pays off-chain with signed vouchers carrying the cumulative amount owed; the backend keeps the latest voucher
+// and the payee redeems it when closing the channel. Deposits and vouchers are in tinybars, what the contract
+// sees as msg.value on Hedera.
+const { ethers } = require('ethers');
+const fs = require('fs');
+const path = require('path');
+const PersistentMap = require('../repositories/persistent-map');
+const hederaClient = require('./hedera-client');
+const paymentService = require('./payment-service');
+const httpError = require('../utils/http-error');
+
+const STATUSES = ['open', 'closed', 'expired'];
+
+// Minimal ABI used when the compiled artifact isn't available
+const MINIMAL_ABI = [
+  'function openChannel(address _payee, uint256 _expirationDays) payable returns (bytes32)',
+  'function topUp(bytes32 _channelId) payable',
+  'function closeChannel(bytes32 _channelId, uint256 _cumulativeAmount, bytes _signature)',
+  'function claimExpiredChannel(bytes32 _channelId)',
+  'function getChannel(bytes32 _channelId) view returns (tuple(bytes32 channelId, address payer, address payee, uint256 deposit, uint256 redeemed, uint8 status, uint256 createdAt, uint256 closedAt, uint256 expirationTime))',
+  'event ChannelOpened(bytes32 indexed channelId, address indexed payer, address indexed payee, uint256 deposit, uint256 expirationTime)'
+];
+
+let PaymentChannelABI = MINIMAL_ABI;
+try {
+  PaymentChannelABI = require('../../contracts/artifacts/src/PaymentChannel.sol/PaymentChannel.json').abi;
+} catch (_e) {
+  console.warn('[payment-channel-service] ⚠ PaymentChannel ABI not found, using minimal ABI');
+}
+
+function getContractAddress() {
+  const deploymentPath = path.resolve(__dirname, '../../contracts/deployment.json');
+  try {
+    if (fs.existsSync(deploymentPath)) {
+      const address = require(deploymentPath)?.contracts?.PaymentChannel;
+      if (address) return address;
+    }
+  } catch (_e) { /* fall back to env */ }
+  return process.env.PAYMENT_CHANNEL_ADDRESS || null;
+}
+
+function toAmount(value, name) {
+  if (!/^\d+$/.test(String(value)) || BigInt(value) <= 0n) {
+    throw httpError(400, `${name} must be a positive integer in tinybars`);
+  }
+  return BigInt(value);
+}
+
+class PaymentChannelService {
+  constructor() {
+    // channelId -> { channelId, contract, chainId, payer, payee, deposit, expiresAt, status, latestVoucher, redeemed, openTxHash, closeTxHash, createdAt, updatedAt }
+    this.channels = new PersistentMap('paymentChannels', null, { writeThrough: true });
+    this.contract = null;
+  }
+
+  isConfigured() {
+    return !!getContractAddress();
+  }
+
+  /**
+   * PaymentChannel instance signing as an agent (session signer) or, without one, as the backend wallet
+   * @param {string} [agentAddress] - Agent address the signer must belong to
+   * @param {ethers.Signer} [signer] - Signer resolved from a signing session
+   * @returns {Promise<ethers.Contract>} Contract connected to the signer
+   */
+  async getContractFor(agentAddress = null, signer = null) {
+    const address = getContractAddress();
+    if (!address) {
+      throw httpError(503, 'PaymentChannel address not configured. Deploy it (contracts/deployment.json) or set PAYMENT_CHANNEL_ADDRESS');
+    }
+    if (agentAddress && signer) {
+      const wallet = await paymentService.resolveAgentSigner(agentAddress, signer);
+      return new ethers.Contract(address, PaymentChannelABI, wallet);
+    }
+    if (!this.contract) {
+      paymentService.ensureProvider();
+      const { EVM_PRIVATE_KEY } = process.env;
+      if (!EVM_PRIVATE_KEY || !EVM_PRIVATE_KEY.startsWith('0x')) {
+        throw new Error('EVM_PRIVATE_KEY must be set (hex 0x...) for ethers operations');
+      }
+      this.contract = new ethers.Contract(address, PaymentChannelABI, new ethers.Wallet(EVM_PRIVATE_KEY, paymentService.provider));
+    }
+    return this.contract;
+  }
+
+  /**
+   * Refresh a channel from the contract (also registers channels opened without the backend)
+   * @param {string} channelId - Channel id (bytes32 hex)
+   * @returns {Promise<Object>} Stored channel
+   */
+  async sync(channelId) {
+    const contract = await this.getContractFor();
+    const onChain = await contract.getChannel(channelId);
+    if (onChain.payer === ethers.ZeroAddress) throw httpError(404, `Payment channel ${channelId} not found`);
+
+    const address = (await contract.getAddress()).toLowerCase();
+    const chainId = this.channels.get(channelId)?.chainId || (await contract.runner.provider.getNetwork()).chainId.toString();
+    // Read after the awaits, so a voucher accepted meanwhile isn't overwritten with an older one
+    const stored = this.channels.get(channelId);
+    const channel = {
+      channelId,
+      contract: address,
+      chainId,
+      payer: onChain.payer.toLowerCase(),
+      payee: onChain.payee.toLowerCase(),
+      deposit: onChain.deposit.toString(),
+      expiresAt: new Date(Number(onChain.expirationTime) * 1000).toISOString(),
+      status: STATUSES[Number(onChain.status)],
+      redeemed: onChain.redeemed.toString(),
+      latestVoucher: stored?.latestVoucher || null,
+      openTxHash: stored?.openTxHash || null,
+      closeTxHash: stored?.closeTxHash || null,
+      createdAt: stored?.createdAt || new Date(Number(onChain.createdAt) * 1000).toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+    this.channels.set(channelId, channel);
+    return channel;
+  }
+
+  /**
+   * Channel with its current status ('expired' once past expiresAt while still open on-chain)
+   * @param {string} channelId - Channel id
+   * @returns {Promise<Object>} Channel plus `remaining` (deposit not yet promised by a voucher)
+   */
+  async get(channelId) {
+    if (!/^0x[0-9a-fA-F]{64}$/.test(channelId || '')) throw httpError(400, 'channelId must be a bytes32 hex string');
+    const channel = this.channels.get(channelId) || await this.sync(channelId);
+    const promised = BigInt(channel.latestVoucher?.amount || 0);
+    return {
+      ...channel,
+      status: channel.status === 'open' && Date.parse(channel.expiresAt) <= Date.now() ? 'expired' : channel.status,
+      remaining: (BigInt(channel.deposit) - promised).toString()
+    };
+  }
+
+  /**
+   * Channels known to the backend
+   * @param {Object} [filter] - { payer?, payee? } addresses
+   * @returns {Object[]} Channels, newest first
+   */
+  list({ payer, payee } = {}) {
+    return Array.from(this.channels.values())
+      .filter(c => !payer || c.payer === payer.toLowerCase())
+      .filter(c => !payee || c.payee === payee.toLowerCase())
+      .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt));
+  }
+
+  /**
+   * Open a channel
+   * @param {Object} params - { payee, amount (HBAR), expirationDays?, payer?, payerSigner? }
+   * @returns {Promise<Object>} Stored channel
+   */
+  async open({ payee, amount, expirationDays = 0, payer = null, payerSigner = null }) {
+    if (!ethers.isAddress(payee)) throw httpError(400, 'payee must be an EVM address');
+    if (!(Number(amount) > 0)) throw httpError(400, 'amount must be greater than 0');
+
+    const contract = await this.getContractFor(payer, payerSigner);
+    const tx = await contract.openChannel(payee, expirationDays, { value: ethers.parseEther(String(amount)) });
+    const receipt = await tx.wait();
+    const log = receipt.logs.find(l => {
+      try { return contract.interface.parseLog(l).name === 'ChannelOpened'; } catch { return false; }
+    });
+    if (!log) throw new Error(`openChannel ${receipt.hash} emitted no ChannelOpened event`);
+    const channelId = contract.interface.parseLog(log).args.channelId;
+
+    this.channels.set(channelId, { openTxHash: receipt.hash, createdAt: new Date().toISOString() });
+    const channel = await this.sync(channelId);
+    console.log(`✅ Payment channel ${channelId} opened: ${channel.payer} -> ${channel.payee} (${channel.deposit} tinybars)`);
+    await this.logEvent('ChannelOpened', channel, { deposit: channel.deposit, expiresAt: channel.expiresAt, txHash: receipt.hash });
+    return channel;
+  }
+
+  /**
+   * Add funds to an open channel
+   * @param {string} channelId - Channel id
+   * @param {number|string} amount - Amount in HBAR
+   * @param {string} [payer] - Payer agent address (signs with payerSigner)
+   * @param {ethers.Signer} [payerSigner] - Signer resolved from a signing session
+   * @returns {Promise<Object>} Stored channel
+   */
+  async topUp(channelId, amount, payer = null, payerSigner = null) {
+    if (!(Number(amount) > 0)) throw httpError(400, 'amount must be greater than 0');
+    const current = await this.get(channelId);
+    if (current.status !== 'open') throw httpError(409, `Payment channel ${channelId} is ${current.status}`);
+
+    const contract = await this.getContractFor(payer, payerSigner);
+    const receipt = await (await contract.topUp(channelId, { value: ethers.parseEther(String(amount)) })).wait();
+    const channel = await this.sync(channelId);
+    await this.logEvent('ChannelToppedUp', channel, { deposit: channel.deposit, txHash: receipt.hash });
+    return channel;
+  }
+
+  /**
+   * Hash the payer signs (EIP-191 personal message) for a voucher; mirrors PaymentChannel.voucherHash
+   * @param {Object} channel - Stored channel
+   * @param {string|bigint} amount - Cumulative amount in tinybars
+   * @returns {string} bytes32 hex
+   */
+  voucherHash(channel, amount) {
+    return ethers.solidityPackedKeccak256(
+      ['address', 'uint256', 'bytes32', 'uint256'],
+      [channel.contract, channel.chainId, channel.channelId, amount]
+    );
+  }
+
+  /**
+   * Check a voucher without storing it: payer signature, amount above the latest voucher and within the deposit
+   * @param {string} channelId - Channel id
+   * @param {string|number} amount - Cumulative amount in tinybars
+   * @param {string} signature - Payer's signature over voucherHash
+   * @returns {Promise<Object>} { channel, amount, increment } (amounts as strings, tinybars)
+   */
+  async verifyVoucher(channelId, amount, signature) {
+    const cumulative = toAmount(amount, 'amount');
+    if (!signature) throw httpError(400, 'signature is required');
+    const channel = await this.get(channelId);
+    if (channel.status !== 'open') throw httpError(409, `Payment channel ${channelId} is ${channel.status}`);
+
+    let signer;
+    try {
+      signer = ethers.verifyMessage(ethers.getBytes(this.voucherHash(channel, cumulative)), signature);
+    } catch (_e) {
+      throw httpError(400, 'Voucher signature is malformed');
+    }
+    if (signer.toLowerCase() !== channel.payer) {
+      throw httpError(400, `Voucher is not signed by the channel payer ${channel.payer}`);
+    }
+    if (cumulative > BigInt(channel.deposit)) {
+      throw httpError(400, `Voucher amount ${cumulative} exceeds the channel deposit ${channel.deposit}`);
+    }
+    const previous = BigInt(channel.latestVoucher?.amount || 0);
+    if (cumulative <= previous) {
+      throw httpError(409, `Voucher amount must be above the latest voucher (${previous})`);
+    }
+    return { channel, amount: cumulative.toString(), increment: (cumulative - previous).toString() };
+  }
+
+  /**
+   * Verify a voucher and keep it as the channel's latest
+   * @param {string} channelId - Channel id
+   * @param {string|number} amount - Cumulative amount in tinybars
+   * @param {string} signature - Payer's signature over voucherHash
+   * @param {Object} [expected] - { payTo: payee it must pay, minIncrement: least new amount it must add (tinybars) }
+   * @returns {Promise<Object>} { channel, amount, increment }
+   */
+  async acceptVoucher(channelId, amount, signature, { payTo = null, minIncrement = null } = {}) {
+    const result = await this.verifyVoucher(channelId, amount, signature);
+    if (payTo && !(await this.isPayee(result.channel, payTo))) {
+      throw httpError(400, `Payment channel ${channelId} does not pay ${payTo}`);
+    }
+    const increment = this.storeVoucher(channelId, BigInt(result.amount), signature, minIncrement);
+    return { ...result, increment: increment.toString(), channel: await this.get(channelId) };
+  }
+
+  /**
+   * Keep a verified voucher as the channel's latest. Synchronous, after every lookup, so the check against the
+   * stored voucher and the write can't interleave with another request presenting the same voucher
+   * @returns {bigint} Amount the voucher adds to the previous one (tinybars)
+   */
+  storeVoucher(channelId, cumulative, signature, minIncrement = null) {
+    const stored = this.channels.get(channelId);
+    const previous = BigInt(stored.latestVoucher?.amount || 0);
+    if (cumulative <= previous) {
+      throw httpError(409, `Voucher amount must be above the latest voucher (${previous})`);
+    }
+    const increment = cumulative - previous;
+    if (minIncrement && increment < BigInt(minIncrement)) {
+      throw httpError(400, `Voucher adds ${increment} tinybars, ${minIncrement} required`);
+    }
+    const latestVoucher = { amount: cumulative.toString(), signature, receivedAt: new Date().toISOString() };
+    this.channels.set(channelId, { ...stored, latestVoucher, updatedAt: latestVoucher.receivedAt });
+    return increment;
+  }
+
+  /**
+   * Whether a channel pays an account (account id or EVM address)
+   */
+  async isPayee(channel, payTo) {
+    if (payTo.toLowerCase() === channel.payee) return true;
+    const paymentIntentService = require('./payment-intent-service');
+    const [payee, expected] = await Promise.all([
+      paymentIntentService.resolveAccountId(channel.payee).catch(() => null),
+      paymentIntentService.resolveAccountId(payTo).catch(() => null)
+    ]);
+    return !!payee && payee === expected;
+  }
+
+  /**
+   * Close a channel, redeeming the latest voucher for the payee and refunding the rest to the payer
+   * @param {string} channelId - Channel id
+   * @param {string} [payee] - Payee agent address (signs with payeeSigner); the backend wallet otherwise
+   * @param {ethers.Signer} [payeeSigner] - Signer resolved from a signing session
+   * @returns {Promise<Object>} Closed channel
+   */
+  async close(channelId, payee = null, payeeSigner = null) {
+    const current = await this.get(channelId);
+    if (current.status !== 'open') throw httpError(409, `Payment channel ${channelId} is ${current.status}`);
+
+    const contract = await this.getContractFor(payee, payeeSigner);
+    const voucher = current.latestVoucher;
+    const receipt = await (await contract.closeChannel(channelId, voucher?.amount || 0, voucher?.signature || '0x')).wait();
+
+    this.channels.set(channelId, { ...this.channels.get(channelId), closeTxHash: receipt.hash });
+    const channel = await this.sync(channelId);
+    console.log(`✅ Payment channel ${channelId} closed: ${channel.redeemed} tinybars to ${channel.payee}`);
+    await this.logEvent('ChannelClosed', channel, {
+      redeemed: channel.redeemed,
+      refunded: (BigInt(channel.deposit) - BigInt(channel.redeemed)).toString(),
+      txHash: receipt.hash
+    });
+    return channel;
+  }
+
+  /**
+   * Refund the deposit of a channel the payee didn't close before expiration
+   * @param {string} channelId - Channel id
+   * @param {string} [payer] - Payer agent address (signs with payerSigner)
+   * @param {ethers.Signer} [payerSigner] - Signer resolved from a signing session
+   * @returns {Promise<Object>} Expired channel
+   */
+  async claimExpired(channelId, payer = null, payerSigner = null) {
+    const current = await this.get(channelId);
+    if (current.status !== 'expired' || this.channels.get(channelId).status !== 'open') {
+      throw httpError(409, `Payment channel ${channelId} is ${current.status}`);
+    }
+
+    const contract = await this.getContractFor(payer, payerSigner);
+    const receipt = await (await contract.claimExpiredChannel(channelId)).wait();
+
+    this.channels.set(channelId, { ...this.channels.get(channelId), closeTxHash: receipt.hash });
+    const channel = await this.sync(channelId);
+    await this.logEvent('ChannelExpired', channel, { refunded: channel.deposit, txHash: receipt.hash });
+    return channel;
+  }
+
+  async logEvent(event, channel, fields) {
+    try {
+      const paymentTopicId = await hederaClient.ensureTopic('PAYMENT_TOPIC_ID', 'Payment', 'Agent payment events');
+      await hederaClient.submitMessage(paymentTopicId, JSON.stringify({
+        event, channelId: channel.channelId, payer: channel.payer, payee: channel.payee, ...fields, timestamp: new Date().toISOString()
+      }));
+    } catch (e) {
+      console.warn(`⚠️ Failed to log ${event} to HCS:`, e.message);
+    }
+  }
+}
+
+module.exports = new PaymentChannelService();
@@ -0,0 +1,268 @@
+// services/payment-intent-service.js
+// Persistent x402 payment intents. Every challenge records what must be paid (payee, asset, amount, optional
+// payer) under a unique nonce the payer puts in the transaction memo; verification matches a mirror-node
+// transaction against the intent and consumes its txId so it can never pay for anything else. When a platform fee
+// applies, the same transfer must also pay the fee to the treasury account on top of the price.
+const crypto = require('crypto');
+const PersistentMap = require('../repositories/persistent-map');
+const hederaClient = require('./hedera-client');
+const httpError = require('../utils/http-error');
+
+const MEMO_PREFIX = 'x402:';
+const DEFAULT_TIMEOUT_SECONDS = 300;
+const ACCOUNT_ID_PATTERN = /^\d+\.\d+\.\d+$/;
+const MIRROR_POLL_MS = 1000;
+// Expired, unpaid intents are kept this long (so late payments still get an 'expired' answer), then deleted
+const EXPIRED_RETENTION_MS = 60 * 60 * 1000;
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+function toMillis(consensusTimestamp) {
+  const [seconds, nanos = '0'] = String(consensusTimestamp).split('.');
+  return Number(seconds) * 1000 + Math.floor(Number(nanos.padEnd(9, '0')) / 1e6);
+}
+
+// Mirror-node form of a transaction id (the SDK prints 0.0.x@sss.nnn), so one payment has one key
+function normalizeTxId(txId) {
+  return txId.includes('@') ? txId.replace('@', '-').replace(/\.(\d+)$/, '-$1') : txId;
+}
+
+function decodeMemo(transaction) {
+  return transaction.memo_base64 ? Buffer.from(transaction.memo_base64, 'base64').toString('utf8') : '';
+}
+
+class PaymentIntentService {
+  constructor() {
+    // intentId -> { id, nonce, memo, resource, network, payTo, asset, amount, platformFee, payer, status, createdAt, expiresAt, txId, paidBy, settledAt }
+    this.intents = new PersistentMap('paymentIntents');
+    // txId -> intentId (or other reference) that consumed it
+    this.consumedTxIds = new PersistentMap('consumedTxIds', null, { writeThrough: true });
+    // memo -> intentId, so settlements don't scan every intent
+    this.intentIdsByMemo = new Map(Array.from(this.intents.values(), intent => [intent.memo, intent.id]));
+    this.lastPrunedAt = 0;
+  }
+
+  /**
+   * Delete pending intents that expired more than EXPIRED_RETENTION_MS ago. Every 402 creates an intent,
+   * so without this anonymous callers would grow the store forever. Runs at most once per PRUNE_INTERVAL_MS
+   * @param {number} [now] - Current time (ms)
+   * @returns {number} Intents deleted
+   */
+  pruneExpired(now = Date.now()) {
+    if (now - this.lastPrunedAt < PRUNE_INTERVAL_MS) return 0;
+    this.lastPrunedAt = now;
+    let pruned = 0;
+    for (const intent of Array.from(this.intents.values())) {
+      if (intent.status === 'pending' && Date.parse(intent.expiresAt) + EXPIRED_RETENTION_MS <= now) {
+        this.intents.delete(intent.id);
+        this.intentIdsByMemo.delete(intent.memo);
+        pruned++;
+      }
+    }
+    if (pruned > 0) console.log(`🧹 Pruned ${pruned} expired payment intents`);
+    return pruned;
+  }
+
+  /**
+   * Record a payment intent for a challenge
+   * @param {Object} intent - { amount (smallest unit), asset, payTo, resource, network, payer?, timeoutSeconds?, quoteId? }
+   * @returns {Object} Stored intent
+   */
+  create({ amount, asset, payTo, resource, network, payer = null, timeoutSeconds = DEFAULT_TIMEOUT_SECONDS, quoteId = null }) {
+    if (!/^\d+$/.test(String(amount)) || BigInt(amount) <= 0n) {
+      throw httpError(400, 'amount must be a positive integer in the asset\'s smallest unit (tinybars for HBAR)');
+    }
+    if (!payTo) throw httpError(400, 'payTo is required');
+    this.pruneExpired();
+
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const createdAt = new Date();
+    const intent = {
+      id: crypto.randomUUID(),
+      nonce,
+      memo: `${MEMO_PREFIX}${nonce}`,
+      resource,
+      network,
+      payTo,
+      asset,
+      amount: String(amount),
+      platformFee: require('./treasury-service').x402Fee(amount, payTo),
+      payer: payer ? payer.toLowerCase() : null,
+      quoteId,
+      status: 'pending',
+      createdAt: createdAt.toISOString(),
+      expiresAt: new Date(createdAt.getTime() + timeoutSeconds * 1000).toISOString(),
+      txId: null,
+      paidBy: null,
+      settledAt: null
+    };
+    this.intents.set(intent.id, intent);
+    this.intentIdsByMemo.set(intent.memo, intent.id);
+    return intent;
+  }
+
+  /**
+   * Intent with its current status ('expired' once past expiresAt without a settlement)
+   * @param {string} intentId - Intent id
+   * @returns {Object} Intent
+   */
+  get(intentId) {
+    const intent = this.intents.get(intentId);
+    if (!intent) throw httpError(404, `Payment intent ${intentId} not found`);
+    if (intent.status === 'pending' && Date.parse(intent.expiresAt) <= Date.now()) {
+      return { ...intent, status: 'expired' };
+    }
+    return intent;
+  }
+
+  /**
+   * Intent whose memo a transaction carries
+   * @param {string} memo - Transaction memo
+   * @returns {Object|null} Intent
+   */
+  findByMemo(memo) {
+    if (!memo || !memo.startsWith(MEMO_PREFIX)) return null;
+    const intentId = this.intentIdsByMemo.get(memo);
+    return intentId && this.intents.has(intentId) ? this.get(intentId) : null;
+  }
+
+  /**
+   * Mirror-node account id for an account id or EVM address
+   */
+  async resolveAccountId(idOrAddress) {
+    if (ACCOUNT_ID_PATTERN.test(idOrAddress)) return idOrAddress;
+    const account = await hederaClient.getAccount(idOrAddress);
+    if (!account?.account) throw httpError(400, `${idOrAddress} has no Hedera account`);
+    return account.account;
+  }
+
+  /**
+   * Successful mirror-node transaction, with its decoded memo
+   * @param {string} txId - Hedera transaction id (0.0.x-sss-nnn or SDK form 0.0.x@sss.nnn)
+   * @param {Object} [options] - { waitMs: keep polling this long for a just-submitted transaction to reach the mirror node }
+   * @returns {Promise<Object>} Transaction record plus `memo`
+   */
+  async fetchTransaction(txId, { waitMs = 0 } = {}) {
+    const mirrorId = normalizeTxId(txId);
+    const deadline = Date.now() + waitMs;
+    let transaction;
+    for (;;) {
+      try {
+        const data = await hederaClient.getTransaction(mirrorId);
+        transaction = data?.transactions?.[0];
+      } catch (error) {
+        if (error.response?.status !== 404) throw error;
+      }
+      if (transaction || Date.now() >= deadline) break;
+      await new Promise(resolve => setTimeout(resolve, MIRROR_POLL_MS));
+    }
+    if (!transaction || transaction.result !== 'SUCCESS') {
+      throw httpError(400, 'Settlement not found or failed');
+    }
+    return { ...transaction, memo: decodeMemo(transaction) };
+  }
+
+  assetTransfers(intent, transaction) {
+    return intent.asset === 'HBAR'
+      ? (transaction.transfers || [])
+      : (transaction.token_transfers || []).filter(t => t.token_id === intent.asset);
+  }
+
+  /**
+   * Account that paid: the largest debit of the intent's asset (a facilitator fee payer only pays fees)
+   * @returns {string|null} Account id
+   */
+  payerOf(intent, transaction) {
+    const debits = this.assetTransfers(intent, transaction).filter(t => BigInt(t.amount) < 0n);
+    debits.sort((a, b) => (BigInt(a.amount) < BigInt(b.amount) ? -1 : 1));
+    return debits[0]?.account || null;
+  }
+
+  /**
+   * Check a transaction against an intent: memo, payee, asset, exact amount, platform fee, payer (when the intent
+   * names one) and consensus before expiry
+   * @returns {Promise<string[]>} Mismatched fields (empty when the transaction pays the intent)
+   */
+  async mismatches(intent, transaction) {
+    const mismatched = [];
+    if (transaction.memo !== intent.memo) mismatched.push('memo');
+    if (toMillis(transaction.consensus_timestamp) > Date.parse(intent.expiresAt)) mismatched.push('expiresAt');
+
+    const transfers = this.assetTransfers(intent, transaction);
+    if (transfers.length === 0) {
+      mismatched.push('asset');
+      return mismatched;
+    }
+
+    const payee = await this.resolveAccountId(intent.payTo);
+    const received = transfers.filter(t => t.account === payee).reduce((sum, t) => sum + BigInt(t.amount), 0n);
+    if (received === 0n) mismatched.push('payTo');
+    else if (received !== BigInt(intent.amount)) mismatched.push('amount');
+
+    if (intent.platformFee) {
+      const treasury = await this.resolveAccountId(intent.platformFee.payTo);
+      const fee = transfers.filter(t => t.account === treasury).reduce((sum, t) => sum + BigInt(t.amount), 0n);
+      if (fee !== BigInt(intent.platformFee.amount)) mismatched.push('platformFee');
+    }
+
+    if (intent.payer) {
+      const payer = await this.resolveAccountId(intent.payer);
+      if (!transfers.some(t => t.account === payer && BigInt(t.amount) < 0n)) mismatched.push('payer');
+    }
+    return mismatched;
+  }
+
+  /**
+   * Mark a txId as used; throws 409 if something already consumed it
+   * @param {string} txId - Hedera transaction id
+   * @param {string} reference - What it paid for (intent id, quote id, ...)
+   */
+  consumeTxId(txId, reference) {
+    txId = normalizeTxId(txId);
+    const consumedBy = this.consumedTxIds.get(txId);
+    if (consumedBy) throw httpError(409, `Transaction ${txId} was already used for ${consumedBy}`);
+    this.consumedTxIds.set(txId, reference);
+  }
+
+  /**
+   * Verify that a transaction settles an intent and consume it
+   * @param {string} intentId - Intent id
+   * @param {string} txId - Hedera transaction id
+   * @param {Object} [transaction] - Transaction already fetched with fetchTransaction
+   * @returns {Promise<Object>} { verified: true, intent, transaction }
+   */
+  async verify(intentId, txId, transaction = null) {
+    if (!txId) throw httpError(400, 'txId is required');
+    txId = normalizeTxId(txId);
+    const intent = this.get(intentId);
+    if (intent.status === 'settled') {
+      throw httpError(409, `Payment intent ${intentId} was already settled by ${intent.txId}`);
+    }
+    const consumedBy = this.consumedTxIds.get(txId);
+    if (consumedBy) throw httpError(409, `Transaction ${txId} was already used for ${consumedBy}`);
+
+    transaction = transaction || await this.fetchTransaction(txId);
+    const mismatched = await this.mismatches(intent, transaction);
+    if (mismatched.length > 0) {
+      const err = httpError(mismatched.includes('expiresAt') && mismatched.length === 1 ? 410 : 400,
+        `Transaction ${txId} does not match payment intent ${intentId}: ${mismatched.join(', ')}`);
+      err.code = 'PAYMENT_MISMATCH';
+      err.details = {
+        mismatched,
+        expected: { memo: intent.memo, payTo: intent.payTo, asset: intent.asset, amount: intent.amount, platformFee: intent.platformFee, payer: intent.payer, expiresAt: intent.expiresAt }
+      };
+      throw err;
+    }
+
+    this.consumeTxId(txId, `intent:${intent.id}`);
+    const settled = { ...this.intents.get(intent.id), status: 'settled', txId, paidBy: this.payerOf(intent, transaction), settledAt: new Date().toISOString() };
+    this.intents.set(intent.id, settled);
+    try {
+      require('./treasury-service').recordX402Payment(settled);
+    } catch (error) {
+      console.warn(`⚠️  Failed to record x402 payment ${intent.id} in the ledger:`, error.message);
+    }
+    return { verified: true, intent: settled, transaction };
+  }
+}
+
+module.exports = new PaymentIntentService();
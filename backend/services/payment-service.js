@@ -1,12 +1,26 @@
 // services/payment-service.js
 const { ethers } = require('ethers');
 const hederaClient = require('./hedera-client');
+const escrowIndexer = require('./escrow-indexer-service');
+const tokenRegistry = require('./token-registry-service');
 
 let PaymentProcessorABI;
 let deploymentInfo;
 const path = require('path');
 const fs = require('fs');
 
+const ERC20_ABI = [
+  'function decimals() view returns (uint8)',
+  'function symbol() view returns (string)',
+  'function balanceOf(address) view returns (uint256)',
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function approve(address spender, uint256 amount) returns (bool)'
+];
+
+// The JSON-RPC relay takes transaction values and reports balances in weibars (18 decimals),
+// but contracts see msg.value and store amounts in tinybars (8 decimals)
+const WEIBARS_PER_TINYBAR = 10n ** 10n;
+
 // Try to load PaymentProcessor ABI
 try {
   PaymentProcessorABI = require('../../contracts/artifacts/src/PaymentProcessor.sol/PaymentProcessor.json').abi;
@@ -60,6 +74,8 @@ class PaymentService {
     this.provider = null;
     this.wallet = null;
     this.paymentProcessor = null;
+    // Tokens PaymentProcessor has been associated with (HTS)
+    this.associatedTokens = new Set();
   }
 
   ensureContract() {
@@ -84,15 +100,41 @@ class PaymentService {
       // Note: createEscrow uses msg.value, not a separate amount parameter
       PaymentProcessorABI = [
         "function createEscrow(address _payee, string memory _serviceDescription, uint256 _expirationDays) external payable returns (bytes32)",
+        "function createMilestoneEscrow(address _payee, string memory _serviceDescription, uint256 _expirationDays, uint256[] _amounts, string[] _descriptions) external payable returns (bytes32)",
+        "function releaseMilestone(bytes32 _escrowId, uint256 _index) external",
+        "function getMilestones(bytes32 _escrowId) external view returns (tuple(uint256 amount, string description, bool released)[])",
+        "function releasedAmounts(bytes32) external view returns (uint256)",
+        "function createTokenEscrow(address _token, address _payee, uint256 _amount, string memory _serviceDescription, uint256 _expirationDays) external returns (bytes32)",
+        "function associateToken(address _token) external",
+        "function escrowTokens(bytes32) external view returns (address)",
+        "function createEscrowWithArbiter(address _payee, string memory _serviceDescription, uint256 _expirationDays, address _arbiter) external payable returns (bytes32)",
         "function releaseEscrow(bytes32 _escrowId) external",
         "function refundEscrow(bytes32 _escrowId) external",
+        "function claimExpiredEscrow(bytes32 _escrowId) external",
+        "function setKeeper(address _keeper, bool _enabled) external",
+        "function keepers(address) external view returns (bool)",
+        "function disputeEscrow(bytes32 _escrowId, string memory _reason) external",
+        "function resolveDispute(bytes32 _escrowId, uint256 _payeeBps) external",
+        "function getArbiter(bytes32 _escrowId) external view returns (address)",
         "function escrows(bytes32) external view returns (bytes32 escrowId, address payer, address payee, uint256 amount, string memory serviceDescription, uint8 status, uint256 createdAt, uint256 completedAt, uint256 expirationTime)",
         "function getEscrow(bytes32 _escrowId) external view returns (bytes32 escrowId, address payer, address payee, uint256 amount, string memory serviceDescription, uint8 status, uint256 createdAt, uint256 completedAt, uint256 expirationTime)",
         "function getPayerEscrows(address _payer) external view returns (bytes32[])",
         "function getPayeeEscrows(address _payee) external view returns (bytes32[])",
+        "function platformFeeBps() external view returns (uint256)",
+        "function setPlatformFee(uint256 _bps) external",
+        "function escrowFeeBps(bytes32) external view returns (uint256)",
+        "function accruedFees(address) external view returns (uint256)",
+        "function withdrawFees(address _token, address _to, uint256 _amount) external",
         "event EscrowCreated(bytes32 indexed escrowId, address indexed payer, address indexed payee, uint256 amount, string serviceDescription, uint256 expirationTime)",
         "event EscrowCompleted(bytes32 indexed escrowId, uint256 amount)",
-        "event EscrowRefunded(bytes32 indexed escrowId, uint256 amount)"
+        "event EscrowRefunded(bytes32 indexed escrowId, uint256 amount)",
+        "event EscrowDisputed(bytes32 indexed escrowId, address indexed disputer, string reason)",
+        "event EscrowExpired(bytes32 indexed escrowId, uint256 amount, address refundedTo)",
+        "event TokenEscrowCreated(bytes32 indexed escrowId, address indexed token, uint256 amount)",
+        "event MilestoneReleased(bytes32 indexed escrowId, uint256 indexed milestoneIndex, uint256 amount, uint256 remaining)",
+        "event DisputeResolved(bytes32 indexed escrowId, address indexed arbiter, uint256 payeeAmount, uint256 payerAmount, uint256 payeeBps)",
+        "event PlatformFeeCollected(bytes32 indexed escrowId, address indexed token, uint256 amount)",
+        "event FeesWithdrawn(address indexed token, address indexed to, uint256 amount)"
       ];
       console.warn('[payment-service] ⚠ Using minimal ABI - compiled artifacts recommended for production');
     }
@@ -105,18 +147,19 @@ class PaymentService {
    * @param {number|string} amountInHbar - Amount in HBAR
    * @param {string} description - Service description
    * @param {string} [payerAgentAddress] - Payer agent address (must be registered). If not provided, uses backend wallet.
-   * @param {string} [payerPrivateKey] - Payer's EVM private key (Phase 1 demo mode only)
+   * @param {ethers.Signer} [payerSigner] - Payer's signer, resolved from a signing session (see signing-session-service)
    * @param {string} [signedTx] - Signed transaction hex (Phase 2 production mode)
    * @param {number} [expirationDays] - Escrow expiration days (default: 30)
+   * @param {string} [arbiter] - Per-escrow dispute arbiter (defaults to the contract's default arbiter)
    * @returns {Promise<Object>} Escrow creation result
    */
-  async createEscrow(payee, amountInHbar, description, payerAgentAddress = null, payerPrivateKey = null, signedTx = null, expirationDays = 0) {
+  async createEscrow(payee, amountInHbar, description, payerAgentAddress = null, payerSigner = null, signedTx = null, expirationDays = 0, arbiter = null) {
     // If payer agent address provided, verify agent is registered and use their wallet
     let walletToUse = null;
     let contractToUse = null;
     let payerAddress = null;
 
-    if (payerAgentAddress && payerPrivateKey) {
+    if (payerAgentAddress && payerSigner && !signedTx) {
       // Verify agent is registered
       const agentService = require('./agent-service');
       try {
@@ -128,20 +171,9 @@ class PaymentService {
         console.log(`[payment-service] Agent verified: ${agent.name || agent.address}, active: ${agent.isActive}`);
         payerAddress = payerAgentAddress;
         
-        // Create wallet from payer's private key
-        this.ensureProvider();
-        let privateKey = payerPrivateKey;
-        if (!privateKey.startsWith('0x')) {
-          privateKey = '0x' + privateKey;
-        }
-        walletToUse = new ethers.Wallet(privateKey, this.provider);
-        console.log(`[payment-service] Wallet created from private key, address: ${walletToUse.address}`);
-        
-        // Verify wallet address matches agent address
-        if (walletToUse.address.toLowerCase() !== payerAgentAddress.toLowerCase()) {
-          throw new Error(`Private key does not match agent address. Expected ${payerAgentAddress}, got ${walletToUse.address}`);
-        }
-        console.log(`[payment-service] Wallet address matches agent address ✓`);
+        // Connect the session signer and check it belongs to the payer
+        walletToUse = await this.resolveAgentSigner(payerAgentAddress, payerSigner);
+        console.log(`[payment-service] Signer address matches agent address ✓`);
 
         // Create contract instance with payer's wallet
         const address = (deploymentInfo?.contracts?.PaymentProcessor) || process.env.PAYMENT_PROCESSOR_ADDRESS;
@@ -181,6 +213,7 @@ class PaymentService {
           });
           if (log) {
             escrowId = contract.interface.parseLog(log).args.escrowId;
+            await escrowIndexer.ingestReceipt(receipt);
             // Get payer from transaction
             const tx = await this.provider.getTransaction(receiptData.txHash);
             payerAddress = tx.from;
@@ -202,9 +235,9 @@ class PaymentService {
       payerAddress = this.wallet.address;
     }
 
-    // Convert HBAR to wei (18 decimals for EVM)
-    const amount = ethers.parseEther(amountInHbar.toString());
-    console.log(`[payment-service] Creating escrow: payee=${payee}, amount=${amountInHbar} HBAR (${amount} wei), description=${description}`);
+    // Transaction value in weibars; the contract receives it as tinybars
+    const amount = tokenRegistry.toAtomic(amountInHbar, 'HBAR') * WEIBARS_PER_TINYBAR;
+    console.log(`[payment-service] Creating escrow: payee=${payee}, amount=${amountInHbar} HBAR (${amount} weibars), description=${description}`);
     console.log(`[payment-service] Payer address: ${payerAddress}, has balance: checking...`);
     
     // Check balance before creating escrow
@@ -224,7 +257,9 @@ class PaymentService {
     console.log(`[payment-service] Calling contract.createEscrow()...`);
     let tx, receipt;
     try {
-      tx = await contractToUse.createEscrow(payee, description, expirationDays, { value: amount });
+      tx = arbiter
+        ? await contractToUse.createEscrowWithArbiter(payee, description, expirationDays, arbiter, { value: amount })
+        : await contractToUse.createEscrow(payee, description, expirationDays, { value: amount });
       console.log(`[payment-service] Transaction sent: ${tx.hash}`);
       receipt = await tx.wait();
       console.log(`[payment-service] Transaction confirmed in block: ${receipt.blockNumber}`);
@@ -246,13 +281,14 @@ class PaymentService {
       });
       if (log) escrowId = contractToUse.interface.parseLog(log).args.escrowId;
     } catch {}
+    await escrowIndexer.ingestReceipt(receipt);
 
     // HCS logging is mandatory - ensure topic exists
     const paymentTopicId = await hederaClient.ensureTopic('PAYMENT_TOPIC_ID', 'Payment', 'Agent payment events');
     await hederaClient.submitMessage(paymentTopicId, JSON.stringify({
-      event: 'EscrowCreated', escrowId, payer: payerAddress, payee, amount: amountInHbar, timestamp: new Date().toISOString()
+      event: 'EscrowCreated', escrowId, payer: payerAddress, payee, amount: amountInHbar, arbiter: arbiter || undefined, timestamp: new Date().toISOString()
       }));
-    return { success: true, escrowId, txHash: receipt.hash, amount: amountInHbar, payer: payerAddress };
+    return { success: true, escrowId, txHash: receipt.hash, amount: amountInHbar, payer: payerAddress, arbiter: arbiter || undefined };
   }
 
   ensureProvider() {
@@ -262,22 +298,53 @@ class PaymentService {
     this.provider = new ethers.JsonRpcProvider(RPC_URL);
   }
 
+  /**
+   * Connect an agent's signer to the RPC provider
+   * @param {string} agentAddress - Agent address the signer must belong to
+   * @param {ethers.Signer} signer - Signer resolved from a signing session
+   * @returns {Promise<ethers.Signer>} Signer connected to the RPC provider
+   */
+  async resolveAgentSigner(agentAddress, signer) {
+    this.ensureProvider();
+    let wallet = signer;
+    if (!wallet.provider) wallet = wallet.connect(this.provider);
+
+    const signerAddress = await wallet.getAddress();
+    if (signerAddress.toLowerCase() !== agentAddress.toLowerCase()) {
+      throw new Error(`Signer does not match agent address. Expected ${agentAddress}, got ${signerAddress}`);
+    }
+    return wallet;
+  }
+
+  /**
+   * PaymentProcessor instance signing as an agent (session signer) or, without one, as the backend wallet
+   * @param {string} [agentAddress] - Agent address the signer must belong to
+   * @param {ethers.Signer} [signer] - Signer resolved from a signing session
+   * @returns {Promise<ethers.Contract>} Contract connected to the signer
+   */
+  async getContractFor(agentAddress, signer) {
+    this.ensureContract();
+    if (!agentAddress || !signer) return this.paymentProcessor;
+    const wallet = await this.resolveAgentSigner(agentAddress, signer);
+    return this.paymentProcessor.connect(wallet);
+  }
+
   /**
    * Release escrow payment
    * @param {string} escrowId - Escrow ID to release
    * @param {string} [releaserAgentAddress] - Agent address releasing (must be payer). If not provided, uses backend wallet.
-   * @param {string} [releaserPrivateKey] - Releaser's EVM private key (required if releaserAgentAddress is provided)
+   * @param {ethers.Signer} [releaserSigner] - Releaser's signer, resolved from a signing session (required if releaserAgentAddress is provided)
    * @returns {Promise<Object>} Release result
    * @note According to x402 standard, only the payer can release escrow to the payee
    */
-  async releaseEscrow(escrowId, releaserAgentAddress = null, releaserPrivateKey = null) {
+  async releaseEscrow(escrowId, releaserAgentAddress = null, releaserSigner = null) {
     // Get escrow details before release to establish trust
     const escrow = await this.getEscrow(escrowId);
 
     // If releaser agent provided, verify and use their wallet
     let contractToUse = null;
     
-    if (releaserAgentAddress && releaserPrivateKey) {
+    if (releaserAgentAddress && releaserSigner) {
       // Verify agent is registered and is the payer (x402: only payer can release escrow)
       if (releaserAgentAddress.toLowerCase() !== escrow.payer.toLowerCase()) {
         throw new Error(`Only payer ${escrow.payer} can release this escrow. Got ${releaserAgentAddress}. This is required by x402 payment standard for security.`);
@@ -289,17 +356,7 @@ class PaymentService {
         throw new Error(`Agent ${releaserAgentAddress} is not registered or inactive`);
       }
       
-      // Create wallet from releaser's private key
-      this.ensureProvider();
-      let privateKey = releaserPrivateKey;
-      if (!privateKey.startsWith('0x')) {
-        privateKey = '0x' + privateKey;
-      }
-      const wallet = new ethers.Wallet(privateKey, this.provider);
-      
-      if (wallet.address.toLowerCase() !== releaserAgentAddress.toLowerCase()) {
-        throw new Error(`Private key does not match agent address. Expected ${releaserAgentAddress}, got ${wallet.address}`);
-      }
+      const wallet = await this.resolveAgentSigner(releaserAgentAddress, releaserSigner);
 
       const address = (deploymentInfo?.contracts?.PaymentProcessor) || process.env.PAYMENT_PROCESSOR_ADDRESS;
       contractToUse = new ethers.Contract(address, PaymentProcessorABI, wallet);
@@ -316,6 +373,8 @@ class PaymentService {
     
     const tx = await contractToUse.releaseEscrow(escrowIdBytes);
     const receipt = await tx.wait();
+    await escrowIndexer.ingestReceipt(receipt);
+    const platformFee = this.platformFeeFromReceipt(receipt, contractToUse.interface);
     
     // Establish trust from successful payment (ERC-8004)
     try {
@@ -337,9 +396,10 @@ class PaymentService {
         escrowId, 
         payer: escrow.payer,
         payee: escrow.payee,
+        platformFee,
         timestamp: new Date().toISOString() 
       }));
-    return { success: true, txHash: receipt.hash };
+    return { success: true, txHash: receipt.hash, platformFee };
   }
 
   async refundEscrow(escrowId) {
@@ -350,135 +410,558 @@ class PaymentService {
       : ethers.id(escrowId);
     const tx = await this.paymentProcessor.refundEscrow(escrowIdBytes);
     const receipt = await tx.wait();
+    await escrowIndexer.ingestReceipt(receipt);
     return { success: true, txHash: receipt.hash };
   }
 
+  /**
+   * Create an escrow paid out in milestones
+   * @param {string} payee - Recipient agent address
+   * @param {Array<Object>} milestones - [{ amount (HBAR), description }] in payout order
+   * @param {string} description - Service description
+   * @param {string} [payerAgentAddress] - Payer agent address. If not provided, uses backend wallet.
+   * @param {ethers.Signer} [payerSigner] - Payer's signer, resolved from a signing session
+   * @param {number} [expirationDays] - Escrow expiration days (default: 30)
+   * @returns {Promise<Object>} Escrow creation result with milestones
+   */
+  async createMilestoneEscrow(payee, milestones, description, payerAgentAddress = null, payerSigner = null, expirationDays = 0) {
+    if (!Array.isArray(milestones) || milestones.length === 0) {
+      throw new Error('At least one milestone is required');
+    }
+    // Milestone amounts are in tinybars so they add up to msg.value
+    const amounts = milestones.map(m => tokenRegistry.toAtomic(m.amount, 'HBAR'));
+    const descriptions = milestones.map(m => m.description);
+    const total = amounts.reduce((sum, a) => sum + a, 0n);
+    const value = total * WEIBARS_PER_TINYBAR;
+
+    const contractToUse = await this.getContractFor(payerAgentAddress, payerSigner);
+    const payerAddress = payerAgentAddress && payerSigner ? payerAgentAddress : this.wallet.address;
+
+    const balance = await this.provider.getBalance(payerAddress);
+    if (balance < value) {
+      throw new Error(`Insufficient balance. Required: ${ethers.formatEther(value)} HBAR, Available: ${ethers.formatEther(balance)} HBAR`);
+    }
+
+    console.log(`[payment-service] Creating milestone escrow: payee=${payee}, ${milestones.length} milestones, total=${tokenRegistry.formatAtomic(total, 'HBAR')} HBAR`);
+    const tx = await contractToUse.createMilestoneEscrow(payee, description, expirationDays, amounts, descriptions, { value });
+    const receipt = await tx.wait();
+    await escrowIndexer.ingestReceipt(receipt);
+
+    let escrowId = undefined;
+    const log = receipt.logs.find(l => {
+      try { return contractToUse.interface.parseLog(l).name === 'EscrowCreated'; } catch { return false; }
+    });
+    if (log) escrowId = contractToUse.interface.parseLog(log).args.escrowId;
+
+    const amount = tokenRegistry.formatAtomic(total, 'HBAR');
+    const paymentTopicId = await hederaClient.ensureTopic('PAYMENT_TOPIC_ID', 'Payment', 'Agent payment events');
+    await hederaClient.submitMessage(paymentTopicId, JSON.stringify({
+      event: 'MilestoneEscrowCreated',
+      escrowId,
+      payer: payerAddress,
+      payee,
+      amount,
+      milestones: milestones.map(m => ({ amount: String(m.amount), description: m.description })),
+      timestamp: new Date().toISOString()
+    }));
+    return { success: true, escrowId, txHash: receipt.hash, amount, payer: payerAddress, milestones: milestones.length };
+  }
+
+  /**
+   * Release one milestone of an escrow to the payee (x402: only the payer can release)
+   * @param {string} escrowId - Escrow ID
+   * @param {number} index - Milestone index
+   * @param {string} [releaserAgentAddress] - Payer agent address. If not provided, uses backend wallet.
+   * @param {ethers.Signer} [releaserSigner] - Payer's signer, resolved from a signing session
+   * @returns {Promise<Object>} Release result with released/remaining amounts
+   */
+  async releaseMilestone(escrowId, index, releaserAgentAddress = null, releaserSigner = null) {
+    const escrow = await this.getEscrow(escrowId);
+    if (releaserAgentAddress && releaserAgentAddress.toLowerCase() !== escrow.payer.toLowerCase()) {
+      throw new Error(`Only payer ${escrow.payer} can release milestones of this escrow. Got ${releaserAgentAddress}`);
+    }
+    const contractToUse = await this.getContractFor(releaserAgentAddress, releaserSigner);
+    const escrowIdBytes = ethers.isHexString(escrowId) ? escrowId : ethers.id(escrowId);
+
+    const tx = await contractToUse.releaseMilestone(escrowIdBytes, index);
+    const receipt = await tx.wait();
+    await escrowIndexer.ingestReceipt(receipt);
+
+    let amount = null;
+    let remaining = null;
+    const log = receipt.logs.find(l => {
+      try { return contractToUse.interface.parseLog(l).name === 'MilestoneReleased'; } catch { return false; }
+    });
+    if (log) {
+      const { args } = contractToUse.interface.parseLog(log);
+      const token = await this.getEscrowToken(escrowIdBytes);
+      amount = tokenRegistry.formatAtomic(args.amount, token);
+      remaining = tokenRegistry.formatAtomic(args.remaining, token);
+    }
+    const milestones = await this.getMilestones(escrowId);
+    const released = milestones.filter(m => m.released).length;
+    const completed = released === milestones.length;
+
+    if (completed) {
+      try {
+        const reputationService = require('./reputation-service');
+        await reputationService.establishTrustFromPayment(escrow.payer, escrow.payee, receipt.hash);
+      } catch (error) {
+        console.warn('Failed to establish trust from payment:', error.message);
+      }
+    }
+
+    const paymentTopicId = await hederaClient.ensureTopic('PAYMENT_TOPIC_ID', 'Payment', 'Agent payment events');
+    await hederaClient.submitMessage(paymentTopicId, JSON.stringify({
+      event: 'MilestoneReleased',
+      escrowId,
+      payer: escrow.payer,
+      payee: escrow.payee,
+      milestoneIndex: index,
+      description: milestones[index]?.description,
+      amount,
+      remaining,
+      released,
+      total: milestones.length,
+      txHash: receipt.hash,
+      timestamp: new Date().toISOString()
+    }));
+    return { success: true, txHash: receipt.hash, milestoneIndex: index, amount, remaining, released, total: milestones.length, completed };
+  }
+
+  /**
+   * Token an escrow is denominated in: HBAR (amounts in tinybars), the token registry entry, or for unregistered
+   * tokens { symbol, decimals, evmAddress } read from the token contract. Pass it to tokenRegistry.formatAtomic
+   * @param {string} escrowIdBytes - Escrow ID (bytes32)
+   * @returns {Promise<Object>} Token
+   */
+  async getEscrowToken(escrowIdBytes) {
+    const tokenAddress = await this.paymentProcessor.escrowTokens(escrowIdBytes).catch(() => ethers.ZeroAddress);
+    if (tokenAddress === ethers.ZeroAddress) return tokenRegistry.resolve('HBAR');
+    try {
+      return tokenRegistry.resolve(tokenAddress);
+    } catch (_e) {
+      const token = new ethers.Contract(tokenAddress, ERC20_ABI, this.provider);
+      return {
+        symbol: await token.symbol().catch(() => tokenAddress),
+        decimals: Number(await token.decimals()),
+        evmAddress: tokenAddress
+      };
+    }
+  }
+
+  /**
+   * Get the milestones of an escrow
+   * @param {string} escrowId - Escrow ID
+   * @returns {Promise<Array>} [{ index, amount, description, released }] (empty for single-release escrows)
+   */
+  async getMilestones(escrowId) {
+    this.ensureContract();
+    const escrowIdBytes = ethers.isHexString(escrowId) ? escrowId : ethers.id(escrowId);
+    const milestones = await this.paymentProcessor.getMilestones(escrowIdBytes);
+    const token = milestones.length > 0 ? await this.getEscrowToken(escrowIdBytes) : null;
+    return milestones.map((m, index) => ({
+      index,
+      amount: tokenRegistry.formatAtomic(m.amount, token),
+      description: m.description,
+      released: m.released
+    }));
+  }
+
+  /**
+   * Dispute an active escrow (freezes it until the arbiter resolves)
+   * @param {string} escrowId - Escrow ID
+   * @param {string} reason - Dispute reason (max 500 chars)
+   * @param {string} [disputerAgentAddress] - Payer or payee agent raising the dispute. If not provided, uses backend wallet.
+   * @param {ethers.Signer} [disputerSigner] - Disputer's signer, resolved from a signing session
+   * @returns {Promise<Object>} Dispute result
+   */
+  async disputeEscrow(escrowId, reason, disputerAgentAddress = null, disputerSigner = null) {
+    const escrow = await this.getEscrow(escrowId);
+
+    if (disputerAgentAddress && disputerSigner) {
+      const party = disputerAgentAddress.toLowerCase();
+      if (party !== escrow.payer.toLowerCase() && party !== escrow.payee.toLowerCase()) {
+        throw new Error(`Only the payer or payee can dispute this escrow. Got ${disputerAgentAddress}`);
+      }
+    }
+    const contractToUse = await this.getContractFor(disputerAgentAddress, disputerSigner);
+
+    const escrowIdBytes = ethers.isHexString(escrowId) ? escrowId : ethers.id(escrowId);
+    const tx = await contractToUse.disputeEscrow(escrowIdBytes, reason);
+    const receipt = await tx.wait();
+    await escrowIndexer.ingestReceipt(receipt);
+
+    const paymentTopicId = await hederaClient.ensureTopic('PAYMENT_TOPIC_ID', 'Payment', 'Agent payment events');
+    await hederaClient.submitMessage(paymentTopicId, JSON.stringify({
+      event: 'EscrowDisputed',
+      escrowId,
+      payer: escrow.payer,
+      payee: escrow.payee,
+      disputer: disputerAgentAddress || this.wallet?.address,
+      reason,
+      timestamp: new Date().toISOString()
+    }));
+    return { success: true, txHash: receipt.hash };
+  }
+
+  /**
+   * Resolve a disputed escrow as arbiter. The signer must be the escrow's arbiter (its per-escrow arbiter, else the
+   * default arbiter, else the owner)
+   * @param {string} escrowId - Escrow ID
+   * @param {number} payeeBps - Share paid to the payee in basis points (10000 = release, 0 = refund)
+   * @param {string} [arbiterAgentAddress] - Arbiter agent address (signs with arbiterSigner); the backend wallet otherwise
+   * @param {ethers.Signer} [arbiterSigner] - Arbiter's signer, resolved from a signing session
+   * @returns {Promise<Object>} Resolution result with payee/payer amounts
+   */
+  async resolveDispute(escrowId, payeeBps, arbiterAgentAddress = null, arbiterSigner = null) {
+    if (!Number.isInteger(payeeBps) || payeeBps < 0 || payeeBps > 10000) {
+      throw new Error('payeeBps must be an integer between 0 and 10000');
+    }
+    this.ensureContract();
+    const escrow = await this.getEscrow(escrowId);
+    const escrowIdBytes = ethers.isHexString(escrowId) ? escrowId : ethers.id(escrowId);
+
+    const contractToUse = await this.getContractFor(arbiterAgentAddress, arbiterSigner);
+    const signerAddress = arbiterAgentAddress && arbiterSigner ? arbiterAgentAddress : this.wallet.address;
+    const arbiter = await this.paymentProcessor.getArbiter(escrowIdBytes);
+    if (arbiter.toLowerCase() !== signerAddress.toLowerCase()) {
+      const signerName = arbiterSigner ? signerAddress : 'the backend wallet';
+      throw new Error(`Escrow ${escrowId} is arbitrated by ${arbiter}, not ${signerName}`);
+    }
+
+    const tx = await contractToUse.resolveDispute(escrowIdBytes, payeeBps);
+    const receipt = await tx.wait();
+    await escrowIndexer.ingestReceipt(receipt);
+
+    let payeeAmount = null;
+    let payerAmount = null;
+    const log = receipt.logs.find(l => {
+      try { return this.paymentProcessor.interface.parseLog(l).name === 'DisputeResolved'; } catch { return false; }
+    });
+    if (log) {
+      const { args } = this.paymentProcessor.interface.parseLog(log);
+      const token = await this.getEscrowToken(escrowIdBytes);
+      payeeAmount = tokenRegistry.formatAtomic(args.payeeAmount, token);
+      payerAmount = tokenRegistry.formatAtomic(args.payerAmount, token);
+    }
+
+    // A full release counts as a successful payment (ERC-8004)
+    if (payeeBps === 10000) {
+      try {
+        const reputationService = require('./reputation-service');
+        await reputationService.establishTrustFromPayment(escrow.payer, escrow.payee, receipt.hash);
+      } catch (error) {
+        console.warn('Failed to establish trust from payment:', error.message);
+      }
+    }
+
+    const paymentTopicId = await hederaClient.ensureTopic('PAYMENT_TOPIC_ID', 'Payment', 'Agent payment events');
+    await hederaClient.submitMessage(paymentTopicId, JSON.stringify({
+      event: 'DisputeResolved',
+      escrowId,
+      payer: escrow.payer,
+      payee: escrow.payee,
+      arbiter,
+      payeeBps,
+      payeeAmount,
+      payerAmount,
+      timestamp: new Date().toISOString()
+    }));
+    return { success: true, txHash: receipt.hash, payeeBps, payeeAmount, payerAmount };
+  }
+
+  /**
+   * Get escrow details (served from the escrow index when available, otherwise from the contract)
+   * @param {string} escrowId - Escrow ID
+   * @returns {Promise<Object>} Escrow
+   */
   async getEscrow(escrowId) {
+    const indexed = escrowIndexer.getEscrow(escrowId);
+    if (indexed) {
+      return {
+        escrowId: indexed.escrowId,
+        payer: indexed.payer,
+        payee: indexed.payee,
+        amount: indexed.amount,
+        serviceDescription: indexed.serviceDescription,
+        status: indexed.status,
+        createdAt: indexed.createdAt,
+        completedAt: indexed.completedAt,
+        expirationTime: indexed.expirationTime,
+        token: indexed.token || null,
+        currency: indexed.currency || 'HBAR'
+      };
+    }
+
     this.ensureContract();
     // Convert escrowId to bytes32 format if needed
     const escrowIdBytes = ethers.isHexString(escrowId) 
       ? escrowId 
       : ethers.id(escrowId);
     const e = await this.paymentProcessor.getEscrow(escrowIdBytes);
+
+    // HBAR escrows are in tinybars, token escrows in the token's decimals
+    const escrowToken = await this.getEscrowToken(escrowIdBytes);
+
     return {
       escrowId,
       payer: e.payer,
       payee: e.payee,
-      amount: ethers.formatEther(e.amount),
+      amount: tokenRegistry.formatAtomic(e.amount, escrowToken),
+      token: escrowToken.evmAddress,
+      currency: escrowToken.symbol,
       serviceDescription: e.serviceDescription,
-      status: ['Active', 'Completed', 'Refunded', 'Disputed'][e.status || 0],
+      status: ['Active', 'Completed', 'Refunded', 'Disputed', 'Resolved'][e.status || 0],
       createdAt: e.createdAt ? new Date(Number(e.createdAt) * 1000).toISOString() : undefined,
       completedAt: e.completedAt && Number(e.completedAt) > 0 ? new Date(Number(e.completedAt) * 1000).toISOString() : null
     };
   }
 
   async getPayerEscrows(payerAddress) {
+    if (escrowIndexer.isReady()) {
+      return escrowIndexer.list({ payer: payerAddress });
+    }
     this.ensureContract();
     const ids = await this.paymentProcessor.getPayerEscrows(payerAddress);
     return Promise.all(ids.map(id => this.getEscrow(id)));
   }
 
   /**
-   * Create token escrow (for USDC and other HTS tokens)
-   * @param {string} tokenId - Hedera token ID (e.g., 0.0.429274 for USDC)
+   * Create token escrow (USDC and other HTS tokens), held by PaymentProcessor with the same
+   * release/refund/dispute/expiry lifecycle as HBAR escrows
+   * @param {string} tokenId - Token registered for payments: token ID (e.g., 0.0.429274 for USDC), symbol or EVM address
    * @param {string} payee - Recipient agent address
-   * @param {number|string} amount - Token amount
+   * @param {number|string} amount - Token amount in whole units (e.g., 12.5 USDC)
    * @param {string} description - Service description
-   * @param {string} payerAgentAddress - Payer agent address
-   * @param {string} payerPrivateKey - Payer's private key
+   * @param {string} [payerAgentAddress] - Payer agent address. If not provided, uses backend wallet.
+   * @param {ethers.Signer} [payerSigner] - Payer's signer, resolved from a signing session
+   * @param {number} [expirationDays] - Escrow expiration days (default: 30)
    * @returns {Promise<Object>} Token escrow creation result
    */
-  async createTokenEscrow(tokenId, payee, amount, description, payerAgentAddress, payerPrivateKey) {
-    const tokenService = require('./token-service');
-    const agentService = require('./agent-service');
-    
-    // Verify payer is registered agent
-    const agent = await agentService.getAgent(payerAgentAddress);
-    if (!agent || !agent.isActive) {
-      throw new Error('Payer must be a registered agent');
+  async createTokenEscrow(tokenId, payee, amount, description, payerAgentAddress = null, payerSigner = null, expirationDays = 0) {
+    if (payerAgentAddress) {
+      if (!payerSigner) {
+        throw new Error('Token escrow requires a signing session for the payer agent');
+      }
+      const agentService = require('./agent-service');
+      const agent = await agentService.getAgent(payerAgentAddress);
+      if (!agent || !agent.isActive) {
+        throw new Error('Payer must be a registered agent');
+      }
     }
-    
-    // Associate token if not already associated
-    try {
-      await tokenService.associateToken(payerAgentAddress, payerPrivateKey, tokenId);
-      console.log(`✅ Token ${tokenId} associated with ${payerAgentAddress}`);
-    } catch (error) {
-      // Already associated or association failed - continue anyway
-      console.log('Token association skipped:', error.message);
+
+    const contractToUse = await this.getContractFor(payerAgentAddress, payerSigner);
+    const payerAddress = payerAgentAddress || this.wallet.address;
+    const registered = tokenRegistry.resolvePayment(tokenId);
+    const tokenAddress = this.getTokenAddress(registered.tokenId);
+    if (registered.requiresAssociation) await this.ensureTokenAssociated(tokenAddress);
+
+    const token = new ethers.Contract(tokenAddress, ERC20_ABI, contractToUse.runner);
+    const { decimals, symbol } = registered;
+    // Exact decimal conversion: fractional amounts keep every digit the token supports
+    const units = tokenRegistry.toAtomic(amount, registered);
+
+    const balance = await token.balanceOf(payerAddress);
+    if (balance < units) {
+      throw new Error(`Insufficient token balance. Required: ${amount}, Available: ${ethers.formatUnits(balance, decimals)}`);
     }
-    
-    // For now, transfer tokens directly (simplified escrow)
-    // In production, you'd transfer to an escrow contract
-    const escrowAccountId = process.env.ESCROW_ACCOUNT_ID || process.env.HEDERA_ACCOUNT_ID;
-    
-    const result = await tokenService.transferToken(
-      tokenId,
-      payerAgentAddress,
-      payerPrivateKey,
-      escrowAccountId,
-      parseInt(amount)
-    );
-    
-    // Generate escrow ID
-    const escrowId = `token-escrow-${tokenId}-${Date.now()}`;
-    
+
+    // The escrow pulls the tokens, so the payer approves the contract first
+    const escrowAddress = contractToUse.target;
+    const allowance = await token.allowance(payerAddress, escrowAddress);
+    if (allowance < units) {
+      await (await token.approve(escrowAddress, units)).wait();
+    }
+
+    console.log(`[payment-service] Creating token escrow: token=${tokenId}, payee=${payee}, amount=${amount} (${units} units)`);
+    const tx = await contractToUse.createTokenEscrow(tokenAddress, payee, units, description, expirationDays);
+    const receipt = await tx.wait();
+    await escrowIndexer.ingestReceipt(receipt);
+
+    let escrowId = undefined;
+    const log = receipt.logs.find(l => {
+      try { return contractToUse.interface.parseLog(l).name === 'EscrowCreated'; } catch { return false; }
+    });
+    if (log) escrowId = contractToUse.interface.parseLog(log).args.escrowId;
+
     // HCS logging
     const paymentTopicId = await hederaClient.ensureTopic('PAYMENT_TOPIC_ID', 'Payment', 'Agent payment events');
     await hederaClient.submitMessage(paymentTopicId, JSON.stringify({
       event: 'TokenEscrowCreated',
       escrowId,
-      tokenId,
-      payer: payerAgentAddress,
+      tokenId: registered.tokenId,
+      token: tokenAddress,
+      symbol,
+      payer: payerAddress,
       payee,
-      amount,
+      amount: String(amount),
       description,
-      status: result.status,
+      txHash: receipt.hash,
       timestamp: new Date().toISOString()
     }));
-    
+
     return {
       success: true,
       escrowId,
-      tokenId,
-      amount,
-      status: result.status
+      tokenId: registered.tokenId,
+      token: tokenAddress,
+      symbol,
+      amount: String(amount),
+      payer: payerAddress,
+      txHash: receipt.hash
     };
   }
 
   /**
-   * Create multi-currency escrow (HBAR or USDC)
-   * @param {string} currency - Currency type ('HBAR' or 'USDC')
+   * Platform fee kept from a payout, from the PlatformFeeCollected event of its receipt
+   * @returns {string|null} Fee in the contract's units (tinybars for HBAR, smallest unit for tokens), null when none
+   */
+  platformFeeFromReceipt(receipt, iface = this.paymentProcessor.interface) {
+    for (const log of receipt.logs) {
+      try {
+        const parsed = iface.parseLog(log);
+        if (parsed?.name === 'PlatformFeeCollected') return parsed.args.amount.toString();
+      } catch (_e) {}
+    }
+    return null;
+  }
+
+  /**
+   * Platform fee for new escrows
+   * @returns {Promise<number>} Basis points
+   */
+  async getPlatformFee() {
+    this.ensureContract();
+    return Number(await this.paymentProcessor.platformFeeBps());
+  }
+
+  /**
+   * Set the platform fee for new escrows (backend wallet must own the contract)
+   * @param {number} bps - Basis points, at most 1000
+   */
+  async setPlatformFee(bps) {
+    if (!Number.isInteger(bps) || bps < 0 || bps > 1000) {
+      throw new Error('bps must be an integer between 0 and 1000');
+    }
+    this.ensureContract();
+    const tx = await this.paymentProcessor.setPlatformFee(bps);
+    const receipt = await tx.wait();
+    console.log(`✅ Platform fee set to ${bps} bps`);
+    return { success: true, txHash: receipt.hash, bps };
+  }
+
+  /**
+   * Fees accrued in the PaymentProcessor treasury. The contract keeps HBAR fees in tinybars (msg.value on Hedera)
+   * and token fees in the token's smallest unit, so both convert with the registry's decimals.
+   * @param {string} currency - 'HBAR', or a registered token's symbol, token id or address
+   * @returns {Promise<string>} Accrued amount in whole units
+   */
+  async getAccruedFees(currency) {
+    this.ensureContract();
+    const token = tokenRegistry.resolve(currency);
+    const tokenAddress = token.tokenId === 'HBAR' ? ethers.ZeroAddress : this.getTokenAddress(token.tokenId);
+    return tokenRegistry.formatAtomic(await this.paymentProcessor.accruedFees(tokenAddress), token);
+  }
+
+  /**
+   * Withdraw accrued platform fees (backend wallet must own the contract)
+   * @param {string} currency - 'HBAR', or a registered token's symbol, token id or address
+   * @param {string} to - Recipient address
+   * @param {number|string} amount - Amount in whole units
+   * @returns {Promise<Object>} Withdrawal result
+   */
+  async withdrawFees(currency, to, amount) {
+    if (!ethers.isAddress(to)) throw new Error('to must be an EVM address');
+    this.ensureContract();
+    const token = tokenRegistry.resolve(currency);
+    const tokenAddress = token.tokenId === 'HBAR' ? ethers.ZeroAddress : this.getTokenAddress(token.tokenId);
+    // Tinybars for HBAR, the token's smallest unit otherwise: the units accruedFees is kept in
+    const units = tokenRegistry.toAtomic(amount, token);
+
+    const accrued = await this.paymentProcessor.accruedFees(tokenAddress);
+    if (units > accrued) {
+      throw new Error(`Only ${accrued} accrued in fees, cannot withdraw ${units}`);
+    }
+    const tx = await this.paymentProcessor.withdrawFees(tokenAddress, to, units);
+    const receipt = await tx.wait();
+    await escrowIndexer.ingestReceipt(receipt);
+    console.log(`✅ Withdrew ${amount} ${currency} in platform fees to ${to}`);
+
+    try {
+      const paymentTopicId = await hederaClient.ensureTopic('PAYMENT_TOPIC_ID', 'Payment', 'Agent payment events');
+      await hederaClient.submitMessage(paymentTopicId, JSON.stringify({
+        event: 'PlatformFeesWithdrawn',
+        currency,
+        amount: String(amount),
+        to,
+        txHash: receipt.hash,
+        timestamp: new Date().toISOString()
+      }));
+    } catch (error) {
+      console.warn('⚠️  Failed to log PlatformFeesWithdrawn to HCS:', error.message);
+    }
+    return { success: true, txHash: receipt.hash, currency, amount: String(amount), to };
+  }
+
+  /**
+   * EVM address of a token (HTS token IDs map to their long-zero ERC-20 facade address)
+   * @param {string} tokenId - Hedera token ID (0.0.x) or EVM address
+   * @returns {string} EVM address
+   */
+  getTokenAddress(tokenId) {
+    if (ethers.isAddress(tokenId)) return ethers.getAddress(tokenId);
+    const { TokenId } = require('@hashgraph/sdk');
+    return ethers.getAddress(`0x${TokenId.fromString(tokenId).toSolidityAddress()}`);
+  }
+
+  /**
+   * Associate PaymentProcessor with an HTS token so it can hold it (backend wallet must own the contract)
+   * @param {string} tokenAddress - Token EVM address
+   */
+  async ensureTokenAssociated(tokenAddress) {
+    this.ensureContract();
+    const key = tokenAddress.toLowerCase();
+    if (this.associatedTokens.has(key)) return;
+    try {
+      const tx = await this.paymentProcessor.associateToken(tokenAddress);
+      await tx.wait();
+      console.log(`✅ PaymentProcessor associated with token ${tokenAddress}`);
+    } catch (error) {
+      // Already associated (or not an HTS token) - the escrow transfer fails clearly if it really is missing
+      console.warn(`⚠️  Token association skipped for ${tokenAddress}:`, error.shortMessage || error.message);
+    }
+    this.associatedTokens.add(key);
+  }
+
+  /**
+   * Create multi-currency escrow (HBAR, or any token registered for payments)
+   * @param {string} currency - 'HBAR', or a registered token's symbol (e.g. 'USDC'), token id or address
    * @param {string} payee - Recipient address
    * @param {number|string} amount - Amount
    * @param {string} description - Service description
    * @param {string} payer - Payer agent address
-   * @param {string} payerPrivateKey - Payer's private key
+   * @param {ethers.Wallet} [payerSigner] - Payer's wallet, resolved from a signing session
    * @returns {Promise<Object>} Escrow creation result
    */
-  async createMultiCurrencyEscrow(currency, payee, amount, description, payer, payerPrivateKey) {
-    const SUPPORTED_TOKENS = {
-      USDC: process.env.USDC_TOKEN_ID || '0.0.429274',
-      HBAR: 'native'
-    };
-    
-    if (currency === 'HBAR' || currency === 'native' || !currency) {
+  async createMultiCurrencyEscrow(currency, payee, amount, description, payer, payerSigner = null) {
+    // Unknown tokens and tokens not accepted for payments are rejected here (400)
+    const token = tokenRegistry.resolvePayment(currency || 'HBAR');
+
+    if (token.tokenId === 'HBAR') {
       // Use existing HBAR escrow
-      return await this.createEscrow(payee, amount, description, payer, payerPrivateKey);
-    }
-    
-    if (currency === 'USDC') {
-      // Create token escrow
-      return await this.createTokenEscrow(
-        SUPPORTED_TOKENS.USDC,
-        payee,
-        amount,
-        description,
-        payer,
-        payerPrivateKey
-      );
+      return await this.createEscrow(payee, amount, description, payer, payerSigner);
     }
-    
-    throw new Error(`Unsupported currency: ${currency}. Supported: HBAR, USDC`);
+
+    // Create token escrow
+    return await this.createTokenEscrow(
+      token.tokenId,
+      payee,
+      amount,
+      description,
+      payer,
+      payerSigner
+    );
   }
 }
 
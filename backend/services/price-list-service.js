@@ -0,0 +1,129 @@
+// services/price-list-service.js
+// Per-agent price lists published by agent owners: a unit price per capability and currency, optional
+// volume tiers and a validity window. Quotes (quote-service.js) are priced from these.
+const PersistentMap = require('../repositories/persistent-map');
+const capabilityRegistry = require('./capability-registry-service');
+const hederaClient = require('./hedera-client');
+const tokenRegistry = require('./token-registry-service');
+const httpError = require('../utils/http-error');
+
+function parseTime(value, field, index) {
+  if (value === undefined || value === null) return null;
+  const time = Date.parse(value);
+  if (!Number.isFinite(time)) throw httpError(400, `items[${index}].${field} must be an ISO date`);
+  return new Date(time).toISOString();
+}
+
+function isActive(item, at) {
+  return (!item.validFrom || Date.parse(item.validFrom) <= at) && (!item.validUntil || Date.parse(item.validUntil) > at);
+}
+
+class PriceListService {
+  constructor() {
+    // agentId -> { agentId, items: [{ capability, currency, unitPrice, tiers, validFrom, validUntil }], updatedAt }
+    this.priceLists = new PersistentMap('priceLists');
+  }
+
+  get(agentId) {
+    return this.priceLists.get(agentId) || null;
+  }
+
+  /**
+   * Validate and normalize price list items
+   * @param {Object[]} items - [{ capability, currency?, unitPrice, tiers?: [{ minQuantity, unitPrice }], validFrom?, validUntil? }]
+   * @returns {Object[]} Items with canonical capability ids and tiers sorted by minQuantity
+   */
+  validateItems(items) {
+    if (!Array.isArray(items) || items.length === 0) {
+      throw httpError(400, 'items must be a non-empty array');
+    }
+    return items.map((item, index) => {
+      if (typeof item?.capability !== 'string') throw httpError(400, `items[${index}].capability is required`);
+      const [capability] = capabilityRegistry.validate([item.capability]);
+      // Stored as the registry symbol, so a token id or address and its symbol price the same item
+      let currency;
+      try {
+        currency = tokenRegistry.resolvePayment(item.currency || 'HBAR').symbol;
+      } catch (e) {
+        throw httpError(400, `items[${index}].currency: ${e.message}`);
+      }
+      const unitPrice = Number(item.unitPrice);
+      if (!(unitPrice > 0)) throw httpError(400, `items[${index}].unitPrice must be greater than 0`);
+
+      const tiers = (item.tiers || []).map((tier, tierIndex) => {
+        const minQuantity = Number(tier?.minQuantity);
+        const tierPrice = Number(tier?.unitPrice);
+        if (!Number.isInteger(minQuantity) || minQuantity < 2) {
+          throw httpError(400, `items[${index}].tiers[${tierIndex}].minQuantity must be an integer of at least 2`);
+        }
+        if (!(tierPrice > 0)) throw httpError(400, `items[${index}].tiers[${tierIndex}].unitPrice must be greater than 0`);
+        return { minQuantity, unitPrice: tierPrice };
+      }).sort((a, b) => a.minQuantity - b.minQuantity);
+      if (new Set(tiers.map(tier => tier.minQuantity)).size !== tiers.length) {
+        throw httpError(400, `items[${index}].tiers must not repeat a minQuantity`);
+      }
+
+      const validFrom = parseTime(item.validFrom, 'validFrom', index);
+      const validUntil = parseTime(item.validUntil, 'validUntil', index);
+      if (validFrom && validUntil && Date.parse(validUntil) <= Date.parse(validFrom)) {
+        throw httpError(400, `items[${index}].validUntil must be after validFrom`);
+      }
+      return { capability, currency, unitPrice, tiers, validFrom, validUntil };
+    });
+  }
+
+  /**
+   * Publish (replace) an agent's price list and log it to the Agent topic
+   * @param {string} agentId - Agent ID
+   * @param {Object[]} items - See validateItems
+   * @returns {Promise<Object>} Stored price list
+   */
+  async set(agentId, items) {
+    const priceList = { agentId, items: this.validateItems(items), updatedAt: new Date().toISOString() };
+    this.priceLists.set(agentId, priceList);
+
+    try {
+      const agentTopicId = await hederaClient.ensureTopic('AGENT_TOPIC_ID', 'Agent', 'Agent registration events');
+      await hederaClient.submitMessage(agentTopicId, JSON.stringify({
+        event: 'PriceListUpdated',
+        agentId,
+        items: priceList.items,
+        timestamp: priceList.updatedAt
+      }));
+    } catch (error) {
+      console.warn(`⚠️  Failed to log price list for ${agentId} to HCS:`, error.message);
+    }
+    return priceList;
+  }
+
+  remove(agentId) {
+    if (!this.priceLists.delete(agentId)) throw httpError(404, `No price list for ${agentId}`);
+  }
+
+  /**
+   * Price list item in effect for a capability and currency (the most recently started one if windows overlap)
+   * @param {string} agentId - Agent ID
+   * @param {string} capability - Capability id or alias
+   * @param {string} [currency] - Registry symbol, e.g. 'HBAR' or 'USDC'
+   * @param {number} [at] - Time (ms) the price must be valid at
+   * @returns {Object|null} Item
+   */
+  findItem(agentId, capability, currency = 'HBAR', at = Date.now()) {
+    const id = capabilityRegistry.resolve(capability) || capability;
+    const items = (this.get(agentId)?.items || [])
+      .filter(item => item.capability === id && item.currency === currency && isActive(item, at));
+    const startedAt = item => (item.validFrom ? Date.parse(item.validFrom) : 0);
+    return items.sort((a, b) => startedAt(b) - startedAt(a))[0] || null;
+  }
+
+  /**
+   * Unit price for a quantity: the highest volume tier the quantity reaches, else the item's unit price
+   * @returns {Object} { unitPrice, tier: matched tier or null }
+   */
+  unitPriceFor(item, quantity) {
+    const tier = item.tiers.filter(t => quantity >= t.minQuantity).pop() || null;
+    return { unitPrice: tier ? tier.unitPrice : item.unitPrice, tier };
+  }
+}
+
+module.exports = new PriceListService();
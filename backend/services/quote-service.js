@@ -0,0 +1,233 @@
+// services/quote-service.js
+// Signed, expiring price quotes for agent services. A quote fixes the amount, asset and payee of one
+// purchase; x402 challenges are issued from it and payments are verified against it on the mirror node.
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const PersistentMap = require('../repositories/persistent-map');
+const AgentService = require('./agent-service').constructor;
+const priceListService = require('./price-list-service');
+const capabilityRegistry = require('./capability-registry-service');
+const hederaClient = require('./hedera-client');
+const x402Service = require('./x402-facilitator-service');
+const paymentIntentService = require('./payment-intent-service');
+const tokenRegistry = require('./token-registry-service');
+const httpError = require('../utils/http-error');
+
+const DEFAULT_QUOTE_TTL_MS = 10 * 60 * 1000; // 10 minutes
+const MAX_QUANTITY = 1000000;
+
+// Fields covered by the signature, in signing order
+const SIGNED_FIELDS = ['id', 'agentId', 'capability', 'quantity', 'unitPrice', 'amount', 'atomicAmount', 'currency', 'asset', 'payTo', 'payer', 'issuedAt', 'expiresAt'];
+
+class QuoteService {
+  constructor() {
+    // quoteId -> quote (with signature, status 'open' | 'paid', txId once paid)
+    this.quotes = new PersistentMap('quotes');
+  }
+
+  getTtl() {
+    const ttl = Number(process.env.QUOTE_TTL_MS);
+    return Number.isFinite(ttl) && ttl > 0 ? ttl : DEFAULT_QUOTE_TTL_MS;
+  }
+
+  getSigner() {
+    const key = process.env.QUOTE_SIGNING_KEY || process.env.EVM_PRIVATE_KEY;
+    if (!key || !key.startsWith('0x')) {
+      throw httpError(503, 'QUOTE_SIGNING_KEY or EVM_PRIVATE_KEY (hex 0x...) must be set to sign quotes');
+    }
+    return new ethers.Wallet(key);
+  }
+
+  // Canonical message signed for a quote
+  signedMessage(quote) {
+    return JSON.stringify(SIGNED_FIELDS.map(field => [field, quote[field] ?? null]));
+  }
+
+  /**
+   * Check a quote's signature against the quote signer
+   * @param {Object} quote - Quote as issued
+   * @returns {boolean} Whether the signature is valid and made by the current signer
+   */
+  verifySignature(quote) {
+    try {
+      const recovered = ethers.verifyMessage(this.signedMessage(quote), quote.signature);
+      return recovered.toLowerCase() === quote.signer?.toLowerCase() &&
+        recovered.toLowerCase() === this.getSigner().address.toLowerCase();
+    } catch (_e) {
+      return false;
+    }
+  }
+
+  /**
+   * Find the agent to quote for (backend-registered agents only; they hold the price lists)
+   * @param {Object} target - { agentId } or { agentAddress }
+   * @returns {Object} { agentId, mapping }
+   */
+  resolveAgent({ agentId, agentAddress }) {
+    if (agentId) {
+      const mapping = AgentService.agentIdMapping.get(agentId);
+      if (!mapping) throw httpError(404, `Agent ${agentId} not found`);
+      return { agentId, mapping };
+    }
+    const address = (agentAddress || '').toLowerCase();
+    const matches = Array.from(AgentService.agentIdMapping.entries()).filter(([, mapping]) =>
+      (mapping.agentWalletAddress || mapping.registeredAddress || '').toLowerCase() === address);
+    if (matches.length === 0) throw httpError(404, `Agent ${agentAddress} not found`);
+    if (matches.length > 1) {
+      throw httpError(400, `Several agents share ${agentAddress}; pass agentId to choose one`);
+    }
+    return { agentId: matches[0][0], mapping: matches[0][1] };
+  }
+
+  /**
+   * Issue a signed quote from the agent's price list (or the capability's dynamic price for HBAR when the
+   * agent hasn't published one)
+   * @param {Object} request - { agentId | agentAddress, capability, quantity?, currency?, payer? }
+   * @returns {Promise<Object>} Quote
+   */
+  async createQuote({ agentId, agentAddress, capability, quantity = 1, currency = 'HBAR', payer = null }) {
+    if (!capability) throw httpError(400, 'capability is required');
+    if (!agentId && !agentAddress) throw httpError(400, 'agentId or agentAddress is required');
+    const token = tokenRegistry.resolvePayment(currency);
+    currency = token.symbol;
+    quantity = Number(quantity);
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_QUANTITY) {
+      throw httpError(400, `quantity must be an integer between 1 and ${MAX_QUANTITY}`);
+    }
+
+    const resolved = this.resolveAgent({ agentId, agentAddress });
+    const capabilityId = capabilityRegistry.resolve(capability);
+    if (!capabilityId) throw httpError(400, `Unknown capability: ${capability}`);
+    if (!(resolved.mapping.capabilities || []).some(c => capabilityRegistry.resolve(c) === capabilityId)) {
+      throw httpError(400, `Agent ${resolved.agentId} does not offer ${capabilityId}`);
+    }
+
+    let unitPrice;
+    let tier = null;
+    let priceSource;
+    const item = priceListService.findItem(resolved.agentId, capabilityId, currency);
+    if (item) {
+      ({ unitPrice, tier } = priceListService.unitPriceFor(item, quantity));
+      priceSource = 'price-list';
+    } else if (currency === 'HBAR') {
+      const x402EnhancedService = require('./x402-enhanced-service');
+      unitPrice = x402EnhancedService.calculateDynamicPrice(resolved.mapping, capabilityId);
+      priceSource = 'dynamic';
+    } else {
+      throw httpError(404, `Agent ${resolved.agentId} has no ${currency} price for ${capabilityId}`);
+    }
+
+    const { decimals } = token;
+    const atomicAmount = ethers.parseUnits((unitPrice * quantity).toFixed(decimals), decimals);
+    if (atomicAmount <= 0n) throw httpError(400, 'Quoted amount rounds to zero');
+
+    const signer = this.getSigner();
+    const issuedAt = new Date();
+    const quote = {
+      id: crypto.randomUUID(),
+      agentId: resolved.agentId,
+      capability: capabilityId,
+      quantity,
+      unitPrice,
+      amount: ethers.formatUnits(atomicAmount, decimals),
+      atomicAmount: atomicAmount.toString(),
+      currency,
+      asset: token.tokenId,
+      decimals,
+      payTo: resolved.mapping.agentWalletAddress || resolved.mapping.registeredAddress,
+      payer: payer ? payer.toLowerCase() : null,
+      priceSource,
+      tier,
+      issuedAt: issuedAt.toISOString(),
+      expiresAt: new Date(issuedAt.getTime() + this.getTtl()).toISOString(),
+      status: 'open',
+      signer: signer.address
+    };
+    quote.signature = await signer.signMessage(this.signedMessage(quote));
+    this.quotes.set(quote.id, quote);
+    return quote;
+  }
+
+  /**
+   * @param {string} quoteId - Quote id
+   * @returns {Object} Quote
+   */
+  get(quoteId) {
+    const quote = this.quotes.get(quoteId);
+    if (!quote) throw httpError(404, `Quote ${quoteId} not found`);
+    return quote;
+  }
+
+  /**
+   * x402 challenge for paying a quote (amount in the asset's smallest unit, valid until the quote expires)
+   * @param {string} quoteId - Quote id
+   * @returns {Promise<Object>} Challenge
+   */
+  async createChallenge(quoteId) {
+    const quote = this.get(quoteId);
+    if (quote.status !== 'open') throw httpError(409, `Quote ${quoteId} is already ${quote.status}`);
+    const remainingMs = Date.parse(quote.expiresAt) - Date.now();
+    if (remainingMs <= 0) throw httpError(410, `Quote ${quoteId} expired`);
+
+    const challenge = await x402Service.createChallenge(
+      quote.atomicAmount,
+      quote.asset,
+      quote.payTo,
+      `quote:${quote.id}`,
+      process.env.HEDERA_NETWORK || 'hedera-testnet',
+      { payer: quote.payer, timeoutSeconds: remainingMs / 1000, quoteId: quote.id }
+    );
+    const [accept] = challenge.accepts;
+    accept.description = `Payment for ${quote.capability} x${quote.quantity} from agent ${quote.agentId}`;
+    accept.extra = { ...accept.extra, quoteId: quote.id, amount: quote.amount, decimals: quote.decimals };
+    return challenge;
+  }
+
+  /**
+   * Verify that a transaction paid a quote through one of its challenges (memo, exact amount, payee, payer,
+   * before expiry; see payment-intent-service.js) and mark the quote paid
+   * @param {string} quoteId - Quote id
+   * @param {string} txId - Hedera transaction id
+   * @returns {Promise<Object>} { verified: true, quote, transaction }
+   */
+  async verifyPayment(quoteId, txId) {
+    if (!txId) throw httpError(400, 'txId is required');
+    const quote = this.get(quoteId);
+    if (quote.status === 'paid') {
+      throw httpError(409, `Quote ${quoteId} was already paid${quote.txId === txId ? '' : ` by ${quote.txId}`}`);
+    }
+    if (!this.verifySignature(quote)) throw httpError(400, `Quote ${quoteId} has an invalid signature`);
+
+    const transaction = await paymentIntentService.fetchTransaction(txId);
+    const intent = paymentIntentService.findByMemo(transaction.memo);
+    if (!intent || intent.quoteId !== quote.id) {
+      throw httpError(400, `Transaction ${txId} memo does not match a challenge for quote ${quoteId}`);
+    }
+    await paymentIntentService.verify(intent.id, txId, transaction);
+
+    quote.status = 'paid';
+    quote.txId = txId;
+    quote.paidAt = new Date().toISOString();
+    this.quotes.set(quote.id, quote);
+
+    try {
+      const paymentTopicId = await hederaClient.ensureTopic('PAYMENT_TOPIC_ID', 'Payment', 'Payment events');
+      await hederaClient.submitMessage(paymentTopicId, JSON.stringify({
+        event: 'QuotePaid',
+        quoteId: quote.id,
+        agentId: quote.agentId,
+        capability: quote.capability,
+        amount: quote.amount,
+        currency: quote.currency,
+        txId,
+        timestamp: quote.paidAt
+      }));
+    } catch (error) {
+      console.warn(`⚠️  Failed to log payment of quote ${quote.id} to HCS:`, error.message);
+    }
+
+    return { verified: true, quote, transaction };
+  }
+}
+
+module.exports = new QuoteService();
@@ -0,0 +1,208 @@
+// services/signing-session-service.js
+// Signing sessions: a wallet proves control of an agent once (signed JSON message, same format as
+// /api/auth/verify-signature) and gets a scoped, expiring token. Routes resolve the agent's keystore
+// signer from that token so private keys never travel in request bodies.
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const httpError = require('../utils/http-error');
+const keystoreService = require('./keystore-service');
+
+const SIGNING_SCOPES = ['payments:create', 'payments:release', 'payments:dispute', 'payments:resolve', 'a2a:communicate', 'a2a:complete'];
+const SESSION_HEADER = 'x-signing-session';
+const CHALLENGE_TTL_MS = 5 * 60 * 1000; // 5 minutes to sign the challenge
+const DEFAULT_SESSION_TTL_MS = 15 * 60 * 1000; // 15 minutes
+const MAX_SESSION_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+class SigningSessionService {
+  constructor() {
+    // Pending challenges: nonce -> { address, agentId, expiresAt }
+    this.challenges = new Map();
+    // Active sessions, keyed by token hash so raw tokens are never held: hash -> session
+    this.sessions = new Map();
+  }
+
+  getSessionTtl() {
+    const ttl = Number(process.env.SIGNING_SESSION_TTL_MS);
+    return Number.isFinite(ttl) && ttl > 0 ? Math.min(ttl, MAX_SESSION_TTL_MS) : DEFAULT_SESSION_TTL_MS;
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  pruneExpired() {
+    const now = Date.now();
+    for (const [nonce, challenge] of this.challenges.entries()) {
+      if (challenge.expiresAt <= now) this.challenges.delete(nonce);
+    }
+    for (const [hash, session] of this.sessions.entries()) {
+      if (session.expiresAt <= now) this.sessions.delete(hash);
+    }
+  }
+
+  /**
+   * Normalize requested scopes (defaults to every scope)
+   * @param {string|Array} scopes - Comma separated string or array
+   * @returns {Array} Valid scopes
+   */
+  parseScopes(scopes) {
+    const requested = Array.isArray(scopes)
+      ? scopes
+      : (scopes ? String(scopes).split(',').map(s => s.trim()).filter(Boolean) : SIGNING_SCOPES);
+    const invalid = requested.filter(s => !SIGNING_SCOPES.includes(s));
+    if (invalid.length > 0) {
+      throw httpError(400, `Unknown signing scopes: ${invalid.join(', ')}. Supported: ${SIGNING_SCOPES.join(', ')}`);
+    }
+    return [...new Set(requested)];
+  }
+
+  /**
+   * Build the message a wallet must sign to open a signing session
+   * @param {string} address - Wallet address that will sign
+   * @param {string} agentId - Agent whose keystore wallet the session unlocks
+   * @param {string|Array} [scopes] - Requested scopes
+   * @returns {Object} Message object (sign JSON.stringify(message))
+   */
+  createChallenge(address, agentId, scopes) {
+    if (!ethers.isAddress(address)) {
+      throw httpError(400, 'A valid EVM address is required');
+    }
+    if (!agentId) {
+      throw httpError(400, 'agentId is required');
+    }
+    this.pruneExpired();
+
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const issuedAt = new Date();
+    const expiresAt = new Date(issuedAt.getTime() + CHALLENGE_TTL_MS);
+    this.challenges.set(nonce, {
+      address: address.toLowerCase(),
+      agentId,
+      expiresAt: expiresAt.getTime()
+    });
+
+    return {
+      statement: `Open a signing session for agent ${agentId}`,
+      address: ethers.getAddress(address),
+      agentId,
+      scopes: this.parseScopes(scopes),
+      nonce,
+      issuedAt: issuedAt.toISOString(),
+      expiresAt: expiresAt.toISOString()
+    };
+  }
+
+  /**
+   * Verify a signed challenge and open a session
+   * @param {Object} message - Challenge message returned by createChallenge
+   * @param {string} signature - Signature over JSON.stringify(message)
+   * @returns {Object} { token, agentId, address, scopes, expiresAt }
+   */
+  createSession(message, signature) {
+    if (!message || !signature) {
+      throw httpError(400, 'message and signature required');
+    }
+    this.pruneExpired();
+
+    const challenge = this.challenges.get(message.nonce);
+    if (!challenge) {
+      throw httpError(401, 'Unknown or expired challenge nonce');
+    }
+
+    let recovered;
+    try {
+      recovered = ethers.verifyMessage(JSON.stringify(message), signature);
+    } catch (e) {
+      throw httpError(401, `Invalid signature: ${e.message}`);
+    }
+    if (recovered.toLowerCase() !== challenge.address || message.agentId !== challenge.agentId) {
+      throw httpError(401, 'Signature does not match the challenge');
+    }
+    // Nonces are single use, even if the checks below fail
+    this.challenges.delete(message.nonce);
+
+    const AgentService = require('./agent-service').constructor;
+    if (!AgentService.isAgentController(challenge.agentId, recovered)) {
+      throw httpError(403, `${recovered} does not control agent ${challenge.agentId}`);
+    }
+    if (!keystoreService.hasKey(challenge.agentId)) {
+      throw httpError(404, `Agent ${challenge.agentId} has no wallet in the keystore`);
+    }
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const session = {
+      agentId: challenge.agentId,
+      agentAddress: keystoreService.getAddress(challenge.agentId),
+      address: recovered,
+      scopes: this.parseScopes(message.scopes),
+      createdAt: Date.now(),
+      expiresAt: Date.now() + this.getSessionTtl()
+    };
+    this.sessions.set(this.hashToken(token), session);
+    console.log(`🔐 Signing session opened for ${session.agentId} by ${recovered} (${session.scopes.join(', ')})`);
+
+    return { token, ...this.describe(session) };
+  }
+
+  describe(session) {
+    return {
+      agentId: session.agentId,
+      agentAddress: session.agentAddress,
+      address: session.address,
+      scopes: session.scopes,
+      expiresAt: new Date(session.expiresAt).toISOString()
+    };
+  }
+
+  /**
+   * Look up an active session
+   * @param {string} token - Session token
+   * @returns {Object} Session
+   */
+  getSession(token) {
+    const session = token ? this.sessions.get(this.hashToken(token)) : null;
+    if (!session || session.expiresAt <= Date.now()) {
+      throw httpError(401, 'Signing session is missing or expired');
+    }
+    return session;
+  }
+
+  revokeSession(token) {
+    return this.sessions.delete(this.hashToken(token));
+  }
+
+  /**
+   * Resolve the agent signer a session grants for a scope
+   * @param {string} token - Session token
+   * @param {string} scope - Required scope
+   * @param {Object} [provider] - ethers provider to connect the signer to
+   * @returns {Promise<Object>} { session, signer }
+   */
+  async getSigner(token, scope, provider = null) {
+    const session = this.getSession(token);
+    if (!session.scopes.includes(scope)) {
+      throw httpError(403, `Signing session does not grant ${scope}`);
+    }
+    const signer = await keystoreService.getSigner(session.agentId, provider);
+    return { session, signer };
+  }
+
+  /**
+   * Resolve a signer from the X-Signing-Session header of a request
+   * @param {Object} req - Express request
+   * @param {string} scope - Required scope
+   * @returns {Promise<ethers.Wallet|null>} Signer, or null when no session header was sent
+   */
+  async signerFromRequest(req, scope) {
+    const token = req.get(SESSION_HEADER);
+    if (!token) return null;
+    const { signer } = await this.getSigner(token, scope);
+    return signer;
+  }
+}
+
+const signingSessionService = new SigningSessionService();
+signingSessionService.SIGNING_SCOPES = SIGNING_SCOPES;
+signingSessionService.SESSION_HEADER = SESSION_HEADER;
+
+module.exports = signingSessionService;
@@ -0,0 +1,263 @@
+// services/split-payment-service.js
+// Split payments and revenue sharing. One payment is divided between several recipients by basis points, either
+// per payment or by an agent's standing split rule (e.g. 80% executor, 15% subcontractor, 5% platform), and paid
+// atomically in a single multi-leg Hedera TransferTransaction. Each payment is stored with its legs and the amount
+// each recipient was credited, and the full split is logged to the Payment HCS topic.
+const crypto = require('crypto');
+const PersistentMap = require('../repositories/persistent-map');
+const hederaClient = require('./hedera-client');
+const localMirror = require('./local-mirror-service');
+const tokenRegistry = require('./token-registry-service');
+const httpError = require('../utils/http-error');
+
+const BPS_DENOMINATOR = 10000;
+// A TransferTransaction takes at most 10 transfers per asset: the payer's debit plus 9 credits
+const MAX_LEGS = 9;
+const MEMO_PREFIX = 'split:';
+
+class SplitPaymentService {
+  constructor() {
+    // agentId -> { agentId, legs: [{ recipient, bps, label }], updatedBy, updatedAt }
+    this.rules = new PersistentMap('splitRules');
+    // splitId -> { id, payer, payerAccountId, currency, asset, amount, legs, agentId, memo, status, txId, error, createdAt, executedAt }
+    this.payments = new PersistentMap('splitPayments');
+  }
+
+  /**
+   * Validate and normalize split legs
+   * @param {Object[]} legs - [{ recipient (account id or EVM address), bps, label? }]
+   * @returns {Object[]} Legs with integer bps summing to 10000
+   */
+  validateLegs(legs) {
+    if (!Array.isArray(legs) || legs.length === 0) throw httpError(400, 'legs must be a non-empty array');
+    if (legs.length > MAX_LEGS) throw httpError(400, `A split can have at most ${MAX_LEGS} legs`);
+
+    const normalized = legs.map((leg, i) => {
+      const recipient = String(leg?.recipient || '').trim();
+      if (!/^\d+\.\d+\.\d+$/.test(recipient) && !/^0x[0-9a-fA-F]{40}$/.test(recipient)) {
+        throw httpError(400, `legs[${i}].recipient must be a Hedera account id or EVM address`);
+      }
+      const bps = Number(leg.bps);
+      if (!Number.isInteger(bps) || bps <= 0 || bps > BPS_DENOMINATOR) {
+        throw httpError(400, `legs[${i}].bps must be an integer between 1 and ${BPS_DENOMINATOR}`);
+      }
+      return { recipient: recipient.startsWith('0x') ? recipient.toLowerCase() : recipient, bps, label: leg.label ? String(leg.label) : null };
+    });
+
+    const total = normalized.reduce((sum, leg) => sum + leg.bps, 0);
+    if (total !== BPS_DENOMINATOR) throw httpError(400, `legs must add up to ${BPS_DENOMINATOR} bps (got ${total})`);
+    if (new Set(normalized.map(leg => leg.recipient)).size !== normalized.length) {
+      throw httpError(400, 'Each recipient can appear in only one leg');
+    }
+    return normalized;
+  }
+
+  getRule(agentId) {
+    return this.rules.get(agentId) || null;
+  }
+
+  async setRule(agentId, legs, updatedBy = null) {
+    const rule = { agentId, legs: this.validateLegs(legs), updatedBy: updatedBy ? updatedBy.toLowerCase() : null, updatedAt: new Date().toISOString() };
+    this.rules.set(agentId, rule);
+    await this.logEvent({ event: 'SplitRuleUpdated', agentId, legs: rule.legs, timestamp: rule.updatedAt });
+    return rule;
+  }
+
+  removeRule(agentId) {
+    if (!this.rules.delete(agentId)) throw httpError(404, `No split rule for ${agentId}`);
+  }
+
+  /**
+   * Divide an amount by the legs' bps; rounding dust goes to the first leg so the legs add up to the amount
+   * @param {bigint} amount - Amount in the asset's smallest unit
+   * @param {Object[]} legs - Validated legs
+   * @returns {bigint[]} Amount per leg
+   */
+  allocate(amount, legs) {
+    const amounts = legs.map(leg => (amount * BigInt(leg.bps)) / BigInt(BPS_DENOMINATOR));
+    amounts[0] += amount - amounts.reduce((sum, a) => sum + a, 0n);
+    return amounts;
+  }
+
+  get(id) {
+    const payment = this.payments.get(id);
+    if (!payment) throw httpError(404, `Split payment ${id} not found`);
+    return payment;
+  }
+
+  /**
+   * Split payments, newest first
+   * @param {Object} [filter] - { payer?, agentId?, recipient? }
+   */
+  list({ payer, agentId, recipient } = {}) {
+    return Array.from(this.payments.values())
+      .filter(p => !payer || p.payer === payer.toLowerCase() || p.payerAccountId === payer)
+      .filter(p => !agentId || p.agentId === agentId)
+      .filter(p => !recipient || p.legs.some(leg => leg.recipient === recipient.toLowerCase() || leg.accountId === recipient))
+      .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt));
+  }
+
+  /**
+   * Pay an amount to several recipients in one TransferTransaction
+   * @param {Object} params
+   * @param {number|string} params.amount - Total in whole units (e.g. 10 HBAR)
+   * @param {string} [params.currency] - 'HBAR' (default), or the symbol or token id of a token registered for payments
+   * @param {Object[]} [params.legs] - Split for this payment; without it the agent's split rule applies
+   * @param {string} [params.agentId] - Agent whose split rule to use (and that the payment is for)
+   * @param {ethers.Wallet} [params.payerSigner] - Payer agent's wallet from a signing session; the operator account pays otherwise
+   * @param {string} [params.reference] - Free-form reference (escrow id, A2A interaction, ...)
+   * @returns {Promise<Object>} Stored split payment with per-leg credits
+   */
+  async execute({ amount, currency = 'HBAR', legs = null, agentId = null, payerSigner = null, reference = null }) {
+    if (!(Number(amount) > 0)) throw httpError(400, 'amount must be greater than 0');
+    let split = legs;
+    if (!split) {
+      if (!agentId) throw httpError(400, 'legs or agentId is required');
+      const rule = this.getRule(agentId);
+      if (!rule) throw httpError(404, `No split rule for ${agentId}`);
+      split = rule.legs;
+    }
+    split = this.validateLegs(split);
+
+    const x402Service = require('./x402-facilitator-service');
+    const paymentIntentService = require('./payment-intent-service');
+    const token = tokenRegistry.resolvePayment(currency);
+    const asset = token.tokenId;
+    currency = token.symbol;
+    const total = BigInt(x402Service.toAtomicAmount(amount, asset));
+    if (asset !== 'HBAR' && total > BigInt(Number.MAX_SAFE_INTEGER)) throw httpError(400, 'amount is too large');
+    const amounts = this.allocate(total, split);
+    if (amounts.some(a => a <= 0n)) throw httpError(400, 'amount is too small to give every leg a share');
+
+    hederaClient.ensureOperator();
+    const payer = payerSigner ? payerSigner.address.toLowerCase() : null;
+    const payerAccountId = payer ? await paymentIntentService.resolveAccountId(payer) : hederaClient.accountId.toString();
+    const resolved = await Promise.all(split.map(leg => paymentIntentService.resolveAccountId(leg.recipient)));
+    if (resolved.includes(payerAccountId)) throw httpError(400, 'The payer cannot be a recipient');
+
+    const id = crypto.randomUUID();
+    const payment = {
+      id,
+      payer: payer || payerAccountId,
+      payerAccountId,
+      currency,
+      asset,
+      amount: total.toString(),
+      legs: split.map((leg, i) => ({ ...leg, accountId: resolved[i], amount: amounts[i].toString(), credited: null })),
+      agentId,
+      reference,
+      memo: `${MEMO_PREFIX}${id}`,
+      status: 'pending',
+      txId: null,
+      error: null,
+      createdAt: new Date().toISOString(),
+      executedAt: null
+    };
+    this.payments.set(id, payment);
+
+    try {
+      const { txId, credits } = await this.submit(payment, payerSigner);
+      const executed = {
+        ...payment,
+        status: 'executed',
+        txId,
+        legs: payment.legs.map(leg => ({ ...leg, credited: credits.get(leg.accountId) ?? null })),
+        executedAt: new Date().toISOString()
+      };
+      this.payments.set(id, executed);
+      try {
+        require('./treasury-service').recordSplitPayment(executed);
+      } catch (error) {
+        console.warn(`⚠️  Failed to record split payment ${id} in the ledger:`, error.message);
+      }
+      console.log(`✅ Split payment ${id}: ${total} ${asset} from ${payerAccountId} to ${executed.legs.length} recipients (${txId})`);
+      await this.logEvent({
+        event: 'SplitPaymentExecuted',
+        splitId: id,
+        agentId,
+        payer: executed.payer,
+        currency,
+        asset,
+        amount: executed.amount,
+        legs: executed.legs.map(({ recipient, accountId, bps, label, amount: legAmount }) => ({ recipient, accountId, bps, label, amount: legAmount })),
+        txId,
+        timestamp: executed.executedAt
+      });
+      return executed;
+    } catch (error) {
+      const reason = error.status ? error.message : (error.message || String(error));
+      this.payments.set(id, { ...payment, status: 'failed', error: reason });
+      console.warn(`⚠️  Split payment ${id} failed:`, reason);
+      await this.logEvent({ event: 'SplitPaymentFailed', splitId: id, agentId, payer: payment.payer, currency, amount: payment.amount, error: reason, timestamp: new Date().toISOString() });
+      throw error.status ? error : httpError(502, `Split payment failed: ${reason}`);
+    }
+  }
+
+  /**
+   * Build, sign and submit the multi-leg transfer (recorded in the local mirror when MIRROR_NODE_URL=local)
+   * @returns {Promise<Object>} { txId (mirror form), credits: Map accountId -> credited amount (string) }
+   */
+  async submit(payment, payerSigner) {
+    const { TransferTransaction, Hbar, PrivateKey, TransactionId } = require('@hashgraph/sdk');
+    const transaction = new TransferTransaction()
+      .setTransactionId(TransactionId.generate(hederaClient.accountId))
+      .setTransactionMemo(payment.memo);
+
+    if (payment.asset === 'HBAR') {
+      transaction.addHbarTransfer(payment.payerAccountId, Hbar.fromTinybars((-BigInt(payment.amount)).toString()));
+      for (const leg of payment.legs) transaction.addHbarTransfer(leg.accountId, Hbar.fromTinybars(leg.amount));
+    } else {
+      transaction.addTokenTransfer(payment.asset, payment.payerAccountId, -Number(payment.amount));
+      for (const leg of payment.legs) transaction.addTokenTransfer(payment.asset, leg.accountId, Number(leg.amount));
+    }
+
+    const txId = transaction.transactionId.toString().replace('@', '-').replace(/\.(\d+)$/, '-$1');
+    if (localMirror.isEnabled()) {
+      const debit = { account: payment.payerAccountId, amount: -BigInt(payment.amount) };
+      const credits = payment.legs.map(leg => ({ account: leg.accountId, amount: BigInt(leg.amount) }));
+      localMirror.recordTransfer({
+        transactionId: txId,
+        memo: payment.memo,
+        transfers: payment.asset === 'HBAR' ? [debit, ...credits] : [],
+        tokenTransfers: payment.asset === 'HBAR' ? [] : [debit, ...credits].map(t => ({ ...t, token_id: payment.asset }))
+      });
+      console.log(`💾 Split payment ${payment.id} recorded in the local mirror (offline settlement)`);
+      return { txId, credits: new Map(credits.map(c => [c.account, c.amount.toString()])) };
+    }
+
+    transaction.freezeWith(hederaClient.client);
+    if (payerSigner) await transaction.sign(PrivateKey.fromStringECDSA(payerSigner.privateKey));
+    const response = await transaction.execute(hederaClient.client);
+    await response.getReceipt(hederaClient.client);
+
+    // Per-leg receipts: what each recipient was actually credited by the consensus record
+    const credits = new Map();
+    try {
+      const record = await response.getRecord(hederaClient.client);
+      if (payment.asset === 'HBAR') {
+        for (const transfer of record.transfers) {
+          credits.set(transfer.accountId.toString(), transfer.amount.toTinybars().toString());
+        }
+      } else {
+        for (const [tokenId, accounts] of record.tokenTransfers) {
+          if (tokenId.toString() !== payment.asset) continue;
+          for (const [accountId, amount] of accounts) credits.set(accountId.toString(), amount.toString());
+        }
+      }
+    } catch (error) {
+      console.warn(`⚠️  Could not fetch the record of split payment ${payment.id}:`, error.message);
+    }
+    return { txId, credits };
+  }
+
+  async logEvent(message) {
+    try {
+      const paymentTopicId = await hederaClient.ensureTopic('PAYMENT_TOPIC_ID', 'Payment', 'Agent payment events');
+      await hederaClient.submitMessage(paymentTopicId, JSON.stringify(message));
+    } catch (error) {
+      console.warn(`⚠️  Failed to log ${message.event} to HCS:`, error.message);
+    }
+  }
+}
+
+module.exports = new SplitPaymentService();
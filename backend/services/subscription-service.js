@@ -0,0 +1,337 @@
+// services/subscription-service.js
+// Recurring payment plans between agents. A keeper charges active plans when they fall due, signing each transfer
+// with the payer agent's keystore wallet (the payer's owner consents by creating the plan). Failed charges are
+// retried with backoff and suspend the plan after SUBSCRIPTION_MAX_FAILURES in a row; every charge, failure and
+// state change is logged to the Payment HCS topic.
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const PersistentMap = require('../repositories/persistent-map');
+const hederaClient = require('./hedera-client');
+const tokenRegistry = require('./token-registry-service');
+const httpError = require('../utils/http-error');
+
+const DEFAULT_INTERVAL_MS = 30000;
+const DEFAULT_MAX_FAILURES = 3;
+const MIN_INTERVAL_SECONDS = 60;
+const RETRY_DELAY_MS = 60000;
+const MAX_CHARGES_KEPT = 50;
+const TOKEN_ABI = ['function transfer(address to, uint256 amount) returns (bool)'];
+
+class SubscriptionService {
+  constructor() {
+    // subscriptionId -> { id, payerAgentId, payer, payee, amount, currency, asset, intervalSeconds, maxCycles, cyclesCompleted,
+    //   status, nextChargeAt, failures, lastError, charges, description, createdBy, createdAt, updatedAt }
+    this.subscriptions = new PersistentMap('subscriptions');
+    // payerAgentId -> NonceManager around the agent's keystore wallet
+    this.signers = new Map();
+    this.timer = null;
+    this.running = false;
+    this.lastRunAt = null;
+    this.lastError = null;
+  }
+
+  getInterval() {
+    const interval = Number(process.env.SUBSCRIPTION_KEEPER_INTERVAL_MS);
+    return Number.isFinite(interval) && interval > 0 ? interval : DEFAULT_INTERVAL_MS;
+  }
+
+  getMaxFailures() {
+    const max = Number(process.env.SUBSCRIPTION_MAX_FAILURES);
+    return Number.isFinite(max) && max > 0 ? max : DEFAULT_MAX_FAILURES;
+  }
+
+  /**
+   * Start charging due plans on an interval (no-op when SUBSCRIPTION_KEEPER_ENABLED=false)
+   */
+  start() {
+    if (this.timer || process.env.SUBSCRIPTION_KEEPER_ENABLED === 'false') return;
+    this.timer = setInterval(() => {
+      this.runDue().catch(() => {});
+    }, this.getInterval());
+    if (this.timer.unref) this.timer.unref();
+    console.log(`🔁 Subscription keeper started (every ${this.getInterval()}ms)`);
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Create a plan
+   * @param {Object} plan - { payerAgentId, payee, amount (whole units), currency?, intervalSeconds, maxCycles?, startAt?, description? }
+   * @param {string} [createdBy] - Wallet that created it (the payer agent's owner)
+   * @returns {Promise<Object>} Stored plan
+   */
+  async create({ payerAgentId, payee, amount, currency = 'HBAR', intervalSeconds, maxCycles = null, startAt = null, description = '' }, createdBy = null) {
+    if (!payerAgentId) throw httpError(400, 'payerAgentId is required');
+    if (!payee || !ethers.isAddress(payee)) throw httpError(400, 'payee must be an EVM address');
+    if (!(Number(amount) > 0)) throw httpError(400, 'amount must be greater than 0');
+    const token = tokenRegistry.resolvePayment(currency);
+    tokenRegistry.toAtomic(String(amount), token);
+    if (!Number.isInteger(Number(intervalSeconds)) || Number(intervalSeconds) < MIN_INTERVAL_SECONDS) {
+      throw httpError(400, `intervalSeconds must be an integer of at least ${MIN_INTERVAL_SECONDS}`);
+    }
+    if (maxCycles !== null && (!Number.isInteger(Number(maxCycles)) || Number(maxCycles) < 1)) {
+      throw httpError(400, 'maxCycles must be a positive integer');
+    }
+    const start = startAt ? Date.parse(startAt) : Date.now();
+    if (Number.isNaN(start)) throw httpError(400, 'startAt must be an ISO date');
+
+    // The keeper signs charges with the payer's keystore wallet
+    const keystoreService = require('./keystore-service');
+    if (!keystoreService.hasKey(payerAgentId)) {
+      throw httpError(400, `Agent ${payerAgentId} has no keystore wallet to pay from`);
+    }
+    const payer = keystoreService.getAddress(payerAgentId).toLowerCase();
+    if (payer === payee.toLowerCase()) throw httpError(400, 'Cannot pay yourself');
+
+    const now = new Date().toISOString();
+    const plan = {
+      id: crypto.randomUUID(),
+      payerAgentId: String(payerAgentId),
+      payer,
+      payee: payee.toLowerCase(),
+      amount: String(amount),
+      currency: token.symbol,
+      asset: token.tokenId,
+      intervalSeconds: Number(intervalSeconds),
+      maxCycles: maxCycles === null ? null : Number(maxCycles),
+      cyclesCompleted: 0,
+      status: 'active',
+      nextChargeAt: new Date(Math.max(start, Date.now())).toISOString(),
+      failures: 0,
+      lastError: null,
+      charges: [],
+      description,
+      createdBy: createdBy ? createdBy.toLowerCase() : null,
+      createdAt: now,
+      updatedAt: now
+    };
+    this.subscriptions.set(plan.id, plan);
+    await this.logEvent('SubscriptionCreated', plan, { intervalSeconds: plan.intervalSeconds, maxCycles: plan.maxCycles, nextChargeAt: plan.nextChargeAt });
+    return plan;
+  }
+
+  get(id) {
+    const plan = this.subscriptions.get(id);
+    if (!plan) throw httpError(404, `Subscription ${id} not found`);
+    return plan;
+  }
+
+  /**
+   * Plans, newest first
+   * @param {Object} [filter] - { payer?, payee?, payerAgentId?, status? }
+   */
+  list({ payer, payee, payerAgentId, status } = {}) {
+    return Array.from(this.subscriptions.values())
+      .filter(p => !payer || p.payer === payer.toLowerCase())
+      .filter(p => !payee || p.payee === payee.toLowerCase())
+      .filter(p => !payerAgentId || p.payerAgentId === String(payerAgentId))
+      .filter(p => !status || p.status === status)
+      .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt));
+  }
+
+  update(id, changes) {
+    const plan = { ...this.get(id), ...changes, updatedAt: new Date().toISOString() };
+    this.subscriptions.set(id, plan);
+    return plan;
+  }
+
+  async pause(id) {
+    const plan = this.get(id);
+    if (plan.status !== 'active') throw httpError(409, `Subscription ${id} is ${plan.status}`);
+    const paused = this.update(id, { status: 'paused', pausedAt: new Date().toISOString() });
+    await this.logEvent('SubscriptionPaused', paused);
+    return paused;
+  }
+
+  /**
+   * Reactivate a paused or suspended plan; it is charged on the next keeper run if a cycle is due
+   */
+  async resume(id) {
+    const plan = this.get(id);
+    if (!['paused', 'suspended'].includes(plan.status)) throw httpError(409, `Subscription ${id} is ${plan.status}`);
+    const nextChargeAt = new Date(Math.max(Date.parse(plan.nextChargeAt), Date.now())).toISOString();
+    const resumed = this.update(id, { status: 'active', failures: 0, lastError: null, pausedAt: null, nextChargeAt });
+    await this.logEvent('SubscriptionResumed', resumed, { nextChargeAt });
+    return resumed;
+  }
+
+  async cancel(id, cancelledBy = null) {
+    const plan = this.get(id);
+    if (['cancelled', 'completed'].includes(plan.status)) throw httpError(409, `Subscription ${id} is ${plan.status}`);
+    const cancelled = this.update(id, { status: 'cancelled', cancelledAt: new Date().toISOString(), cancelledBy: cancelledBy ? cancelledBy.toLowerCase() : null });
+    await this.logEvent('SubscriptionCancelled', cancelled, { cancelledBy: cancelled.cancelledBy });
+    return cancelled;
+  }
+
+  /**
+   * Charge every active plan that is due, one cycle each
+   * @returns {Promise<Object>} { charged, failed, skipped? }
+   */
+  async runDue(now = Date.now()) {
+    if (this.running) return { skipped: true };
+    this.running = true;
+
+    let charged = 0;
+    let failed = 0;
+    try {
+      const due = this.list({ status: 'active' }).filter(p => Date.parse(p.nextChargeAt) <= now);
+      for (const plan of due) {
+        // Paused or cancelled since the run started
+        if (this.get(plan.id).status !== 'active') continue;
+        const result = await this.charge(plan.id);
+        if (result.success) charged++;
+        else failed++;
+      }
+      this.lastRunAt = new Date().toISOString();
+      this.lastError = null;
+      if (charged > 0) console.log(`🔁 Charged ${charged} subscriptions`);
+      return { charged, failed };
+    } catch (error) {
+      this.lastError = error.message;
+      console.warn('⚠️  Subscription run failed:', error.message);
+      throw error;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Transfer one cycle from the payer agent's wallet to the payee
+   * @returns {Promise<string>} Transaction hash
+   */
+  async transfer(plan) {
+    const paymentService = require('./payment-service');
+    const keystoreService = require('./keystore-service');
+    paymentService.ensureProvider();
+    // One nonce sequence per payer, so plans sharing a payer can be charged back to back
+    let signer = this.signers.get(plan.payerAgentId);
+    if (!signer) {
+      signer = new ethers.NonceManager(await keystoreService.getSigner(plan.payerAgentId, paymentService.provider));
+      this.signers.set(plan.payerAgentId, signer);
+    }
+
+    // A token disabled for payments since the plan was created fails the charge
+    const asset = tokenRegistry.resolvePayment(plan.asset || plan.currency);
+    let tx;
+    try {
+      if (asset.tokenId === 'HBAR') {
+        tx = await signer.sendTransaction({ to: plan.payee, value: ethers.parseEther(plan.amount) });
+      } else {
+        const token = new ethers.Contract(paymentService.getTokenAddress(asset.tokenId), TOKEN_ABI, signer);
+        tx = await token.transfer(plan.payee, tokenRegistry.toAtomic(plan.amount, asset));
+      }
+    } catch (error) {
+      // The transaction was never sent, so its nonce is still free
+      signer.reset();
+      throw error;
+    }
+    const receipt = await tx.wait();
+    return receipt.hash;
+  }
+
+  /**
+   * Charge the current cycle of an active plan. A failure is recorded and retried with backoff; after
+   * SUBSCRIPTION_MAX_FAILURES failures in a row the plan is suspended until resumed.
+   * @param {string} id - Subscription id
+   * @returns {Promise<Object>} { success, subscription, charge?, error? }
+   */
+  async charge(id) {
+    const plan = this.get(id);
+    if (plan.status !== 'active') throw httpError(409, `Subscription ${id} is ${plan.status}`);
+    const cycle = plan.cyclesCompleted + 1;
+
+    try {
+      const txHash = await this.transfer(plan);
+      const charge = { cycle, amount: plan.amount, currency: plan.currency, txHash, chargedAt: new Date().toISOString() };
+      const period = plan.intervalSeconds * 1000;
+      // Cycles missed while the keeper was down or the plan was paused are skipped, not charged in a burst
+      let next = Date.parse(plan.nextChargeAt) + period;
+      if (next <= Date.now()) next = Date.now() + period;
+      const completed = plan.maxCycles !== null && cycle >= plan.maxCycles;
+      // A pause or cancel that arrived while the transfer was in flight sticks
+      const current = this.get(id).status;
+
+      const updated = this.update(id, {
+        cyclesCompleted: cycle,
+        status: current !== 'active' ? current : (completed ? 'completed' : 'active'),
+        nextChargeAt: completed ? null : new Date(next).toISOString(),
+        failures: 0,
+        lastError: null,
+        charges: [charge, ...plan.charges].slice(0, MAX_CHARGES_KEPT)
+      });
+      console.log(`✅ Subscription ${id} cycle ${cycle}: ${plan.amount} ${plan.currency} ${plan.payer} -> ${plan.payee}`);
+      await this.logEvent('SubscriptionCharged', updated, { cycle, amount: plan.amount, currency: plan.currency, txHash });
+      this.notify('subscription-charged', updated, charge);
+      if (updated.status === 'completed') await this.logEvent('SubscriptionCompleted', updated, { cycles: cycle });
+      return { success: true, subscription: updated, charge };
+    } catch (error) {
+      const reason = error.shortMessage || error.message;
+      const failures = plan.failures + 1;
+      const current = this.get(id).status;
+      const suspended = failures >= this.getMaxFailures() && current === 'active';
+      const updated = this.update(id, {
+        status: suspended ? 'suspended' : current,
+        failures,
+        lastError: reason,
+        // Retry sooner than the next cycle, backing off with each failure
+        nextChargeAt: new Date(Date.now() + Math.min(RETRY_DELAY_MS * 2 ** (failures - 1), plan.intervalSeconds * 1000)).toISOString()
+      });
+      console.warn(`⚠️  Subscription ${id} cycle ${cycle} failed (${failures}/${this.getMaxFailures()}):`, reason);
+      await this.logEvent('SubscriptionChargeFailed', updated, { cycle, amount: plan.amount, currency: plan.currency, error: reason, failures });
+      this.notify('subscription-failed', updated, { cycle, error: reason });
+      if (suspended) await this.logEvent('SubscriptionSuspended', updated, { failures, error: reason });
+      return { success: false, subscription: updated, error: reason };
+    }
+  }
+
+  notify(eventName, plan, payload) {
+    try {
+      const { app } = require('../server');
+      const io = app.get('io');
+      if (io) {
+        io.to(`agent-${plan.payer}`).emit(eventName, { subscriptionId: plan.id, ...payload });
+        io.to(`agent-${plan.payee}`).emit(eventName, { subscriptionId: plan.id, ...payload });
+      }
+    } catch (error) {
+      console.warn('Failed to emit WebSocket event:', error.message);
+    }
+  }
+
+  async logEvent(event, plan, fields = {}) {
+    try {
+      const paymentTopicId = await hederaClient.ensureTopic('PAYMENT_TOPIC_ID', 'Payment', 'Agent payment events');
+      await hederaClient.submitMessage(paymentTopicId, JSON.stringify({
+        event,
+        subscriptionId: plan.id,
+        payer: plan.payer,
+        payee: plan.payee,
+        status: plan.status,
+        ...fields,
+        timestamp: new Date().toISOString()
+      }));
+    } catch (error) {
+      console.warn(`⚠️  Failed to log ${event} for subscription ${plan.id} to HCS:`, error.message);
+    }
+  }
+
+  getStatus() {
+    const plans = Array.from(this.subscriptions.values());
+    const count = status => plans.filter(p => p.status === status).length;
+    return {
+      running: Boolean(this.timer),
+      intervalMs: this.getInterval(),
+      maxFailures: this.getMaxFailures(),
+      lastRunAt: this.lastRunAt,
+      lastError: this.lastError,
+      active: count('active'),
+      paused: count('paused'),
+      suspended: count('suspended'),
+      due: plans.filter(p => p.status === 'active' && Date.parse(p.nextChargeAt) <= Date.now()).length
+    };
+  }
+}
+
+module.exports = new SubscriptionService();
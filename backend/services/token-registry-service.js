@@ -0,0 +1,239 @@
+// services/token-registry-service.js
+// Registry of the HTS tokens the platform handles: token id, symbol, decimals (loaded from the mirror node), whether
+// accounts must associate it first and whether it is accepted for payments. Payment, challenge and balance routes
+// resolve a currency here by symbol, token id or EVM address. HBAR is built in; USDC is seeded from USDC_TOKEN_ID.
+const { ethers } = require('ethers');
+const PersistentMap = require('../repositories/persistent-map');
+const hederaClient = require('./hedera-client');
+const httpError = require('../utils/http-error');
+
+const TOKEN_ID_PATTERN = /^\d+\.\d+\.\d+$/;
+const LONG_ZERO_PREFIX = '0x000000000000000000000000';
+const DEFAULT_USDC_TOKEN_ID = '0.0.429274';
+
+const HBAR = Object.freeze({
+  tokenId: 'HBAR',
+  symbol: 'HBAR',
+  name: 'HBAR',
+  decimals: 8,
+  evmAddress: null,
+  requiresAssociation: false,
+  allowedForPayment: true,
+  source: 'builtin'
+});
+
+class TokenRegistryService {
+  constructor() {
+    // tokenId -> { tokenId, symbol, name, decimals, evmAddress, requiresAssociation, allowedForPayment, source, metadataLoadedAt, updatedBy, updatedAt }
+    this.tokens = new PersistentMap('tokenRegistry');
+    this.seed();
+  }
+
+  /**
+   * Make sure USDC (USDC_TOKEN_ID) is registered; a built-in USDC entry for an older token id is replaced
+   */
+  seed() {
+    const tokenId = process.env.USDC_TOKEN_ID || DEFAULT_USDC_TOKEN_ID;
+    for (const token of this.tokens.values()) {
+      if (token.source === 'builtin' && token.symbol === 'USDC' && token.tokenId !== tokenId) this.tokens.delete(token.tokenId);
+    }
+    if (this.tokens.has(tokenId)) return;
+    this.tokens.set(tokenId, {
+      tokenId,
+      symbol: 'USDC',
+      name: 'USD Coin',
+      decimals: 6,
+      evmAddress: this.evmAddressOf(tokenId),
+      requiresAssociation: true,
+      allowedForPayment: true,
+      source: 'builtin',
+      metadataLoadedAt: null,
+      updatedBy: null,
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  evmAddressOf(tokenId) {
+    const [shard, realm, num] = tokenId.split('.').map(BigInt);
+    return ethers.zeroPadValue(ethers.toBeHex((shard << 128n) | (realm << 64n) | num), 20).toLowerCase();
+  }
+
+  /**
+   * Registered token (or HBAR) for a symbol, token id or EVM address
+   * @param {string} currency - 'HBAR', a symbol such as 'USDC', an HTS token id or its EVM address
+   * @returns {Object} Registry entry
+   */
+  resolve(currency) {
+    const value = String(currency || 'HBAR').trim();
+    if (value.toUpperCase() === 'HBAR' || value === 'native') return HBAR;
+
+    let token = null;
+    if (TOKEN_ID_PATTERN.test(value)) {
+      token = this.tokens.get(value);
+    } else if (ethers.isAddress(value)) {
+      const address = value.toLowerCase();
+      token = address.startsWith(LONG_ZERO_PREFIX)
+        ? this.tokens.get(`0.0.${parseInt(address.slice(LONG_ZERO_PREFIX.length), 16)}`)
+        : Array.from(this.tokens.values()).find(t => t.evmAddress === address);
+    } else {
+      token = Array.from(this.tokens.values()).find(t => t.symbol.toUpperCase() === value.toUpperCase());
+    }
+    if (!token) throw httpError(400, `Unknown token: ${value}. Register it in the token registry first`);
+    return token;
+  }
+
+  /**
+   * Registered token that is accepted for payments
+   * @param {string} currency - Symbol, token id or EVM address
+   * @returns {Object} Registry entry
+   */
+  resolvePayment(currency) {
+    const token = this.resolve(currency);
+    if (!token.allowedForPayment) throw httpError(400, `${token.symbol} (${token.tokenId}) is not accepted for payments`);
+    return token;
+  }
+
+  /**
+   * Whole-unit amount in the token's smallest unit; rejects more decimals than the token has,
+   * and amounts that are zero or negative
+   * @param {number|string} amount - Amount in whole units (e.g. '12.5')
+   * @param {string|Object} currency - Symbol, token id or registry entry
+   * @returns {bigint} Amount in the smallest unit (tinybars for HBAR)
+   */
+  toAtomic(amount, currency) {
+    const token = typeof currency === 'object' ? currency : this.resolve(currency);
+    // Numbers get the same check as strings, so extra decimals are rejected rather than rounded
+    const value = String(amount).trim();
+    let units;
+    try {
+      units = ethers.parseUnits(value, token.decimals);
+    } catch (_e) {
+      throw httpError(400, `amount must be a number with at most ${token.decimals} decimals for ${token.symbol}`);
+    }
+    if (units <= 0n) throw httpError(400, 'amount must be greater than 0');
+    return units;
+  }
+
+  formatAtomic(atomic, currency) {
+    const token = typeof currency === 'object' ? currency : this.resolve(currency);
+    return ethers.formatUnits(BigInt(atomic), token.decimals);
+  }
+
+  /**
+   * Registered tokens, HBAR first
+   * @param {Object} [filter] - { payment: true for tokens accepted for payments }
+   */
+  list({ payment } = {}) {
+    const tokens = [HBAR, ...Array.from(this.tokens.values()).sort((a, b) => a.symbol.localeCompare(b.symbol))];
+    return payment ? tokens.filter(t => t.allowedForPayment) : tokens;
+  }
+
+  /**
+   * Token metadata from the mirror node
+   * @param {string} tokenId - HTS token id
+   * @returns {Promise<Object>} { symbol, name, decimals, evmAddress }
+   */
+  async fetchMetadata(tokenId) {
+    let info;
+    try {
+      info = await hederaClient.queryMirrorNode(`/tokens/${tokenId}`);
+    } catch (error) {
+      if (error.response?.status === 404) throw httpError(404, `Token ${tokenId} not found on the mirror node`);
+      throw error;
+    }
+    if (!info?.token_id) throw httpError(404, `Token ${tokenId} not found on the mirror node`);
+    if (info.type && info.type !== 'FUNGIBLE_COMMON') throw httpError(400, `${tokenId} is not a fungible token`);
+    return {
+      symbol: info.symbol,
+      name: info.name,
+      decimals: Number(info.decimals),
+      evmAddress: this.evmAddressOf(tokenId)
+    };
+  }
+
+  /**
+   * Register a token, with its metadata from the mirror node
+   * @param {Object} options - { tokenId, allowedForPayment?, requiresAssociation?, symbol?, name?, decimals? }
+   *   symbol, name and decimals are only used when the mirror node has no metadata for the token
+   * @param {string} [updatedBy] - Admin wallet
+   * @returns {Promise<Object>} Registry entry
+   */
+  async register({ tokenId, allowedForPayment = true, requiresAssociation = true, symbol, name, decimals }, updatedBy = null) {
+    if (!TOKEN_ID_PATTERN.test(tokenId || '')) throw httpError(400, 'tokenId must be an HTS token id (0.0.x)');
+    if (this.tokens.has(tokenId)) throw httpError(409, `Token ${tokenId} is already registered`);
+
+    let metadata;
+    let source = 'mirror';
+    try {
+      metadata = await this.fetchMetadata(tokenId);
+    } catch (error) {
+      if (error.status === 400 || symbol === undefined || decimals === undefined) {
+        throw error.status ? error : httpError(502, `Could not load ${tokenId} from the mirror node: ${error.message}`);
+      }
+      console.warn(`⚠️  No mirror metadata for ${tokenId}, registering with the given symbol and decimals:`, error.message);
+      metadata = { symbol, name: name || symbol, decimals: Number(decimals), evmAddress: this.evmAddressOf(tokenId) };
+      source = 'manual';
+    }
+    if (!metadata.symbol || !Number.isInteger(metadata.decimals) || metadata.decimals < 0 || metadata.decimals > 18) {
+      throw httpError(400, 'Token needs a symbol and 0-18 decimals');
+    }
+    if (this.list().some(t => t.symbol.toUpperCase() === metadata.symbol.toUpperCase())) {
+      throw httpError(409, `Symbol ${metadata.symbol} is already registered`);
+    }
+
+    const now = new Date().toISOString();
+    const token = {
+      tokenId,
+      ...metadata,
+      requiresAssociation: Boolean(requiresAssociation),
+      allowedForPayment: Boolean(allowedForPayment),
+      source,
+      metadataLoadedAt: source === 'mirror' ? now : null,
+      updatedBy: updatedBy ? updatedBy.toLowerCase() : null,
+      updatedAt: now
+    };
+    this.tokens.set(tokenId, token);
+    console.log(`✅ Registered token ${token.symbol} (${tokenId}, ${token.decimals} decimals)`);
+    return token;
+  }
+
+  /**
+   * Change a token's flags
+   * @param {string} tokenId - Registered token id
+   * @param {Object} changes - { allowedForPayment?, requiresAssociation? }
+   */
+  update(tokenId, { allowedForPayment, requiresAssociation } = {}, updatedBy = null) {
+    const token = this.tokens.get(tokenId);
+    if (!token) throw httpError(404, `Token ${tokenId} is not registered`);
+    const updated = {
+      ...token,
+      ...(allowedForPayment !== undefined && { allowedForPayment: Boolean(allowedForPayment) }),
+      ...(requiresAssociation !== undefined && { requiresAssociation: Boolean(requiresAssociation) }),
+      updatedBy: updatedBy ? updatedBy.toLowerCase() : token.updatedBy,
+      updatedAt: new Date().toISOString()
+    };
+    this.tokens.set(tokenId, updated);
+    return updated;
+  }
+
+  /**
+   * Reload a token's symbol, name and decimals from the mirror node
+   */
+  async refresh(tokenId) {
+    const token = this.tokens.get(tokenId);
+    if (!token) throw httpError(404, `Token ${tokenId} is not registered`);
+    const metadata = await this.fetchMetadata(tokenId);
+    const refreshed = { ...token, ...metadata, source: token.source === 'builtin' ? 'builtin' : 'mirror', metadataLoadedAt: new Date().toISOString() };
+    this.tokens.set(tokenId, refreshed);
+    return refreshed;
+  }
+
+  remove(tokenId) {
+    const token = this.tokens.get(tokenId);
+    if (!token) throw httpError(404, `Token ${tokenId} is not registered`);
+    if (token.source === 'builtin') throw httpError(400, `${token.symbol} is built in; disable it for payments instead`);
+    this.tokens.delete(tokenId);
+  }
+}
+
+module.exports = new TokenRegistryService();
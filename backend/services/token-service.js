@@ -4,7 +4,8 @@ const {
 	AccountBalanceQuery,
 	TransferTransaction,
 	TokenId,
-	PrivateKey
+	PrivateKey,
+	Long
 } = require('@hashgraph/sdk');
 const hederaClient = require('./hedera-client');
 
@@ -26,22 +27,25 @@ class TokenService {
 		return { status: receipt.status.toString() };
 	}
 
+	// tokenBalance is in the token's smallest unit (tinybars when tokenId is 'HBAR'), as a string
 	async getBalances(accountId, tokenId) {
 		const bal = await new AccountBalanceQuery().setAccountId(accountId).execute(hederaClient.client);
-		const tokenBalance = bal.tokens._map.get(TokenId.fromString(tokenId).toString()) || 0;
-		return { hbar: bal.hbars.toString(), tokenBalance };
+		const tokenBalance = tokenId === 'HBAR'
+			? bal.hbars.toTinybars()
+			: bal.tokens._map.get(TokenId.fromString(tokenId).toString()) || 0;
+		return { hbar: bal.hbars.toString(), tokenBalance: tokenBalance.toString() };
 	}
 
-	async transferToken(tokenId, fromId, fromKey, toId, amount) {
-		const privateKeyObj = fromKey.startsWith('0x')
-			? PrivateKey.fromStringECDSA(fromKey)
-			: PrivateKey.fromString(fromKey);
+	// amount is in the token's smallest unit (number, bigint or string)
+	// fromSigner is the sending agent's wallet from a signing session; without it the operator account sends
+	async transferToken(tokenId, fromId, toId, amount, fromSigner = null) {
+		const units = Long.fromString(amount.toString());
 
-		const tx = await new TransferTransaction()
-			.addTokenTransfer(tokenId, fromId, -amount)
-			.addTokenTransfer(tokenId, toId, amount)
-			.freezeWith(hederaClient.client)
-			.sign(privateKeyObj);
+		let tx = new TransferTransaction()
+			.addTokenTransfer(tokenId, fromId, units.negate())
+			.addTokenTransfer(tokenId, toId, units)
+			.freezeWith(hederaClient.client);
+		if (fromSigner) tx = await tx.sign(PrivateKey.fromStringECDSA(fromSigner.privateKey));
 
 		const receipt = await (await tx.execute(hederaClient.client)).getReceipt(hederaClient.client);
 		return { status: receipt.status.toString() };
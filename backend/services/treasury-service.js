@@ -0,0 +1,350 @@
+// services/treasury-service.js
+// Platform fees and treasury accounting. Escrow payouts pay the PaymentProcessor platform fee into the contract's
+// treasury; x402 payments pay X402_PLATFORM_FEE_BPS on top of the price to the treasury account. Every payout,
+// refund, fee and withdrawal is recorded in a double-entry ledger: each entry moves value between accounts with
+// postings whose debits and credits balance. Accounts are `escrow` (funds held by escrows), `treasury` (platform
+// fees), `agent:<address or account id>` and `external:<address>` (fee withdrawals). A debit is value arriving at
+// an account, a credit is value leaving it. HBAR is kept in tinybars (what PaymentProcessor events carry on Hedera),
+// tokens in their smallest unit.
+const { ethers } = require('ethers');
+const PersistentMap = require('../repositories/persistent-map');
+const tokenRegistry = require('./token-registry-service');
+const httpError = require('../utils/http-error');
+
+const BPS_DENOMINATOR = 10000n;
+const MAX_X402_FEE_BPS = 1000;
+const LONG_ZERO_PREFIX = '0x000000000000000000000000';
+const PAYOUT_TYPES = ['escrow-payout', 'x402-payment', 'split-payment'];
+const PERIODS = ['day', 'week', 'month'];
+const GROUP_BY = ['period', 'agent', 'currency'];
+
+const posting = (account, debit, credit = 0n) => ({ account, debit: debit.toString(), credit: credit.toString() });
+
+// Start of the day, ISO week (Monday) or month an ISO timestamp falls in
+function periodOf(timestamp, period) {
+  const date = new Date(timestamp);
+  if (period === 'month') return date.toISOString().slice(0, 7);
+  if (period === 'week') date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+  return date.toISOString().slice(0, 10);
+}
+
+class TreasuryService {
+  constructor() {
+    // entryId -> { id, type, occurredAt, currency, decimals, reference, txId, payer, payee, gross, fee, postings }
+    this.entries = new PersistentMap('ledgerEntries');
+  }
+
+  getX402FeeBps() {
+    const bps = Number(process.env.X402_PLATFORM_FEE_BPS);
+    return Number.isInteger(bps) && bps > 0 && bps <= MAX_X402_FEE_BPS ? bps : 0;
+  }
+
+  getTreasuryAccount() {
+    return process.env.PLATFORM_TREASURY_ACCOUNT_ID || process.env.HEDERA_ACCOUNT_ID || null;
+  }
+
+  /**
+   * Platform fee the payer of an x402 price adds for the treasury
+   * @param {string} amount - Price in the asset's smallest unit
+   * @param {string} payTo - Payee of the price (no fee when it is the treasury itself)
+   * @returns {Object|null} { bps, amount, payTo } or null when no fee applies
+   */
+  x402Fee(amount, payTo) {
+    const bps = this.getX402FeeBps();
+    const treasury = this.getTreasuryAccount();
+    if (!bps || !treasury || payTo === treasury) return null;
+    const fee = (BigInt(amount) * BigInt(bps)) / BPS_DENOMINATOR;
+    return fee > 0n ? { bps, amount: fee.toString(), payTo: treasury } : null;
+  }
+
+  /**
+   * Ledger currency of a contract token address: 'HBAR', the HTS token id, or the lowercased address
+   */
+  currencyOf(token) {
+    if (!token || token === ethers.ZeroAddress) return 'HBAR';
+    const address = token.toLowerCase();
+    if (address.startsWith(LONG_ZERO_PREFIX)) return `0.0.${parseInt(address.slice(LONG_ZERO_PREFIX.length), 16)}`;
+    return address;
+  }
+
+  /**
+   * Decimals of a ledger currency from the token registry (null for a token that isn't registered)
+   */
+  decimalsOf(currency) {
+    try {
+      return tokenRegistry.resolve(currency).decimals;
+    } catch (_e) {
+      return null;
+    }
+  }
+
+  /**
+   * Store a ledger entry once (entries are keyed by their source, so replays are ignored)
+   * @param {Object} entry - Entry with postings
+   * @returns {Object} Stored entry
+   */
+  record(entry) {
+    const existing = this.entries.get(entry.id);
+    if (existing) return existing;
+    const debits = entry.postings.reduce((sum, p) => sum + BigInt(p.debit), 0n);
+    const credits = entry.postings.reduce((sum, p) => sum + BigInt(p.credit), 0n);
+    if (debits !== credits) throw new Error(`Unbalanced ledger entry ${entry.id}: ${debits} debit, ${credits} credit`);
+    const stored = { ...entry, recordedAt: new Date().toISOString() };
+    this.entries.set(entry.id, stored);
+    return stored;
+  }
+
+  /**
+   * Payment between two ledger accounts (the payee's agent account by default) with the platform fee kept by the
+   * treasury
+   */
+  recordPayout({ id, type, occurredAt, currency, decimals, reference, txId, from, to = null, payer, payee, gross, fee = 0n }) {
+    const postings = [posting(from, 0n, gross), posting(to || `agent:${payee}`, gross - fee)];
+    if (fee > 0n) postings.push(posting('treasury', fee));
+    return this.record({
+      id, type, occurredAt, currency, decimals, reference, txId,
+      payer, payee, gross: gross.toString(), fee: fee.toString(), postings
+    });
+  }
+
+  /**
+   * Ledger entries for PaymentProcessor events (called by the escrow indexer with newly applied events, plus the
+   * PlatformFeeCollected and FeesWithdrawn events it sees)
+   * @param {Object[]} events - [{ parsed, log, timestamp }]
+   * @param {Function} getEscrow - escrowId -> indexed escrow
+   */
+  recordEscrowEvents(events, getEscrow) {
+    const keyOf = ({ parsed, log }) => `${log.transactionHash}:${parsed.args.escrowId?.toLowerCase()}`;
+    const fees = new Map(events.filter(e => e.parsed.name === 'PlatformFeeCollected').map(e => [keyOf(e), e.parsed.args.amount]));
+    const milestoneTxs = new Set(events.filter(e => e.parsed.name === 'MilestoneReleased').map(keyOf));
+
+    for (const event of events) {
+      const { parsed, log, timestamp } = event;
+      const id = `${log.transactionHash}:${log.index ?? log.logIndex}`;
+      if (parsed.name === 'FeesWithdrawn') {
+        const currency = this.currencyOf(parsed.args.token);
+        const { amount } = parsed.args;
+        this.record({
+          id, type: 'fee-withdrawal', occurredAt: timestamp, currency, decimals: this.decimalsOf(currency),
+          reference: null, txId: log.transactionHash, payer: null, payee: parsed.args.to.toLowerCase(),
+          gross: amount.toString(), fee: '0',
+          postings: [posting('treasury', 0n, amount), posting(`external:${parsed.args.to.toLowerCase()}`, amount)]
+        });
+        continue;
+      }
+
+      const escrowId = parsed.args.escrowId?.toLowerCase();
+      const escrow = escrowId && getEscrow(escrowId);
+      if (!escrow || parsed.name === 'PlatformFeeCollected') continue;
+      const currency = this.currencyOf(escrow.token);
+      const base = {
+        occurredAt: timestamp,
+        currency,
+        decimals: this.decimalsOf(currency) ?? escrow.decimals,
+        reference: escrowId,
+        txId: log.transactionHash
+      };
+      const payer = escrow.payer?.toLowerCase();
+      const payee = escrow.payee?.toLowerCase();
+      const payout = (gross, suffix = '') => this.recordPayout({
+        ...base, id: `${id}${suffix}`, type: 'escrow-payout', from: 'escrow', payer, payee,
+        gross, fee: fees.get(keyOf(event)) || 0n
+      });
+      const refund = (amount, suffix = '') => this.recordPayout({
+        ...base, id: `${id}${suffix}`, type: 'escrow-refund', from: 'escrow', payer, payee: payer, gross: amount
+      });
+
+      switch (parsed.name) {
+        case 'EscrowCreated':
+          // The escrow already has its token here: TokenEscrowCreated comes in the same transaction
+          this.recordPayout({ ...base, id, type: 'escrow-funded', from: `agent:${payer}`, to: 'escrow', payer, payee: null, gross: parsed.args.amount });
+          break;
+        case 'EscrowCompleted':
+          // After the last milestone the completion repeats the escrow amount; the milestone was the payout
+          if (!milestoneTxs.has(keyOf(event))) payout(parsed.args.amount);
+          break;
+        case 'MilestoneReleased':
+          payout(parsed.args.amount);
+          break;
+        case 'DisputeResolved':
+          if (parsed.args.payeeAmount > 0n) payout(parsed.args.payeeAmount, ':payee');
+          if (parsed.args.payerAmount > 0n) refund(parsed.args.payerAmount, ':payer');
+          break;
+        case 'EscrowRefunded':
+        case 'EscrowExpired':
+          refund(parsed.args.amount);
+          break;
+        default:
+          break;
+      }
+    }
+  }
+
+  /**
+   * Ledger entry for a settled x402 payment intent (price to the payee, fee to the treasury)
+   * @param {Object} intent - Settled intent from payment-intent-service
+   */
+  recordX402Payment(intent) {
+    const fee = BigInt(intent.platformFee?.amount || 0);
+    const payer = intent.paidBy || intent.payer || 'unknown';
+    const postings = [posting(`agent:${payer}`, 0n, BigInt(intent.amount) + fee), posting(`agent:${intent.payTo}`, BigInt(intent.amount))];
+    if (fee > 0n) postings.push(posting('treasury', fee));
+    return this.record({
+      id: `x402:${intent.id}`,
+      type: 'x402-payment',
+      occurredAt: intent.settledAt,
+      currency: intent.asset,
+      decimals: this.decimalsOf(intent.asset),
+      reference: intent.id,
+      txId: intent.txId,
+      payer,
+      payee: intent.payTo,
+      gross: (BigInt(intent.amount) + fee).toString(),
+      fee: fee.toString(),
+      postings
+    });
+  }
+
+  /**
+   * Ledger entry for an executed split payment (one credit per leg)
+   * @param {Object} payment - Executed payment from split-payment-service
+   */
+  recordSplitPayment(payment) {
+    return this.record({
+      id: `split:${payment.id}`,
+      type: 'split-payment',
+      occurredAt: payment.executedAt,
+      currency: payment.asset,
+      decimals: this.decimalsOf(payment.asset),
+      reference: payment.id,
+      txId: payment.txId,
+      payer: payment.payerAccountId,
+      payee: null,
+      gross: payment.amount,
+      fee: '0',
+      postings: [
+        posting(`agent:${payment.payerAccountId}`, 0n, BigInt(payment.amount)),
+        ...payment.legs.map(leg => posting(`agent:${leg.accountId}`, BigInt(leg.amount)))
+      ]
+    });
+  }
+
+  /**
+   * Ledger entries, newest first
+   * @param {Object} [filter] - { from?, to? (ISO dates), agent?, currency?, type? }
+   */
+  list({ from, to, agent, currency, type } = {}) {
+    const fromMs = from ? Date.parse(from) : -Infinity;
+    const toMs = to ? Date.parse(to) : Infinity;
+    if (Number.isNaN(fromMs) || Number.isNaN(toMs)) throw httpError(400, 'from and to must be ISO dates');
+    const account = agent ? `agent:${agent.toLowerCase().startsWith('0x') ? agent.toLowerCase() : agent}` : null;
+    return Array.from(this.entries.values())
+      .filter(e => Date.parse(e.occurredAt) >= fromMs && Date.parse(e.occurredAt) < toMs)
+      .filter(e => !currency || e.currency === currency)
+      .filter(e => !type || e.type === type)
+      .filter(e => !account || e.postings.some(p => p.account === account))
+      .sort((a, b) => Date.parse(b.occurredAt) - Date.parse(a.occurredAt));
+  }
+
+  /**
+   * Balance of every ledger account per currency (debits minus credits); each currency nets to zero
+   * @param {Object} [filter] - Same filter as list()
+   */
+  balances(filter = {}) {
+    const balances = {};
+    for (const entry of this.list(filter)) {
+      for (const p of entry.postings) {
+        const accounts = balances[entry.currency] || (balances[entry.currency] = {});
+        accounts[p.account] = (BigInt(accounts[p.account] || 0) + BigInt(p.debit) - BigInt(p.credit)).toString();
+      }
+    }
+    return balances;
+  }
+
+  /**
+   * Totals grouped by period, agent or currency
+   * @param {Object} options - { groupBy: 'period' | 'agent' | 'currency', period: 'day' | 'week' | 'month', ...list() filter }
+   * @returns {Object[]} Rows per group and currency; amounts in the currency's smallest unit and formatted
+   */
+  report({ groupBy = 'period', period = 'month', ...filter } = {}) {
+    if (!GROUP_BY.includes(groupBy)) throw httpError(400, `groupBy must be one of ${GROUP_BY.join(', ')}`);
+    if (!PERIODS.includes(period)) throw httpError(400, `period must be one of ${PERIODS.join(', ')}`);
+
+    const rows = new Map();
+    const rowFor = (key, entry) => {
+      const id = `${key}|${entry.currency}`;
+      if (!rows.has(id)) {
+        rows.set(id, { key, currency: entry.currency, decimals: entry.decimals, volume: 0n, fees: 0n, refunds: 0n, withdrawals: 0n, received: 0n, paid: 0n, entries: 0 });
+      }
+      return rows.get(id);
+    };
+
+    for (const entry of this.list(filter)) {
+      if (groupBy === 'agent') {
+        // What each agent account received and paid, and the fees it bore: kept from escrow payouts to the payee,
+        // paid on top of x402 prices by the payer
+        const feeBearer = entry.type === 'x402-payment' ? entry.payer : entry.payee;
+        for (const p of entry.postings.filter(p => p.account.startsWith('agent:'))) {
+          const row = rowFor(p.account.slice('agent:'.length), entry);
+          row.received += BigInt(p.debit);
+          row.paid += BigInt(p.credit);
+          if (p.account === `agent:${feeBearer}`) row.fees += BigInt(entry.fee);
+          row.entries++;
+        }
+        continue;
+      }
+      const row = rowFor(groupBy === 'period' ? periodOf(entry.occurredAt, period) : entry.currency, entry);
+      if (PAYOUT_TYPES.includes(entry.type)) row.volume += BigInt(entry.gross);
+      if (entry.type === 'escrow-refund') row.refunds += BigInt(entry.gross);
+      if (entry.type === 'fee-withdrawal') row.withdrawals += BigInt(entry.gross);
+      row.fees += BigInt(entry.fee);
+      row.entries++;
+    }
+
+    const metrics = groupBy === 'agent' ? ['received', 'paid', 'fees'] : ['volume', 'fees', 'refunds', 'withdrawals'];
+    return Array.from(rows.values())
+      .sort((a, b) => a.key.localeCompare(b.key) || a.currency.localeCompare(b.currency))
+      .map(row => {
+        const out = { [groupBy]: row.key, currency: row.currency, entries: row.entries };
+        for (const metric of metrics) {
+          out[metric] = row[metric].toString();
+          if (row.decimals !== null && row.decimals !== undefined) out[`${metric}Formatted`] = ethers.formatUnits(row[metric], row.decimals);
+        }
+        if (groupBy === 'agent') out.net = (row.received - row.paid).toString();
+        return out;
+      });
+  }
+
+  /**
+   * Fee settings and what the treasury holds
+   * @returns {Promise<Object>} { escrowFeeBps, x402FeeBps, treasuryAccount, accruedOnChain, ledgerTreasury }
+   */
+  async getStatus() {
+    const paymentService = require('./payment-service');
+    let escrowFeeBps = null;
+    let accruedOnChain = null;
+    try {
+      escrowFeeBps = await paymentService.getPlatformFee();
+      accruedOnChain = {};
+      for (const token of tokenRegistry.list()) {
+        accruedOnChain[token.symbol] = await paymentService.getAccruedFees(token.tokenId);
+      }
+    } catch (error) {
+      console.warn('⚠️  Could not read the PaymentProcessor treasury:', error.message);
+    }
+    const ledgerTreasury = {};
+    for (const [currency, accounts] of Object.entries(this.balances())) {
+      if (accounts.treasury) ledgerTreasury[currency] = accounts.treasury;
+    }
+    return {
+      escrowFeeBps,
+      x402FeeBps: this.getX402FeeBps(),
+      treasuryAccount: this.getTreasuryAccount(),
+      accruedOnChain,
+      ledgerTreasury,
+      entries: this.entries.size
+    };
+  }
+}
+
+module.exports = new TreasuryService();
@@ -1,6 +1,8 @@
 // services/unified-agent-service.js
 // Unified service combining ERC-8004 + custom capabilities with caching and optimization
 const agentService = require('./agent-service');
+const agentSearchService = require('./agent-search-service');
+const capabilityRegistry = require('./capability-registry-service');
 const erc8004Service = require('./erc8004-service');
 const reputationService = require('./reputation-service');
 
@@ -176,20 +178,34 @@ class UnifiedAgentService {
   /**
    * Enhanced agent discovery with multi-criteria search
    * @param {Object} criteria - Search criteria
-   * @param {string[]} criteria.capabilities - Required capabilities
+   * @param {string[]} criteria.capabilities - Required capabilities (ids or aliases)
    * @param {number} criteria.minTrustScore - Minimum trust score
    * @param {number} criteria.maxTrustScore - Maximum trust score
    * @param {boolean} criteria.validatedOnly - Only return validated agents
    * @param {number} criteria.minValidationScore - Minimum validation score
    * @param {string} criteria.paymentMode - Filter by payment mode (permissioned/permissionless)
-   * @param {string} criteria.query - Free-text search query
+   * @param {string} criteria.query - Free-text search query (semantic; results carry a `score`)
    * @param {number} criteria.limit - Maximum results
    * @returns {Promise<Array>} Matching agents
    */
   async discoverAgents(criteria = {}) {
     try {
       // Get all agents
-      const allAgents = await agentService.getAllAgentsWithIds();
+      let allAgents = await agentService.getAllAgentsWithIds();
+
+      // Free-text search: keep the agents the semantic index ranks above its threshold, best first
+      let semanticScores = null;
+      if (criteria.query) {
+        try {
+          const ranked = await agentSearchService.search(criteria.query, { limit: criteria.limit || 50 });
+          semanticScores = new Map(ranked.map(result => [result.agentId, result.score]));
+          allAgents = allAgents
+            .filter(agent => semanticScores.has(agent.agentId))
+            .sort((a, b) => semanticScores.get(b.agentId) - semanticScores.get(a.agentId));
+        } catch (e) {
+          console.warn('⚠️  Semantic search failed, falling back to substring matching:', e.message);
+        }
+      }
       
       // Get unified data for all agents (with caching)
       const unifiedAgents = await Promise.all(
@@ -211,16 +227,14 @@ class UnifiedAgentService {
       );
 
       // Filter by criteria
+      const requiredCapabilities = capabilityRegistry.normalize(criteria.capabilities || []).capabilities;
       let filtered = unifiedAgents.filter(agent => {
         if (!agent) return false;
 
-        // Capabilities filter
-        if (criteria.capabilities && criteria.capabilities.length > 0) {
-          const agentCaps = agent.capabilities || [];
-          const hasAllCaps = criteria.capabilities.every(cap => 
-            agentCaps.some(ac => ac.toLowerCase().includes(cap.toLowerCase()))
-          );
-          if (!hasAllCaps) return false;
+        // Capabilities filter (compared as canonical taxonomy ids, so aliases match)
+        if (requiredCapabilities.length > 0) {
+          const agentCaps = capabilityRegistry.normalize(agent.capabilities || []).capabilities;
+          if (!requiredCapabilities.every(cap => agentCaps.includes(cap))) return false;
         }
 
         // Trust score filter
@@ -247,8 +261,8 @@ class UnifiedAgentService {
           if (agent.paymentMode !== criteria.paymentMode) return false;
         }
 
-        // Free-text search
-        if (criteria.query) {
+        // Free-text search (substring fallback when the semantic index is unavailable)
+        if (criteria.query && !semanticScores) {
           const query = criteria.query.toLowerCase();
           const searchableText = [
             agent.name,
@@ -263,6 +277,11 @@ class UnifiedAgentService {
         return true;
       });
 
+      if (semanticScores) {
+        // Agents are already in similarity order; expose the score alongside
+        return filtered.map(agent => ({ ...agent, score: semanticScores.get(agent.agentId) }));
+      }
+
       // Sort by relevance (trust score + validation score)
       filtered.sort((a, b) => {
         const scoreA = (a.reputation?.trustScore || 0) + (a.validation?.averageScore || 0) * 0.3;
@@ -0,0 +1,71 @@
+// services/validation-service.js
+// ERC-8004 validation requests, shared by POST /api/validation/request and the chat agent's tools
+const { ethers } = require('ethers');
+const erc8004Service = require('./erc8004-service');
+const agentService = require('./agent-service');
+const hederaClient = require('./hedera-client');
+const httpError = require('../utils/http-error');
+
+class ValidationService {
+  /**
+   * Request validation of an agent by a validator (signed by the backend wallet, logged to HCS)
+   * @param {Object} request - { agentId, validatorAddress, requestUri?, requestHash? }
+   *   agentId is an ERC-8004 agent id or an agent address
+   * @returns {Promise<Object>} { success, requestHash, agentId, validatorAddress, txHash }
+   */
+  async requestValidation({ agentId, validatorAddress, requestUri, requestHash }) {
+    if (!agentId || !validatorAddress) {
+      throw httpError(400, 'agentId and validatorAddress are required');
+    }
+
+    await erc8004Service.initialize();
+    if (!erc8004Service.isAvailable()) {
+      throw httpError(503, 'ERC-8004 service not available');
+    }
+
+    // Resolve agentId to ERC-8004 ID if needed
+    const AgentServiceClass = agentService.constructor;
+    let erc8004AgentId = null;
+    if (typeof agentId === 'string' && agentId.startsWith('0x')) {
+      erc8004AgentId = AgentServiceClass.getERC8004AgentId(agentId);
+      if (!erc8004AgentId) {
+        throw httpError(404, `No ERC-8004 agent ID found for ${agentId}`);
+      }
+    } else {
+      erc8004AgentId = parseInt(agentId);
+    }
+
+    // The backend wallet signs validation requests (in production the agent owner would sign)
+    const agentServiceInstance = new AgentServiceClass();
+    agentServiceInstance.ensureWallet();
+
+    const result = await erc8004Service.requestValidation(
+      agentServiceInstance.wallet,
+      erc8004AgentId,
+      validatorAddress,
+      requestUri || '',
+      requestHash || ethers.ZeroHash
+    );
+
+    // HCS logging
+    const validationTopicId = await hederaClient.ensureTopic('VALIDATION_TOPIC_ID', 'Validation', 'Agent validation events');
+    await hederaClient.submitMessage(validationTopicId, JSON.stringify({
+      event: 'ValidationRequested',
+      agentId: erc8004AgentId,
+      validatorAddress: validatorAddress,
+      requestHash: result.requestHash,
+      txHash: result.txHash,
+      timestamp: new Date().toISOString()
+    }));
+
+    return {
+      success: true,
+      requestHash: result.requestHash,
+      agentId: erc8004AgentId,
+      validatorAddress: validatorAddress,
+      txHash: result.txHash
+    };
+  }
+}
+
+module.exports = new ValidationService();
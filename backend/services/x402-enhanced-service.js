@@ -5,6 +5,9 @@ const erc8004Service = require('./erc8004-service');
 const agentService = require('./agent-service');
 const reputationService = require('./reputation-service');
 const hederaClient = require('./hedera-client');
+const capabilityRegistry = require('./capability-registry-service');
+const paymentIntentService = require('./payment-intent-service');
+const tokenRegistry = require('./token-registry-service');
 
 class X402EnhancedService {
   constructor() {
@@ -12,32 +15,34 @@ class X402EnhancedService {
   }
 
   /**
-   * Calculate dynamic price based on agent trust score and capabilities
+   * Price components for a capability: the taxonomy's default price, trust and ERC-8004 multipliers
+   * @param {Object} agentData - Agent data with trustScore and erc8004AgentId
+   * @param {string} capability - Requested capability (id or alias)
+   * @param {number} [basePrice] - Overrides the capability's default price (HBAR)
+   * @returns {Object} { capability, basePrice, trustMultiplier, erc8004Boost }
+   */
+  getPriceBreakdown(agentData, capability, basePrice = null) {
+    const trustScore = Number(agentData.trustScore || 50);
+    return {
+      capability: capabilityRegistry.resolve(capability) || capability,
+      basePrice: basePrice ?? capabilityRegistry.getPricing(capability).basePrice,
+      trustMultiplier: 0.5 + (trustScore / 100), // 0.5x to 1.5x (higher trust = higher price)
+      erc8004Boost: agentData.erc8004AgentId ? 1.1 : 1.0 // 10% boost for ERC-8004 registered agents
+    };
+  }
+
+  /**
+   * Calculate dynamic price based on agent trust score and the capability's default price
    * @param {Object} agentData - Agent data with trustScore and capabilities
    * @param {string} capability - Requested capability
-   * @param {number} basePrice - Base price in HBAR
-   * @returns {number} Adjusted price
+   * @param {number} [basePrice] - Base price in HBAR (defaults to the capability's taxonomy pricing)
+   * @returns {number} Adjusted price, rounded to whole tinybars
    */
-  calculateDynamicPrice(agentData, capability, basePrice = 0.001) {
-    let price = basePrice;
-    
-    // Trust score multiplier (higher trust = higher price, up to 2x)
-    const trustScore = Number(agentData.trustScore || 50);
-    const trustMultiplier = 0.5 + (trustScore / 100); // 0.5x to 1.5x
-    price *= trustMultiplier;
-    
-    // Capability premium (certain capabilities cost more)
-    const premiumCapabilities = ['security-audit', 'ai-training', 'data-processing', 'defi-yield-optimizer'];
-    if (premiumCapabilities.includes(capability)) {
-      price *= 1.5; // 50% premium
-    }
-    
-    // ERC-8004 reputation boost (if agent has official reputation)
-    if (agentData.erc8004AgentId) {
-      price *= 1.1; // 10% boost for ERC-8004 registered agents
-    }
-    
-    return Math.max(0.0001, Math.min(price, 1.0)); // Cap between 0.0001 and 1.0 HBAR
+  calculateDynamicPrice(agentData, capability, basePrice = null) {
+    const breakdown = this.getPriceBreakdown(agentData, capability, basePrice);
+    const price = breakdown.basePrice * breakdown.trustMultiplier * breakdown.erc8004Boost;
+    const capped = Math.max(0.0001, Math.min(price, 1.0)); // Cap between 0.0001 and 1.0 HBAR
+    return Number(capped.toFixed(8));
   }
 
   /**
@@ -76,14 +81,12 @@ class X402EnhancedService {
       // Get recipient address (agent wallet or registered address)
       const payTo = agent.agentWalletAddress || agent.registeredAddress || agentAddress;
       
-      // Determine asset (default to HBAR, can be USDC)
-      const asset = options.currency === 'USDC' 
-        ? (process.env.USDC_TOKEN_ID || '0.0.429274')
-        : 'HBAR';
+      // Determine asset (default to HBAR, can be any token registered for payments)
+      const asset = tokenRegistry.resolvePayment(options.currency || 'HBAR').tokenId;
 
       // Create challenge with conditional pricing info
       const challenge = await x402FacilitatorService.createChallenge(
-        price,
+        x402FacilitatorService.toAtomicAmount(price, asset),
         asset,
         payTo,
         memo,
@@ -100,13 +103,9 @@ class X402EnhancedService {
           trustScore: agent.trustScore,
           requiresEscrow: requiresEscrow,
           dynamicPricing: true,
-          basePrice: basePrice || this.calculateDynamicPrice(agent, capability, 0.001),
+          basePrice: basePrice ?? this.getPriceBreakdown(agent, capability).basePrice,
           calculatedPrice: price,
-          priceBreakdown: {
-            trustMultiplier: 0.5 + (Number(agent.trustScore || 50) / 100),
-            capabilityPremium: premiumCapabilities.includes(capability) ? 1.5 : 1.0,
-            erc8004Boost: erc8004AgentId ? 1.1 : 1.0
-          }
+          priceBreakdown: this.getPriceBreakdown(agent, capability)
         };
       }
 
@@ -119,23 +118,28 @@ class X402EnhancedService {
   /**
    * Verify payment and automatically settle with ERC-8004 feedback linking
    * @param {string} txId - Transaction ID from payment
-   * @param {Object} paymentMetadata - Metadata from payment challenge (agentAddress, capability, etc.)
+   * @param {Object} paymentMetadata - Metadata from payment challenge (agentAddress, capability, intentId, etc.)
    * @param {Object} options - Options for settlement (autoFeedback, feedbackRating, etc.)
    * @returns {Promise<Object>} Settlement result with payment proof
    */
   async verifyAndSettlePayment(txId, paymentMetadata, options = {}) {
     try {
-      const { agentAddress, capability, expectedAmount, expectedPayTo } = paymentMetadata;
+      const { agentAddress, capability, expectedAmount, expectedPayTo, intentId } = paymentMetadata;
 
-      // Step 1: Verify payment via facilitator
-      const verification = await x402FacilitatorService.verifyPayment(
-        txId,
-        expectedAmount,
-        expectedPayTo
-      );
+      // Step 1: Verify payment against the challenge's intent (consumes the txId), else via facilitator
+      if (intentId) {
+        await paymentIntentService.verify(intentId, txId);
+      } else {
+        const verification = await x402FacilitatorService.verifyPayment(
+          txId,
+          expectedAmount,
+          expectedPayTo
+        );
 
-      if (!verification.verified) {
-        throw new Error(`Payment verification failed: ${verification.error || 'Unknown error'}`);
+        if (!verification.verified) {
+          throw new Error(`Payment verification failed: ${verification.error || 'Unknown error'}`);
+        }
+        paymentIntentService.consumeTxId(txId, `settlement:${agentAddress}:${capability}`);
       }
 
       // Step 2: Settle payment via facilitator
@@ -239,7 +243,7 @@ class X402EnhancedService {
         amount,
         description,
         options.payerAddress || null,
-        options.payerPrivateKey || null,
+        options.payerSigner || null,
         null, // signedTx
         30 // expiration days
       );
@@ -293,7 +297,8 @@ class X402EnhancedService {
           capability: capability,
           payerAddress: payerAddress,
           expectedAmount: serviceCompletion.amount,
-          expectedPayTo: agentAddress
+          expectedPayTo: agentAddress,
+          intentId: serviceCompletion.intentId
         },
         {
           autoFeedback: true,
@@ -1,38 +1,94 @@
 // services/x402-facilitator-service.js
 const axios = require('axios');
+const paymentIntentService = require('./payment-intent-service');
+const tokenRegistry = require('./token-registry-service');
 
-const FACILITATOR_URL = process.env.X402_FACILITATOR_URL || 'https://x402-hedera-production.up.railway.app';
+const localFacilitator = require('./local-facilitator-service');
+
+const DEFAULT_FACILITATOR_URL = 'https://x402-hedera-production.up.railway.app';
 
 // Default facilitator account ID (fee payer)
 const DEFAULT_FACILITATOR_ACCOUNT_ID = process.env.X402_FACILITATOR_ACCOUNT_ID || '0.0.2961788';
 
 class X402FacilitatorService {
+  getFacilitatorUrl() {
+    return process.env.X402_FACILITATOR_URL || DEFAULT_FACILITATOR_URL;
+  }
+
   /**
-   * Create payment challenge (402 Payment Required)
-   * @param {string|number} amount - Payment amount
+   * Whether the built-in facilitator (local-facilitator-service.js) handles verify/settle
+   */
+  isLocal() {
+    return this.getFacilitatorUrl() === 'local';
+  }
+
+  getFeePayer() {
+    return this.isLocal() ? localFacilitator.getFeePayer() : DEFAULT_FACILITATOR_ACCOUNT_ID;
+  }
+
+  /**
+   * Convert a whole-unit amount (e.g. 0.5 HBAR) to the asset's smallest unit, as challenges expect
+   * @param {string|number} amount - Amount in HBAR or token units
+   * @param {string} asset - 'HBAR' or a registered HTS token id (decimals from the token registry)
+   * @returns {string} Amount in tinybars or token base units
+   */
+  toAtomicAmount(amount, asset) {
+    return tokenRegistry.toAtomic(amount, asset).toString();
+  }
+
+  /**
+   * Create payment challenge (402 Payment Required), backed by a persistent payment intent. The payer must put
+   * `extra.memo` in the transaction memo; the intent expires after maxTimeoutSeconds.
+   * @param {string|number} amount - Payment amount in the asset's smallest unit (tinybars for HBAR)
    * @param {string} asset - Asset type ('HBAR' or token address)
    * @param {string} payTo - Recipient account ID
    * @param {string} memo - Payment memo/description
    * @param {string} network - Network identifier (default: 'hedera-testnet')
+   * @param {Object} options - { payer?, timeoutSeconds?, quoteId? }
    * @returns {Object} x402 challenge object
    */
-  async createChallenge(amount, asset, payTo, memo, network = 'hedera-testnet') {
+  async createChallenge(amount, asset, payTo, memo, network = 'hedera-testnet', options = {}) {
+    const intent = paymentIntentService.create({
+      amount: amount.toString(),
+      asset,
+      payTo,
+      resource: memo,
+      network,
+      payer: options.payer,
+      timeoutSeconds: options.timeoutSeconds,
+      quoteId: options.quoteId
+    });
     return {
       x402Version: 1,
       error: 'Payment required to access agent service',
-      accepts: [{
-        scheme: 'exact',
-        network: network,
-        maxAmountRequired: amount.toString(),
-        asset: asset, // 'HBAR' or token address
-        payTo: payTo,
-        resource: memo,
-        description: `Payment for agent service: ${memo}`,
-        maxTimeoutSeconds: 300,
-        extra: {
-          feePayer: DEFAULT_FACILITATOR_ACCOUNT_ID
-        }
-      }]
+      accepts: [this.paymentRequirements(intent)]
+    };
+  }
+
+  /**
+   * x402 payment requirements (an `accepts` entry) for a payment intent
+   * @param {Object} intent - Intent from payment-intent-service
+   * @returns {Object} Payment requirements
+   */
+  paymentRequirements(intent) {
+    return {
+      scheme: 'exact',
+      network: intent.network,
+      maxAmountRequired: intent.amount,
+      asset: intent.asset, // 'HBAR' or token address
+      payTo: intent.payTo,
+      resource: intent.resource,
+      description: `Payment for agent service: ${intent.resource}`,
+      maxTimeoutSeconds: Math.round((Date.parse(intent.expiresAt) - Date.parse(intent.createdAt)) / 1000),
+      extra: {
+        feePayer: this.getFeePayer(),
+        intentId: intent.id,
+        nonce: intent.nonce,
+        memo: intent.memo,
+        expiresAt: intent.expiresAt,
+        // Paid to the treasury in the same transfer, on top of maxAmountRequired
+        ...(intent.platformFee && { platformFee: intent.platformFee })
+      }
     };
   }
 
@@ -44,8 +100,9 @@ class X402FacilitatorService {
    * @returns {Promise<Object>} Verification result
    */
   async verifyPayment(txId, expectedAmount, expectedPayTo) {
+    if (this.isLocal()) return localFacilitator.verifyTransaction(txId, expectedAmount, expectedPayTo);
     try {
-      const response = await axios.post(`${FACILITATOR_URL}/verify`, {
+      const response = await axios.post(`${this.getFacilitatorUrl()}/verify`, {
         txId,
         expectedAmount,
         expectedPayTo,
@@ -68,8 +125,14 @@ class X402FacilitatorService {
    * @returns {Promise<Object>} Settlement result
    */
   async settlePayment(authorization) {
+    if (this.isLocal()) {
+      // Transactions referenced by id are already on the ledger; settling only confirms them
+      const verification = await localFacilitator.verifyTransaction(authorization?.txId);
+      if (!verification.verified) throw new Error(`Payment settlement failed: ${verification.error}`);
+      return { success: true, txHash: verification.txId };
+    }
     try {
-      const response = await axios.post(`${FACILITATOR_URL}/settle`, {
+      const response = await axios.post(`${this.getFacilitatorUrl()}/settle`, {
         authorization,
         network: 'hedera-testnet'
       }, {
@@ -84,13 +147,58 @@ class X402FacilitatorService {
     }
   }
 
+  /**
+   * Verify a signed x402 payment payload (X-PAYMENT header) with the facilitator before settling it
+   * @param {Object} paymentPayload - { x402Version, scheme, network, payload: { transaction } }
+   * @param {Object} paymentRequirements - The challenge's accepts[0]
+   * @returns {Promise<Object>} { isValid, invalidReason?, payer? }
+   */
+  async verifyPaymentPayload(paymentPayload, paymentRequirements) {
+    if (this.isLocal()) return localFacilitator.verify(paymentPayload, paymentRequirements);
+    try {
+      const response = await axios.post(`${this.getFacilitatorUrl()}/verify`, {
+        x402Version: paymentPayload.x402Version || 1,
+        paymentPayload,
+        paymentRequirements
+      }, {
+        timeout: 10000
+      });
+      return response.data;
+    } catch (error) {
+      throw new Error(`Payment verification failed: ${error.response?.data?.error || error.message}`);
+    }
+  }
+
+  /**
+   * Settle a signed x402 payment payload: the facilitator co-signs as fee payer and submits it
+   * @param {Object} paymentPayload - { x402Version, scheme, network, payload: { transaction } }
+   * @param {Object} paymentRequirements - The challenge's accepts[0]
+   * @returns {Promise<Object>} { success, transaction (txId), network, payer? }
+   */
+  async settlePaymentPayload(paymentPayload, paymentRequirements) {
+    if (this.isLocal()) return localFacilitator.settle(paymentPayload, paymentRequirements);
+    try {
+      const response = await axios.post(`${this.getFacilitatorUrl()}/settle`, {
+        x402Version: paymentPayload.x402Version || 1,
+        paymentPayload,
+        paymentRequirements
+      }, {
+        timeout: 15000
+      });
+      return response.data;
+    } catch (error) {
+      throw new Error(`Payment settlement failed: ${error.response?.data?.error || error.message}`);
+    }
+  }
+
   /**
    * Get facilitator status
    * @returns {Promise<Object>} Facilitator status
    */
   async getStatus() {
+    if (this.isLocal()) return { available: true, ...localFacilitator.health() };
     try {
-      const response = await axios.get(`${FACILITATOR_URL}/health`, {
+      const response = await axios.get(`${this.getFacilitatorUrl()}/health`, {
         timeout: 5000
       });
       return {
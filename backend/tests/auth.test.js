@@ -0,0 +1,179 @@
+process.env.STORE_ADAPTER = 'memory';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+
+const authService = require('../services/auth-service');
+const { authenticate, requireAuth, requireRole } = require('../middleware/auth');
+
+function mockRes() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+}
+
+function mockReq(headers = {}) {
+  const lower = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]));
+  return { get: name => lower[name.toLowerCase()] };
+}
+
+async function login(wallet) {
+  const message = authService.createChallenge(wallet.address);
+  const signature = await wallet.signMessage(JSON.stringify(message));
+  return authService.login(message, signature);
+}
+
+describe('AuthService', function () {
+  let wallet;
+
+  beforeEach(function () {
+    process.env.JWT_SECRET = 'test-secret';
+    delete process.env.ADMIN_ADDRESSES;
+    delete process.env.VALIDATOR_ADDRESSES;
+    delete process.env.EVM_PRIVATE_KEY;
+    wallet = ethers.Wallet.createRandom();
+  });
+
+  describe('Login', function () {
+    it('Should issue a token for a signed challenge', async function () {
+      const result = await login(wallet);
+
+      assert.equal(result.address, wallet.address);
+      assert.deepEqual(result.roles, []);
+      const claims = authService.verifyToken(result.token);
+      assert.equal(claims.sub, wallet.address);
+      assert.ok(claims.exp > claims.iat);
+    });
+
+    it('Should grant roles from ADMIN_ADDRESSES and VALIDATOR_ADDRESSES', async function () {
+      process.env.ADMIN_ADDRESSES = wallet.address.toLowerCase();
+      process.env.VALIDATOR_ADDRESSES = wallet.address;
+
+      const result = await login(wallet);
+
+      assert.deepEqual(result.roles, ['admin', 'validator']);
+      assert.deepEqual(authService.verifyToken(result.token).roles, ['admin', 'validator']);
+    });
+
+    it('Should reject a signature from another wallet', async function () {
+      const message = authService.createChallenge(wallet.address);
+      const signature = await ethers.Wallet.createRandom().signMessage(JSON.stringify(message));
+
+      assert.throws(() => authService.login(message, signature), { status: 401 });
+    });
+
+    it('Should reject a message changed after signing', async function () {
+      const message = authService.createChallenge(wallet.address);
+      const signature = await wallet.signMessage(JSON.stringify(message));
+
+      assert.throws(() => authService.login({ ...message, statement: 'Something else' }, signature), { status: 401 });
+    });
+
+    it('Should only accept a nonce once', async function () {
+      const message = authService.createChallenge(wallet.address);
+      const signature = await wallet.signMessage(JSON.stringify(message));
+      authService.login(message, signature);
+
+      assert.throws(() => authService.login(message, signature), { status: 401, message: /nonce/ });
+    });
+
+    it('Should require a valid address for a challenge', function () {
+      assert.throws(() => authService.createChallenge('not-an-address'), { status: 400 });
+    });
+  });
+
+  describe('Tokens', function () {
+    it('Should reject a tampered payload', async function () {
+      const { token } = await login(wallet);
+      const [header, , signature] = token.split('.');
+      const body = Buffer.from(JSON.stringify({ sub: wallet.address, roles: ['admin'], exp: 9999999999 })).toString('base64url');
+
+      assert.throws(() => authService.verifyToken(`${header}.${body}.${signature}`), { status: 401, message: /signature/ });
+    });
+
+    it('Should reject tokens signed with another secret', async function () {
+      const { token } = await login(wallet);
+      process.env.JWT_SECRET = 'rotated-secret';
+
+      assert.throws(() => authService.verifyToken(token), { status: 401 });
+    });
+
+    it('Should reject expired tokens', function () {
+      const token = authService.signToken({ sub: wallet.address, roles: [], iat: 1, exp: Math.floor(Date.now() / 1000) - 1 });
+
+      assert.throws(() => authService.verifyToken(token), { status: 401, message: /expired/ });
+    });
+
+    it('Should reject malformed tokens', function () {
+      assert.throws(() => authService.verifyToken('abc'), { status: 401 });
+      assert.throws(() => authService.verifyToken(''), { status: 401 });
+    });
+  });
+});
+
+describe('Auth middleware', function () {
+  beforeEach(function () {
+    process.env.JWT_SECRET = 'test-secret';
+  });
+
+  function tokenFor(roles) {
+    const now = Math.floor(Date.now() / 1000);
+    return authService.signToken({ sub: '0x0000000000000000000000000000000000000001', roles, iat: now, exp: now + 60 });
+  }
+
+  it('Should attach req.auth for a valid Bearer token', function () {
+    const req = mockReq({ Authorization: `Bearer ${tokenFor(['validator'])}` });
+    let called = false;
+
+    authenticate(req, mockRes(), () => { called = true; });
+
+    assert.ok(called);
+    assert.deepEqual(req.auth, { address: '0x0000000000000000000000000000000000000001', roles: ['validator'] });
+  });
+
+  it('Should let requests without a token through unauthenticated', function () {
+    const req = mockReq();
+    let called = false;
+
+    authenticate(req, mockRes(), () => { called = true; });
+
+    assert.ok(called);
+    assert.equal(req.auth, undefined);
+  });
+
+  it('Should answer 401 for an invalid token', function () {
+    const res = mockRes();
+    let called = false;
+
+    authenticate(mockReq({ Authorization: 'Bearer nope' }), res, () => { called = true; });
+
+    assert.equal(called, false);
+    assert.equal(res.statusCode, 401);
+  });
+
+  it('Should require authentication', function () {
+    const res = mockRes();
+    requireAuth(mockReq(), res, () => assert.fail('next called'));
+    assert.equal(res.statusCode, 401);
+  });
+
+  it('Should check roles', function () {
+    const guard = requireRole('admin');
+
+    const anonymous = mockRes();
+    guard(mockReq(), anonymous, () => assert.fail('next called'));
+    assert.equal(anonymous.statusCode, 401);
+
+    const validator = mockRes();
+    guard({ ...mockReq(), auth: { address: '0x1', roles: ['validator'] } }, validator, () => assert.fail('next called'));
+    assert.equal(validator.statusCode, 403);
+
+    let called = false;
+    guard({ ...mockReq(), auth: { address: '0x1', roles: ['admin'] } }, mockRes(), () => { called = true; });
+    assert.ok(called);
+  });
+});
@@ -0,0 +1,222 @@
+process.env.STORE_ADAPTER = 'memory';
+process.env.X402_PLATFORM_FEE_BPS = '100';
+process.env.PLATFORM_TREASURY_ACCOUNT_ID = '0.0.98';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const paymentIntentService = require('../services/payment-intent-service');
+
+const PAYEE = '0.0.2001';
+const PAYER = '0.0.3001';
+const TREASURY = '0.0.98';
+
+let txCounter = 0;
+
+function nextTxId() {
+  txCounter++;
+  return `${PAYER}-1700000000-${String(txCounter).padStart(9, '0')}`;
+}
+
+function consensusTimestamp(ms = Date.now()) {
+  return `${Math.floor(ms / 1000)}.${String((ms % 1000) * 1e6).padStart(9, '0')}`;
+}
+
+function createIntent(overrides = {}) {
+  return paymentIntentService.create({
+    amount: '100000000',
+    asset: 'HBAR',
+    payTo: PAYEE,
+    resource: '/api/test',
+    network: 'hedera-testnet',
+    ...overrides
+  });
+}
+
+// Mirror-node transaction paying the intent, price plus platform fee
+function payment(intent, { payer = PAYER, amount = intent.amount, fee = intent.platformFee?.amount || '0', memo = intent.memo, at } = {}) {
+  const total = BigInt(amount) + BigInt(fee);
+  const transfers = [
+    { account: payer, amount: (-total).toString() },
+    { account: intent.payTo, amount: String(amount) }
+  ];
+  if (BigInt(fee) > 0n) transfers.push({ account: TREASURY, amount: String(fee) });
+  return { memo, consensus_timestamp: consensusTimestamp(at), result: 'SUCCESS', transfers, token_transfers: [] };
+}
+
+async function mismatchOf(promise) {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  assert.fail('Expected verify to reject');
+}
+
+describe('PaymentIntentService', function () {
+  describe('Creating intents', function () {
+    it('Should add the platform fee and an x402 memo', function () {
+      const intent = createIntent();
+
+      assert.equal(intent.status, 'pending');
+      assert.match(intent.memo, /^x402:[0-9a-f]{32}$/);
+      assert.deepEqual(intent.platformFee, { bps: 100, amount: '1000000', payTo: TREASURY });
+    });
+
+    it('Should not charge a fee when the treasury is the payee', function () {
+      assert.equal(createIntent({ payTo: TREASURY }).platformFee, null);
+    });
+
+    it('Should require a positive integer amount', function () {
+      assert.throws(() => createIntent({ amount: '1.5' }), { status: 400 });
+      assert.throws(() => createIntent({ amount: '0' }), { status: 400 });
+      assert.throws(() => createIntent({ amount: '-10' }), { status: 400 });
+    });
+
+    it('Should find intents by memo', function () {
+      const intent = createIntent();
+
+      assert.equal(paymentIntentService.findByMemo(intent.memo).id, intent.id);
+      assert.equal(paymentIntentService.findByMemo('x402:unknown'), null);
+      assert.equal(paymentIntentService.findByMemo('hello'), null);
+    });
+  });
+
+  describe('Verification', function () {
+    it('Should settle an intent paid with the exact amount and fee', async function () {
+      const intent = createIntent();
+      const txId = nextTxId();
+
+      const result = await paymentIntentService.verify(intent.id, txId, payment(intent));
+
+      assert.equal(result.verified, true);
+      assert.equal(result.intent.status, 'settled');
+      assert.equal(result.intent.txId, txId);
+      assert.equal(result.intent.paidBy, PAYER);
+      assert.equal(paymentIntentService.get(intent.id).status, 'settled');
+    });
+
+    it('Should not settle an intent twice', async function () {
+      const intent = createIntent();
+      await paymentIntentService.verify(intent.id, nextTxId(), payment(intent));
+
+      await assert.rejects(paymentIntentService.verify(intent.id, nextTxId(), payment(intent)), { status: 409 });
+    });
+
+    it('Should not let one transaction pay two intents', async function () {
+      const first = createIntent();
+      const second = createIntent();
+      const txId = nextTxId();
+      await paymentIntentService.verify(first.id, txId, payment(first));
+
+      await assert.rejects(paymentIntentService.verify(second.id, txId, payment(second)), { status: 409 });
+    });
+
+    it('Should treat SDK and mirror-node transaction ids as the same payment', async function () {
+      const first = createIntent();
+      const second = createIntent();
+      await paymentIntentService.verify(first.id, `${PAYER}@1700000001.000000042`, payment(first));
+
+      await assert.rejects(paymentIntentService.verify(second.id, `${PAYER}-1700000001-000000042`, payment(second)), { status: 409 });
+    });
+
+    it('Should reject a wrong amount', async function () {
+      const intent = createIntent();
+
+      const error = await mismatchOf(paymentIntentService.verify(intent.id, nextTxId(), payment(intent, { amount: '99999999' })));
+
+      assert.equal(error.status, 400);
+      assert.equal(error.code, 'PAYMENT_MISMATCH');
+      assert.deepEqual(error.details.mismatched, ['amount']);
+      assert.equal(paymentIntentService.get(intent.id).status, 'pending');
+    });
+
+    it('Should reject a payment without the platform fee', async function () {
+      const intent = createIntent();
+
+      const error = await mismatchOf(paymentIntentService.verify(intent.id, nextTxId(), payment(intent, { fee: '0' })));
+
+      assert.deepEqual(error.details.mismatched, ['platformFee']);
+    });
+
+    it('Should reject a payment to another account', async function () {
+      const intent = createIntent();
+      const transaction = payment(intent);
+      transaction.transfers[1].account = '0.0.4444';
+
+      const error = await mismatchOf(paymentIntentService.verify(intent.id, nextTxId(), transaction));
+
+      assert.deepEqual(error.details.mismatched, ['payTo']);
+    });
+
+    it('Should reject a transaction carrying another memo', async function () {
+      const intent = createIntent();
+
+      const error = await mismatchOf(paymentIntentService.verify(intent.id, nextTxId(), payment(intent, { memo: createIntent().memo })));
+
+      assert.deepEqual(error.details.mismatched, ['memo']);
+    });
+
+    it('Should reject payments in another asset', async function () {
+      const intent = createIntent({ asset: '0.0.5000' });
+
+      const error = await mismatchOf(paymentIntentService.verify(intent.id, nextTxId(), payment(intent)));
+
+      assert.deepEqual(error.details.mismatched, ['asset']);
+    });
+
+    it('Should only accept the payer the intent names', async function () {
+      const intent = createIntent({ payer: '0.0.3002' });
+
+      const error = await mismatchOf(paymentIntentService.verify(intent.id, nextTxId(), payment(intent)));
+      assert.deepEqual(error.details.mismatched, ['payer']);
+
+      const result = await paymentIntentService.verify(intent.id, nextTxId(), payment(intent, { payer: '0.0.3002' }));
+      assert.equal(result.intent.paidBy, '0.0.3002');
+    });
+
+    it('Should answer 410 for a payment reaching consensus after expiry', async function () {
+      const intent = createIntent({ timeoutSeconds: 60 });
+
+      const error = await mismatchOf(paymentIntentService.verify(intent.id, nextTxId(), payment(intent, { at: Date.now() + 120000 })));
+
+      assert.equal(error.status, 410);
+      assert.deepEqual(error.details.mismatched, ['expiresAt']);
+    });
+  });
+
+  describe('Pruning', function () {
+    it('Should delete pending intents an hour after they expire', async function () {
+      const stale = createIntent({ timeoutSeconds: 1 });
+      const settled = createIntent({ timeoutSeconds: 1 });
+      await paymentIntentService.verify(settled.id, nextTxId(), payment(settled));
+      const later = Date.now() + 2 * 60 * 60 * 1000;
+      paymentIntentService.lastPrunedAt = 0;
+
+      assert.ok(paymentIntentService.pruneExpired(later) >= 1);
+
+      assert.throws(() => paymentIntentService.get(stale.id), { status: 404 });
+      assert.equal(paymentIntentService.findByMemo(stale.memo), null);
+      assert.equal(paymentIntentService.get(settled.id).status, 'settled');
+    });
+
+    it('Should keep recently expired intents so late payments get an expiry answer', function () {
+      const intent = createIntent({ timeoutSeconds: 1 });
+      paymentIntentService.lastPrunedAt = 0;
+
+      paymentIntentService.pruneExpired(Date.now() + 10 * 60 * 1000);
+
+      assert.equal(paymentIntentService.get(intent.id).id, intent.id);
+    });
+
+    it('Should prune at most once a minute', function () {
+      paymentIntentService.lastPrunedAt = 0;
+      const now = Date.now() + 3 * 60 * 60 * 1000;
+      paymentIntentService.pruneExpired(now);
+      const intent = createIntent({ timeoutSeconds: 1 });
+
+      assert.equal(paymentIntentService.pruneExpired(now + 1000), 0);
+      assert.equal(paymentIntentService.get(intent.id).id, intent.id);
+    });
+  });
+});
@@ -0,0 +1,123 @@
+process.env.STORE_ADAPTER = 'memory';
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const PersistentMap = require('../repositories/persistent-map');
+
+// Adapter that records every write
+function recordingAdapter({ entries = true, data = {} } = {}) {
+  const adapter = {
+    saves: [],
+    entryWrites: [],
+    load: () => ({ ...data }),
+    save(collection, snapshot) { adapter.saves.push({ collection, snapshot }); }
+  };
+  if (entries) {
+    adapter.saveEntries = (collection, upserts, deletes) => adapter.entryWrites.push({ collection, upserts, deletes });
+  }
+  return adapter;
+}
+
+let hasSqlite = true;
+try {
+  require('node:sqlite');
+} catch (_e) {
+  hasSqlite = false;
+}
+
+describe('PersistentMap', function () {
+  it('Should hydrate from the adapter', function () {
+    const map = new PersistentMap('test', recordingAdapter({ data: { a: 1, b: 2 } }));
+
+    assert.deepEqual(Object.fromEntries(map), { a: 1, b: 2 });
+  });
+
+  it('Should batch changes into one write of the changed entries', function () {
+    const adapter = recordingAdapter({ data: { keep: 1, gone: 2 } });
+    const map = new PersistentMap('test', adapter);
+
+    for (let i = 0; i < 100; i++) map.set(`k${i}`, i);
+    map.delete('gone');
+    map.delete('missing');
+    assert.equal(adapter.entryWrites.length, 0);
+
+    map.flush();
+
+    assert.equal(adapter.entryWrites.length, 1);
+    assert.equal(Object.keys(adapter.entryWrites[0].upserts).length, 100);
+    assert.deepEqual(adapter.entryWrites[0].deletes, ['gone']);
+    assert.equal(adapter.saves.length, 0);
+  });
+
+  it('Should flush on its own after the delay', async function () {
+    const adapter = recordingAdapter();
+    const map = new PersistentMap('test', adapter);
+
+    map.set('a', 1);
+    map.set('a', 2);
+    await new Promise(resolve => setTimeout(resolve, 250));
+
+    assert.equal(adapter.entryWrites.length, 1);
+    assert.deepEqual(adapter.entryWrites[0].upserts, { a: 2 });
+  });
+
+  it('Should write full snapshots for adapters without saveEntries and after clear', function () {
+    const fileLike = recordingAdapter({ entries: false });
+    const map = new PersistentMap('test', fileLike);
+    map.set('a', 1);
+    map.flush();
+    assert.deepEqual(fileLike.saves, [{ collection: 'test', snapshot: { a: 1 } }]);
+
+    const adapter = recordingAdapter({ data: { a: 1 } });
+    const cleared = new PersistentMap('test', adapter);
+    cleared.clear();
+    cleared.set('b', 2);
+    cleared.flush();
+    assert.deepEqual(adapter.saves, [{ collection: 'test', snapshot: { b: 2 } }]);
+    assert.equal(adapter.entryWrites.length, 0);
+  });
+
+  it('Should save every change immediately with writeThrough', function () {
+    const adapter = recordingAdapter();
+    const map = new PersistentMap('test', adapter, { writeThrough: true });
+
+    map.set('a', 1);
+    map.delete('a');
+
+    assert.deepEqual(adapter.entryWrites.map(w => [w.upserts, w.deletes]), [[{ a: 1 }, []], [{}, ['a']]]);
+  });
+
+  it('Should flush every pending map with flushAll', function () {
+    const first = recordingAdapter();
+    const second = recordingAdapter();
+    new PersistentMap('first', first).set('a', 1);
+    new PersistentMap('second', second).set('b', 2);
+
+    PersistentMap.flushAll();
+
+    assert.equal(first.entryWrites.length, 1);
+    assert.equal(second.entryWrites.length, 1);
+  });
+
+  describe('SQLite adapter', { skip: !hasSqlite && 'node:sqlite needs Node.js 22.5+' }, function () {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'heracles-store-'));
+    after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+    it('Should persist changed rows across instances', function () {
+      const SqliteAdapter = require('../repositories/adapters/sqlite-adapter');
+      const map = new PersistentMap('agents', new SqliteAdapter(dataDir));
+      map.set('alice', { address: '0x1', balance: 10n });
+      map.set('bob', { address: '0x2' });
+      map.flush();
+      map.delete('bob');
+      map.flush();
+
+      const reloaded = new PersistentMap('agents', new SqliteAdapter(dataDir));
+      assert.deepEqual(Object.fromEntries(reloaded), { alice: { address: '0x1', balance: '10' } });
+    });
+  });
+});
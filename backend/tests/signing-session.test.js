@@ -0,0 +1,140 @@
+process.env.STORE_ADAPTER = 'memory';
+process.env.KEYSTORE_PASSPHRASE = 'test-passphrase';
+// Cheap scrypt so encrypting test keys stays fast
+process.env.KEYSTORE_SCRYPT_N = '1024';
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+
+const signingSessionService = require('../services/signing-session-service');
+const AgentService = require('../services/agent-service').constructor;
+
+async function openSession(wallet, agentId, scopes) {
+  const message = signingSessionService.createChallenge(wallet.address, agentId, scopes);
+  const signature = await wallet.signMessage(JSON.stringify(message));
+  return signingSessionService.createSession(message, signature);
+}
+
+function requestWith(headers = {}) {
+  return { get: name => headers[name.toLowerCase()] };
+}
+
+describe('SigningSessionService', function () {
+  const agentId = 'session-test-agent';
+  let agentWallet;
+
+  before(async function () {
+    agentWallet = ethers.Wallet.createRandom();
+    await AgentService.storeWalletKey(agentId, agentWallet);
+  });
+
+  describe('Opening sessions', function () {
+    it('Should open a session for the agent wallet and resolve its keystore signer', async function () {
+      const session = await openSession(agentWallet, agentId, ['payments:create']);
+
+      assert.equal(session.agentId, agentId);
+      assert.equal(session.agentAddress, agentWallet.address);
+      assert.deepEqual(session.scopes, ['payments:create']);
+
+      const { signer } = await signingSessionService.getSigner(session.token, 'payments:create');
+      assert.equal(signer.address, agentWallet.address);
+    });
+
+    it('Should grant every scope when none are requested', async function () {
+      const session = await openSession(agentWallet, agentId);
+      assert.deepEqual(session.scopes, signingSessionService.SIGNING_SCOPES);
+    });
+
+    it('Should reject unknown scopes', function () {
+      assert.throws(() => signingSessionService.createChallenge(agentWallet.address, agentId, ['keys:export']), { status: 400 });
+    });
+
+    it('Should reject wallets that do not control the agent', async function () {
+      await assert.rejects(openSession(ethers.Wallet.createRandom(), agentId), { status: 403 });
+    });
+
+    it('Should reject connected wallets until the connection is approved', async function () {
+      const user = ethers.Wallet.createRandom();
+      const key = user.address.toLowerCase();
+      AgentService.userAgentConnections.set(key, { agentId, userWallet: key, signed: true, verified: false, approvedBy: null });
+
+      await assert.rejects(openSession(user, agentId), { status: 403 });
+
+      AgentService.userAgentConnections.set(key, { agentId, userWallet: key, signed: true, verified: true, approvedBy: agentWallet.address });
+      const session = await openSession(user, agentId);
+      assert.equal(session.address, user.address);
+      assert.equal(session.agentAddress, agentWallet.address);
+    });
+
+    it('Should reject connections stored before approvals existed', async function () {
+      const user = ethers.Wallet.createRandom();
+      const key = user.address.toLowerCase();
+      AgentService.userAgentConnections.set(key, { agentId, userWallet: key, verified: true });
+
+      await assert.rejects(openSession(user, agentId), { status: 403 });
+    });
+
+    it('Should answer 404 for agents without a keystore wallet', async function () {
+      const otherAgentId = 'session-test-no-key';
+      const owner = ethers.Wallet.createRandom();
+      AgentService.agentWalletKeys.set(otherAgentId, { address: owner.address });
+
+      await assert.rejects(openSession(owner, otherAgentId), { status: 404 });
+    });
+
+    it('Should reject a signature from another wallet', async function () {
+      const message = signingSessionService.createChallenge(agentWallet.address, agentId);
+      const signature = await ethers.Wallet.createRandom().signMessage(JSON.stringify(message));
+
+      assert.throws(() => signingSessionService.createSession(message, signature), { status: 401 });
+    });
+
+    it('Should reject a challenge retargeted to another agent', async function () {
+      const message = signingSessionService.createChallenge(agentWallet.address, agentId);
+      const changed = { ...message, agentId: 'someone-else' };
+      const signature = await agentWallet.signMessage(JSON.stringify(changed));
+
+      assert.throws(() => signingSessionService.createSession(changed, signature), { status: 401 });
+    });
+
+    it('Should only accept a nonce once', async function () {
+      const message = signingSessionService.createChallenge(agentWallet.address, agentId);
+      const signature = await agentWallet.signMessage(JSON.stringify(message));
+      signingSessionService.createSession(message, signature);
+
+      assert.throws(() => signingSessionService.createSession(message, signature), { status: 401, message: /nonce/ });
+    });
+  });
+
+  describe('Using sessions', function () {
+    it('Should refuse scopes the session was not granted', async function () {
+      const session = await openSession(agentWallet, agentId, ['a2a:communicate']);
+
+      await assert.rejects(signingSessionService.getSigner(session.token, 'payments:create'), { status: 403 });
+    });
+
+    it('Should reject unknown, revoked and expired tokens', async function () {
+      await assert.rejects(signingSessionService.getSigner('not-a-session', 'payments:create'), { status: 401 });
+
+      const revoked = await openSession(agentWallet, agentId);
+      signingSessionService.revokeSession(revoked.token);
+      assert.throws(() => signingSessionService.getSession(revoked.token), { status: 401 });
+
+      const expired = await openSession(agentWallet, agentId);
+      signingSessionService.getSession(expired.token).expiresAt = Date.now() - 1;
+      assert.throws(() => signingSessionService.getSession(expired.token), { status: 401 });
+    });
+
+    it('Should resolve the signer from the X-Signing-Session header', async function () {
+      const session = await openSession(agentWallet, agentId, ['payments:release']);
+
+      const signer = await signingSessionService.signerFromRequest(requestWith({ 'x-signing-session': session.token }), 'payments:release');
+      assert.equal(signer.address, agentWallet.address);
+    });
+
+    it('Should return null without the header', async function () {
+      assert.equal(await signingSessionService.signerFromRequest(requestWith(), 'payments:create'), null);
+    });
+  });
+});
@@ -0,0 +1,57 @@
+process.env.STORE_ADAPTER = 'memory';
+process.env.USDC_TOKEN_ID = '0.0.429274';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const tokenRegistry = require('../services/token-registry-service');
+
+describe('TokenRegistryService', function () {
+  describe('toAtomic', function () {
+    it('Should convert HBAR to tinybars', function () {
+      assert.equal(tokenRegistry.toAtomic('12.5', 'HBAR'), 1250000000n);
+      assert.equal(tokenRegistry.toAtomic(1, 'HBAR'), 100000000n);
+      assert.equal(tokenRegistry.toAtomic('0.00000001', 'HBAR'), 1n);
+    });
+
+    it('Should use the token decimals', function () {
+      assert.equal(tokenRegistry.toAtomic('12.5', 'USDC'), 12500000n);
+      assert.equal(tokenRegistry.toAtomic(0.000001, '0.0.429274'), 1n);
+      assert.equal(tokenRegistry.toAtomic('3', { symbol: 'TEST', decimals: 0 }), 3n);
+    });
+
+    it('Should reject more decimals than the token has', function () {
+      assert.throws(() => tokenRegistry.toAtomic('1.2345678', 'USDC'), { status: 400, message: /at most 6 decimals/ });
+      assert.throws(() => tokenRegistry.toAtomic(1.2345678, 'USDC'), { status: 400 });
+      assert.throws(() => tokenRegistry.toAtomic('0.000000001', 'HBAR'), { status: 400 });
+    });
+
+    it('Should reject numbers that print in exponent form instead of rounding them', function () {
+      assert.throws(() => tokenRegistry.toAtomic(4e-7, 'USDC'), { status: 400 });
+      assert.throws(() => tokenRegistry.toAtomic(1e21, 'HBAR'), { status: 400 });
+    });
+
+    it('Should reject zero and negative amounts', function () {
+      assert.throws(() => tokenRegistry.toAtomic(0, 'HBAR'), { status: 400, message: /greater than 0/ });
+      assert.throws(() => tokenRegistry.toAtomic('0.000', 'USDC'), { status: 400 });
+      assert.throws(() => tokenRegistry.toAtomic(-3, 'HBAR'), { status: 400 });
+    });
+
+    it('Should reject values that are not numbers', function () {
+      for (const amount of ['abc', '', '1,5', null, undefined, NaN, Infinity]) {
+        assert.throws(() => tokenRegistry.toAtomic(amount, 'HBAR'), { status: 400 }, String(amount));
+      }
+    });
+
+    it('Should reject unknown currencies', function () {
+      assert.throws(() => tokenRegistry.toAtomic('1', 'DOGE'), { status: 400, message: /Unknown token/ });
+    });
+  });
+
+  describe('formatAtomic', function () {
+    it('Should format smallest units back to whole units', function () {
+      assert.equal(tokenRegistry.formatAtomic(1250000000n, 'HBAR'), '12.5');
+      assert.equal(tokenRegistry.formatAtomic('12500000', 'USDC'), '12.5');
+    });
+  });
+});
@@ -3,6 +3,8 @@ module.exports = (err, _req, res, _next) => {
   console.error('Error:', err);
   res.status(err.status || 500).json({
     error: err.message || 'Internal server error',
+    ...(err.status && err.code && { code: err.code }),
+    ...(err.status && err.details && { details: err.details }),
     ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
   });
 };
@@ -0,0 +1,7 @@
+// utils/http-error.js
+// Error carrying an HTTP status, honoured by utils/error-handler.js
+module.exports = function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
@@ -43,6 +43,20 @@ async function main() {
   const paymentProcessorAddress = await paymentProcessor.getAddress();
   console.log("✅ PaymentProcessor deployed to:", paymentProcessorAddress);
 
+  const platformFeeBps = Number(process.env.PLATFORM_FEE_BPS || 0);
+  if (platformFeeBps > 0) {
+    await (await paymentProcessor.setPlatformFee(platformFeeBps)).wait();
+    console.log("✅ Platform fee set to", platformFeeBps, "bps");
+  }
+
+  // Deploy PaymentChannel
+  console.log("\n🔁 Deploying PaymentChannel...");
+  const PaymentChannel = await hre.ethers.getContractFactory("PaymentChannel");
+  const paymentChannel = await PaymentChannel.deploy(deployer.address);
+  await paymentChannel.waitForDeployment();
+  const paymentChannelAddress = await paymentChannel.getAddress();
+  console.log("✅ PaymentChannel deployed to:", paymentChannelAddress);
+
   // Save deployment info
   const network = await hre.ethers.provider.getNetwork();
   const deploymentInfo = {
@@ -51,7 +65,8 @@ async function main() {
     deployer: deployer.address,
     contracts: {
       AgentRegistry: agentRegistryAddress,
-      PaymentProcessor: paymentProcessorAddress
+      PaymentProcessor: paymentProcessorAddress,
+      PaymentChannel: paymentChannelAddress
     },
     timestamp: new Date().toISOString(),
     blockNumber: await hre.ethers.provider.getBlockNumber()
@@ -70,6 +85,7 @@ async function main() {
   console.log("\n🔍 Verify on HashScan:");
   console.log(`AgentRegistry: https://hashscan.io/testnet/contract/${agentRegistryAddress}`);
   console.log(`PaymentProcessor: https://hashscan.io/testnet/contract/${paymentProcessorAddress}`);
+  console.log(`PaymentChannel: https://hashscan.io/testnet/contract/${paymentChannelAddress}`);
 }
 
 main()
@@ -0,0 +1,247 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/MessageHashUtils.sol";
+
+/**
+ * @title PaymentChannel
+ * @notice Unidirectional HBAR payment channels for metered agent services
+ * @dev The payer funds a channel once and then pays off-chain with signed vouchers, each carrying the
+ *      cumulative amount owed so far. The payee closes the channel with the latest voucher: it receives
+ *      that amount and the rest goes back to the payer. If the payee never closes, the payer reclaims the
+ *      whole deposit after expiration, so the payee must close before then.
+ */
+contract PaymentChannel is ReentrancyGuard, Pausable, Ownable {
+    // Constants
+    uint256 public constant DEFAULT_EXPIRATION_DAYS = 7;
+    uint256 public constant MIN_EXPIRATION_DAYS = 1;
+    uint256 public constant MAX_EXPIRATION_DAYS = 365;
+
+    enum ChannelStatus {
+        Open,
+        Closed,
+        Expired
+    }
+
+    struct Channel {
+        bytes32 channelId;
+        address payer;
+        address payee;
+        uint256 deposit;
+        uint256 redeemed;
+        ChannelStatus status;
+        uint256 createdAt;
+        uint256 closedAt;
+        uint256 expirationTime;
+    }
+
+    // Storage
+    mapping(bytes32 => Channel) public channels;
+    mapping(address => uint256) public nonces; // For unique channel ID generation
+
+    // Events
+    event ChannelOpened(
+        bytes32 indexed channelId,
+        address indexed payer,
+        address indexed payee,
+        uint256 deposit,
+        uint256 expirationTime
+    );
+
+    event ChannelToppedUp(
+        bytes32 indexed channelId,
+        uint256 amount,
+        uint256 deposit
+    );
+
+    event ChannelClosed(
+        bytes32 indexed channelId,
+        uint256 paidToPayee,
+        uint256 refundedToPayer
+    );
+
+    event ChannelExpired(
+        bytes32 indexed channelId,
+        uint256 refundedToPayer
+    );
+
+    constructor(address initialOwner) Ownable(initialOwner) {}
+
+    /**
+     * @notice Pause channel operations (owner only)
+     */
+    function pause() external onlyOwner {
+        _pause();
+    }
+
+    /**
+     * @notice Unpause channel operations (owner only)
+     */
+    function unpause() external onlyOwner {
+        _unpause();
+    }
+
+    /**
+     * @notice Open a channel funded with msg.value
+     * @param _payee Address the vouchers pay
+     * @param _expirationDays Days until the payer can reclaim the deposit (0 = default 7 days)
+     * @return channelId Unique channel identifier
+     */
+    function openChannel(address _payee, uint256 _expirationDays) external payable whenNotPaused returns (bytes32) {
+        require(msg.value > 0, "Deposit must be > 0");
+        require(_payee != address(0), "Invalid payee");
+        require(_payee != msg.sender, "Cannot pay yourself");
+
+        uint256 expirationDays = _expirationDays;
+        if (expirationDays == 0 || expirationDays < MIN_EXPIRATION_DAYS || expirationDays > MAX_EXPIRATION_DAYS) {
+            expirationDays = DEFAULT_EXPIRATION_DAYS;
+        }
+        uint256 expirationTime = block.timestamp + (expirationDays * 1 days);
+
+        bytes32 channelId = keccak256(
+            abi.encodePacked(
+                msg.sender,
+                _payee,
+                msg.value,
+                block.timestamp,
+                block.number,
+                nonces[msg.sender]
+            )
+        );
+        nonces[msg.sender]++;
+
+        require(channels[channelId].payer == address(0), "Channel exists");
+
+        Channel storage channel = channels[channelId];
+        channel.channelId = channelId;
+        channel.payer = msg.sender;
+        channel.payee = _payee;
+        channel.deposit = msg.value;
+        channel.status = ChannelStatus.Open;
+        channel.createdAt = block.timestamp;
+        channel.expirationTime = expirationTime;
+
+        emit ChannelOpened(channelId, msg.sender, _payee, msg.value, expirationTime);
+
+        return channelId;
+    }
+
+    /**
+     * @notice Add funds to an open channel (payer only)
+     * @param _channelId Channel to fund
+     */
+    function topUp(bytes32 _channelId) external payable whenNotPaused {
+        Channel storage channel = channels[_channelId];
+
+        require(channel.payer == msg.sender, "Only payer can top up");
+        require(channel.status == ChannelStatus.Open, "Not open");
+        require(block.timestamp < channel.expirationTime, "Channel expired");
+        require(msg.value > 0, "Amount must be > 0");
+
+        channel.deposit += msg.value;
+
+        emit ChannelToppedUp(_channelId, msg.value, channel.deposit);
+    }
+
+    /**
+     * @notice Hash a voucher for a cumulative amount; the payer signs it as an EIP-191 personal message
+     * @dev Bound to this contract and chain so a voucher can't be replayed on another deployment
+     * @param _channelId Channel the voucher pays from
+     * @param _cumulativeAmount Total owed to the payee since the channel opened
+     * @return Voucher hash
+     */
+    function voucherHash(bytes32 _channelId, uint256 _cumulativeAmount) public view returns (bytes32) {
+        return keccak256(abi.encodePacked(address(this), block.chainid, _channelId, _cumulativeAmount));
+    }
+
+    /**
+     * @notice Check that a voucher was signed by the channel's payer
+     * @param _channelId Channel ID
+     * @param _cumulativeAmount Voucher amount
+     * @param _signature Payer's signature over voucherHash
+     * @return True if the payer signed it
+     */
+    function isValidVoucher(
+        bytes32 _channelId,
+        uint256 _cumulativeAmount,
+        bytes memory _signature
+    ) public view returns (bool) {
+        address payer = channels[_channelId].payer;
+        if (payer == address(0)) return false;
+        bytes32 digest = MessageHashUtils.toEthSignedMessageHash(voucherHash(_channelId, _cumulativeAmount));
+        (address signer, ECDSA.RecoverError error, ) = ECDSA.tryRecover(digest, _signature);
+        return error == ECDSA.RecoverError.NoError && signer == payer;
+    }
+
+    /**
+     * @notice Close a channel with the latest voucher (payee only)
+     * @dev A zero amount needs no signature: the payee releases the whole deposit back to the payer
+     * @param _channelId Channel to close
+     * @param _cumulativeAmount Amount of the latest voucher
+     * @param _signature Payer's signature of the voucher
+     */
+    function closeChannel(
+        bytes32 _channelId,
+        uint256 _cumulativeAmount,
+        bytes memory _signature
+    ) external nonReentrant whenNotPaused {
+        Channel storage channel = channels[_channelId];
+
+        require(channel.payee == msg.sender, "Only payee can close");
+        require(channel.status == ChannelStatus.Open, "Not open");
+        require(block.timestamp < channel.expirationTime, "Channel expired");
+        require(_cumulativeAmount <= channel.deposit, "Voucher exceeds deposit");
+        if (_cumulativeAmount > 0) {
+            require(isValidVoucher(_channelId, _cumulativeAmount, _signature), "Invalid voucher signature");
+        }
+
+        channel.status = ChannelStatus.Closed;
+        channel.closedAt = block.timestamp;
+        channel.redeemed = _cumulativeAmount;
+
+        uint256 refund = channel.deposit - _cumulativeAmount;
+        if (_cumulativeAmount > 0) _payout(channel.payee, _cumulativeAmount);
+        if (refund > 0) _payout(channel.payer, refund);
+
+        emit ChannelClosed(_channelId, _cumulativeAmount, refund);
+    }
+
+    /**
+     * @notice Reclaim the deposit of a channel the payee didn't close before expiration (payer only)
+     * @param _channelId Expired channel ID
+     */
+    function claimExpiredChannel(bytes32 _channelId) external nonReentrant whenNotPaused {
+        Channel storage channel = channels[_channelId];
+
+        require(channel.payer == msg.sender, "Only payer can claim");
+        require(channel.status == ChannelStatus.Open, "Not open");
+        require(block.timestamp >= channel.expirationTime, "Not expired");
+
+        channel.status = ChannelStatus.Expired;
+        channel.closedAt = block.timestamp;
+
+        uint256 amount = channel.deposit;
+        _payout(channel.payer, amount);
+
+        emit ChannelExpired(_channelId, amount);
+    }
+
+    function _payout(address _to, uint256 _amount) internal {
+        // Use transfer with limited gas to prevent reentrancy
+        (bool success, ) = _to.call{value: _amount, gas: 2300}("");
+        require(success, "Transfer failed");
+    }
+
+    /**
+     * @notice Get channel details
+     * @param _channelId Channel ID
+     * @return Channel struct
+     */
+    function getChannel(bytes32 _channelId) external view returns (Channel memory) {
+        return channels[_channelId];
+    }
+}
@@ -4,25 +4,40 @@ pragma solidity ^0.8.20;
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/utils/Pausable.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 
 /**
  * @title PaymentProcessor
  * @notice x402-compatible payment processor with escrow functionality
- * @dev Handles secure payments between agents with escrow mechanism
+ * @dev Handles secure payments between agents with escrow mechanism. Escrows hold either HBAR
+ *      or an ERC-20 token (HTS tokens through their ERC-20 facade) with the same lifecycle.
+ *      A platform fee (basis points, fixed per escrow at creation) is kept from every payout to
+ *      the payee and accrues in the contract's treasury until the owner withdraws it.
  */
 contract PaymentProcessor is ReentrancyGuard, Pausable, Ownable {
+    using SafeERC20 for IERC20;
+    
+    // Hedera Token Service system contract
+    address internal constant HTS_PRECOMPILE = address(0x167);
+    int64 internal constant HTS_SUCCESS = 22;
+    int64 internal constant HTS_TOKEN_ALREADY_ASSOCIATED = 194;
     
     // Constants
     uint256 public constant MAX_DESCRIPTION_LENGTH = 1000;
     uint256 public constant DEFAULT_EXPIRATION_DAYS = 30;
     uint256 public constant MIN_EXPIRATION_DAYS = 1;
     uint256 public constant MAX_EXPIRATION_DAYS = 365;
+    uint256 public constant BPS_DENOMINATOR = 10000;
+    uint256 public constant MAX_MILESTONES = 20;
+    uint256 public constant MAX_PLATFORM_FEE_BPS = 1000; // 10%
     
     enum EscrowStatus {
         Active,
         Completed,
         Refunded,
-        Disputed
+        Disputed,
+        Resolved
     }
     
     struct Escrow {
@@ -37,11 +52,26 @@ contract PaymentProcessor is ReentrancyGuard, Pausable, Ownable {
         uint256 expirationTime;
     }
     
+    struct Milestone {
+        uint256 amount;
+        string description;
+        bool released;
+    }
+    
     // Storage
     mapping(bytes32 => Escrow) public escrows;
     mapping(address => bytes32[]) public payerEscrows;
     mapping(address => bytes32[]) public payeeEscrows;
     mapping(address => uint256) public nonces; // For unique escrow ID generation
+    mapping(bytes32 => address) public escrowArbiters; // Per-escrow arbiter (optional)
+    address public defaultArbiter; // Owner-appointed arbiter for escrows without one
+    mapping(bytes32 => Milestone[]) internal escrowMilestones; // Staged payouts (empty = single release)
+    mapping(bytes32 => uint256) public releasedAmounts; // Amount already paid out to the payee
+    mapping(bytes32 => address) public escrowTokens; // Token held by an escrow (zero address = HBAR)
+    mapping(address => bool) public keepers; // Wallets allowed to sweep expired escrows
+    uint256 public platformFeeBps; // Fee on payouts to payees of new escrows
+    mapping(bytes32 => uint256) public escrowFeeBps; // Fee rate an escrow was created with
+    mapping(address => uint256) public accruedFees; // Treasury balance per token (zero address = HBAR)
     
     // Events
     event EscrowCreated(
@@ -75,6 +105,58 @@ contract PaymentProcessor is ReentrancyGuard, Pausable, Ownable {
         address refundedTo
     );
     
+    event TokenEscrowCreated(
+        bytes32 indexed escrowId,
+        address indexed token,
+        uint256 amount
+    );
+    
+    event TokenAssociated(
+        address indexed token
+    );
+    
+    event MilestoneReleased(
+        bytes32 indexed escrowId,
+        uint256 indexed milestoneIndex,
+        uint256 amount,
+        uint256 remaining
+    );
+    
+    event DisputeResolved(
+        bytes32 indexed escrowId,
+        address indexed arbiter,
+        uint256 payeeAmount,
+        uint256 payerAmount,
+        uint256 payeeBps
+    );
+    
+    event KeeperUpdated(
+        address indexed keeper,
+        bool enabled
+    );
+    
+    event DefaultArbiterUpdated(
+        address indexed previousArbiter,
+        address indexed newArbiter
+    );
+    
+    event PlatformFeeUpdated(
+        uint256 previousBps,
+        uint256 newBps
+    );
+    
+    event PlatformFeeCollected(
+        bytes32 indexed escrowId,
+        address indexed token,
+        uint256 amount
+    );
+    
+    event FeesWithdrawn(
+        address indexed token,
+        address indexed to,
+        uint256 amount
+    );
+    
     event TrustEstablishmentTriggered(
         bytes32 indexed escrowId,
         address indexed payer,
@@ -97,6 +179,57 @@ contract PaymentProcessor is ReentrancyGuard, Pausable, Ownable {
         _unpause();
     }
     
+    /**
+     * @notice Appoint the arbiter for disputes on escrows created without one (owner only)
+     * @param _arbiter Arbiter address (zero address = owner resolves)
+     */
+    function setDefaultArbiter(address _arbiter) external onlyOwner {
+        emit DefaultArbiterUpdated(defaultArbiter, _arbiter);
+        defaultArbiter = _arbiter;
+    }
+    
+    /**
+     * @notice Allow or revoke a keeper that sweeps expired escrows (owner only)
+     * @param _keeper Keeper address
+     * @param _enabled Whether the keeper may call claimExpiredEscrow
+     */
+    function setKeeper(address _keeper, bool _enabled) external onlyOwner {
+        require(_keeper != address(0), "Invalid keeper");
+        keepers[_keeper] = _enabled;
+        emit KeeperUpdated(_keeper, _enabled);
+    }
+    
+    /**
+     * @notice Set the platform fee for escrows created from now on (owner only)
+     * @param _bps Fee in basis points, at most MAX_PLATFORM_FEE_BPS
+     */
+    function setPlatformFee(uint256 _bps) external onlyOwner {
+        require(_bps <= MAX_PLATFORM_FEE_BPS, "Fee too high");
+        emit PlatformFeeUpdated(platformFeeBps, _bps);
+        platformFeeBps = _bps;
+    }
+    
+    /**
+     * @notice Withdraw accrued platform fees from the treasury (owner only)
+     * @param _token Token to withdraw (zero address = HBAR)
+     * @param _to Recipient address
+     * @param _amount Amount to withdraw, at most accruedFees[_token]
+     */
+    function withdrawFees(address _token, address payable _to, uint256 _amount) external onlyOwner nonReentrant {
+        require(_to != address(0), "Invalid recipient");
+        require(_amount > 0 && _amount <= accruedFees[_token], "Insufficient fees");
+        
+        accruedFees[_token] -= _amount;
+        if (_token == address(0)) {
+            (bool success, ) = _to.call{value: _amount}("");
+            require(success, "Transfer failed");
+        } else {
+            IERC20(_token).safeTransfer(_to, _amount);
+        }
+        
+        emit FeesWithdrawn(_token, _to, _amount);
+    }
+    
     /**
      * @notice Create an escrow payment
      * @param _payee Recipient address
@@ -109,8 +242,119 @@ contract PaymentProcessor is ReentrancyGuard, Pausable, Ownable {
         string memory _serviceDescription,
         uint256 _expirationDays
     ) external payable whenNotPaused returns (bytes32) {
+        return _createEscrow(_payee, _serviceDescription, _expirationDays, msg.value);
+    }
+    
+    /**
+     * @notice Create an escrow holding an ERC-20 / HTS token
+     * @dev Payer must approve this contract for _amount first; HTS tokens must be associated (see associateToken)
+     * @param _token Token address (HTS tokens: long-zero EVM address of the token ID)
+     * @param _payee Recipient address
+     * @param _amount Amount in the token's smallest unit
+     * @param _serviceDescription Description of service
+     * @param _expirationDays Number of days until expiration (0 = default 30 days)
+     * @return escrowId Unique escrow identifier
+     */
+    function createTokenEscrow(
+        address _token,
+        address _payee,
+        uint256 _amount,
+        string memory _serviceDescription,
+        uint256 _expirationDays
+    ) external nonReentrant whenNotPaused returns (bytes32) {
+        require(_token != address(0), "Invalid token");
+        
+        bytes32 escrowId = _createEscrow(_payee, _serviceDescription, _expirationDays, _amount);
+        escrowTokens[escrowId] = _token;
+        
+        // Reject fee-on-transfer tokens: the escrow must hold exactly what it will pay out
+        uint256 balanceBefore = IERC20(_token).balanceOf(address(this));
+        IERC20(_token).safeTransferFrom(msg.sender, address(this), _amount);
+        require(IERC20(_token).balanceOf(address(this)) - balanceBefore == _amount, "Token transfer amount mismatch");
+        
+        emit TokenEscrowCreated(escrowId, _token, _amount);
+        return escrowId;
+    }
+    
+    /**
+     * @notice Associate this contract with an HTS token so it can hold it (owner only, Hedera networks)
+     * @param _token HTS token address
+     */
+    function associateToken(address _token) external onlyOwner {
+        (bool success, bytes memory result) = HTS_PRECOMPILE.call(
+            abi.encodeWithSignature("associateToken(address,address)", address(this), _token)
+        );
+        require(success && result.length >= 32, "HTS association failed");
+        int64 responseCode = abi.decode(result, (int64));
+        require(responseCode == HTS_SUCCESS || responseCode == HTS_TOKEN_ALREADY_ASSOCIATED, "HTS association failed");
+        emit TokenAssociated(_token);
+    }
+    
+    /**
+     * @notice Create an escrow payment with its own dispute arbiter
+     * @param _payee Recipient address
+     * @param _serviceDescription Description of service
+     * @param _expirationDays Number of days until expiration (0 = default 30 days)
+     * @param _arbiter Address allowed to resolve disputes on this escrow
+     * @return escrowId Unique escrow identifier
+     */
+    function createEscrowWithArbiter(
+        address _payee,
+        string memory _serviceDescription,
+        uint256 _expirationDays,
+        address _arbiter
+    ) external payable whenNotPaused returns (bytes32) {
+        require(_arbiter != address(0), "Invalid arbiter");
+        require(_arbiter != msg.sender && _arbiter != _payee, "Arbiter must be independent");
+        
+        bytes32 escrowId = _createEscrow(_payee, _serviceDescription, _expirationDays, msg.value);
+        escrowArbiters[escrowId] = _arbiter;
+        return escrowId;
+    }
+    
+    /**
+     * @notice Create an escrow paid out in milestones
+     * @param _payee Recipient address
+     * @param _serviceDescription Description of service
+     * @param _expirationDays Number of days until expiration (0 = default 30 days)
+     * @param _amounts Amount of each milestone (must sum to msg.value)
+     * @param _descriptions Description of each milestone
+     * @return escrowId Unique escrow identifier
+     */
+    function createMilestoneEscrow(
+        address _payee,
+        string memory _serviceDescription,
+        uint256 _expirationDays,
+        uint256[] memory _amounts,
+        string[] memory _descriptions
+    ) external payable whenNotPaused returns (bytes32) {
+        require(_amounts.length > 0, "Milestones required");
+        require(_amounts.length <= MAX_MILESTONES, "Too many milestones");
+        require(_amounts.length == _descriptions.length, "Milestone length mismatch");
+        
+        bytes32 escrowId = _createEscrow(_payee, _serviceDescription, _expirationDays, msg.value);
+        
+        uint256 total = 0;
+        for (uint256 i = 0; i < _amounts.length; i++) {
+            require(_amounts[i] > 0, "Milestone amount must be > 0");
+            require(bytes(_descriptions[i]).length > 0, "Milestone description required");
+            require(bytes(_descriptions[i]).length <= MAX_DESCRIPTION_LENGTH, "Description too long");
+            total += _amounts[i];
+            escrowMilestones[escrowId].push(Milestone(_amounts[i], _descriptions[i], false));
+        }
+        require(total == msg.value, "Milestones must sum to amount");
+        
+        return escrowId;
+    }
+    
+    function _createEscrow(
+        address _payee,
+        string memory _serviceDescription,
+        uint256 _expirationDays,
+        uint256 _amount
+    ) internal returns (bytes32) {
         require(msg.sender != address(0), "Invalid payer");
-        require(msg.value > 0, "Amount must be > 0");
+        require(_amount > 0, "Amount must be > 0");
         require(_payee != address(0), "Invalid payee");
         require(_payee != msg.sender, "Cannot pay yourself");
         require(bytes(_serviceDescription).length > 0, "Description required");
@@ -128,7 +372,7 @@ contract PaymentProcessor is ReentrancyGuard, Pausable, Ownable {
             abi.encodePacked(
                 msg.sender,
                 _payee,
-                msg.value,
+                _amount,
                 block.timestamp,
                 block.number,
                 nonces[msg.sender]
@@ -142,17 +386,18 @@ contract PaymentProcessor is ReentrancyGuard, Pausable, Ownable {
         newEscrow.escrowId = escrowId;
         newEscrow.payer = msg.sender;
         newEscrow.payee = _payee;
-        newEscrow.amount = msg.value;
+        newEscrow.amount = _amount;
         newEscrow.serviceDescription = _serviceDescription;
         newEscrow.status = EscrowStatus.Active;
         newEscrow.createdAt = block.timestamp;
         newEscrow.completedAt = 0;
         newEscrow.expirationTime = expirationTime;
+        escrowFeeBps[escrowId] = platformFeeBps;
         
         payerEscrows[msg.sender].push(escrowId);
         payeeEscrows[_payee].push(escrowId);
         
-        emit EscrowCreated(escrowId, msg.sender, _payee, msg.value, _serviceDescription, expirationTime);
+        emit EscrowCreated(escrowId, msg.sender, _payee, _amount, _serviceDescription, expirationTime);
         
         return escrowId;
     }
@@ -172,17 +417,52 @@ contract PaymentProcessor is ReentrancyGuard, Pausable, Ownable {
         escrow.status = EscrowStatus.Completed;
         escrow.completedAt = block.timestamp;
         
-        uint256 amount = escrow.amount;
+        // Milestone escrows pay out whatever has not been released yet
+        uint256 amount = _remaining(_escrowId);
+        releasedAmounts[_escrowId] += amount;
         address payee = escrow.payee;
         
-        // Use transfer with limited gas to prevent reentrancy
-        (bool success, ) = payee.call{value: amount, gas: 2300}("");
-        require(success, "Transfer failed");
+        _payPayee(_escrowId, payee, amount);
         
         emit EscrowCompleted(_escrowId, amount);
         emit TrustEstablishmentTriggered(_escrowId, escrow.payer, escrow.payee);
     }
     
+    /**
+     * @notice Release one milestone of an escrow to the payee
+     * @dev Releasing the last milestone completes the escrow
+     * @param _escrowId Milestone escrow
+     * @param _index Milestone index
+     */
+    function releaseMilestone(bytes32 _escrowId, uint256 _index) external nonReentrant whenNotPaused {
+        Escrow storage escrow = escrows[_escrowId];
+        
+        require(escrow.payer == msg.sender, "Only payer can release");
+        require(escrow.status == EscrowStatus.Active, "Not active");
+        require(block.timestamp < escrow.expirationTime, "Escrow expired - use claimExpiredEscrow");
+        require(_index < escrowMilestones[_escrowId].length, "Invalid milestone");
+        
+        Milestone storage milestone = escrowMilestones[_escrowId][_index];
+        require(!milestone.released, "Milestone already released");
+        
+        milestone.released = true;
+        releasedAmounts[_escrowId] += milestone.amount;
+        uint256 remaining = _remaining(_escrowId);
+        
+        if (remaining == 0) {
+            escrow.status = EscrowStatus.Completed;
+            escrow.completedAt = block.timestamp;
+        }
+        
+        _payPayee(_escrowId, escrow.payee, milestone.amount);
+        
+        emit MilestoneReleased(_escrowId, _index, milestone.amount, remaining);
+        if (remaining == 0) {
+            emit EscrowCompleted(_escrowId, escrow.amount);
+            emit TrustEstablishmentTriggered(_escrowId, escrow.payer, escrow.payee);
+        }
+    }
+    
     /**
      * @notice Refund escrow payment to payer
      * @param _escrowId Escrow to refund
@@ -200,12 +480,11 @@ contract PaymentProcessor is ReentrancyGuard, Pausable, Ownable {
         escrow.status = EscrowStatus.Refunded;
         escrow.completedAt = block.timestamp;
         
-        uint256 amount = escrow.amount;
+        // Only the unreleased remainder goes back to the payer
+        uint256 amount = _remaining(_escrowId);
         address payer = escrow.payer;
         
-        // Use transfer with limited gas to prevent reentrancy
-        (bool success, ) = payer.call{value: amount, gas: 2300}("");
-        require(success, "Refund failed");
+        _payout(_escrowId, payer, amount);
         
         emit EscrowRefunded(_escrowId, amount);
     }
@@ -230,8 +509,50 @@ contract PaymentProcessor is ReentrancyGuard, Pausable, Ownable {
         emit EscrowDisputed(_escrowId, msg.sender, _reason);
     }
     
+    /**
+     * @notice Resolve a disputed escrow (arbiter only)
+     * @dev 10000 bps = full release to payee, 0 = full refund to payer, anything between splits the funds
+     * @param _escrowId Disputed escrow ID
+     * @param _payeeBps Share of the escrow paid to the payee, in basis points
+     */
+    function resolveDispute(bytes32 _escrowId, uint256 _payeeBps) external nonReentrant whenNotPaused {
+        Escrow storage escrow = escrows[_escrowId];
+        
+        require(escrow.status == EscrowStatus.Disputed, "Not disputed");
+        require(msg.sender == getArbiter(_escrowId), "Only arbiter can resolve");
+        require(_payeeBps <= BPS_DENOMINATOR, "Invalid split");
+        
+        escrow.status = EscrowStatus.Resolved;
+        escrow.completedAt = block.timestamp;
+        
+        uint256 remaining = _remaining(_escrowId);
+        uint256 payeeAmount = (remaining * _payeeBps) / BPS_DENOMINATOR;
+        uint256 payerAmount = remaining - payeeAmount;
+        releasedAmounts[_escrowId] += payeeAmount;
+        
+        if (payeeAmount > 0) _payPayee(_escrowId, escrow.payee, payeeAmount);
+        if (payerAmount > 0) _payout(_escrowId, escrow.payer, payerAmount);
+        
+        emit DisputeResolved(_escrowId, msg.sender, payeeAmount, payerAmount, _payeeBps);
+        if (_payeeBps == BPS_DENOMINATOR) {
+            emit TrustEstablishmentTriggered(_escrowId, escrow.payer, escrow.payee);
+        }
+    }
+    
+    /**
+     * @notice Arbiter allowed to resolve disputes on an escrow
+     * @param _escrowId Escrow ID
+     * @return Per-escrow arbiter, else the default arbiter, else the owner
+     */
+    function getArbiter(bytes32 _escrowId) public view returns (address) {
+        if (escrowArbiters[_escrowId] != address(0)) return escrowArbiters[_escrowId];
+        if (defaultArbiter != address(0)) return defaultArbiter;
+        return owner();
+    }
+    
     /**
      * @notice Claim expired escrow (auto-refund to payer)
+     * @dev Callable by the payer, the payee, a keeper or the owner; funds always go back to the payer
      * @param _escrowId Expired escrow ID
      */
     function claimExpiredEscrow(bytes32 _escrowId) external nonReentrant whenNotPaused {
@@ -240,22 +561,61 @@ contract PaymentProcessor is ReentrancyGuard, Pausable, Ownable {
         require(escrow.status == EscrowStatus.Active, "Not active");
         require(block.timestamp >= escrow.expirationTime, "Not expired");
         require(
-            escrow.payer == msg.sender || escrow.payee == msg.sender,
+            escrow.payer == msg.sender || escrow.payee == msg.sender || keepers[msg.sender] || owner() == msg.sender,
             "Not authorized"
         );
         
         escrow.status = EscrowStatus.Refunded;
         escrow.completedAt = block.timestamp;
         
-        uint256 amount = escrow.amount;
+        uint256 amount = _remaining(_escrowId);
         address payer = escrow.payer;
         
-        (bool success, ) = payer.call{value: amount, gas: 2300}("");
-        require(success, "Refund failed");
+        _payout(_escrowId, payer, amount);
         
         emit EscrowExpired(_escrowId, amount, payer);
     }
     
+    /**
+     * @notice Get the milestones of an escrow
+     * @param _escrowId Escrow ID
+     * @return Milestones (empty for single-release escrows)
+     */
+    function getMilestones(bytes32 _escrowId) external view returns (Milestone[] memory) {
+        return escrowMilestones[_escrowId];
+    }
+    
+    /**
+     * @dev Pay out escrowed funds in the escrow's currency
+     */
+    function _payout(bytes32 _escrowId, address _to, uint256 _amount) internal {
+        address token = escrowTokens[_escrowId];
+        if (token == address(0)) {
+            // Use transfer with limited gas to prevent reentrancy
+            (bool success, ) = _to.call{value: _amount, gas: 2300}("");
+            require(success, "Transfer failed");
+        } else {
+            IERC20(token).safeTransfer(_to, _amount);
+        }
+    }
+    
+    /**
+     * @dev Pay the payee, keeping the escrow's platform fee in the treasury
+     */
+    function _payPayee(bytes32 _escrowId, address _payee, uint256 _amount) internal {
+        uint256 fee = (_amount * escrowFeeBps[_escrowId]) / BPS_DENOMINATOR;
+        if (fee > 0) {
+            address token = escrowTokens[_escrowId];
+            accruedFees[token] += fee;
+            emit PlatformFeeCollected(_escrowId, token, fee);
+        }
+        _payout(_escrowId, _payee, _amount - fee);
+    }
+    
+    function _remaining(bytes32 _escrowId) internal view returns (uint256) {
+        return escrows[_escrowId].amount - releasedAmounts[_escrowId];
+    }
+    
     /**
      * @notice Get escrow details
      * @param _escrowId Escrow ID
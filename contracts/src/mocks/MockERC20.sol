@@ -0,0 +1,20 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/**
+ * @title MockERC20
+ * @notice Test token standing in for an HTS token's ERC-20 facade (6 decimals, like USDC)
+ */
+contract MockERC20 is ERC20 {
+    constructor() ERC20("Mock USDC", "USDC") {}
+    
+    function decimals() public pure override returns (uint8) {
+        return 6;
+    }
+    
+    function mint(address _to, uint256 _amount) external {
+        _mint(_to, _amount);
+    }
+}
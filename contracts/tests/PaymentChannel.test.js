@@ -0,0 +1,195 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("PaymentChannel", function () {
+  let paymentChannel;
+  let owner, payer, payee, other;
+  const deposit = ethers.parseEther("10");
+
+  beforeEach(async function () {
+    [owner, payer, payee, other] = await ethers.getSigners();
+
+    const PaymentChannel = await ethers.getContractFactory("PaymentChannel");
+    paymentChannel = await PaymentChannel.deploy(owner.address);
+    await paymentChannel.waitForDeployment();
+  });
+
+  async function openChannel(expirationDays = 1, value = deposit) {
+    const tx = await paymentChannel.connect(payer).openChannel(payee.address, expirationDays, { value });
+    const receipt = await tx.wait();
+    const event = receipt.logs.find(log => {
+      try {
+        return paymentChannel.interface.parseLog(log).name === "ChannelOpened";
+      } catch {
+        return false;
+      }
+    });
+    return paymentChannel.interface.parseLog(event).args.channelId;
+  }
+
+  async function signVoucher(signer, channelId, amount) {
+    const hash = await paymentChannel.voucherHash(channelId, amount);
+    return signer.signMessage(ethers.getBytes(hash));
+  }
+
+  async function expire() {
+    await ethers.provider.send("evm_increaseTime", [2 * 24 * 60 * 60]);
+    await ethers.provider.send("evm_mine", []);
+  }
+
+  describe("Opening", function () {
+    it("Should open a funded channel", async function () {
+      const channelId = await openChannel();
+
+      const channel = await paymentChannel.getChannel(channelId);
+      expect(channel.payer).to.equal(payer.address);
+      expect(channel.payee).to.equal(payee.address);
+      expect(channel.deposit).to.equal(deposit);
+      expect(channel.status).to.equal(0); // Open
+    });
+
+    it("Should require a deposit", async function () {
+      await expect(
+        paymentChannel.connect(payer).openChannel(payee.address, 1, { value: 0 })
+      ).to.be.revertedWith("Deposit must be > 0");
+    });
+
+    it("Should prevent self-payment", async function () {
+      await expect(
+        paymentChannel.connect(payer).openChannel(payer.address, 1, { value: deposit })
+      ).to.be.revertedWith("Cannot pay yourself");
+    });
+
+    it("Should let only the payer top up", async function () {
+      const channelId = await openChannel();
+      const amount = ethers.parseEther("2");
+
+      await expect(
+        paymentChannel.connect(payer).topUp(channelId, { value: amount })
+      ).to.emit(paymentChannel, "ChannelToppedUp")
+        .withArgs(channelId, amount, deposit + amount);
+
+      await expect(
+        paymentChannel.connect(other).topUp(channelId, { value: amount })
+      ).to.be.revertedWith("Only payer can top up");
+    });
+  });
+
+  describe("Closing", function () {
+    let channelId;
+
+    beforeEach(async function () {
+      channelId = await openChannel();
+    });
+
+    it("Should pay the latest voucher to the payee and refund the rest", async function () {
+      const owed = ethers.parseEther("3");
+      const signature = await signVoucher(payer, channelId, owed);
+      expect(await paymentChannel.isValidVoucher(channelId, owed, signature)).to.equal(true);
+
+      const payerBalanceBefore = await ethers.provider.getBalance(payer.address);
+      const payeeBalanceBefore = await ethers.provider.getBalance(payee.address);
+
+      const tx = await paymentChannel.connect(payee).closeChannel(channelId, owed, signature);
+      const receipt = await tx.wait();
+      const gasCost = receipt.gasUsed * receipt.gasPrice;
+
+      await expect(tx).to.emit(paymentChannel, "ChannelClosed")
+        .withArgs(channelId, owed, deposit - owed);
+      expect(await ethers.provider.getBalance(payee.address) - payeeBalanceBefore + gasCost).to.equal(owed);
+      expect(await ethers.provider.getBalance(payer.address) - payerBalanceBefore).to.equal(deposit - owed);
+
+      const channel = await paymentChannel.getChannel(channelId);
+      expect(channel.status).to.equal(1); // Closed
+      expect(channel.redeemed).to.equal(owed);
+    });
+
+    it("Should reject vouchers not signed by the payer", async function () {
+      const owed = ethers.parseEther("3");
+      const signature = await signVoucher(other, channelId, owed);
+
+      await expect(
+        paymentChannel.connect(payee).closeChannel(channelId, owed, signature)
+      ).to.be.revertedWith("Invalid voucher signature");
+    });
+
+    it("Should reject a voucher presented for a different amount", async function () {
+      const signature = await signVoucher(payer, channelId, ethers.parseEther("1"));
+
+      await expect(
+        paymentChannel.connect(payee).closeChannel(channelId, ethers.parseEther("5"), signature)
+      ).to.be.revertedWith("Invalid voucher signature");
+    });
+
+    it("Should reject vouchers above the deposit", async function () {
+      const owed = deposit + 1n;
+      const signature = await signVoucher(payer, channelId, owed);
+
+      await expect(
+        paymentChannel.connect(payee).closeChannel(channelId, owed, signature)
+      ).to.be.revertedWith("Voucher exceeds deposit");
+    });
+
+    it("Should only allow the payee to close", async function () {
+      const owed = ethers.parseEther("1");
+      const signature = await signVoucher(payer, channelId, owed);
+
+      await expect(
+        paymentChannel.connect(payer).closeChannel(channelId, owed, signature)
+      ).to.be.revertedWith("Only payee can close");
+    });
+
+    it("Should let the payee release the deposit without a voucher", async function () {
+      await expect(
+        paymentChannel.connect(payee).closeChannel(channelId, 0, "0x")
+      ).to.emit(paymentChannel, "ChannelClosed")
+        .withArgs(channelId, 0, deposit);
+    });
+
+    it("Should not close twice", async function () {
+      const owed = ethers.parseEther("1");
+      const signature = await signVoucher(payer, channelId, owed);
+      await paymentChannel.connect(payee).closeChannel(channelId, owed, signature);
+
+      await expect(
+        paymentChannel.connect(payee).closeChannel(channelId, owed, signature)
+      ).to.be.revertedWith("Not open");
+    });
+  });
+
+  describe("Expiry", function () {
+    let channelId;
+
+    beforeEach(async function () {
+      channelId = await openChannel(1);
+    });
+
+    it("Should not refund before expiration", async function () {
+      await expect(
+        paymentChannel.connect(payer).claimExpiredChannel(channelId)
+      ).to.be.revertedWith("Not expired");
+    });
+
+    it("Should refund the whole deposit to the payer after expiration", async function () {
+      await expire();
+
+      await expect(
+        paymentChannel.connect(payer).claimExpiredChannel(channelId)
+      ).to.emit(paymentChannel, "ChannelExpired")
+        .withArgs(channelId, deposit);
+
+      const channel = await paymentChannel.getChannel(channelId);
+      expect(channel.status).to.equal(2); // Expired
+    });
+
+    it("Should not let the payee close after expiration", async function () {
+      const owed = ethers.parseEther("1");
+      const signature = await signVoucher(payer, channelId, owed);
+      await expire();
+
+      await expect(
+        paymentChannel.connect(payee).closeChannel(channelId, owed, signature)
+      ).to.be.revertedWith("Channel expired");
+    });
+  });
+});
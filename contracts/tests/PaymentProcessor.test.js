@@ -3,10 +3,10 @@ const { ethers } = require("hardhat");
 
 describe("PaymentProcessor", function () {
   let paymentProcessor;
-  let payer, payee, other;
+  let payer, payee, other, arbiter;
 
   beforeEach(async function () {
-    [payer, payee, other] = await ethers.getSigners();
+    [payer, payee, other, arbiter] = await ethers.getSigners();
     
     const PaymentProcessor = await ethers.getContractFactory("PaymentProcessor");
     paymentProcessor = await PaymentProcessor.deploy(payer.address);
@@ -242,6 +242,613 @@ describe("PaymentProcessor", function () {
     });
   });
 
+  describe("Escrow Expiry", function () {
+    let escrowId;
+    const amount = ethers.parseEther("4");
+
+    beforeEach(async function () {
+      const tx = await paymentProcessor.connect(other).createEscrow(
+        payee.address,
+        "Service",
+        1, // 1 day
+        { value: amount }
+      );
+
+      const receipt = await tx.wait();
+      const event = receipt.logs.find(log => {
+        try {
+          const parsed = paymentProcessor.interface.parseLog(log);
+          return parsed.name === "EscrowCreated";
+        } catch {
+          return false;
+        }
+      });
+
+      escrowId = paymentProcessor.interface.parseLog(event).args.escrowId;
+    });
+
+    async function expire() {
+      await ethers.provider.send("evm_increaseTime", [2 * 24 * 60 * 60]);
+      await ethers.provider.send("evm_mine", []);
+    }
+
+    it("Should not claim before expiration", async function () {
+      await expect(
+        paymentProcessor.connect(other).claimExpiredEscrow(escrowId)
+      ).to.be.revertedWith("Not expired");
+    });
+
+    it("Should let a keeper sweep an expired escrow back to the payer", async function () {
+      await expect(
+        paymentProcessor.connect(payer).setKeeper(arbiter.address, true)
+      ).to.emit(paymentProcessor, "KeeperUpdated")
+        .withArgs(arbiter.address, true);
+      await expire();
+      const payerBalanceBefore = await ethers.provider.getBalance(other.address);
+
+      await expect(
+        paymentProcessor.connect(arbiter).claimExpiredEscrow(escrowId)
+      ).to.emit(paymentProcessor, "EscrowExpired")
+        .withArgs(escrowId, amount, other.address);
+
+      expect(await ethers.provider.getBalance(other.address) - payerBalanceBefore).to.equal(amount);
+      const escrow = await paymentProcessor.getEscrow(escrowId);
+      expect(escrow.status).to.equal(2); // Refunded
+    });
+
+    it("Should let the owner sweep expired escrows", async function () {
+      await expire();
+
+      await expect(
+        paymentProcessor.connect(payer).claimExpiredEscrow(escrowId)
+      ).to.emit(paymentProcessor, "EscrowExpired");
+    });
+
+    it("Should reject sweeps from non-keepers", async function () {
+      await expire();
+
+      await expect(
+        paymentProcessor.connect(arbiter).claimExpiredEscrow(escrowId)
+      ).to.be.revertedWith("Not authorized");
+    });
+
+    it("Should only allow owner to manage keepers", async function () {
+      await expect(
+        paymentProcessor.connect(other).setKeeper(other.address, true)
+      ).to.be.reverted;
+    });
+  });
+
+  describe("Milestone Escrows", function () {
+    let escrowId;
+    const milestoneAmounts = [ethers.parseEther("2"), ethers.parseEther("3"), ethers.parseEther("5")];
+    const amount = ethers.parseEther("10");
+
+    beforeEach(async function () {
+      const tx = await paymentProcessor.connect(payer).createMilestoneEscrow(
+        payee.address,
+        "Staged delivery",
+        0,
+        milestoneAmounts,
+        ["Design", "Build", "Launch"],
+        { value: amount }
+      );
+
+      const receipt = await tx.wait();
+      const event = receipt.logs.find(log => {
+        try {
+          const parsed = paymentProcessor.interface.parseLog(log);
+          return parsed.name === "EscrowCreated";
+        } catch {
+          return false;
+        }
+      });
+
+      escrowId = paymentProcessor.interface.parseLog(event).args.escrowId;
+    });
+
+    it("Should store milestones", async function () {
+      const milestones = await paymentProcessor.getMilestones(escrowId);
+      expect(milestones.length).to.equal(3);
+      expect(milestones[1].amount).to.equal(milestoneAmounts[1]);
+      expect(milestones[1].description).to.equal("Build");
+      expect(milestones[1].released).to.equal(false);
+    });
+
+    it("Should require milestones to sum to the escrow amount", async function () {
+      await expect(
+        paymentProcessor.connect(payer).createMilestoneEscrow(
+          payee.address,
+          "Service",
+          0,
+          milestoneAmounts,
+          ["Design", "Build", "Launch"],
+          { value: ethers.parseEther("9") }
+        )
+      ).to.be.revertedWith("Milestones must sum to amount");
+    });
+
+    it("Should release a single milestone", async function () {
+      const payeeBalanceBefore = await ethers.provider.getBalance(payee.address);
+
+      await expect(
+        paymentProcessor.connect(payer).releaseMilestone(escrowId, 1)
+      ).to.emit(paymentProcessor, "MilestoneReleased")
+        .withArgs(escrowId, 1, milestoneAmounts[1], amount - milestoneAmounts[1]);
+
+      const payeeBalanceAfter = await ethers.provider.getBalance(payee.address);
+      expect(payeeBalanceAfter - payeeBalanceBefore).to.equal(milestoneAmounts[1]);
+      expect(await paymentProcessor.releasedAmounts(escrowId)).to.equal(milestoneAmounts[1]);
+
+      const escrow = await paymentProcessor.getEscrow(escrowId);
+      expect(escrow.status).to.equal(0); // Still active
+    });
+
+    it("Should not release a milestone twice", async function () {
+      await paymentProcessor.connect(payer).releaseMilestone(escrowId, 0);
+
+      await expect(
+        paymentProcessor.connect(payer).releaseMilestone(escrowId, 0)
+      ).to.be.revertedWith("Milestone already released");
+    });
+
+    it("Should only allow payer to release milestones", async function () {
+      await expect(
+        paymentProcessor.connect(payee).releaseMilestone(escrowId, 0)
+      ).to.be.revertedWith("Only payer can release");
+    });
+
+    it("Should reject unknown milestones", async function () {
+      await expect(
+        paymentProcessor.connect(payer).releaseMilestone(escrowId, 3)
+      ).to.be.revertedWith("Invalid milestone");
+    });
+
+    it("Should complete after the last milestone", async function () {
+      await paymentProcessor.connect(payer).releaseMilestone(escrowId, 0);
+      await paymentProcessor.connect(payer).releaseMilestone(escrowId, 2);
+
+      await expect(
+        paymentProcessor.connect(payer).releaseMilestone(escrowId, 1)
+      ).to.emit(paymentProcessor, "EscrowCompleted")
+        .withArgs(escrowId, amount);
+
+      const escrow = await paymentProcessor.getEscrow(escrowId);
+      expect(escrow.status).to.equal(1); // Completed
+      expect(await paymentProcessor.getContractBalance()).to.equal(0);
+    });
+
+    it("Should refund only the unreleased remainder", async function () {
+      await paymentProcessor.connect(payer).releaseMilestone(escrowId, 0);
+      const remaining = amount - milestoneAmounts[0];
+
+      await expect(
+        paymentProcessor.connect(payee).refundEscrow(escrowId)
+      ).to.emit(paymentProcessor, "EscrowRefunded")
+        .withArgs(escrowId, remaining);
+
+      expect(await paymentProcessor.getContractBalance()).to.equal(0);
+    });
+
+    it("Should release the remainder with releaseEscrow", async function () {
+      await paymentProcessor.connect(payer).releaseMilestone(escrowId, 2);
+      const payeeBalanceBefore = await ethers.provider.getBalance(payee.address);
+
+      await paymentProcessor.connect(payer).releaseEscrow(escrowId);
+
+      const payeeBalanceAfter = await ethers.provider.getBalance(payee.address);
+      expect(payeeBalanceAfter - payeeBalanceBefore).to.equal(amount - milestoneAmounts[2]);
+    });
+
+    it("Should split only the remainder when resolving a dispute", async function () {
+      await paymentProcessor.connect(payer).releaseMilestone(escrowId, 2);
+      await paymentProcessor.connect(payee).disputeEscrow(escrowId, "Build not delivered");
+
+      const remaining = amount - milestoneAmounts[2];
+      await expect(
+        paymentProcessor.connect(payer).resolveDispute(escrowId, 5000) // owner is the fallback arbiter
+      ).to.emit(paymentProcessor, "DisputeResolved")
+        .withArgs(escrowId, payer.address, remaining / 2n, remaining / 2n, 5000);
+    });
+  });
+
+  describe("Dispute Resolution", function () {
+    let escrowId;
+    const amount = ethers.parseEther("10");
+
+    async function createEscrowWithArbiter(arbiterAddress) {
+      const tx = await paymentProcessor.connect(payer).createEscrowWithArbiter(
+        payee.address,
+        "Disputed service",
+        0,
+        arbiterAddress,
+        { value: amount }
+      );
+
+      const receipt = await tx.wait();
+      const event = receipt.logs.find(log => {
+        try {
+          const parsed = paymentProcessor.interface.parseLog(log);
+          return parsed.name === "EscrowCreated";
+        } catch {
+          return false;
+        }
+      });
+
+      return paymentProcessor.interface.parseLog(event).args.escrowId;
+    }
+
+    beforeEach(async function () {
+      escrowId = await createEscrowWithArbiter(arbiter.address);
+      await paymentProcessor.connect(payee).disputeEscrow(escrowId, "Work not delivered");
+    });
+
+    it("Should mark escrow as disputed", async function () {
+      const escrow = await paymentProcessor.getEscrow(escrowId);
+      expect(escrow.status).to.equal(3); // Disputed
+      expect(await paymentProcessor.getArbiter(escrowId)).to.equal(arbiter.address);
+    });
+
+    it("Should resolve with a full release to payee", async function () {
+      const payeeBalanceBefore = await ethers.provider.getBalance(payee.address);
+
+      await expect(
+        paymentProcessor.connect(arbiter).resolveDispute(escrowId, 10000)
+      ).to.emit(paymentProcessor, "DisputeResolved")
+        .withArgs(escrowId, arbiter.address, amount, 0, 10000)
+        .and.to.emit(paymentProcessor, "TrustEstablishmentTriggered");
+
+      const payeeBalanceAfter = await ethers.provider.getBalance(payee.address);
+      expect(payeeBalanceAfter - payeeBalanceBefore).to.equal(amount);
+
+      const escrow = await paymentProcessor.getEscrow(escrowId);
+      expect(escrow.status).to.equal(4); // Resolved
+    });
+
+    it("Should resolve with a full refund to payer", async function () {
+      const payerBalanceBefore = await ethers.provider.getBalance(payer.address);
+
+      await expect(
+        paymentProcessor.connect(arbiter).resolveDispute(escrowId, 0)
+      ).to.emit(paymentProcessor, "DisputeResolved")
+        .withArgs(escrowId, arbiter.address, 0, amount, 0);
+
+      const payerBalanceAfter = await ethers.provider.getBalance(payer.address);
+      expect(payerBalanceAfter - payerBalanceBefore).to.equal(amount);
+    });
+
+    it("Should split funds by percentage", async function () {
+      const payerBalanceBefore = await ethers.provider.getBalance(payer.address);
+      const payeeBalanceBefore = await ethers.provider.getBalance(payee.address);
+
+      await paymentProcessor.connect(arbiter).resolveDispute(escrowId, 2500); // 25% to payee
+
+      const payeeAmount = amount / 4n;
+      expect(await ethers.provider.getBalance(payee.address) - payeeBalanceBefore).to.equal(payeeAmount);
+      expect(await ethers.provider.getBalance(payer.address) - payerBalanceBefore).to.equal(amount - payeeAmount);
+      expect(await paymentProcessor.getContractBalance()).to.equal(0);
+    });
+
+    it("Should only allow the arbiter to resolve", async function () {
+      await expect(
+        paymentProcessor.connect(payee).resolveDispute(escrowId, 10000)
+      ).to.be.revertedWith("Only arbiter can resolve");
+    });
+
+    it("Should reject splits above 100%", async function () {
+      await expect(
+        paymentProcessor.connect(arbiter).resolveDispute(escrowId, 10001)
+      ).to.be.revertedWith("Invalid split");
+    });
+
+    it("Should not resolve twice", async function () {
+      await paymentProcessor.connect(arbiter).resolveDispute(escrowId, 10000);
+
+      await expect(
+        paymentProcessor.connect(arbiter).resolveDispute(escrowId, 0)
+      ).to.be.revertedWith("Not disputed");
+    });
+
+    it("Should not resolve an escrow that is not disputed", async function () {
+      const activeEscrowId = await createEscrowWithArbiter(arbiter.address);
+
+      await expect(
+        paymentProcessor.connect(arbiter).resolveDispute(activeEscrowId, 10000)
+      ).to.be.revertedWith("Not disputed");
+    });
+
+    it("Should require an independent arbiter", async function () {
+      await expect(
+        paymentProcessor.connect(payer).createEscrowWithArbiter(
+          payee.address,
+          "Service",
+          0,
+          payee.address,
+          { value: amount }
+        )
+      ).to.be.revertedWith("Arbiter must be independent");
+    });
+
+    it("Should fall back to the owner-appointed default arbiter", async function () {
+      const tx = await paymentProcessor.connect(other).createEscrow(
+        payee.address,
+        "Service",
+        0,
+        { value: amount }
+      );
+      const receipt = await tx.wait();
+      const event = receipt.logs.find(log => {
+        try {
+          return paymentProcessor.interface.parseLog(log).name === "EscrowCreated";
+        } catch {
+          return false;
+        }
+      });
+      const plainEscrowId = paymentProcessor.interface.parseLog(event).args.escrowId;
+
+      // Owner (payer account) resolves until a default arbiter is appointed
+      expect(await paymentProcessor.getArbiter(plainEscrowId)).to.equal(payer.address);
+
+      await expect(
+        paymentProcessor.connect(payer).setDefaultArbiter(arbiter.address)
+      ).to.emit(paymentProcessor, "DefaultArbiterUpdated")
+        .withArgs(ethers.ZeroAddress, arbiter.address);
+
+      await paymentProcessor.connect(other).disputeEscrow(plainEscrowId, "Late delivery");
+      await expect(
+        paymentProcessor.connect(arbiter).resolveDispute(plainEscrowId, 5000)
+      ).to.emit(paymentProcessor, "DisputeResolved");
+    });
+
+    it("Should only allow owner to set the default arbiter", async function () {
+      await expect(
+        paymentProcessor.connect(other).setDefaultArbiter(other.address)
+      ).to.be.reverted;
+    });
+  });
+
+  describe("Token Escrows", function () {
+    let token, escrowId;
+    const amount = 1_000_000n * 100n; // 100 USDC (6 decimals)
+
+    beforeEach(async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      token = await MockERC20.deploy();
+      await token.waitForDeployment();
+      await token.mint(payer.address, amount * 10n);
+      await token.connect(payer).approve(await paymentProcessor.getAddress(), amount * 10n);
+
+      const tx = await paymentProcessor.connect(payer).createTokenEscrow(
+        await token.getAddress(),
+        payee.address,
+        amount,
+        "Token service",
+        0
+      );
+
+      const receipt = await tx.wait();
+      const event = receipt.logs.find(log => {
+        try {
+          const parsed = paymentProcessor.interface.parseLog(log);
+          return parsed.name === "EscrowCreated";
+        } catch {
+          return false;
+        }
+      });
+
+      escrowId = paymentProcessor.interface.parseLog(event).args.escrowId;
+    });
+
+    it("Should hold tokens in escrow", async function () {
+      expect(await token.balanceOf(await paymentProcessor.getAddress())).to.equal(amount);
+      expect(await paymentProcessor.escrowTokens(escrowId)).to.equal(await token.getAddress());
+
+      const escrow = await paymentProcessor.getEscrow(escrowId);
+      expect(escrow.amount).to.equal(amount);
+      expect(escrow.status).to.equal(0); // Active
+    });
+
+    it("Should emit EscrowCreated and TokenEscrowCreated events", async function () {
+      await expect(
+        paymentProcessor.connect(payer).createTokenEscrow(await token.getAddress(), payee.address, amount, "Service", 0)
+      ).to.emit(paymentProcessor, "EscrowCreated")
+        .and.to.emit(paymentProcessor, "TokenEscrowCreated");
+    });
+
+    it("Should release tokens to payee", async function () {
+      await expect(
+        paymentProcessor.connect(payer).releaseEscrow(escrowId)
+      ).to.emit(paymentProcessor, "EscrowCompleted")
+        .withArgs(escrowId, amount);
+
+      expect(await token.balanceOf(payee.address)).to.equal(amount);
+      expect(await token.balanceOf(await paymentProcessor.getAddress())).to.equal(0);
+    });
+
+    it("Should refund tokens to payer", async function () {
+      const payerBalanceBefore = await token.balanceOf(payer.address);
+
+      await paymentProcessor.connect(payee).refundEscrow(escrowId);
+
+      expect(await token.balanceOf(payer.address) - payerBalanceBefore).to.equal(amount);
+    });
+
+    it("Should split tokens when resolving a dispute", async function () {
+      await paymentProcessor.connect(payer).disputeEscrow(escrowId, "Partial delivery");
+      const payerBalanceBefore = await token.balanceOf(payer.address);
+
+      await paymentProcessor.connect(payer).resolveDispute(escrowId, 4000); // owner arbitrates
+
+      expect(await token.balanceOf(payee.address)).to.equal(amount * 4n / 10n);
+      expect(await token.balanceOf(payer.address) - payerBalanceBefore).to.equal(amount * 6n / 10n);
+    });
+
+    it("Should refund expired token escrows", async function () {
+      await ethers.provider.send("evm_increaseTime", [31 * 24 * 60 * 60]);
+      await ethers.provider.send("evm_mine", []);
+      const payerBalanceBefore = await token.balanceOf(payer.address);
+
+      await expect(
+        paymentProcessor.connect(payee).claimExpiredEscrow(escrowId)
+      ).to.emit(paymentProcessor, "EscrowExpired")
+        .withArgs(escrowId, amount, payer.address);
+
+      expect(await token.balanceOf(payer.address) - payerBalanceBefore).to.equal(amount);
+    });
+
+    it("Should not touch the HBAR balance", async function () {
+      expect(await paymentProcessor.getContractBalance()).to.equal(0);
+    });
+
+    it("Should require an allowance", async function () {
+      await expect(
+        paymentProcessor.connect(other).createTokenEscrow(await token.getAddress(), payee.address, amount, "Service", 0)
+      ).to.be.reverted;
+    });
+  });
+
+  describe("Platform Fees", function () {
+    const amount = ethers.parseEther("10");
+    const ZERO = ethers.ZeroAddress;
+
+    async function createEscrow() {
+      const tx = await paymentProcessor.connect(payer).createEscrow(payee.address, "Service", 0, { value: amount });
+      const receipt = await tx.wait();
+      const event = receipt.logs.find(log => {
+        try {
+          return paymentProcessor.interface.parseLog(log).name === "EscrowCreated";
+        } catch {
+          return false;
+        }
+      });
+      return paymentProcessor.interface.parseLog(event).args.escrowId;
+    }
+
+    it("Should let the owner set the fee", async function () {
+      await expect(paymentProcessor.connect(payer).setPlatformFee(250))
+        .to.emit(paymentProcessor, "PlatformFeeUpdated")
+        .withArgs(0, 250);
+      expect(await paymentProcessor.platformFeeBps()).to.equal(250);
+    });
+
+    it("Should reject fees above the maximum", async function () {
+      await expect(
+        paymentProcessor.connect(payer).setPlatformFee(1001)
+      ).to.be.revertedWith("Fee too high");
+    });
+
+    it("Should only allow owner to set the fee", async function () {
+      await expect(paymentProcessor.connect(other).setPlatformFee(100)).to.be.reverted;
+    });
+
+    it("Should keep the fee from a release", async function () {
+      await paymentProcessor.connect(payer).setPlatformFee(250);
+      const escrowId = await createEscrow();
+      const fee = amount * 250n / 10000n;
+      const payeeBalanceBefore = await ethers.provider.getBalance(payee.address);
+
+      await expect(paymentProcessor.connect(payer).releaseEscrow(escrowId))
+        .to.emit(paymentProcessor, "PlatformFeeCollected")
+        .withArgs(escrowId, ZERO, fee);
+
+      expect(await ethers.provider.getBalance(payee.address) - payeeBalanceBefore).to.equal(amount - fee);
+      expect(await paymentProcessor.accruedFees(ZERO)).to.equal(fee);
+      expect(await paymentProcessor.getContractBalance()).to.equal(fee);
+    });
+
+    it("Should charge escrows the fee they were created with", async function () {
+      const escrowId = await createEscrow();
+      await paymentProcessor.connect(payer).setPlatformFee(500);
+
+      await expect(
+        paymentProcessor.connect(payer).releaseEscrow(escrowId)
+      ).to.not.emit(paymentProcessor, "PlatformFeeCollected");
+      expect(await paymentProcessor.escrowFeeBps(escrowId)).to.equal(0);
+    });
+
+    it("Should not take a fee from refunds", async function () {
+      await paymentProcessor.connect(payer).setPlatformFee(250);
+      const escrowId = await createEscrow();
+
+      await paymentProcessor.connect(payee).refundEscrow(escrowId);
+
+      expect(await paymentProcessor.accruedFees(ZERO)).to.equal(0);
+    });
+
+    it("Should take the fee from each milestone and the payee share of a dispute", async function () {
+      await paymentProcessor.connect(payer).setPlatformFee(1000);
+      const tx = await paymentProcessor.connect(payer).createMilestoneEscrow(
+        payee.address, "Staged", 0,
+        [ethers.parseEther("4"), ethers.parseEther("6")], ["Design", "Build"],
+        { value: amount }
+      );
+      const receipt = await tx.wait();
+      const escrowId = receipt.logs
+        .map(log => { try { return paymentProcessor.interface.parseLog(log); } catch { return null; } })
+        .find(parsed => parsed && parsed.name === "EscrowCreated").args.escrowId;
+
+      await paymentProcessor.connect(payer).releaseMilestone(escrowId, 0);
+      await paymentProcessor.connect(payer).disputeEscrow(escrowId, "Build incomplete");
+      await paymentProcessor.connect(payer).resolveDispute(escrowId, 5000);
+
+      // 10% of 4 HBAR plus 10% of the 3 HBAR payee share
+      expect(await paymentProcessor.accruedFees(ZERO)).to.equal(ethers.parseEther("0.7"));
+    });
+
+    it("Should accrue token fees per token and let the owner withdraw them", async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const token = await MockERC20.deploy();
+      await token.waitForDeployment();
+      const tokenAmount = 100_000_000n;
+      await token.mint(payer.address, tokenAmount);
+      await token.connect(payer).approve(await paymentProcessor.getAddress(), tokenAmount);
+      await paymentProcessor.connect(payer).setPlatformFee(100);
+
+      const tx = await paymentProcessor.connect(payer).createTokenEscrow(await token.getAddress(), payee.address, tokenAmount, "Token service", 0);
+      const receipt = await tx.wait();
+      const escrowId = receipt.logs
+        .map(log => { try { return paymentProcessor.interface.parseLog(log); } catch { return null; } })
+        .find(parsed => parsed && parsed.name === "EscrowCreated").args.escrowId;
+      await paymentProcessor.connect(payer).releaseEscrow(escrowId);
+
+      expect(await token.balanceOf(payee.address)).to.equal(tokenAmount * 99n / 100n);
+      expect(await paymentProcessor.accruedFees(await token.getAddress())).to.equal(tokenAmount / 100n);
+      expect(await paymentProcessor.accruedFees(ZERO)).to.equal(0);
+
+      await expect(paymentProcessor.connect(payer).withdrawFees(await token.getAddress(), other.address, tokenAmount / 100n))
+        .to.emit(paymentProcessor, "FeesWithdrawn")
+        .withArgs(await token.getAddress(), other.address, tokenAmount / 100n);
+      expect(await token.balanceOf(other.address)).to.equal(tokenAmount / 100n);
+    });
+
+    it("Should withdraw HBAR fees to the recipient", async function () {
+      await paymentProcessor.connect(payer).setPlatformFee(250);
+      await paymentProcessor.connect(payer).releaseEscrow(await createEscrow());
+      const fee = amount * 250n / 10000n;
+      const otherBalanceBefore = await ethers.provider.getBalance(other.address);
+
+      await paymentProcessor.connect(payer).withdrawFees(ZERO, other.address, fee);
+
+      expect(await ethers.provider.getBalance(other.address) - otherBalanceBefore).to.equal(fee);
+      expect(await paymentProcessor.accruedFees(ZERO)).to.equal(0);
+    });
+
+    it("Should not withdraw more than the accrued fees or escrowed funds", async function () {
+      await createEscrow();
+      await expect(
+        paymentProcessor.connect(payer).withdrawFees(ZERO, other.address, 1)
+      ).to.be.revertedWith("Insufficient fees");
+    });
+
+    it("Should only allow owner to withdraw fees", async function () {
+      await paymentProcessor.connect(payer).setPlatformFee(250);
+      await paymentProcessor.connect(payer).releaseEscrow(await createEscrow());
+      await expect(
+        paymentProcessor.connect(other).withdrawFees(ZERO, other.address, 1)
+      ).to.be.reverted;
+    });
+  });
+
   describe("Escrow Queries", function () {
     it("Should get payer escrows", async function () {
       const amount = ethers.parseEther("1");
@@ -9,6 +9,9 @@ import PaymentRequest from '@/components/payment-request'
 import ProgressSidebar, { type ProgressItem } from '@/components/progress-sidebar'
 import { formatPaymentConfirmation } from '@/lib/format-utils'
 import { prepareAndSignEscrowForBackend } from '@/lib/wallet-transaction-signer'
+import { getSigningSession, SIGNING_SESSION_HEADER } from '@/lib/signing-session'
+import { getStoredChatSessionId, loadStoredChatSession, storeChatSessionId } from '@/lib/chat-session'
+import { streamChat } from '@/lib/ai-stream'
 
 type MessageRole = 'user' | 'assistant' | 'event' | 'connector'
 
@@ -56,6 +59,7 @@ export default function ChatPage() {
   const [sellerName, setSellerName] = useState<string | undefined>(undefined)
   const [isProgressThinking, setIsProgressThinking] = useState(false)
   const initializedRef = useRef(false)
+  const chatAbortRef = useRef<AbortController | null>(null)
   const [matchedAgents, setMatchedAgents] = useState<any[]>([])
   const [selectedAgent, setSelectedAgent] = useState<any | null>(null)
   const [selectedCurrency, setSelectedCurrency] = useState<'HBAR' | 'USDC'>('HBAR')
@@ -192,11 +196,15 @@ export default function ChatPage() {
         console.warn('Failed to fetch agents for chat context:', e)
       }
       
-      const resp = await fetch(`${backendUrl}/api/ai/chat`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ 
+      // Stream the reply into a placeholder bubble; it is replaced by the final message below
+      const streamId = `stream-${Date.now()}`
+      let streamedText = ''
+      const abortController = new AbortController()
+      chatAbortRef.current = abortController
+      setReasoning(null)
+      const data = await streamChat({
           input: text.trim(),
+          sessionId: getStoredChatSessionId() || undefined,
           availableAgents: availableAgents.map((a: any) => ({
             name: a.name,
             address: a.address,
@@ -205,9 +213,18 @@ export default function ChatPage() {
             trustScore: a.trustScore,
             agentId: a.agentId
           }))
-        })
-      })
-      const data = await resp.json()
+        }, (event) => {
+          if (event.type === 'session') storeChatSessionId(event.sessionId)
+          if (event.type === 'reasoning') setReasoning(prev => [...(prev || []), event.step])
+          if (event.type === 'message') {
+            streamedText += event.delta
+            const content = streamedText
+            setMessages(prev => prev.some(m => m.id === streamId)
+              ? prev.map(m => m.id === streamId ? { ...m, content } : m)
+              : [...prev, { id: streamId, role: 'assistant', content, timestamp: new Date() }])
+          }
+        }, abortController.signal)
+      if (data.sessionId) storeChatSessionId(data.sessionId)
 
       let assistantText = ''
       setReasoning(null)
@@ -215,7 +232,9 @@ export default function ChatPage() {
       setShowPaymentCard(false)
       setMatchedAgents([])
 
-      if (!data.success) {
+      if (data.cancelled) {
+        assistantText = streamedText ? `${streamedText} (stopped)` : 'Stopped.'
+      } else if (!data.success) {
         assistantText = 'Assistant error: ' + (data.error || 'Unknown error from model')
       } else if (data.raw) {
         assistantText = data.raw
@@ -262,7 +281,7 @@ export default function ChatPage() {
           playBreakpointsSequentially(expanded, 150)
         }
 
-        if (d.action && d.action.type === 'request_confirmation') {
+        if (d.action && (d.action.type === 'request_payment' || d.action.type === 'request_confirmation')) {
           setShowPaymentCard(true)
           setPaymentProcessing(false)
           setPaymentConfirmed(false)
@@ -278,16 +297,17 @@ export default function ChatPage() {
         content: assistantText,
         timestamp: new Date()
       }
-      setMessages(prev => [...prev, botMessage])
+      setMessages(prev => [...prev.filter(m => m.id !== streamId), botMessage])
     } catch (e: any) {
       const botMessage: Message = {
         id: (Date.now() + 1).toString(),
         role: 'assistant',
-        content: 'Failed to contact assistant: ' + (e.message || e),
+        content: e?.name === 'AbortError' ? 'Stopped.' : 'Failed to contact assistant: ' + (e.message || e),
         timestamp: new Date()
       }
       setMessages(prev => [...prev, botMessage])
     } finally {
+      chatAbortRef.current = null
       setIsLoading(false)
     }
   }
@@ -311,6 +331,20 @@ export default function ChatPage() {
     const initId = addEventMessage({ type: 'agent_session_initializing', text: 'Initializing agent session...' } as any, 'pending')
     setIsProgressThinking(true)
 
+    // Resume the previous conversation, if the backend still has it
+    loadStoredChatSession().then(session => {
+      if (!session || session.messages.length === 0) return
+      const restored: Message[] = session.messages.map((m, i) => ({
+        id: `restored-${i}`,
+        role: m.role,
+        content: m.content,
+        timestamp: new Date(m.timestamp)
+      }))
+      setMessages(prev => [...restored, ...prev])
+      if (session.matchedAgents.length > 0) setMatchedAgents(session.matchedAgents)
+      if (session.pendingAction) setAssistantAction(session.pendingAction)
+    })
+
     const tFinalize = setTimeout(() => {
       // Mark init as done and show the greeting message (non-blocking)
       updateEventStatusById(initId, 'done')
@@ -733,6 +767,19 @@ export default function ChatPage() {
                       currency: selectedCurrency,
                       useAgentWallet: useAgentWallet
                     }
+
+                    // Agent wallet payments are authorized by a signing session from the connected wallet
+                    const paymentHeaders: Record<string, string> = { 'Content-Type': 'application/json' }
+                    if (useAgentWallet) {
+                      if (!walletAddress || !walletClient) {
+                        throw new Error('Connect your wallet to authorize payments from the agent wallet')
+                      }
+                      paymentHeaders[SIGNING_SESSION_HEADER] = await getSigningSession(
+                        walletAddress,
+                        fromAgentId,
+                        (message) => walletClient.signMessage({ account: walletAddress, message })
+                      )
+                    }
                     
                     // Add user wallet address if using user wallet
                     if (!useAgentWallet) {
@@ -809,7 +856,7 @@ export default function ChatPage() {
                     // Make payment request (now with signedTx if user wallet was used)
                     let pResp = await fetch(`${backendUrl}/api/agent-connection/pay-agent`, {
                       method: 'POST',
-                      headers: { 'Content-Type': 'application/json' },
+                      headers: paymentHeaders,
                       body: JSON.stringify(paymentBody)
                     })
                     let pData = await pResp.json()
@@ -917,6 +964,16 @@ export default function ChatPage() {
                 className="flex-1 px-4 py-3 border border-border bg-background text-foreground placeholder:text-foreground/40 focus:outline-none focus:ring-2 focus:ring-ring"
                 disabled={isLoading}
               />
+              {isLoading && chatAbortRef.current && (
+                <button
+                  type="button"
+                  onClick={() => chatAbortRef.current?.abort()}
+                  className="px-6 py-3 border border-border font-semibold hover:bg-accent transition-colors flex items-center gap-2"
+                >
+                  <XCircle className="w-4 h-4" />
+                  Stop
+                </button>
+              )}
               <button
                 type="submit"
                 disabled={!input.trim() || isLoading}
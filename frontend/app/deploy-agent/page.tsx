@@ -1,6 +1,6 @@
 'use client'
 
-import { useState } from 'react'
+import { useEffect, useState } from 'react'
 import { Button } from '@/components/ui/button'
 import { Input } from '@/components/ui/input'
 import { Textarea } from '@/components/ui/textarea'
@@ -15,12 +15,22 @@ export default function DeployAgentPage() {
   const [capabilities, setCapabilities] = useState<string[]>([])
   const [newCapability, setNewCapability] = useState('')
   const [aiSuggestions, setAiSuggestions] = useState<string[]>([])
+  const [taxonomy, setTaxonomy] = useState<{ id: string; name: string }[]>([])
   const [loadingSuggestions, setLoadingSuggestions] = useState(false)
   const [registering, setRegistering] = useState(false)
   const [registered, setRegistered] = useState(false)
   const [error, setError] = useState<string | null>(null)
   const [agentAddress, setAgentAddress] = useState<string | null>(null)
 
+  // Capability ids the backend accepts (aliases are mapped to these on registration)
+  useEffect(() => {
+    const BASE_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3001'
+    fetch(`${BASE_URL}/api/capabilities`)
+      .then(res => res.json())
+      .then(data => setTaxonomy(Array.isArray(data.capabilities) ? data.capabilities : []))
+      .catch(error => console.error('Failed to load capability taxonomy:', error))
+  }, [])
+
   const getSuggestions = async () => {
     if (!description.trim()) return
     
@@ -269,7 +279,13 @@ export default function DeployAgentPage() {
                 onKeyPress={(e) => e.key === 'Enter' && addCapability(newCapability)}
                 placeholder="e.g., data-analysis, payments"
                 className="flex-1"
+                list="capability-taxonomy"
               />
+              <datalist id="capability-taxonomy">
+                {taxonomy.map(entry => (
+                  <option key={entry.id} value={entry.id}>{entry.name}</option>
+                ))}
+              </datalist>
               <Button
                 onClick={() => addCapability(newCapability)}
                 variant="outline"
@@ -1,7 +1,7 @@
 "use client"
 
 import { useState, useEffect } from 'react'
-import { useAccount } from 'wagmi'
+import { useAccount, useSignMessage } from 'wagmi'
 import { apiClient } from '../../src/lib/api-client'
 import Link from 'next/link'
 import { ProtocolBadge, ProtocolInfoPanel } from '@/components/protocol-badge'
@@ -9,6 +9,7 @@ import { ProtocolBadge, ProtocolInfoPanel } from '@/components/protocol-badge'
 export default function SettingsPage() {
   // Wallet connection using wagmi
   const { address: walletAddress, isConnected: walletConnected } = useAccount()
+  const { signMessageAsync } = useSignMessage()
 
   // Groq AI settings
   const [groqKey, setGroqKey] = useState('')
@@ -254,6 +255,12 @@ export default function SettingsPage() {
                 onClick={async () => {
                   try {
                     setSettingsSaveMsg(null)
+                    // Settings are admin-only: sign in with the connected wallet first
+                    if (!walletAddress) {
+                      setSettingsSaveMsg('Connect an admin wallet to save settings')
+                      return
+                    }
+                    await apiClient.signIn(walletAddress, (message) => signMessageAsync({ message }))
                     // Only send non-empty values to avoid overwriting with empty strings
                     const updateData: Record<string, string> = {}
                     if (groqKey && groqKey.trim()) {
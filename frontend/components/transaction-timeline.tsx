@@ -74,6 +74,14 @@ export function TransactionTimeline({ transactionId, type = 'a2a-payment' }: Tra
     }
   }
 
+  // Per-milestone progress from MilestoneReleased HCS events (latest event carries the running totals)
+  const milestoneEvents = steps
+    .map(step => step.hcsMessage)
+    .filter(msg => msg?.event === 'MilestoneReleased')
+  const milestoneSetup = steps.find(step => step.hcsMessage?.event === 'MilestoneEscrowCreated')?.hcsMessage
+  const milestoneTotal = milestoneEvents[milestoneEvents.length - 1]?.total ?? milestoneSetup?.milestones?.length ?? 0
+  const releasedIndexes = new Set(milestoneEvents.map(msg => msg.milestoneIndex))
+
   if (loading) {
     return (
       <div className="animate-pulse space-y-3">
@@ -106,6 +114,36 @@ export function TransactionTimeline({ transactionId, type = 'a2a-payment' }: Tra
         </div>
       )}
       
+      {milestoneTotal > 0 && (
+        <div className="border border-border p-4 rounded-lg">
+          <div className="flex items-center justify-between mb-2">
+            <h4 className="font-semibold">Milestones</h4>
+            <span className="text-sm text-muted-foreground">
+              {releasedIndexes.size}/{milestoneTotal} released
+            </span>
+          </div>
+          <div className="h-2 bg-muted rounded overflow-hidden mb-3">
+            <div
+              className="h-full bg-green-600 transition-all"
+              style={{ width: `${(releasedIndexes.size / milestoneTotal) * 100}%` }}
+            />
+          </div>
+          {milestoneSetup?.milestones && (
+            <ul className="space-y-1 text-sm">
+              {milestoneSetup.milestones.map((milestone: { amount: string; description: string }, index: number) => (
+                <li key={index} className="flex items-center gap-2">
+                  {releasedIndexes.has(index)
+                    ? <CheckCircle className="w-4 h-4 text-green-600" />
+                    : <Clock className="w-4 h-4 text-muted-foreground" />}
+                  <span className="flex-1">{milestone.description}</span>
+                  <span className="text-muted-foreground">{milestone.amount} HBAR</span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
       <div className="relative">
         {/* Vertical line */}
         <div className="absolute left-8 top-0 bottom-0 w-0.5 bg-border" />
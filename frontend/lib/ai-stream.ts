@@ -0,0 +1,56 @@
+// lib/ai-stream.ts
+// Streams POST /api/ai/chat as Server-Sent Events. Partial reasoning and message text arrive through
+// onEvent; the promise resolves with the final validated payload (same shape as the non-streamed reply).
+
+const API_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3001'
+
+export type ChatStreamEvent =
+  | { type: 'session'; sessionId: string }
+  | { type: 'reasoning'; index: number; step: string }
+  | { type: 'message'; delta: string }
+  | { type: 'final'; success: boolean; data?: any; error?: string; code?: string; sessionId?: string }
+  | { type: 'cancelled' }
+  | { type: 'error'; error: string; status?: number; code?: string }
+
+export async function streamChat(
+  body: Record<string, any>,
+  onEvent: (event: ChatStreamEvent) => void,
+  signal?: AbortSignal
+): Promise<any> {
+  const res = await fetch(`${API_URL}/api/ai/chat`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Accept: 'text/event-stream' },
+    body: JSON.stringify({ ...body, stream: true }),
+    signal,
+  })
+  // Validation errors (bad input, unknown session) come back as plain JSON before the stream starts
+  if (!res.ok || !res.body) {
+    const data = await res.json().catch(() => ({}))
+    return { success: false, error: data.error || `Chat request failed (${res.status})`, code: data.code }
+  }
+
+  const reader = res.body.getReader()
+  const decoder = new TextDecoder()
+  let buffer = ''
+  let final: any = null
+
+  while (true) {
+    const { done, value } = await reader.read()
+    if (done) break
+    buffer += decoder.decode(value, { stream: true })
+
+    const frames = buffer.split('\n\n')
+    buffer = frames.pop() || ''
+    for (const frame of frames) {
+      const dataLine = frame.split('\n').find(line => line.startsWith('data: '))
+      if (!dataLine) continue
+      const event = JSON.parse(dataLine.slice('data: '.length)) as ChatStreamEvent
+      onEvent(event)
+      if (event.type === 'final') final = event
+      if (event.type === 'error') final = { success: false, error: event.error, code: event.code }
+      if (event.type === 'cancelled') final = { success: false, cancelled: true }
+    }
+  }
+
+  return final || { success: false, error: 'Chat stream ended without a reply' }
+}
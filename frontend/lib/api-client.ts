@@ -113,15 +113,15 @@ export const apiClient = {
 
   async transferToken(params: {
     tokenId: string
-    fromId: string
-    fromKey: string
     toId: string
-    amount: number
+    amount: number | string // whole units of the token
+    signingSession: string // X-Signing-Session token for the sending agent's wallet
   }) {
+    const { signingSession, ...body } = params
     const res = await fetch(`${API_URL}/api/tokens/transfer`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(params),
+      headers: { 'Content-Type': 'application/json', 'X-Signing-Session': signingSession },
+      body: JSON.stringify(body),
     })
     return handleResponse<any>(res)
   },
@@ -138,13 +138,18 @@ export const apiClient = {
     return handleResponse<x402Challenge>(res)
   },
 
-  async x402Verify(txId: string, expectedAmount?: string, expectedPayTo?: string) {
+  async x402Verify(txId: string, intentId: string) {
     const res = await fetch(`${API_URL}/api/x402/verify`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ txId, expectedAmount, expectedPayTo }),
+      body: JSON.stringify({ txId, intentId }),
     })
-    return handleResponse<{ verified: boolean; tx?: any }>(res)
+    return handleResponse<{ verified: boolean; intent?: any; tx?: any }>(res)
+  },
+
+  async x402Intent(intentId: string) {
+    const res = await fetch(`${API_URL}/api/x402/intents/${encodeURIComponent(intentId)}`)
+    return handleResponse<any>(res)
   },
 
   // ===== Messages (HCS) =====
@@ -0,0 +1,46 @@
+// lib/chat-session.ts
+// The backend keeps chat history per session (POST /api/ai/chat returns a sessionId); the id is kept in
+// localStorage so the chat page can resume the conversation after a reload.
+
+const API_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3001'
+const STORAGE_KEY = 'heracles-chat-session'
+
+export interface ChatSession {
+  id: string
+  createdAt: string
+  updatedAt: string
+  expiresAt: string
+  summary: string
+  messages: { role: 'user' | 'assistant'; content: string; timestamp: string }[]
+  matchedAgents: any[]
+  pendingAction: { type: string; payload: any; createdAt: string } | null
+}
+
+export function getStoredChatSessionId(): string | null {
+  if (typeof window === 'undefined') return null
+  return window.localStorage.getItem(STORAGE_KEY)
+}
+
+export function storeChatSessionId(id: string) {
+  if (typeof window === 'undefined') return
+  window.localStorage.setItem(STORAGE_KEY, id)
+}
+
+/**
+ * Load the stored session, forgetting its id if the backend no longer has it
+ */
+export async function loadStoredChatSession(): Promise<ChatSession | null> {
+  const id = getStoredChatSessionId()
+  if (!id) return null
+  try {
+    const res = await fetch(`${API_URL}/api/ai/sessions/${id}`)
+    if (!res.ok) {
+      window.localStorage.removeItem(STORAGE_KEY)
+      return null
+    }
+    const data = await res.json()
+    return data.session || null
+  } catch {
+    return null
+  }
+}
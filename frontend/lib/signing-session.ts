@@ -0,0 +1,50 @@
+// lib/signing-session.ts
+// Signing sessions let the backend unlock an agent's keystore wallet without its key leaving the server.
+// The connected wallet signs a one-time challenge; the returned token goes in the X-Signing-Session header.
+
+const API_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3001'
+export const SIGNING_SESSION_HEADER = 'X-Signing-Session'
+
+type SignMessage = (message: string) => Promise<string>
+
+type CachedSession = { token: string; expiresAt: number }
+
+const sessions = new Map<string, CachedSession>()
+
+/**
+ * Get (or open) a signing session for an agent, prompting the wallet to sign only when needed
+ */
+export async function getSigningSession(
+  address: string,
+  agentId: string,
+  signMessage: SignMessage,
+  scopes?: string[]
+): Promise<string> {
+  const key = `${address.toLowerCase()}:${agentId}:${(scopes || []).join(',')}`
+  const cached = sessions.get(key)
+  // Keep a minute of margin so a request never races the expiry
+  if (cached && cached.expiresAt - 60_000 > Date.now()) return cached.token
+
+  const params = new URLSearchParams({ address, agentId })
+  if (scopes?.length) params.set('scopes', scopes.join(','))
+  const challengeRes = await fetch(`${API_URL}/api/auth/signing-sessions/challenge?${params}`)
+  const challenge = await challengeRes.json()
+  if (!challengeRes.ok) throw new Error(challenge.error || 'Failed to get signing challenge')
+
+  const signature = await signMessage(JSON.stringify(challenge.message))
+
+  const sessionRes = await fetch(`${API_URL}/api/auth/signing-sessions`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ message: challenge.message, signature }),
+  })
+  const session = await sessionRes.json()
+  if (!sessionRes.ok) throw new Error(session.error || 'Failed to open signing session')
+
+  sessions.set(key, { token: session.token, expiresAt: new Date(session.expiresAt).getTime() })
+  return session.token
+}
+
+export function clearSigningSessions() {
+  sessions.clear()
+}
@@ -14,15 +14,28 @@ export interface Payment {
   payee: string
   amount: string
   serviceDescription: string
-  status: 'Active' | 'Completed' | 'Refunded' | 'Disputed'
+  status: 'Active' | 'Completed' | 'Refunded' | 'Disputed' | 'Resolved'
   createdAt: string
   completedAt: string | null
   txHash?: string
 }
 
+export interface RegisteredToken {
+  tokenId: string
+  symbol: string
+  name: string
+  decimals: number
+  evmAddress: string | null
+  requiresAssociation: boolean
+  allowedForPayment: boolean
+  source: 'builtin' | 'mirror' | 'manual'
+}
+
 export interface TokenBalance {
   hbar: string
-  tokenBalance: number
+  tokenBalance: string // smallest unit
+  balance: string // whole units
+  token: RegisteredToken
 }
 
 export interface x402Challenge {
@@ -1,7 +1,7 @@
 // lib/x402-payment.ts
 // x402 payment utilities for Hedera
 
-import { AccountId, Client, PrivateKey, TransferTransaction, Hbar, TransactionId, TokenId } from "@hashgraph/sdk";
+import { AccountId, Client, PrivateKey, TransferTransaction, Hbar, TransactionId, TokenId, Long } from "@hashgraph/sdk";
 
 const FACILITATOR_URL = process.env.NEXT_PUBLIC_X402_FACILITATOR_URL || 'https://x402-hedera-production.up.railway.app';
 const NETWORK = 'hedera-testnet';
@@ -17,6 +17,9 @@ export interface PaymentRequirements {
   maxTimeoutSeconds?: number;
   extra?: {
     feePayer?: string;
+    intentId?: string;
+    memo?: string; // must be set as the transaction memo
+    expiresAt?: string;
   };
 }
 
@@ -103,7 +106,10 @@ export async function getPaymentRequirements(
       description: accept.description || memo,
       maxTimeoutSeconds: accept.maxTimeoutSeconds || 300,
       extra: {
-        feePayer: accept.extra?.feePayer || process.env.NEXT_PUBLIC_FACILITATOR_ACCOUNT_ID || '0.0.2961788'
+        feePayer: accept.extra?.feePayer || process.env.NEXT_PUBLIC_FACILITATOR_ACCOUNT_ID || '0.0.2961788',
+        intentId: accept.extra?.intentId,
+        memo: accept.extra?.memo,
+        expiresAt: accept.extra?.expiresAt
       }
     };
   }
@@ -123,7 +129,12 @@ export async function createAndSignPayment(
     paymentRequirements.extra?.feePayer || '0.0.2961788'
   );
   const toAccount = AccountId.fromString(paymentRequirements.payTo);
-  const amount = paymentRequirements.maxAmountRequired;
+  // Challenges carry the amount in the asset's smallest unit; Long keeps it exact (parseInt dropped digits)
+  const atomicAmount = String(paymentRequirements.maxAmountRequired);
+  if (!/^\d+$/.test(atomicAmount)) {
+    throw new Error(`Invalid payment amount: ${atomicAmount} (expected an integer in the asset's smallest unit)`);
+  }
+  const amount = Long.fromString(atomicAmount);
 
   // Generate transaction ID with facilitator as fee payer
   const transactionId = TransactionId.generate(facilitatorAccountId);
@@ -134,15 +145,20 @@ export async function createAndSignPayment(
     // HBAR transfer
     transaction = new TransferTransaction()
       .setTransactionId(transactionId)
-      .addHbarTransfer(accountId, Hbar.fromTinybars(-parseInt(amount)))
-      .addHbarTransfer(toAccount, Hbar.fromTinybars(parseInt(amount)));
+      .addHbarTransfer(accountId, Hbar.fromTinybars(amount.negate()))
+      .addHbarTransfer(toAccount, Hbar.fromTinybars(amount));
   } else {
     // Token transfer
     const tokenId = TokenId.fromString(paymentRequirements.asset);
     transaction = new TransferTransaction()
       .setTransactionId(transactionId)
-      .addTokenTransfer(tokenId, accountId, -parseInt(amount))
-      .addTokenTransfer(tokenId, toAccount, parseInt(amount));
+      .addTokenTransfer(tokenId, accountId, amount.negate())
+      .addTokenTransfer(tokenId, toAccount, amount);
+  }
+
+  // The backend matches the payment to its intent by this memo
+  if (paymentRequirements.extra?.memo) {
+    transaction.setTransactionMemo(paymentRequirements.extra.memo);
   }
 
   // Freeze and sign transaction
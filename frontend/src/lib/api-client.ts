@@ -14,6 +14,28 @@ function url(p: string) {
   return p // rely on dev proxy (/api -> backend) or same-origin Next server if configured
 }
 
+// JWT from POST /api/auth/login, required by admin-only routes such as /api/settings
+const AUTH_STORAGE_KEY = 'heracles.auth'
+
+type StoredAuth = { token: string; address: string; roles: string[]; expiresAt: string }
+
+function getStoredAuth(): StoredAuth | null {
+  if (typeof window === 'undefined') return null
+  try {
+    const raw = window.localStorage.getItem(AUTH_STORAGE_KEY)
+    const auth = raw ? (JSON.parse(raw) as StoredAuth) : null
+    if (!auth || new Date(auth.expiresAt).getTime() <= Date.now()) return null
+    return auth
+  } catch {
+    return null
+  }
+}
+
+function authHeaders(): Record<string, string> {
+  const auth = getStoredAuth()
+  return auth ? { Authorization: `Bearer ${auth.token}` } : {}
+}
+
 export const apiClient = {
   async healthCheck() {
     const res = await fetch(url('/api/health'))
@@ -39,20 +61,48 @@ export const apiClient = {
     }
     return data
   },
+  getAuth() {
+    return getStoredAuth()
+  },
+  // Sign in with the connected wallet (SIWE-style): sign the server challenge, store the returned JWT
+  async signIn(address: string, signMessage: (message: string) => Promise<string>) {
+    const current = getStoredAuth()
+    if (current && current.address.toLowerCase() === address.toLowerCase()) return current
+
+    const challengeRes = await fetch(url(`/api/auth/challenge?address=${encodeURIComponent(address)}`))
+    const challenge = await challengeRes.json().catch(() => ({}))
+    if (!challengeRes.ok) throw new Error(challenge.error || 'Failed to get sign-in challenge')
+
+    const signature = await signMessage(JSON.stringify(challenge.message))
+    const res = await fetch(url('/api/auth/login'), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ message: challenge.message, signature })
+    })
+    const data = await res.json().catch(() => ({}))
+    if (!res.ok) throw new Error(data.error || 'Sign-in failed')
+
+    const auth: StoredAuth = { token: data.token, address: data.address, roles: data.roles, expiresAt: data.expiresAt }
+    window.localStorage.setItem(AUTH_STORAGE_KEY, JSON.stringify(auth))
+    return auth
+  },
+  signOut() {
+    if (typeof window !== 'undefined') window.localStorage.removeItem(AUTH_STORAGE_KEY)
+  },
   async getSettingsSchema() {
     const res = await fetch(url('/api/settings/schema'))
     if (!res.ok) throw new Error('Failed to fetch settings schema')
     return res.json()
   },
   async getSettings() {
-    const res = await fetch(url('/api/settings'))
+    const res = await fetch(url('/api/settings'), { headers: authHeaders() })
     if (!res.ok) throw new Error('Failed to fetch settings')
     return res.json()
   },
   async updateSettings(config: Record<string, string>) {
     const res = await fetch(url('/api/settings'), {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: { 'Content-Type': 'application/json', ...authHeaders() },
       body: JSON.stringify(config)
     })
     if (!res.ok) {
@@ -485,7 +485,7 @@ class E2ETestSuite {
     }
     
     const challengeResponse = await axios.post(`${BASE_URL}/api/x402/challenge`, {
-      amount: '0.1',
+      amount: '10000000', // 0.1 HBAR in tinybars
       payTo: payTo,
       currency: 'HBAR',
       memo: 'e2e-test-challenge',
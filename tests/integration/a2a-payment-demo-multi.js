@@ -156,8 +156,10 @@ class MultiAgentDemo {
   constructor() {
     this.agent1 = null;
     this.agent2 = null;
-    this.agent1PrivateKey = null; // Alice's private key
-    this.agent2PrivateKey = null; // Bob's private key
+    this.agent1PrivateKey = null; // Alice's private key (signs locally, never sent)
+    this.agent2PrivateKey = null; // Bob's private key (signs locally, never sent)
+    this.agent1Session = null; // Alice's signing session token
+    this.agent2Session = null; // Bob's signing session token
     this.interactionId = null;
     this.escrowId = null;
     this.paymentTxHash = null;
@@ -179,6 +181,21 @@ class MultiAgentDemo {
     return null;
   }
 
+  /**
+   * Open a signing session so the backend signs with the agent's keystore wallet
+   * (the backend imports .env.alice/.env.bob into the keystore as 'alice'/'bob' on startup)
+   */
+  async openSigningSession(privateKey, agentId, scopes) {
+    const wallet = new ethers.Wallet(privateKey);
+    const challenge = await axios.get(`${BASE_URL}/api/auth/signing-sessions/challenge`, {
+      params: { address: wallet.address, agentId, scopes: scopes.join(',') }
+    });
+    const message = challenge.data.message;
+    const signature = await wallet.signMessage(JSON.stringify(message));
+    const session = await axios.post(`${BASE_URL}/api/auth/signing-sessions`, { message, signature });
+    return session.data.token;
+  }
+
   /**
    * Step 1: Register two agents with different credentials
    */
@@ -283,7 +300,11 @@ class MultiAgentDemo {
         return false;
       }
       
-      log('1', 'Loaded agent wallet credentials for payments and A2A');
+      this.agent1Session = await this.openSigningSession(
+        this.agent1PrivateKey, 'alice', ['payments:create', 'payments:release', 'a2a:communicate']
+      );
+      this.agent2Session = await this.openSigningSession(this.agent2PrivateKey, 'bob', ['a2a:complete']);
+      log('1', 'Opened signing sessions for Alice and Bob (payments and A2A)');
       
       // Check trust scores
       const agent1Data = await axios.get(`${BASE_URL}/api/agents/${this.agent1}`);
@@ -349,10 +370,9 @@ class MultiAgentDemo {
 
       const response = await axios.post(`${BASE_URL}/api/a2a/communicate`, {
         fromAgent: this.agent1,
-        fromAgentPrivateKey: this.agent1PrivateKey, // Use Alice's wallet
         toAgent: this.agent2,
         capability: 'payments'
-      });
+      }, { headers: { 'X-Signing-Session': this.agent1Session } }); // Alice's wallet signs
       
       this.interactionId = response.data.interactionId;
       logSuccess(`A2A communication initiated - Interaction ID: ${this.interactionId}`);
@@ -378,11 +398,10 @@ class MultiAgentDemo {
     try {
       const response = await axios.post(`${BASE_URL}/api/payments`, {
         payer: this.agent1, // Alice pays (must be registered agent)
-        payerPrivateKey: this.agent1PrivateKey, // Alice's private key (DEMO ONLY)
         payee: this.agent2, // Bob receives payment
         amount: '10',
         description: 'Payment for API integration service completed by Bob'
-      });
+      }, { headers: { 'X-Signing-Session': this.agent1Session } });
       
       this.escrowId = response.data.escrowId;
       logSuccess(`Escrow created - ID: ${this.escrowId}`);
@@ -418,9 +437,8 @@ class MultiAgentDemo {
     log('5', 'Releasing escrow payment (using Alice\'s wallet - payer releases to payee)');
     try {
       const response = await axios.post(`${BASE_URL}/api/payments/${this.escrowId}/release`, {
-        releaser: this.agent1, // Alice releases (she is the payer) - x402: only payer can release
-        releaserPrivateKey: this.agent1PrivateKey // Alice's private key (DEMO ONLY)
-      });
+        releaser: this.agent1 // Alice releases (she is the payer) - x402: only payer can release
+      }, { headers: { 'X-Signing-Session': this.agent1Session } });
       this.paymentTxHash = response.data.txHash;
       logSuccess(`Escrow released by Alice (payer) to Bob (payee) - Transaction: ${this.paymentTxHash}`);
       
@@ -435,9 +453,8 @@ class MultiAgentDemo {
       
       log('5', 'Completing A2A interaction (using Bob\'s wallet)');
       await axios.post(`${BASE_URL}/api/a2a/interactions/${this.interactionId}/complete`, {
-        completer: this.agent2, // Bob completes (he is the toAgent)
-        completerPrivateKey: this.agent2PrivateKey // Bob's private key (DEMO ONLY)
-      });
+        completer: this.agent2 // Bob completes (he is the toAgent)
+      }, { headers: { 'X-Signing-Session': this.agent2Session } });
       logSuccess('A2A interaction completed by Bob');
       
       return true;